@@ -7,8 +7,8 @@ const config = require('./src/config/config');
 const logger = require('./src/utils/logger');
 
 class VideoRecorder {
-  constructor() {
-    this.streamUrl = config.mjpegStreamUrl;
+  constructor(streamUrl = config.mjpegStreamUrl) {
+    this.streamUrl = streamUrl;
     this.isRecording = false;
     this.ffmpegProcess = null;
   }
@@ -1,9 +1,14 @@
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const MjpegStreamReader = require('./mjpeg-stream');
 
 class MjpegCapture {
-  constructor() {
-    this.streamUrl = config.mjpegStreamUrl;
+  constructor(streamUrl = config.mjpegStreamUrl) {
+    this.streamUrl = streamUrl;
+    // One long-lived connection shared by every consumer; null uses a request per frame
+    this.stream = config.capturePersistentStream ? new MjpegStreamReader(streamUrl) : null;
+    this.maxFrameAge = config.frameMaxAge;
     this.interval = config.frameCaptureInterval;
     this.isCapturing = false;
     this.captureInterval = null;
@@ -13,7 +18,94 @@ class MjpegCapture {
     this.llmCooldownMs = config.llmCooldownSeconds * 1000;
   }
 
+  // Follow the camera to a new address; the next capture uses it
+  setStreamUrl(streamUrl) {
+    this.streamUrl = streamUrl;
+    if (this.stream) {
+      this.stream.setStreamUrl(streamUrl);
+    }
+    logger.info(`Camera stream URL set to ${streamUrl}`);
+  }
+
+  /**
+   * Open the persistent stream (no-op in per-request mode); captureFrame() also starts it on first use
+   */
+  startStream() {
+    if (this.stream) {
+      this.stream.start();
+    }
+  }
+
+  stopStream() {
+    if (this.stream) {
+      this.stream.stop();
+    }
+  }
+
+  /**
+   * Latest frame from the persistent stream ({ buffer, timestamp, sequence }), or null
+   */
+  getLatestFrame() {
+    return this.stream ? this.stream.getLatestFrame() : null;
+  }
+
+  /**
+   * Call listener(frame) for every frame of the persistent stream; returns an unsubscribe function
+   */
+  onFrame(listener) {
+    if (!this.stream) {
+      throw new Error('Frame events need the persistent camera stream (CAPTURE_PERSISTENT_STREAM=true)');
+    }
+    this.startStream();
+    return this.stream.onFrame(listener);
+  }
+
+  /**
+   * Current JPEG frame: the latest streamed frame if it is fresh, otherwise the next one.
+   * Retries up to maxRetries times before giving up.
+   */
   async captureFrame() {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const frame = this.stream ? await this.readStreamFrame() : await this.fetchSingleFrame();
+        this.retryCount = 0;
+        return frame;
+      } catch (error) {
+        this.retryCount = attempt;
+        logger.error(`Failed to capture frame (attempt ${attempt}/${this.maxRetries}): ${error.message}`);
+
+        if (attempt >= this.maxRetries) {
+          throw new Error(`Max retries (${this.maxRetries}) exceeded for frame capture`);
+        }
+
+        // Wait before retrying
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+      }
+    }
+  }
+
+  async readStreamFrame() {
+    const stopTimer = metrics.frameCaptureDuration.startTimer();
+    try {
+      this.startStream();
+
+      const latest = this.stream.getLatestFrame();
+      const frame = latest && Date.now() - latest.timestamp <= this.maxFrameAge
+        ? latest
+        : await this.stream.waitForFrame(Math.max(this.retryDelay, 10000));
+
+      logger.debug(`Frame #${frame.sequence} taken from camera stream (${frame.buffer.length} bytes)`);
+      stopTimer({ outcome: 'success' });
+      return frame.buffer;
+    } catch (error) {
+      stopTimer({ outcome: 'error' });
+      throw error;
+    }
+  }
+
+  // Per-request capture: open the stream, take the first JPEG and close it again
+  async fetchSingleFrame() {
+    const stopTimer = metrics.frameCaptureDuration.startTimer();
     try {
       logger.debug(`Attempting to capture frame from ${this.streamUrl}`);
       
@@ -63,10 +155,8 @@ class MjpegCapture {
             // Cancel the reader to stop the stream
             reader.cancel();
             
-            // Reset retry count on successful capture
-            this.retryCount = 0;
-            
             logger.debug(`Frame captured successfully (${jpegData.length} bytes)`);
+            stopTimer({ outcome: 'success' });
             return jpegData;
           }
         }
@@ -82,8 +172,8 @@ class MjpegCapture {
             if (finalJpegEnd !== -1) {
               const jpegData = combinedBuffer.slice(finalJpegStart, finalJpegEnd + 2);
               reader.cancel();
-              this.retryCount = 0;
               logger.debug(`Frame captured from large buffer (${jpegData.length} bytes)`);
+              stopTimer({ outcome: 'success' });
               return jpegData;
             }
           }
@@ -95,19 +185,28 @@ class MjpegCapture {
       throw new Error(`Could not find JPEG frame in ${receivedBytes} bytes of data`);
       
     } catch (error) {
-      this.retryCount++;
-      logger.error(`Failed to capture frame (attempt ${this.retryCount}/${this.maxRetries}): ${error.message}`);
-      
-      if (this.retryCount >= this.maxRetries) {
-        throw new Error(`Max retries (${this.maxRetries}) exceeded for frame capture`);
-      }
-      
-      // Wait before retrying
-      await new Promise(resolve => setTimeout(resolve, this.retryDelay));
-      return this.captureFrame(); // Retry
+      stopTimer({ outcome: 'error' });
+      throw error;
     }
   }
 
+  // Open the raw MJPEG stream so it can be proxied to other clients (e.g. the web dashboard)
+  async openStream(signal = null) {
+    const response = await fetch(this.streamUrl, {
+      headers: {
+        'Accept': 'multipart/x-mixed-replace; boundary=--foo',
+        'User-Agent': 'ElegooPrintMonitor/1.0'
+      },
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return response;
+  }
+
   startCapture(callback) {
     if (this.isCapturing) {
       logger.warn('Capture already running');
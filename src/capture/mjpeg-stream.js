@@ -0,0 +1,290 @@
+const EventEmitter = require('events');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const SOI = Buffer.from([0xFF, 0xD8]); // JPEG start of image
+const EOI = Buffer.from([0xFF, 0xD9]); // JPEG end of image
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_PENDING_BYTES = 5 * 1024 * 1024; // Drop unparseable data instead of growing forever
+
+/**
+ * MJPEG Stream Reader
+ * Keeps one HTTP connection to the camera open, splits the multipart stream into JPEG frames
+ * and keeps the latest frames in a ring buffer. Reconnects with backoff when the stream drops.
+ *
+ * Events:
+ *   'frame'      - { buffer, timestamp, sequence } for every complete frame
+ *   'connect'    - stream opened
+ *   'disconnect' - stream closed or failed ({ error })
+ */
+class MjpegStreamReader extends EventEmitter {
+  constructor(streamUrl = config.mjpegStreamUrl, options = {}) {
+    super();
+    this.streamUrl = streamUrl;
+    this.bufferSize = options.bufferSize || config.frameBufferSize;
+    this.reconnectDelay = options.reconnectDelay || config.retryDelay;
+    this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+
+    this.frames = []; // Ring buffer, oldest first
+    this.sequence = 0;
+    this.running = false;
+    this.connected = false;
+    this.controller = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+  }
+
+  /**
+   * Open the stream and keep it open until stop()
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.connect();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+  }
+
+  // Follow the camera to a new address: drop the current connection and reconnect right away
+  setStreamUrl(streamUrl) {
+    this.streamUrl = streamUrl;
+    if (this.running) {
+      this.reconnectAttempts = 0;
+      if (this.controller) {
+        this.controller.abort();
+      } else if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.connect();
+      }
+    }
+  }
+
+  async connect() {
+    const controller = new AbortController();
+    this.controller = controller;
+    let error = null;
+
+    try {
+      const response = await fetch(this.streamUrl, {
+        headers: {
+          'Accept': 'multipart/x-mixed-replace',
+          'User-Agent': 'ElegooPrintMonitor/1.0'
+        },
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      this.connected = true;
+      this.reconnectAttempts = 0;
+      logger.info(`Camera stream connected: ${this.streamUrl}`);
+      this.emit('connect');
+
+      await this.readStream(response.body.getReader(), getBoundary(response.headers.get('content-type')));
+      error = new Error('Stream ended');
+    } catch (streamError) {
+      error = streamError;
+    }
+
+    const wasConnected = this.connected;
+    this.connected = false;
+    if (this.controller === controller) {
+      this.controller = null;
+    }
+
+    if (wasConnected) {
+      this.emit('disconnect', { error });
+    }
+
+    if (!this.running) {
+      return;
+    }
+
+    // Aborted by setStreamUrl: reconnect immediately
+    if (controller.signal.aborted) {
+      this.connect();
+      return;
+    }
+
+    this.reconnectAttempts++;
+    const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1), this.maxReconnectDelay);
+    logger.warn(`Camera stream ${wasConnected ? 'lost' : 'unavailable'} (${error.message}) - reconnecting in ${Math.round(delay / 1000)}s`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   * Split the byte stream into frames. Parts are delimited by the multipart boundary and sized by
+   * Content-Length when the camera sends it; without a boundary, JPEG start/end markers are used.
+   */
+  async readStream(reader, boundary) {
+    const delimiter = boundary ? Buffer.from(boundary) : null;
+    let pending = Buffer.alloc(0);
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        return;
+      }
+
+      pending = pending.length === 0 ? Buffer.from(value) : Buffer.concat([pending, Buffer.from(value)]);
+      pending = delimiter ? this.parseMultipart(pending, delimiter) : this.parseMarkers(pending);
+
+      if (pending.length > MAX_PENDING_BYTES) {
+        logger.warn(`Discarding ${pending.length} bytes of camera data without a complete frame`);
+        pending = Buffer.alloc(0);
+      }
+    }
+  }
+
+  /**
+   * Emit every complete part in the buffer and return the unconsumed rest
+   */
+  parseMultipart(buffer, delimiter) {
+    while (true) {
+      const partStart = buffer.indexOf(delimiter);
+      if (partStart === -1) {
+        return buffer;
+      }
+
+      const headerStart = buffer.indexOf('\r\n', partStart + delimiter.length);
+      const headerEnd = headerStart === -1 ? -1 : buffer.indexOf(HEADER_END, headerStart);
+      if (headerEnd === -1) {
+        return buffer.subarray(partStart);
+      }
+
+      const headers = buffer.subarray(headerStart + 2, headerEnd).toString('latin1');
+      const lengthMatch = headers.match(/content-length:\s*(\d+)/i);
+      const bodyStart = headerEnd + HEADER_END.length;
+      let bodyEnd;
+      let next;
+
+      if (lengthMatch) {
+        bodyEnd = bodyStart + parseInt(lengthMatch[1], 10);
+
+        // A boundary inside the announced length means the part was cut short: drop it
+        const nextBoundary = buffer.indexOf(delimiter, bodyStart);
+        if (nextBoundary !== -1 && nextBoundary < bodyEnd) {
+          logger.debug(`Skipping truncated camera part (${nextBoundary - bodyStart} of ${bodyEnd - bodyStart} bytes)`);
+          buffer = buffer.subarray(nextBoundary);
+          continue;
+        }
+        if (buffer.length < bodyEnd) {
+          return buffer.subarray(partStart);
+        }
+        next = bodyEnd;
+      } else {
+        // No length: the part runs until the next boundary
+        const nextBoundary = buffer.indexOf(delimiter, bodyStart);
+        if (nextBoundary === -1) {
+          return buffer.subarray(partStart);
+        }
+        const lastEOI = buffer.lastIndexOf(EOI, nextBoundary);
+        bodyEnd = lastEOI >= bodyStart ? lastEOI + EOI.length : nextBoundary;
+        next = nextBoundary;
+      }
+
+      this.addFrame(buffer.subarray(bodyStart, bodyEnd));
+      buffer = buffer.subarray(next);
+    }
+  }
+
+  /**
+   * Fallback for streams without a multipart boundary: frames run from SOI to the next EOI
+   */
+  parseMarkers(buffer) {
+    while (true) {
+      const start = buffer.indexOf(SOI);
+      if (start === -1) {
+        return Buffer.alloc(0);
+      }
+      const end = buffer.indexOf(EOI, start + SOI.length);
+      if (end === -1) {
+        return buffer.subarray(start);
+      }
+      this.addFrame(buffer.subarray(start, end + EOI.length));
+      buffer = buffer.subarray(end + EOI.length);
+    }
+  }
+
+  addFrame(data) {
+    if (data.length < SOI.length || data[0] !== SOI[0] || data[1] !== SOI[1]) {
+      logger.debug(`Skipping non-JPEG part (${data.length} bytes)`);
+      return;
+    }
+
+    // Copy out of the shared read buffer so kept frames don't pin it
+    const frame = { buffer: Buffer.from(data), timestamp: Date.now(), sequence: ++this.sequence };
+    this.frames.push(frame);
+    if (this.frames.length > this.bufferSize) {
+      this.frames.shift();
+    }
+    this.emit('frame', frame);
+  }
+
+  /**
+   * Most recent frame ({ buffer, timestamp, sequence }), or null before the first one
+   */
+  getLatestFrame() {
+    return this.frames[this.frames.length - 1] || null;
+  }
+
+  /**
+   * Frames in the ring buffer, oldest first
+   */
+  getFrames() {
+    return [...this.frames];
+  }
+
+  /**
+   * Call listener(frame) for every new frame; returns a function that unsubscribes
+   */
+  onFrame(listener) {
+    this.on('frame', listener);
+    return () => this.off('frame', listener);
+  }
+
+  /**
+   * Resolve with the next frame, or reject after timeout ms
+   */
+  waitForFrame(timeout = 10000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.off('frame', onFrame);
+        reject(new Error(`No frame from camera within ${Math.round(timeout / 1000)}s`));
+      }, timeout);
+      const onFrame = (frame) => {
+        clearTimeout(timer);
+        resolve(frame);
+      };
+      this.once('frame', onFrame);
+    });
+  }
+}
+
+/**
+ * Boundary from a multipart Content-Type header, without quotes
+ */
+function getBoundary(contentType) {
+  const match = /boundary="?([^";]+)"?/i.exec(contentType || '');
+  return match ? match[1].trim() : null;
+}
+
+module.exports = MjpegStreamReader;
@@ -0,0 +1,222 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Time-lapse Recorder
+ * Grabs a frame on every layer change while the printer is printing (or every `interval` ms
+ * when the status has no layer information), one directory per job, and assembles an MP4
+ * with ffmpeg when the print completes. Old jobs are removed after `retentionDays`.
+ */
+class TimelapseRecorder {
+  constructor(capture, options = {}) {
+    this.capture = capture;
+    this.dir = options.dir || config.timelapseDir;
+    this.interval = options.interval ?? config.timelapseInterval;
+    this.fps = options.fps || config.timelapseFps;
+    this.retentionDays = options.retentionDays ?? config.timelapseRetentionDays;
+    this.keepFrames = options.keepFrames ?? config.timelapseKeepFrames;
+    this.job = null; // { filename, dir, frames, lastLayer, lastFrameTime, startTime, ready }
+    this.capturing = false;
+    this.cleanupInterval = null;
+  }
+
+  start() {
+    this.runCleanup();
+    this.cleanupInterval = setInterval(() => this.runCleanup(), DAY_MS / 4);
+  }
+
+  stop() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+  }
+
+  /**
+   * Follow a formatted status snapshot; resolves to the finished time-lapse when the print completes
+   * @returns {Promise<Object|null>} { videoFile, frames, filename, dir } or null
+   */
+  async update(status, now = Date.now()) {
+    if (!status || !status.success) {
+      return null;
+    }
+
+    const machineCode = status.status?.machine?.code;
+    const printCode = status.status?.print?.code;
+    const filename = status.status?.print?.filename || null;
+
+    if (this.job && printCode === 9) { // Complete
+      const job = this.job;
+      this.job = null;
+      return this.finishJob(job);
+    }
+
+    if (this.job && (printCode === 8 || machineCode === 0 || filename !== this.job.filename)) {
+      logger.info(`Time-lapse for ${this.job.filename} abandoned after ${this.job.frames} frames (print did not complete)`);
+      this.job = null;
+    }
+
+    // The previous job's Complete/Stopped can linger for a moment after a new print starts
+    if (machineCode !== 1 || !filename || printCode === 8 || printCode === 9) {
+      return null;
+    }
+
+    if (!this.job) {
+      this.startJob(filename, now);
+    }
+
+    const layer = status.progress?.currentLayer;
+    const due = layer !== undefined && layer !== null
+      ? layer !== this.job.lastLayer
+      : now - this.job.lastFrameTime >= this.interval;
+    if (due) {
+      await this.captureFrame(now, layer ?? null);
+    }
+    return null;
+  }
+
+  startJob(filename, now) {
+    const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+    const name = path.basename(filename).replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9_-]+/g, '_');
+    const dir = path.join(this.dir, `${stamp}_${name}`);
+
+    // Set before the directory exists so overlapping status pushes see the same job
+    this.job = { filename, dir, frames: 0, lastLayer: null, lastFrameTime: 0, startTime: now, ready: fs.mkdir(dir, { recursive: true }) };
+    logger.info(`Time-lapse started for ${filename} in ${dir}`);
+  }
+
+  /**
+   * Capture and write one frame; the layer is marked done only once its frame is on disk,
+   * so a skipped or failed capture is retried on the next status push
+   */
+  async captureFrame(now, layer = null) {
+    // A slow camera must not pile up captures
+    if (this.capturing) {
+      return;
+    }
+    this.capturing = true;
+    const job = this.job;
+
+    try {
+      await job.ready;
+      const frame = await this.capture.captureFrame();
+      // Count only written frames: ffmpeg stops at the first gap in the numbering
+      const number = job.frames + 1;
+      await fs.writeFile(path.join(job.dir, `frame_${String(number).padStart(5, '0')}.jpg`), frame);
+      job.frames = number;
+      job.lastFrameTime = now;
+      job.lastLayer = layer;
+      logger.debug(`Time-lapse frame ${job.frames} saved for ${job.filename}`);
+    } catch (error) {
+      logger.warn(`Time-lapse frame capture failed: ${error.message}`);
+    } finally {
+      this.capturing = false;
+    }
+  }
+
+  async finishJob(job) {
+    if (job.frames < 2) {
+      logger.info(`Time-lapse for ${job.filename} skipped - only ${job.frames} frame(s) captured`);
+      return null;
+    }
+
+    const videoFile = path.join(job.dir, 'timelapse.mp4');
+    logger.info(`Assembling time-lapse for ${job.filename} from ${job.frames} frames`);
+    await this.assemble(job.dir, videoFile);
+
+    if (!this.keepFrames) {
+      const files = await fs.readdir(job.dir);
+      await Promise.all(files
+        .filter(file => /^frame_\d+\.jpg$/.test(file))
+        .map(file => fs.unlink(path.join(job.dir, file))));
+    }
+
+    logger.info(`Time-lapse saved: ${videoFile}`);
+    return { videoFile, frames: job.frames, filename: job.filename, dir: job.dir };
+  }
+
+  /**
+   * Encode the numbered frames of a job directory into an H.264 MP4
+   */
+  assemble(dir, videoFile) {
+    const ffmpegArgs = [
+      '-y',
+      '-framerate', String(this.fps),
+      '-i', path.join(dir, 'frame_%05d.jpg'),
+      '-c:v', 'libx264',
+      '-pix_fmt', 'yuv420p',
+      '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2', // libx264 needs even dimensions
+      '-movflags', '+faststart',
+      videoFile
+    ];
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', ffmpegArgs);
+      let stderr = '';
+
+      ffmpeg.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve(videoFile);
+        } else {
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderr.split('\n').slice(-3).join(' ').trim()}`));
+        }
+      });
+
+      ffmpeg.on('error', (error) => {
+        reject(new Error(`Failed to start ffmpeg: ${error.message}`));
+      });
+    });
+  }
+
+  /**
+   * Remove job directories older than retentionDays (0 keeps everything)
+   */
+  async runCleanup() {
+    if (!this.retentionDays) {
+      return;
+    }
+
+    let entries;
+    try {
+      entries = await fs.readdir(this.dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Time-lapse cleanup failed: ${error.message}`);
+      }
+      return;
+    }
+
+    const maxAge = this.retentionDays * DAY_MS;
+    let removed = 0;
+    for (const entry of entries) {
+      const jobDir = path.join(this.dir, entry.name);
+      if (!entry.isDirectory() || (this.job && this.job.dir === jobDir)) {
+        continue;
+      }
+      try {
+        const stats = await fs.stat(jobDir);
+        if (Date.now() - stats.mtimeMs > maxAge) {
+          await fs.rm(jobDir, { recursive: true, force: true });
+          removed++;
+        }
+      } catch (error) {
+        logger.warn(`Failed to remove time-lapse ${jobDir}: ${error.message}`);
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`Time-lapse cleanup removed ${removed} job(s) older than ${this.retentionDays} days`);
+    }
+  }
+}
+
+module.exports = TimelapseRecorder;
@@ -0,0 +1,63 @@
+const path = require('path');
+const config = require('./config');
+
+/**
+ * `config check [file]` - validate the config file (plus environment overrides) without starting the monitor
+ * @returns {number} Process exit code
+ */
+function checkConfig(filePath) {
+  const { file, values, sources, errors } = filePath ? config.check(path.resolve(filePath)) : config.check();
+
+  console.log(file ? `Config file: ${file}` : 'Config file: none (environment variables and defaults only)');
+
+  if (errors.length > 0) {
+    console.error(`\n✗ ${errors.length} configuration error${errors.length === 1 ? '' : 's'}:`);
+    for (const error of errors) {
+      console.error(`  - ${error.message}`);
+    }
+    return 1;
+  }
+
+  const counts = { env: 0, file: 0, default: 0 };
+  for (const [key, source] of Object.entries(sources)) {
+    if (key !== 'printers' && key !== 'llmProviders') {
+      counts[source]++;
+    }
+  }
+
+  console.log(`\n✓ Configuration OK (${counts.file} from file, ${counts.env} from environment, ${counts.default} defaults)`);
+  if (values.printers.length > 0) {
+    console.log(`Printers (${sources.printers}):`);
+    for (const printer of values.printers) {
+      console.log(`  - ${printer.name || '(unnamed)'}: ${printer.ip || printer.mjpegStreamUrl}`);
+    }
+  }
+  if (values.llmProviders.length > 0) {
+    console.log(`LLM providers (${sources.llmProviders}), in fallback order:`);
+    for (const provider of values.llmProviders) {
+      console.log(`  - ${provider.name || provider.type}: ${provider.type} ${provider.url}${provider.model ? ` (${provider.model})` : ''}${provider.structuredOutput === false ? ', no structured output' : ''}`);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Handle `node src/index.js config <command>`
+ * @returns {number} Process exit code
+ */
+function runConfigCommand(args) {
+  const [command, filePath] = args;
+
+  if (command === 'check') {
+    return checkConfig(filePath);
+  }
+
+  console.error(`Unknown config command: ${command || '(none)'}`);
+  console.error('Usage: node src/index.js config check [file]');
+  return 1;
+}
+
+module.exports = {
+  checkConfig,
+  runConfigCommand
+};
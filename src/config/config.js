@@ -1,53 +1,453 @@
 // Load environment variables
 require('dotenv').config();
 
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const yaml = require('js-yaml');
+const { schema, printerSchema, providerSchema } = require('./schema');
+const { parsePolygon } = require('../utils/polygon');
+const { ConfigError, ConfigValidationError } = require('./errors');
+
+const CONFIG_FILE_NAMES = ['config.yaml', 'config.yml', 'config.json'];
+const events = new EventEmitter();
+
+/**
+ * Config file from CONFIG_FILE, --config <path>, or config.yaml/.yml/.json in the working directory
+ */
+function findConfigFile(argv = process.argv, env = process.env) {
+  if (env.CONFIG_FILE) {
+    return path.resolve(env.CONFIG_FILE);
+  }
+
+  const flagIndex = argv.indexOf('--config');
+  if (flagIndex !== -1 && argv[flagIndex + 1]) {
+    return path.resolve(argv[flagIndex + 1]);
+  }
+
+  const found = CONFIG_FILE_NAMES.map(name => path.resolve(name)).find(file => fs.existsSync(file));
+  return found || null;
+}
+
+/**
+ * Compare config values; parsed ones like polygons are new arrays on every read
+ */
+function isSameValue(a, b) {
+  if (a === b) {
+    return true;
+  }
+  return typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Parse a YAML or JSON config file (YAML is a superset of JSON)
+ */
+function readConfigFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(filePath, `cannot read config file (${error.code || error.message})`);
+  }
+
+  let data;
+  try {
+    data = yaml.load(text, { filename: filePath }) || {};
+  } catch (error) {
+    throw new ConfigError(filePath, `invalid ${path.extname(filePath) === '.json' ? 'JSON' : 'YAML'}: ${error.message}`);
+  }
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError(filePath, 'the config file must contain a mapping of settings');
+  }
+  return data;
+}
+
+/**
+ * Convert a raw value from the environment (string) or the config file (YAML type) to the field type
+ */
+function coerceValue(spec, raw, key, fromEnv) {
+  const fail = (message) => {
+    throw new ConfigError(key, message, raw);
+  };
+
+  let value = raw;
+  switch (spec.type) {
+    case 'string':
+    case 'url':
+    case 'host':
+      // Chat IDs and tokens are often written as numbers in YAML
+      if (typeof value === 'number') {
+        value = String(value);
+      }
+      if (typeof value !== 'string') {
+        fail('must be a string');
+      }
+      if (spec.type === 'url' && value) {
+        try {
+          new URL(value);
+        } catch {
+          fail(`'${value}' is not a valid URL`);
+        }
+      }
+      if (spec.type === 'host' && value && !/^[a-zA-Z0-9.-]+$/.test(value)) {
+        fail(`'${value}' is not a valid IP address or host name`);
+      }
+      return value;
+
+    case 'integer':
+    case 'number':
+      if (fromEnv) {
+        const pattern = spec.type === 'integer' ? /^-?\d+$/ : /^-?(\d+\.?\d*|\.\d+)$/;
+        if (!pattern.test(value.trim())) {
+          fail(`'${value}' is not ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+        }
+        value = Number(value);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        fail(`must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        fail(`must be at least ${spec.min} (got ${value})`);
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        fail(`must be at most ${spec.max} (got ${value})`);
+      }
+      return value;
+
+    case 'boolean':
+      if (fromEnv) {
+        const normalized = value.trim().toLowerCase();
+        if (['true', '1', 'yes'].includes(normalized)) return true;
+        if (['false', '0', 'no'].includes(normalized)) return false;
+        fail(`'${value}' is not a boolean (use true or false)`);
+      }
+      if (typeof value !== 'boolean') {
+        fail('must be true or false');
+      }
+      return value;
+
+    case 'polygon':
+      // "x,y x,y x,y" or a list of [x, y] pairs, normalized 0-1
+      try {
+        return parsePolygon(value);
+      } catch (error) {
+        return fail(error.message);
+      }
+
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        fail(`'${value}' is not one of: ${spec.values.join(', ')}`);
+      }
+      return value;
+
+    default:
+      throw new Error(`Unknown config type '${spec.type}' for ${key}`);
+  }
+}
+
+function getPath(data, dottedPath) {
+  return dottedPath.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), data);
+}
+
+/**
+ * Report config file keys that are not in the schema (usually typos)
+ */
+function findUnknownKeys(data) {
+  const known = new Set([...schema.map(field => field.path), 'llm.providers']);
+  const sections = new Set(schema.filter(field => field.path.includes('.')).map(field => field.path.split('.')[0]));
+  const errors = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    if (key === 'printers' || known.has(key)) {
+      continue;
+    }
+    if (!sections.has(key)) {
+      errors.push(new ConfigError(key, 'unknown setting'));
+      continue;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(new ConfigError(key, 'must be a section of settings'));
+      continue;
+    }
+    for (const child of Object.keys(value)) {
+      if (!known.has(`${key}.${child}`)) {
+        errors.push(new ConfigError(`${key}.${child}`, 'unknown setting'));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Per-printer sections from the config file, or PRINTERS="name=ip,..." from the environment
+ */
+function resolvePrinters(data, env, errors) {
+  if (env.PRINTERS) {
+    return env.PRINTERS.split(',')
+      .map(pair => pair.trim())
+      .filter(Boolean)
+      .map(pair => {
+        const separator = pair.indexOf('=');
+        return separator === -1
+          ? { name: null, ip: pair }
+          : { name: pair.substring(0, separator).trim(), ip: pair.substring(separator + 1).trim() };
+      });
+  }
+
+  if (data.printers === undefined || data.printers === null) {
+    return [];
+  }
+  if (!Array.isArray(data.printers)) {
+    errors.push(new ConfigError('printers', 'must be a list of printer sections'));
+    return [];
+  }
+
+  const printers = [];
+  data.printers.forEach((entry, index) => {
+    const prefix = `printers[${index}]`;
+    const printer = resolveSection(entry, printerSchema, prefix, 'printer', errors);
+    if (!printer) {
+      return;
+    }
+    if (!entry.ip && !entry.mjpegStreamUrl) {
+      errors.push(new ConfigError(prefix, 'needs an ip or an mjpegStreamUrl'));
+    }
+    printers.push(printer);
+  });
+  return printers;
+}
+
+/**
+ * LLM fallback chain from llm.providers, or LLM_PROVIDERS="type=url,..." from the environment
+ * (those share llm.model and llm.token)
+ */
+function resolveLlmProviders(data, env, errors) {
+  let entries = getPath(data, 'llm.providers');
+  let name = 'llm.providers';
+
+  if (env.LLM_PROVIDERS) {
+    name = 'LLM_PROVIDERS';
+    entries = env.LLM_PROVIDERS.split(',')
+      .map(pair => pair.trim())
+      .filter(Boolean)
+      .map(pair => {
+        const separator = pair.indexOf('=');
+        return separator === -1
+          ? { type: pair }
+          : { type: pair.substring(0, separator).trim(), url: pair.substring(separator + 1).trim() };
+      });
+  }
+
+  if (entries === undefined || entries === null) {
+    return [];
+  }
+  if (!Array.isArray(entries)) {
+    errors.push(new ConfigError(name, 'must be a list of provider sections'));
+    return [];
+  }
+
+  return entries
+    .map((entry, index) => resolveSection(entry, providerSchema, `${name}[${index}]`, 'provider', errors))
+    .filter(Boolean);
+}
+
+/**
+ * Validate one entry of a list of sections (printers, llm.providers) against its schema
+ * @returns {Object|null} Coerced settings, null when the entry is not a section
+ */
+function resolveSection(entry, sectionSchema, prefix, kind, errors) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    const required = Object.keys(sectionSchema).filter(key => sectionSchema[key].required);
+    errors.push(new ConfigError(prefix, `must be a ${kind} section with at least ${required.map(key => `a ${key}`).join(' and ')}`));
+    return null;
+  }
+
+  const section = {};
+  for (const key of Object.keys(entry)) {
+    if (!sectionSchema[key]) {
+      errors.push(new ConfigError(`${prefix}.${key}`, `unknown ${kind} setting`));
+    }
+  }
+  for (const [key, spec] of Object.entries(sectionSchema)) {
+    if (entry[key] === undefined || entry[key] === null || entry[key] === '') {
+      if (spec.required) {
+        errors.push(new ConfigError(`${prefix}.${key}`, 'is required'));
+      }
+      continue;
+    }
+    try {
+      section[key] = coerceValue(spec, entry[key], `${prefix}.${key}`, false);
+    } catch (error) {
+      errors.push(error);
+    }
+  }
+  return section;
+}
+
+/**
+ * Resolve every setting: environment variable, then config file, then default.
+ * Invalid values are reported in `errors` and fall back to the default.
+ */
+function resolveConfig(filePath, env = process.env) {
+  const errors = [];
+  const values = {};
+  const sources = {};
+  let data = {};
+
+  if (filePath) {
+    try {
+      data = readConfigFile(filePath);
+      errors.push(...findUnknownKeys(data));
+    } catch (error) {
+      errors.push(error);
+    }
+  }
+
+  for (const field of schema) {
+    const envValue = env[field.env];
+    const fileValue = getPath(data, field.path);
+    let source = 'default';
+    let raw = field.default;
+
+    if (envValue !== undefined && envValue !== '') {
+      source = 'env';
+      raw = envValue;
+    } else if (fileValue !== undefined && fileValue !== null) {
+      source = 'file';
+      raw = fileValue;
+    }
+
+    try {
+      values[field.key] = source === 'default' ? raw : coerceValue(field, raw, source === 'env' ? field.env : field.path, source === 'env');
+      sources[field.key] = source;
+    } catch (error) {
+      errors.push(error);
+      values[field.key] = field.default;
+      sources[field.key] = 'default';
+    }
+  }
+
+  values.printers = resolvePrinters(data, env, errors);
+  sources.printers = env.PRINTERS ? 'env' : (data.printers ? 'file' : 'default');
+  values.llmProviders = resolveLlmProviders(data, env, errors);
+  sources.llmProviders = env.LLM_PROVIDERS ? 'env' : (getPath(data, 'llm.providers') ? 'file' : 'default');
+
+  return { values, sources, errors };
+}
+
 const config = {
-  // Printer stream
-  mjpegStreamUrl: process.env.MJPEG_STREAM_URL || 'http://192.168.10.179:3031/video',
-  frameCaptureInterval: parseInt(process.env.FRAME_CAPTURE_INTERVAL || '10000'),
-  printerIP: process.env.PRINTER_IP || '',
-  
-  // LLM Configuration
-  openaiUrl: process.env.OPENAI_URL || 'http://localhost:1234/v1',
-  openaiToken: process.env.OPENAI_TOKEN || '',
-  llmModel: process.env.LLM_MODEL || 'qwen/qwen3-vl-4b',
-  llmMode: process.env.LLM_MODE || 'enabled', // 'enabled' or 'disabled'
-  
-  // Telegram Configuration
-  telegramBotToken: process.env.TELEGRAM_BOT_TOKEN || '',
-  telegramChatId: process.env.TELEGRAM_CHAT_ID || '',
-  notificationThreshold: parseFloat(process.env.NOTIFICATION_THRESHOLD || '0.8'),
-  telegramAlertLevel: process.env.TELEGRAM_ALERT_LEVEL || 'critical', // 'all', 'warning', 'critical', 'none'
-  
-  // Application Settings
-  logLevel: process.env.LOG_LEVEL || 'info',
-  maxRetries: parseInt(process.env.MAX_RETRIES || '3'),
-  retryDelay: parseInt(process.env.RETRY_DELAY || '5000'),
-  llmCooldownSeconds: parseInt(process.env.LLM_COOLDOWN_SECONDS || '10'), // Seconds to wait after LLM reply
-  
-  // PrintGuard Configuration
-  usePrintGuard: process.env.USE_PRINTGUARD === 'true',
-  printGuardSensitivity: parseFloat(process.env.PRINTGUARD_SENSITIVITY || '1.0'),
-  printGuardModelPath: process.env.PRINTGUARD_MODEL_PATH || './models/model.onnx',
-  printGuardPrototypesPath: process.env.PRINTGUARD_PROTOTYPES_PATH || './models/prototypes/prototypes.json',
-  
+  file: null, // Config file in use, if any
+  errors: [], // ConfigErrors from the last load
+  sources: {}, // Setting -> 'env' | 'file' | 'default'
+  watching: false,
+
+  /**
+   * Load settings into this object (environment overrides the config file)
+   */
+  load: function(filePath = findConfigFile()) {
+    const { values, sources, errors } = resolveConfig(filePath);
+    Object.assign(this, values);
+    this.file = filePath;
+    this.sources = sources;
+    this.errors = errors;
+    return this;
+  },
+
+  /**
+   * Validate a config file without loading it (used by `config check`)
+   */
+  check: function(filePath = findConfigFile()) {
+    return { file: filePath, ...resolveConfig(filePath) };
+  },
+
   // Validation
   validate: function() {
-    const errors = [];
-    
-    if (!this.mjpegStreamUrl) errors.push('MJPEG_STREAM_URL is required');
-    
+    const errors = [...this.errors];
+
+    if (!this.mjpegStreamUrl) errors.push(new ConfigError('MJPEG_STREAM_URL', 'is required'));
+
     // Telegram is optional - warn if not configured but don't fail
     if (!this.telegramBotToken || !this.telegramChatId) {
       console.warn('Telegram credentials not configured - notifications will be logged only');
     }
-    
+
     if (errors.length > 0) {
-      throw new Error(`Configuration errors:\n${errors.join('\n')}`);
+      throw new ConfigValidationError(errors);
     }
-    
+
     return true;
+  },
+
+  /**
+   * Call listener(changes) after a hot reload; changes maps setting -> { value, previous }
+   */
+  onChange: function(listener) {
+    events.on('change', listener);
+  },
+
+  /**
+   * Watch the config file and apply settings marked `reload` in the schema when it changes.
+   * Other changed settings are reported as needing a restart.
+   */
+  watch: function(pollInterval = 2000) {
+    if (!this.file || this.watching) {
+      return;
+    }
+
+    // Required here: the logger itself reads config
+    const logger = require('../utils/logger');
+    this.watching = true;
+
+    // Polling survives editors that replace the file on save
+    fs.watchFile(this.file, { interval: pollInterval }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) {
+        return;
+      }
+
+      const { values, sources, errors } = resolveConfig(this.file);
+      if (errors.length > 0) {
+        logger.error(`Config file ${this.file} not reloaded:\n${errors.map(error => error.message).join('\n')}`);
+        return;
+      }
+
+      const changes = {};
+      for (const field of schema) {
+        const previousValue = this[field.key];
+        if (isSameValue(values[field.key], previousValue)) {
+          continue;
+        }
+        if (field.reload) {
+          this[field.key] = values[field.key];
+          this.sources[field.key] = sources[field.key];
+          changes[field.key] = { value: values[field.key], previous: previousValue };
+        } else {
+          logger.warn(`Config ${field.path} changed - restart the monitor to apply it`);
+        }
+      }
+      if (JSON.stringify(values.printers) !== JSON.stringify(this.printers)) {
+        logger.warn('Config printers changed - restart the monitor to apply them');
+      }
+      if (JSON.stringify(values.llmProviders) !== JSON.stringify(this.llmProviders)) {
+        logger.warn('Config llm.providers changed - restart the monitor to apply them');
+      }
+
+      if (Object.keys(changes).length > 0) {
+        logger.info(`Config reloaded: ${Object.entries(changes).map(([key, { value }]) => `${key}=${value}`).join(', ')}`);
+        events.emit('change', changes);
+      }
+    });
+    logger.info(`Watching ${this.file} for changes`);
+  },
+
+  unwatch: function() {
+    if (this.watching) {
+      fs.unwatchFile(this.file);
+      this.watching = false;
+    }
   }
 };
 
-module.exports = config;
\ No newline at end of file
+config.load();
+
+module.exports = config;
@@ -0,0 +1,28 @@
+/**
+ * A single invalid setting; `key` is the config file path (e.g. telegram.alertLevel)
+ * or the environment variable the bad value came from
+ */
+class ConfigError extends Error {
+  constructor(key, message, value = undefined) {
+    super(`${key}: ${message}`);
+    this.name = 'ConfigError';
+    this.key = key;
+    this.value = value;
+  }
+}
+
+/**
+ * Thrown by config.validate() with every ConfigError found
+ */
+class ConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Configuration errors:\n${errors.map(error => error.message).join('\n')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+module.exports = {
+  ConfigError,
+  ConfigValidationError
+};
@@ -0,0 +1,177 @@
+/**
+ * Configuration Schema
+ * Every setting with its place in the config file, its environment variable, type and default.
+ * Settings marked `reload` are applied to the running monitor when the config file changes.
+ */
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const ALERT_LEVELS = ['all', 'warning', 'critical', 'none'];
+
+// [config file path, config key, environment variable, type/constraints]
+const fields = [
+  // Printer
+  ['printer.mjpegStreamUrl', 'mjpegStreamUrl', 'MJPEG_STREAM_URL', { type: 'url', default: 'http://192.168.10.179:3031/video' }],
+  ['printer.ip', 'printerIP', 'PRINTER_IP', { type: 'host', default: '' }],
+  ['printer.name', 'printerName', 'PRINTER_NAME', { type: 'string', default: 'printer' }],
+  ['printer.roi', 'printerROI', 'PRINTER_ROI', { type: 'polygon', default: null }], // Bed polygon "x,y x,y ..." (0-1); /roi calibrates it
+  ['printer.discovery', 'printerDiscovery', 'PRINTER_DISCOVERY', { type: 'boolean', default: false }],
+  ['printer.discoveryInterval', 'printerDiscoveryInterval', 'PRINTER_DISCOVERY_INTERVAL', { type: 'integer', default: 60000, min: 0 }],
+  ['printer.statusPushInterval', 'printerStatusPushInterval', 'PRINTER_STATUS_PUSH_INTERVAL', { type: 'integer', default: 5000, min: 0 }],
+  ['printer.heartbeatInterval', 'printerHeartbeatInterval', 'PRINTER_HEARTBEAT_INTERVAL', { type: 'integer', default: 10000, min: 0 }],
+  ['printer.reconnectMaxDelay', 'printerReconnectMaxDelay', 'PRINTER_RECONNECT_MAX_DELAY', { type: 'integer', default: 30000, min: 1000 }],
+
+  // Capture
+  ['capture.interval', 'frameCaptureInterval', 'FRAME_CAPTURE_INTERVAL', { type: 'integer', default: 10000, min: 1000, reload: true }],
+  ['capture.maxRetries', 'maxRetries', 'MAX_RETRIES', { type: 'integer', default: 3, min: 0 }],
+  ['capture.retryDelay', 'retryDelay', 'RETRY_DELAY', { type: 'integer', default: 5000, min: 0 }],
+  ['capture.persistentStream', 'capturePersistentStream', 'CAPTURE_PERSISTENT_STREAM', { type: 'boolean', default: true }],
+  ['capture.frameBufferSize', 'frameBufferSize', 'FRAME_BUFFER_SIZE', { type: 'integer', default: 10, min: 1, max: 300 }],
+  ['capture.frameMaxAge', 'frameMaxAge', 'FRAME_MAX_AGE', { type: 'integer', default: 2000, min: 0 }],
+
+  // Frame quality gate (brightness in grey levels 0-255, measured on a 320px wide greyscale copy)
+  ['frameQuality.enabled', 'frameQualityEnabled', 'FRAME_QUALITY_ENABLED', { type: 'boolean', default: true }],
+  ['frameQuality.action', 'frameQualityAction', 'FRAME_QUALITY_ACTION', { type: 'enum', values: ['skip', 'flag'], default: 'skip', reload: true }],
+  ['frameQuality.minBrightness', 'frameQualityMinBrightness', 'FRAME_QUALITY_MIN_BRIGHTNESS', { type: 'integer', default: 25, min: 0, max: 255, reload: true }],
+  ['frameQuality.maxClipped', 'frameQualityMaxClipped', 'FRAME_QUALITY_MAX_CLIPPED', { type: 'number', default: 0.4, min: 0, max: 1, reload: true }],
+  ['frameQuality.minSharpness', 'frameQualityMinSharpness', 'FRAME_QUALITY_MIN_SHARPNESS', { type: 'number', default: 15, min: 0, reload: true }],
+  ['frameQuality.duplicateThreshold', 'frameQualityDuplicateThreshold', 'FRAME_QUALITY_DUPLICATE_THRESHOLD', { type: 'number', default: 1, min: 0, reload: true }],
+
+  // Time-lapse
+  ['timelapse.enabled', 'timelapseEnabled', 'TIMELAPSE_ENABLED', { type: 'boolean', default: false }],
+  ['timelapse.dir', 'timelapseDir', 'TIMELAPSE_DIR', { type: 'string', default: './timelapse' }],
+  ['timelapse.interval', 'timelapseInterval', 'TIMELAPSE_INTERVAL', { type: 'integer', default: 30000, min: 1000 }],
+  ['timelapse.fps', 'timelapseFps', 'TIMELAPSE_FPS', { type: 'integer', default: 25, min: 1, max: 60 }],
+  ['timelapse.retentionDays', 'timelapseRetentionDays', 'TIMELAPSE_RETENTION_DAYS', { type: 'number', default: 7, min: 0 }],
+  ['timelapse.keepFrames', 'timelapseKeepFrames', 'TIMELAPSE_KEEP_FRAMES', { type: 'boolean', default: false }],
+
+  // Web server
+  ['web.host', 'webHost', 'WEB_HOST', { type: 'string', default: '127.0.0.1' }],
+  ['web.port', 'webPort', 'WEB_PORT', { type: 'integer', default: 8080, min: 1, max: 65535 }],
+  ['web.dashboardEnabled', 'dashboardEnabled', 'DASHBOARD_ENABLED', { type: 'boolean', default: false }],
+  ['web.apiEnabled', 'apiEnabled', 'API_ENABLED', { type: 'boolean', default: false }],
+  ['web.apiToken', 'apiToken', 'API_TOKEN', { type: 'string', default: '' }],
+  ['web.metricsEnabled', 'metricsEnabled', 'METRICS_ENABLED', { type: 'boolean', default: false }],
+  ['web.metricsPublic', 'metricsPublic', 'METRICS_PUBLIC', { type: 'boolean', default: false }],
+
+  // MQTT / Home Assistant
+  ['mqtt.enabled', 'mqttEnabled', 'MQTT_ENABLED', { type: 'boolean', default: false }],
+  ['mqtt.url', 'mqttUrl', 'MQTT_URL', { type: 'url', default: 'mqtt://localhost:1883' }],
+  ['mqtt.username', 'mqttUsername', 'MQTT_USERNAME', { type: 'string', default: '' }],
+  ['mqtt.password', 'mqttPassword', 'MQTT_PASSWORD', { type: 'string', default: '' }],
+  ['mqtt.topicPrefix', 'mqttTopicPrefix', 'MQTT_TOPIC_PREFIX', { type: 'string', default: 'elegoo-print-monitor' }],
+  ['mqtt.discoveryPrefix', 'mqttDiscoveryPrefix', 'MQTT_DISCOVERY_PREFIX', { type: 'string', default: 'homeassistant' }],
+  ['mqtt.deviceId', 'mqttDeviceId', 'MQTT_DEVICE_ID', { type: 'string', default: '' }],
+
+  // LLM
+  ['llm.url', 'openaiUrl', 'OPENAI_URL', { type: 'url', default: 'http://localhost:1234/v1' }],
+  ['llm.token', 'openaiToken', 'OPENAI_TOKEN', { type: 'string', default: '' }],
+  ['llm.model', 'llmModel', 'LLM_MODEL', { type: 'string', default: 'qwen/qwen3-vl-4b' }],
+  ['llm.mode', 'llmMode', 'LLM_MODE', { type: 'enum', values: ['enabled', 'disabled'], default: 'enabled' }],
+  ['llm.timeout', 'llmTimeout', 'LLM_TIMEOUT', { type: 'integer', default: 30000, min: 1000, reload: true }], // Per request; providers can override
+  ['llm.providerCooldown', 'llmProviderCooldown', 'LLM_PROVIDER_COOLDOWN', { type: 'integer', default: 60000, min: 0, reload: true }], // ms a failed provider is skipped
+  ['llm.structuredOutput', 'llmStructuredOutput', 'LLM_STRUCTURED_OUTPUT', { type: 'boolean', default: true, reload: true }], // Send the analysis JSON schema to the API
+  ['llm.promptsDir', 'llmPromptsDir', 'LLM_PROMPTS_DIR', { type: 'string', default: '', reload: true }], // Prompt templates replacing src/llm/templates
+  ['llm.printContext', 'llmPrintContext', 'LLM_PRINT_CONTEXT', { type: 'boolean', default: true, reload: true }], // Job data (layer, temperatures, ...) in prompts
+  ['llm.repairAttempts', 'llmRepairAttempts', 'LLM_REPAIR_ATTEMPTS', { type: 'integer', default: 2, min: 0, max: 5, reload: true }], // Re-prompts with validation errors before the lenient parser
+  ['llm.cooldownSeconds', 'llmCooldownSeconds', 'LLM_COOLDOWN_SECONDS', { type: 'integer', default: 10, min: 0, reload: true }],
+
+  // Telegram
+  ['telegram.botToken', 'telegramBotToken', 'TELEGRAM_BOT_TOKEN', { type: 'string', default: '' }],
+  ['telegram.chatId', 'telegramChatId', 'TELEGRAM_CHAT_ID', { type: 'string', default: '' }],
+  ['telegram.notificationThreshold', 'notificationThreshold', 'NOTIFICATION_THRESHOLD', { type: 'number', default: 0.8, min: 0, max: 1, reload: true }],
+  ['telegram.printerChatIds', 'printerChatIds', 'PRINTER_CHAT_IDS', { type: 'string', default: '' }], // "name=chatId,..."; prefer printers[].telegramChatId
+  ['telegram.alertLevel', 'telegramAlertLevel', 'TELEGRAM_ALERT_LEVEL', { type: 'enum', values: ALERT_LEVELS, default: 'critical', reload: true }],
+
+  // Application
+  ['logLevel', 'logLevel', 'LOG_LEVEL', { type: 'enum', values: LOG_LEVELS, default: 'info', reload: true }],
+  ['historyDir', 'historyDir', 'HISTORY_DIR', { type: 'string', default: './data' }],
+
+  // PrintGuard
+  ['printGuard.enabled', 'usePrintGuard', 'USE_PRINTGUARD', { type: 'boolean', default: false }],
+  ['printGuard.sensitivity', 'printGuardSensitivity', 'PRINTGUARD_SENSITIVITY', { type: 'number', default: 1.0, min: 0.01, max: 10, reload: true }],
+  ['printGuard.modelPath', 'printGuardModelPath', 'PRINTGUARD_MODEL_PATH', { type: 'string', default: './models/model.onnx' }],
+  ['printGuard.prototypesPath', 'printGuardPrototypesPath', 'PRINTGUARD_PROTOTYPES_PATH', { type: 'string', default: './models/prototypes/prototypes.json' }],
+
+  // Detectors (frame analyzers); intervals in ms, 0 analyzes every captured frame
+  ['detectors.active', 'activeDetectors', 'DETECTORS', { type: 'string', default: '' }], // "llm,printguard"; empty runs every enabled detector
+  ['detectors.llmInterval', 'llmDetectorInterval', 'LLM_DETECTOR_INTERVAL', { type: 'integer', default: 0, min: 0, reload: true }],
+  ['detectors.printGuardInterval', 'printGuardDetectorInterval', 'PRINTGUARD_DETECTOR_INTERVAL', { type: 'integer', default: 0, min: 0, reload: true }],
+  ['detectors.referenceInterval', 'referenceDetectorInterval', 'REFERENCE_DETECTOR_INTERVAL', { type: 'integer', default: 300000, min: 0, reload: true }],
+
+  // Reference-frame comparison (the 'reference' detector; needs LLM_MODE=enabled)
+  ['reference.enabled', 'referenceComparison', 'REFERENCE_COMPARISON', { type: 'boolean', default: false }], // Detector enabled at startup; /detectors switches it
+  ['reference.firstLayer', 'referenceFirstLayer', 'REFERENCE_FIRST_LAYER', { type: 'integer', default: 2, min: 1, reload: true }], // Layer whose frame is kept for the whole job
+  ['reference.lookbackMinutes', 'referenceLookbackMinutes', 'REFERENCE_LOOKBACK_MINUTES', { type: 'integer', default: 10, min: 1, max: 240, reload: true }],
+  ['reference.diffThreshold', 'referenceDiffThreshold', 'REFERENCE_DIFF_THRESHOLD', { type: 'number', default: 0.3, min: 0, max: 0.99, reload: true }], // Block dissimilarity (1 - SSIM) counted as changed
+
+  // Temporal voting over detector frame verdicts
+  ['voting.enabled', 'votingEnabled', 'VOTING_ENABLED', { type: 'boolean', default: true }],
+  ['voting.mode', 'votingMode', 'VOTING_MODE', { type: 'enum', values: ['k-of-n', 'ewma'], default: 'k-of-n', reload: true }],
+  ['voting.window', 'votingWindow', 'VOTING_WINDOW', { type: 'integer', default: 5, min: 1, max: 100, reload: true }],
+  ['voting.minVotes', 'votingMinVotes', 'VOTING_MIN_VOTES', { type: 'integer', default: 3, min: 1, reload: true }],
+  ['voting.ewmaAlpha', 'votingEwmaAlpha', 'VOTING_EWMA_ALPHA', { type: 'number', default: 0.4, min: 0.01, max: 1, reload: true }],
+  ['voting.threshold', 'votingThreshold', 'VOTING_THRESHOLD', { type: 'number', default: 0.6, min: 0, max: 1, reload: true }],
+  ['voting.maxAge', 'votingMaxAge', 'VOTING_MAX_AGE', { type: 'integer', default: 600000, min: 10000, reload: true }],
+
+  // Temperature anomaly detection (temperatures in °C, times in ms)
+  ['temperature.enabled', 'temperatureMonitorEnabled', 'TEMP_MONITOR_ENABLED', { type: 'boolean', default: true }],
+  ['temperature.runawayDeviation', 'tempRunawayDeviation', 'TEMP_RUNAWAY_DEVIATION', { type: 'number', default: 15, min: 1, reload: true }],
+  ['temperature.runawayDuration', 'tempRunawayDuration', 'TEMP_RUNAWAY_DURATION', { type: 'integer', default: 30000, min: 0, reload: true }],
+  ['temperature.heatupTimeout', 'tempHeatupTimeout', 'TEMP_HEATUP_TIMEOUT', { type: 'integer', default: 600000, min: 10000, reload: true }],
+  ['temperature.dropThreshold', 'tempDropThreshold', 'TEMP_DROP_THRESHOLD', { type: 'number', default: 15, min: 1, reload: true }],
+  ['temperature.dropWindow', 'tempDropWindow', 'TEMP_DROP_WINDOW', { type: 'integer', default: 30000, min: 1000, reload: true }],
+  ['temperature.alertCooldown', 'tempAlertCooldown', 'TEMP_ALERT_COOLDOWN', { type: 'integer', default: 600000, min: 0, reload: true }],
+
+  // Layer progress stall detection
+  ['progress.stallDetection', 'progressStallDetection', 'PROGRESS_STALL_DETECTION', { type: 'boolean', default: true }],
+  ['progress.stallMultiplier', 'progressStallMultiplier', 'PROGRESS_STALL_MULTIPLIER', { type: 'number', default: 5, min: 1, reload: true }],
+  ['progress.stallMinTime', 'progressStallMinTime', 'PROGRESS_STALL_MIN_TIME', { type: 'integer', default: 300000, min: 10000, reload: true }],
+
+  // Auto-pause policy
+  ['autoPause.enabled', 'autoPauseEnabled', 'AUTO_PAUSE_ENABLED', { type: 'boolean', default: false }],
+  ['autoPause.cooldown', 'autoPauseCooldown', 'AUTO_PAUSE_COOLDOWN', { type: 'integer', default: 600000, min: 0 }],
+  ['autoPause.printGuardFailures', 'autoPausePrintGuardFailures', 'AUTO_PAUSE_PRINTGUARD_FAILURES', { type: 'integer', default: 3, min: 0 }],
+  ['autoPause.printGuardDryRun', 'autoPausePrintGuardDryRun', 'AUTO_PAUSE_PRINTGUARD_DRY_RUN', { type: 'boolean', default: false }],
+  ['autoPause.llmCriticalConfidence', 'autoPauseLLMCriticalConfidence', 'AUTO_PAUSE_LLM_CRITICAL_CONFIDENCE', { type: 'number', default: 0.8, min: 0, max: 1, reload: true }],
+  ['autoPause.llmCriticalCount', 'autoPauseLLMCriticalCount', 'AUTO_PAUSE_LLM_CRITICAL_COUNT', { type: 'integer', default: 2, min: 0 }],
+  ['autoPause.llmDryRun', 'autoPauseLLMDryRun', 'AUTO_PAUSE_LLM_DRY_RUN', { type: 'boolean', default: false }],
+  ['autoPause.detectorFailures', 'autoPauseDetectorFailures', 'AUTO_PAUSE_DETECTOR_FAILURES', { type: 'integer', default: 2, min: 0 }], // Other detectors (reference, ...)
+  ['autoPause.detectorConfidence', 'autoPauseDetectorConfidence', 'AUTO_PAUSE_DETECTOR_CONFIDENCE', { type: 'number', default: 0.8, min: 0, max: 1, reload: true }],
+  ['autoPause.detectorDryRun', 'autoPauseDetectorDryRun', 'AUTO_PAUSE_DETECTOR_DRY_RUN', { type: 'boolean', default: false }],
+  ['autoPause.agreementWindow', 'autoPauseAgreementWindow', 'AUTO_PAUSE_AGREEMENT_WINDOW', { type: 'integer', default: 60000, min: 0 }],
+  ['autoPause.agreementDryRun', 'autoPauseAgreementDryRun', 'AUTO_PAUSE_AGREEMENT_DRY_RUN', { type: 'boolean', default: false }]
+];
+
+const schema = fields.map(([path, key, env, spec]) => ({ path, key, env, reload: false, ...spec }));
+
+// Entries of llm.providers, the LLM fallback chain in order (empty: llm.url/token/model as one OpenAI-compatible provider)
+const LLM_PROVIDER_TYPES = ['openai', 'ollama', 'anthropic'];
+const providerSchema = {
+  type: { type: 'enum', values: LLM_PROVIDER_TYPES, required: true },
+  name: { type: 'string' },
+  url: { type: 'url', required: true },
+  model: { type: 'string' }, // Default: llm.model
+  token: { type: 'string' },
+  timeout: { type: 'integer', min: 1000 }, // ms, default: llm.timeout
+  structuredOutput: { type: 'boolean' } // Default: llm.structuredOutput
+};
+
+// Entries of the `printers:` list in the config file (PRINTERS="name=ip,..." in the environment)
+const printerSchema = {
+  name: { type: 'string', required: true },
+  ip: { type: 'host' },
+  mjpegStreamUrl: { type: 'url' },
+  mainboardID: { type: 'string' },
+  telegramChatId: { type: 'string' },
+  roi: { type: 'polygon' },
+  detectors: { type: 'string' }
+};
+
+module.exports = {
+  schema,
+  printerSchema,
+  providerSchema,
+  LLM_PROVIDER_TYPES,
+  LOG_LEVELS,
+  ALERT_LEVELS
+};
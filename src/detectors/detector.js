@@ -0,0 +1,84 @@
+/**
+ * Detector
+ * Base class for frame analyzers (LLM, PrintGuard, ...). A detector is initialized once,
+ * then PrintMonitor calls analyze() on frames while the printer is printing, at most once
+ * per `interval`. Every detector returns the same normalized verdict so voting, auto-pause,
+ * job history and notifications handle them in one place:
+ *
+ *   {
+ *     detector,     // detector name
+ *     frameNumber,
+ *     failure,      // true when the frame shows a failure
+ *     confidence,   // failure confidence, 0-1
+ *     label,        // short description of the verdict ("spaghetti", "failure", ...)
+ *     status,       // 'good', 'warning' or 'critical'
+ *     problems      // [{ issue, confidence, ... }] behind a failure, empty otherwise
+ *   }
+ *
+ * Detectors may add their raw output (e.g. `analysis`, `result`) to the verdict.
+ */
+class Detector {
+    /**
+     * @param {string} name - Unique name used in config, commands and voting ('llm', 'printguard')
+     * @param {Object} options - { label, enabled, observesFrames }
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.label = options.label || name;
+        this.enabled = options.enabled ?? true;
+        this.observesFrames = options.observesFrames || false; // observe() every good frame
+        this.ready = false;
+        this.lastRun = 0;
+    }
+
+    /**
+     * Minimum ms between analyses; 0 analyzes every frame
+     */
+    get interval() {
+        return 0;
+    }
+
+    /**
+     * Load models or open connections; throw to leave the detector unavailable
+     */
+    async init() {
+        this.ready = true;
+    }
+
+    /**
+     * Whether the detector should analyze a frame now
+     */
+    isDue(now = Date.now()) {
+        return this.enabled && this.ready && now - this.lastRun >= this.interval;
+    }
+
+    /**
+     * Analyze a JPEG frame
+     * @param {Buffer} frameBuffer - Full camera frame
+     * @param {Object} context - { frameNumber, printerStatus, printer, force, debugMode, crop(options),
+     *   cropFrame(buffer, options) } - crop() is the frame cut to the bed ROI, cropFrame() the same for another frame
+     * @returns {Promise<Object>} Normalized verdict
+     */
+    async analyze(frameBuffer, context) {
+        throw new Error(`Detector '${this.name}' does not implement analyze()`);
+    }
+
+    /**
+     * Every frame that passed the quality gate while printing, due or not, for detectors
+     * created with observesFrames (e.g. to keep earlier frames)
+     */
+    observe(frameBuffer, context) {}
+
+    describe() {
+        return {
+            name: this.name,
+            label: this.label,
+            enabled: this.enabled,
+            ready: this.ready,
+            interval: this.interval,
+            lastRun: this.lastRun || null
+        };
+    }
+}
+
+module.exports = Detector;
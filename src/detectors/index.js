@@ -0,0 +1,48 @@
+/**
+ * Detectors
+ * Frame analyzers behind a common interface (see Detector) and the per-printer registry
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const Detector = require('./detector');
+const DetectorRegistry = require('./registry');
+const LLMDetector = require('./llm-detector');
+const PrintGuardDetector = require('./printguard-detector');
+const ReferenceDetector = require('./reference-detector');
+
+/**
+ * Registry with the detectors enabled in config (LLM_MODE, USE_PRINTGUARD), narrowed to
+ * the printer's detector list (printers[].detectors, else DETECTORS). The reference
+ * detector comes with the LLM but starts disabled unless REFERENCE_COMPARISON is set.
+ * @param {Object} printer - PrinterRegistry entry
+ * @param {Object} options - { llmClient }
+ */
+function createDetectorRegistry(printer, { llmClient }) {
+    const registry = new DetectorRegistry();
+
+    if (config.llmMode === 'enabled') {
+        registry.register(new LLMDetector(llmClient));
+        registry.register(new ReferenceDetector(llmClient));
+    }
+
+    if (config.usePrintGuard) {
+        try {
+            registry.register(new PrintGuardDetector());
+        } catch (error) {
+            logger.warn(`Failed to create PrintGuard detector: ${error.message}`);
+        }
+    }
+
+    registry.select(DetectorRegistry.parseList(printer.detectors || config.activeDetectors));
+    return registry;
+}
+
+module.exports = {
+    Detector,
+    DetectorRegistry,
+    LLMDetector,
+    PrintGuardDetector,
+    ReferenceDetector,
+    createDetectorRegistry
+};
@@ -0,0 +1,63 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const prompts = require('../llm/prompts');
+const Detector = require('./detector');
+
+/**
+ * LLM Detector
+ * Sends the bed crop to the vision LLM, with the print job from the printer status in the
+ * prompt. A frame is a failure when a problem reaches
+ * NOTIFICATION_THRESHOLD; its confidence is that of the most confident problem.
+ */
+class LLMDetector extends Detector {
+    constructor(llmClient, options = {}) {
+        super('llm', { label: 'LLM', ...options });
+        this.llmClient = llmClient;
+    }
+
+    get interval() {
+        return config.llmDetectorInterval;
+    }
+
+    async analyze(frameBuffer, context) {
+        const startTime = Date.now();
+        const { buffer, region } = await context.crop();
+        const analysis = await this.llmClient.analyzeImage(
+            buffer,
+            prompts.systemPrompt,
+            prompts.getUserPrompt(context.printerStatus),
+            context.debugMode
+        );
+        if (analysis && region) {
+            analysis.roi = region;
+        }
+
+        logger.logAnalysisResult(context.frameNumber, analysis);
+        logger.debug(`Analysis completed in ${Date.now() - startTime}ms`);
+
+        return LLMDetector.toVerdict(analysis, context.frameNumber);
+    }
+
+    /**
+     * Normalized verdict from an LLM analysis
+     */
+    static toVerdict(analysis, frameNumber, threshold = config.notificationThreshold) {
+        const problems = analysis.problems || [];
+        const top = problems.reduce(
+            (best, problem) => ((problem.confidence || 0) > (best?.confidence || 0) ? problem : best), null);
+        const criticalProblems = problems.filter(problem => problem.confidence >= threshold);
+
+        return {
+            detector: 'llm',
+            frameNumber,
+            failure: criticalProblems.length > 0,
+            confidence: top?.confidence || 0,
+            label: top?.issue || null,
+            status: analysis.overall_status || 'good',
+            problems: criticalProblems,
+            analysis
+        };
+    }
+}
+
+module.exports = LLMDetector;
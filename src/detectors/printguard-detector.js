@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { PrintGuardInference } = require('../utils/printguard');
+const Detector = require('./detector');
+
+/**
+ * PrintGuard Detector
+ * Classifies the square bed crop with the local PrintGuard ONNX model against the
+ * class prototypes. Confidence is the softmax share of the defect prototype over the
+ * negative distances, so near misses still count in EWMA voting.
+ */
+class PrintGuardDetector extends Detector {
+    constructor(options = {}) {
+        super('printguard', { label: 'PrintGuard', ...options });
+        this.inference = new PrintGuardInference(config.printGuardModelPath, {
+            sensitivity: config.printGuardSensitivity
+        });
+    }
+
+    get interval() {
+        return config.printGuardDetectorInterval;
+    }
+
+    async init() {
+        await this.inference.init();
+        this.loadPrototypes();
+        this.ready = true;
+    }
+
+    /**
+     * Load the class prototypes from PRINTGUARD_PROTOTYPES_PATH
+     */
+    loadPrototypes() {
+        const prototypesPath = path.resolve(config.printGuardPrototypesPath);
+        if (!fs.existsSync(prototypesPath)) {
+            throw new Error(`Prototypes file not found: ${prototypesPath}`);
+        }
+
+        const prototypesData = JSON.parse(fs.readFileSync(prototypesPath, 'utf8'));
+        this.inference.setPrototypes(prototypesData);
+
+        logger.info(`PrintGuard prototypes loaded from: ${prototypesPath}`);
+        logger.info(`Classes: ${prototypesData.class_names?.join(', ') || prototypesData.classNames?.join(', ')}`);
+        logger.info(`Defect index: ${prototypesData.defect_idx !== undefined ? prototypesData.defect_idx : prototypesData.defectIdx}`);
+    }
+
+    async analyze(frameBuffer, context) {
+        const { frameNumber } = context;
+        const tempImagePath = path.join(os.tmpdir(), `printguard_frame_${frameNumber}_${Date.now()}.jpg`);
+
+        // Write the bed region to a temporary file, squared so PrintGuard's center crop keeps all of it
+        const { buffer } = await context.crop({ square: true });
+        fs.writeFileSync(tempImagePath, buffer);
+
+        let result;
+        const startTime = Date.now();
+        try {
+            this.inference.sensitivity = config.printGuardSensitivity;
+            result = await this.inference.classify(tempImagePath);
+        } finally {
+            try {
+                fs.unlinkSync(tempImagePath);
+            } catch (cleanupError) {
+                logger.debug(`Failed to clean up temp file: ${cleanupError.message}`);
+            }
+        }
+        const analysisTime = Date.now() - startTime;
+        metrics.printGuardInferenceDuration.observe(analysisTime / 1000);
+
+        logger.info(`PrintGuard analysis for frame #${frameNumber}: ${result.finalPrediction.className} (${result.isFailure ? 'FAILURE' : 'SUCCESS'}) in ${analysisTime}ms`);
+        logger.debug(`Distances: ${result.distances.map((d, i) => `${result.classNames?.[i] || result.class_names?.[i] || `Class ${i}`}: ${d.toFixed(4)}`).join(', ')}`);
+
+        return PrintGuardDetector.toVerdict(result, frameNumber);
+    }
+
+    /**
+     * Normalized verdict from a PrintGuardInference.classify result
+     */
+    static toVerdict(result, frameNumber) {
+        const distances = result.distances || [];
+        let confidence = result.isFailure ? 1 : 0;
+        if (distances.length > 0 && result.defectIdx !== undefined && result.defectIdx !== null) {
+            const closest = Math.min(...distances);
+            const weights = distances.map(distance => Math.exp(closest - distance));
+            confidence = weights[result.defectIdx] / weights.reduce((sum, weight) => sum + weight, 0);
+        }
+        const label = result.finalPrediction?.className || null;
+        const failure = Boolean(result.isFailure);
+
+        return {
+            detector: 'printguard',
+            frameNumber,
+            failure,
+            confidence,
+            label,
+            status: failure ? 'critical' : 'good',
+            problems: failure ? [{ issue: `PrintGuard: ${label}`, confidence }] : [],
+            result
+        };
+    }
+}
+
+module.exports = PrintGuardDetector;
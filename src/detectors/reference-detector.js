@@ -0,0 +1,93 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const prompts = require('../llm/prompts');
+const ReferenceFrames = require('../utils/reference-frames');
+const { compareFrames, renderHeatmap } = require('../utils/frame-diff');
+const Detector = require('./detector');
+const LLMDetector = require('./llm-detector');
+
+/**
+ * Reference Detector
+ * Compares the bed crop with earlier frames of the same job (first layer, a few minutes ago)
+ * to catch failures that only show against an earlier state: a detached or moved part,
+ * new spaghetti, an empty bed. The references and the current frame go to the vision LLM
+ * in one multi-image request; the SSIM difference against the most recent reference is
+ * added to the analysis as `analysis.diff` (with a heatmap ImageAnnotator overlays on
+ * alerts). Failures are decided like the LLM detector's.
+ */
+class ReferenceDetector extends Detector {
+    constructor(llmClient, options = {}) {
+        super('reference', {
+            label: 'Reference',
+            enabled: config.referenceComparison,
+            observesFrames: true,
+            ...options
+        });
+        this.llmClient = llmClient;
+        this.references = new ReferenceFrames();
+    }
+
+    get interval() {
+        return config.referenceDetectorInterval;
+    }
+
+    observe(frameBuffer, context) {
+        this.references.record(frameBuffer, context.printerStatus);
+    }
+
+    async analyze(frameBuffer, context) {
+        const now = Date.now();
+        const references = this.references.select(now);
+        if (references.length === 0) {
+            logger.debug(`Reference comparison skipped for frame #${context.frameNumber}: no reference frame yet`);
+            return {
+                detector: this.name,
+                frameNumber: context.frameNumber,
+                failure: false,
+                confidence: 0,
+                label: null,
+                status: 'good',
+                problems: []
+            };
+        }
+
+        const startTime = Date.now();
+        const { buffer, region } = await context.crop();
+        const images = [];
+        for (const reference of references) {
+            const cropped = await context.cropFrame(reference.buffer);
+            images.push({ ...reference, buffer: cropped.buffer });
+        }
+
+        // The most recent reference shows what changed lately; it drives the heatmap
+        const latest = images[images.length - 1];
+        const diff = await compareFrames(latest.buffer, buffer);
+
+        const analysis = await this.llmClient.analyzeImage(
+            [...images.map(image => image.buffer), buffer],
+            prompts.systemPrompt,
+            prompts.getComparePrompt(images, diff, context.printerStatus, now),
+            context.debugMode
+        );
+        if (region) {
+            analysis.roi = region;
+        }
+        analysis.diff = {
+            reference: latest.kind,
+            referenceLayer: latest.layer,
+            referenceTime: new Date(latest.time).toISOString(),
+            ssim: diff.ssim,
+            changed: diff.changed,
+            pixelDifference: diff.pixelDifference,
+            heatmap: await renderHeatmap(diff)
+        };
+
+        logger.logAnalysisResult(context.frameNumber, analysis);
+        logger.debug(`Reference comparison with ${images.map(image => image.kind).join(', ')} completed in ${Date.now() - startTime}ms ` +
+            `(SSIM ${diff.ssim.toFixed(2)}, ${Math.round(diff.changed * 100)}% changed)`);
+
+        return { ...LLMDetector.toVerdict(analysis, context.frameNumber), detector: this.name };
+    }
+}
+
+module.exports = ReferenceDetector;
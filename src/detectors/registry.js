@@ -0,0 +1,110 @@
+const logger = require('../utils/logger');
+
+/**
+ * Detector Registry
+ * The detectors of one printer, in the order they analyze a frame. Detectors can be
+ * switched on and off at runtime; a detector whose init() failed stays registered
+ * (so commands can report it) but is never due.
+ */
+class DetectorRegistry {
+    constructor() {
+        this.detectors = [];
+    }
+
+    /**
+     * Parse a detector list ("llm,printguard"); empty means every available detector
+     */
+    static parseList(value) {
+        if (!value) {
+            return null;
+        }
+        const names = String(value).split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+        return names.length > 0 ? names : null;
+    }
+
+    register(detector) {
+        if (this.get(detector.name)) {
+            throw new Error(`Detector '${detector.name}' is already registered`);
+        }
+        this.detectors.push(detector);
+        return detector;
+    }
+
+    get(name) {
+        return this.detectors.find(detector => detector.name === String(name).toLowerCase()) || null;
+    }
+
+    list() {
+        return this.detectors;
+    }
+
+    /**
+     * Registered and initialized (enabled or not), e.g. for on-demand /status analysis
+     */
+    isAvailable(name) {
+        const detector = this.get(name);
+        return Boolean(detector && detector.ready);
+    }
+
+    /**
+     * Enable only the listed detectors; null enables all of them
+     */
+    select(names) {
+        if (!names) {
+            return;
+        }
+        for (const name of names) {
+            if (!this.get(name)) {
+                logger.warn(`Unknown or unavailable detector '${name}' (available: ${this.detectors.map(d => d.name).join(', ') || 'none'})`);
+            }
+        }
+        for (const detector of this.detectors) {
+            detector.enabled = names.includes(detector.name);
+        }
+    }
+
+    /**
+     * Switch a detector on or off at runtime
+     * @throws {Error} for unknown detectors
+     */
+    setEnabled(name, enabled) {
+        const detector = this.get(name);
+        if (!detector) {
+            throw new Error(`Unknown detector '${name}' (available: ${this.detectors.map(d => d.name).join(', ') || 'none'})`);
+        }
+        detector.enabled = enabled;
+        logger.info(`Detector ${detector.label}: ${enabled ? 'ENABLED' : 'DISABLED'}`);
+        return detector;
+    }
+
+    /**
+     * Initialize every detector; failures leave that detector unavailable
+     */
+    async init() {
+        for (const detector of this.detectors) {
+            try {
+                await detector.init();
+                logger.info(`Detector ${detector.label}: ${detector.enabled ? 'ENABLED' : 'DISABLED'}${detector.interval ? ` (every ${detector.interval / 1000}s)` : ''}`);
+            } catch (error) {
+                detector.ready = false;
+                logger.warn(`Detector ${detector.label} initialization failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Enabled detectors that want to see every good frame (Detector.observe)
+     */
+    observers() {
+        return this.detectors.filter(detector => detector.enabled && detector.ready && detector.observesFrames);
+    }
+
+    /**
+     * Detectors that should analyze a frame now
+     */
+    due(now = Date.now()) {
+        return this.detectors.filter(detector => detector.isDue(now));
+    }
+}
+
+module.exports = DetectorRegistry;
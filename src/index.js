@@ -1,64 +1,132 @@
 #!/usr/bin/env node
 
+const path = require('path');
 const config = require('./config/config');
 const logger = require('./utils/logger');
 const MjpegCapture = require('./capture/mjpeg-capture');
+const TimelapseRecorder = require('./capture/timelapse');
 const LLMClient = require('./llm/llm-client');
 const TelegramNotifier = require('./notifications/telegram-notifier');
 const ConsoleNotifier = require('./notifications/console-notifier');
 const prompts = require('./llm/prompts');
-const { createPrinterModule } = require('./printer/index');
+const { createPrinterModule, PrinterRegistry, PrinterDiscoveryService } = require('./printer/index');
 const ImageCleanup = require('./utils/image-cleanup');
-const { PrintGuardInference } = require('./utils/printguard');
+const { createDetectorRegistry } = require('./detectors');
+const PausePolicy = require('./utils/pause-policy');
+const TemperatureMonitor = require('./utils/temperature-monitor');
+const ProgressTracker = require('./utils/progress-tracker');
+const FrameQualityGate = require('./utils/frame-quality');
+const { applyRoi, formatPolygon, loadRoiFile, saveRoiFile } = require('./utils/roi');
+const FailureVoter = require('./utils/failure-voter');
+const { formatEvidence } = FailureVoter;
+const { renderTemperatureChart } = require('./utils/temperature-chart');
+const JobHistory = require('./utils/job-history');
+const metrics = require('./utils/metrics');
+const WebServer = require('./web/web-server');
+const MqttBridge = require('./notifications/mqtt-bridge');
 const VideoRecorder = require('../record-video');
 
+/**
+ * Print Monitor
+ * Monitoring pipeline for one printer: capture loop, status session, detectors,
+ * auto-pause and job history. Notifiers and the LLM client are shared by PrintFarm.
+ */
 class PrintMonitor {
-  constructor() {
+  /**
+   * @param {Object} printer - PrinterRegistry entry (defaults to the printer from config)
+   * @param {Object} shared - Services shared between printers and farm-wide options
+   */
+  constructor(printer = null, shared = {}) {
     this.config = config;
-    this.capture = new MjpegCapture();
-    this.llmClient = new LLMClient();
-    this.telegramNotifier = new TelegramNotifier();
-    this.consoleNotifier = new ConsoleNotifier();
+    this.printer = printer || {
+      index: 1,
+      name: config.printerName,
+      ip: config.printerIP || null,
+      mjpegStreamUrl: config.mjpegStreamUrl,
+      telegramChatId: null,
+      roi: config.printerROI
+    };
+    this.multiPrinter = shared.multiPrinter || false;
+    this.capture = new MjpegCapture(this.printer.mjpegStreamUrl);
+    this.llmClient = shared.llmClient || new LLMClient();
+    this.telegramNotifier = shared.telegramNotifier || new TelegramNotifier();
+    this.consoleNotifier = shared.consoleNotifier || new ConsoleNotifier();
     
     // Create printer module if printer IP is configured
     this.printerModule = null;
-    if (config.printerIP) {
+    if (this.printer.ip) {
       try {
-        this.printerModule = createPrinterModule(config.printerIP);
-        logger.info(`Printer module initialized with IP: ${config.printerIP}`);
+        this.printerModule = createPrinterModule(this.printer.ip);
+        logger.info(`Printer module for ${this.printer.name} initialized with IP: ${this.printer.ip}`);
       } catch (error) {
-        logger.warn(`Failed to initialize printer module: ${error.message}`);
+        logger.warn(`Failed to initialize printer module for ${this.printer.name}: ${error.message}`);
       }
     }
 
-    // Create PrintGuard instance if enabled
-    this.printGuard = null;
-    if (config.usePrintGuard) {
-      try {
-        this.printGuard = new PrintGuardInference(config.printGuardModelPath, {
-          sensitivity: config.printGuardSensitivity
-        });
-        logger.info(`PrintGuard initialized with model: ${config.printGuardModelPath}`);
-      } catch (error) {
-        logger.warn(`Failed to initialize PrintGuard: ${error.message}`);
-      }
+    // Frame analyzers (LLM, PrintGuard) for this printer; initialized in initialize()
+    this.detectors = createDetectorRegistry(this.printer, { llmClient: this.llmClient });
+
+    // Create auto-pause policy (needs a printer to act on)
+    this.pausePolicy = null;
+    if (this.printerModule && config.autoPauseEnabled) {
+      this.pausePolicy = new PausePolicy(this.printerModule);
+      logger.info('Auto-pause policy enabled');
     }
 
-    // Create image cleanup service
-    this.imageCleanup = new ImageCleanup('images');
+    // Watch nozzle and bed temperatures from status pushes
+    this.temperatureMonitor = new TemperatureMonitor();
+
+    // Follow the layer counter for stall alerts and /progress
+    this.progressTracker = new ProgressTracker();
+
+    // Reject dark, blurred, truncated and frozen frames before the detectors see them
+    this.frameQuality = new FrameQualityGate();
+
+    // Alert on detector verdicts over a window of frames instead of single frames
+    this.failureVoter = new FailureVoter();
+
+    // Create print job history store (one directory per printer when monitoring several)
+    this.jobHistory = new JobHistory(this.multiPrinter ? path.join(config.historyDir, this.printer.name) : config.historyDir);
+
+    // Bed region of interest analyzers crop to; a /roi calibration (saved next to the history) overrides config
+    this.roi = this.printer.roi || null;
+    this.roiFile = path.join(this.jobHistory.historyDir, 'roi.json');
+
+    // Latest verdict of each detector, by detector name (web dashboard)
+    this.latestVerdicts = {};
+
+    // Web dashboard / REST API serving every printer (shared, started by PrintFarm)
+    this.webServer = shared.webServer || null;
+
+    // Create MQTT bridge (Home Assistant) if enabled; one device per printer
+    this.mqttBridge = null;
+    if (config.mqttEnabled) {
+      this.mqttBridge = new MqttBridge(this.printerModule, {
+        detectors: this.detectors.list().map(detector => ({ name: detector.name, label: detector.label })),
+        ...(this.multiPrinter ? {
+          deviceId: `elegoo_${this.printer.name.replace(/-/g, '_')}`,
+          deviceName: `Elegoo ${this.printer.name}`
+        } : {})
+      });
+    }
     
     // Create video recorder
-    this.videoRecorder = new VideoRecorder();
-    
-    // Pass dependencies to Telegram notifier for command handling
-    this.telegramNotifier.setDependencies(this.capture, this.llmClient, prompts, this, this.printerModule);
+    this.videoRecorder = new VideoRecorder(this.printer.mjpegStreamUrl);
+
+    // Create time-lapse recorder (follows layer changes from the printer session)
+    this.timelapse = null;
+    if (this.printerModule && config.timelapseEnabled) {
+      this.timelapse = new TimelapseRecorder(this.capture, {
+        dir: this.multiPrinter ? path.join(config.timelapseDir, this.printer.name) : config.timelapseDir
+      });
+    }
     
     this.isRunning = false;
     this.frameCount = 0;
     this.startTime = null;
     this.lastAnalysisTime = null;
-    this.consoleMode = false;
-    this.debugMode = false;
+    this.consoleMode = shared.consoleMode || false;
+    this.debugMode = shared.debugMode || false;
     
     // Queue system for LLM requests
     this.llmRequestQueue = [];
@@ -80,7 +148,13 @@ class PrintMonitor {
       notificationsSent: 0,
       lastError: null,
       statusChangesDetected: 0,
-      statusNotificationsSent: 0
+      statusNotificationsSent: 0,
+      autoPausesTriggered: 0,
+      temperatureAnomalies: 0,
+      layerStalls: 0,
+      framesSkipped: 0,
+      framesFlagged: 0,
+      skipReasons: {} // Frame quality reason -> skipped frames
     };
   }
 
@@ -175,12 +249,7 @@ class PrintMonitor {
     
     if (this.config.llmMode === 'enabled') {
       // Analyze with LLM
-      analysis = await this.llmClient.analyzeImage(
-        frameBuffer,
-        prompts.systemPrompt,
-        prompts.getUserPrompt(),
-        this.debugMode
-      );
+      analysis = await this.analyzeFrame(frameBuffer);
     }
     
     // Get printer status if available
@@ -213,6 +282,41 @@ class PrintMonitor {
     return result;
   }
   
+  /**
+   * LLM analysis of the bed region. Bounding boxes are relative to the crop; analysis.roi maps them back.
+   */
+  async analyzeFrame(frameBuffer, frameNumber = 'status') {
+    const detector = this.detectors.get('llm');
+    if (!detector) {
+      throw new Error('LLM analysis is disabled (LLM_MODE=disabled)');
+    }
+    const printerStatus = this.printerModule ? this.printerModule.getCachedStatus() : null;
+    const verdict = await detector.analyze(frameBuffer, this.createDetectorContext(frameBuffer, { frameNumber, printerStatus }));
+    return verdict.analysis;
+  }
+
+  /**
+   * Crop and mask a frame to the bed ROI (the full frame when no ROI is set or cropping fails)
+   */
+  async cropToRoi(frameBuffer, options = {}) {
+    try {
+      return await applyRoi(frameBuffer, this.roi, options);
+    } catch (error) {
+      logger.warn(`ROI crop failed, analyzing the full frame: ${error.message}`);
+      return { buffer: frameBuffer, region: null };
+    }
+  }
+
+  /**
+   * Set the bed ROI from /roi and save it; null goes back to the configured ROI (if any)
+   */
+  async setRoi(polygon) {
+    await saveRoiFile(this.roiFile, polygon);
+    this.roi = polygon || this.printer.roi || null;
+    logger.info(`Bed ROI for ${this.printer.name}: ${this.roi ? formatPolygon(this.roi) : 'full frame'}`);
+    return this.roi;
+  }
+
   async processFrameRequest(options) {
     const { source = 'unknown' } = options;
     logger.debug(`Processing frame capture request from ${source}`);
@@ -345,42 +449,10 @@ class PrintMonitor {
     return false; // No status change detected
   }
 
-  /**
-   * Load PrintGuard prototypes from JSON file
-   */
-  async loadPrintGuardPrototypes() {
-    if (!this.printGuard) {
-      logger.warn('Cannot load prototypes: PrintGuard not initialized');
-      return false;
-    }
-
-    try {
-      const fs = require('fs');
-      const path = require('path');
-      
-      const prototypesPath = path.resolve(this.config.printGuardPrototypesPath);
-      if (!fs.existsSync(prototypesPath)) {
-        throw new Error(`Prototypes file not found: ${prototypesPath}`);
-      }
-      
-      const prototypesData = JSON.parse(fs.readFileSync(prototypesPath, 'utf8'));
-      this.printGuard.setPrototypes(prototypesData);
-      
-      logger.info(`PrintGuard prototypes loaded from: ${prototypesPath}`);
-      logger.info(`Classes: ${prototypesData.class_names?.join(', ') || prototypesData.classNames?.join(', ')}`);
-      logger.info(`Defect index: ${prototypesData.defect_idx !== undefined ? prototypesData.defect_idx : prototypesData.defectIdx}`);
-      
-      return true;
-    } catch (error) {
-      logger.error(`Failed to load PrintGuard prototypes: ${error.message}`);
-      return false;
-    }
-  }
-
   /**
    * Send PrintGuard failure notification
    */
-  async sendPrintGuardFailureNotification(frameBuffer, frameNumber, printGuardResult, printerStatus) {
+  async sendPrintGuardFailureNotification(frameBuffer, frameNumber, printGuardResult, printerStatus, vote = null) {
     try {
       const now = Date.now();
       
@@ -412,6 +484,14 @@ class PrintMonitor {
         const marker = isPredicted ? ' ← PREDICTED' : '';
         message += `  ${className}: ${distance.toFixed(4)}${marker}\n`;
       });
+
+      // Window evidence behind the temporal vote
+      if (vote) {
+        message += `\n🗳️ **Evidence**\n${vote.summary}\n`;
+        formatEvidence(vote).forEach(line => {
+          message += `  ${line}\n`;
+        });
+      }
       
       // Add printer status if available
       if (printerStatus && printerStatus.success) {
@@ -444,6 +524,7 @@ class PrintMonitor {
       let telegramSent = false;
       if (this.telegramNotifier.isConfigured()) {
         telegramSent = await this.telegramNotifier.sendPrintGuardFailureNotification({
+          printer: this.printer,
           frameNumber,
           message,
           printGuardResult,
@@ -454,6 +535,7 @@ class PrintMonitor {
       
       this.lastNotificationTime = now;
       this.stats.notificationsSent++;
+      await this.jobHistory.recordNotification('printguard-failure', printGuardResult.finalPrediction.className);
       
       return telegramSent;
       
@@ -464,71 +546,155 @@ class PrintMonitor {
   }
 
   /**
-   * Run PrintGuard analysis on a frame
+   * Run PrintGuard on demand (status commands), outside voting, auto-pause and job history
    * @param {Buffer} frameBuffer - The image buffer to analyze
    * @param {string|number} frameNumber - Frame number or identifier
    * @param {Object} printerStatus - Printer status object (optional)
-   * @param {boolean} forceAnalysis - Force analysis even if printer not printing (for manual commands)
+   * @returns {Promise<Object|null>} PrintGuard classification, null when unavailable or failed
+   */
+  async runPrintGuardAnalysis(frameBuffer, frameNumber, printerStatus) {
+    const verdict = await this.runDetector('printguard', frameBuffer, { frameNumber, printerStatus, force: true });
+    return verdict ? verdict.result : null;
+  }
+
+  /**
+   * Keep the latest verdict of a detector and publish it to the dashboard and MQTT
+   */
+  updateLatestVerdict(detector, verdict) {
+    this.latestVerdicts[detector.name] = {
+      ...verdict,
+      detectorLabel: detector.label,
+      time: new Date().toISOString()
+    };
+
+    if (this.webServer) {
+      this.webServer.publishVerdict(this);
+    }
+
+    if (this.mqttBridge) {
+      this.mqttBridge.publishVerdict(this.latestVerdicts[detector.name]).catch(error => {
+        logger.debug(`MQTT verdict publish failed: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Notify about an auto-pause policy decision (pause or dry run)
    */
-  async runPrintGuardAnalysis(frameBuffer, frameNumber, printerStatus, forceAnalysis = false) {
-    if (!this.printGuard) {
+  async handlePausePolicyDecision(decision, frameBuffer, frameNumber) {
+    if (!decision) {
       return;
     }
 
-    // Check if printer is actively printing (unless forced)
-    if (!forceAnalysis && printerStatus && printerStatus.success) {
-      const machineCode = printerStatus.status?.machine?.code;
-      if (machineCode !== 1) { // 1 = printing
-        logger.debug(`Skipping PrintGuard analysis for frame #${frameNumber} - printer not actively printing (machine code: ${machineCode})`);
-        return null;
+    if (decision.paused) {
+      this.stats.autoPausesTriggered++;
+    }
+
+    if (this.telegramNotifier.isConfigured()) {
+      const sent = await this.telegramNotifier.sendAutoPauseNotification({
+        ...decision,
+        printer: this.printer,
+        frameNumber,
+        imageBuffer: frameBuffer
+      });
+      if (sent) {
+        this.stats.notificationsSent++;
+        await this.jobHistory.recordNotification('auto-pause', `${decision.description}${decision.dryRun ? ' (dry run)' : ''}`);
       }
     }
+  }
 
+  /**
+   * Alert about a temperature anomaly with a chart of the recent temperatures.
+   * Not subject to the status notification cooldown; TemperatureMonitor rate-limits per anomaly.
+   */
+  async sendTemperatureAnomalyNotification(anomaly, printerStatus) {
+    this.stats.temperatureAnomalies++;
+    logger.warn(`Temperature anomaly on ${this.printer.name}: ${anomaly.title} - ${anomaly.reason}`);
+
+    let chartBuffer = null;
     try {
-      // Save frame to temporary file for PrintGuard analysis
-      const fs = require('fs');
-      const path = require('path');
-      const os = require('os');
-      
-      const tempDir = os.tmpdir();
-      const tempImagePath = path.join(tempDir, `printguard_frame_${frameNumber}_${Date.now()}.jpg`);
-      
-      // Write frame buffer to temporary file
-      fs.writeFileSync(tempImagePath, frameBuffer);
-      
-      // Run PrintGuard classification
-      const startTime = Date.now();
-      const result = await this.printGuard.classify(tempImagePath);
-      const analysisTime = Date.now() - startTime;
-      
-      // Clean up temporary file
-      try {
-        fs.unlinkSync(tempImagePath);
-      } catch (cleanupError) {
-        logger.debug(`Failed to clean up temp file: ${cleanupError.message}`);
+      chartBuffer = await renderTemperatureChart(this.temperatureMonitor.getSamples(), {
+        title: `${this.printer.name}: ${anomaly.title}`,
+        highlight: anomaly.sensor
+      });
+    } catch (error) {
+      logger.warn(`Failed to render temperature chart: ${error.message}`);
+    }
+
+    try {
+      await this.consoleNotifier.sendTemperatureAnomalyNotification({ anomaly, printerStatus, chartBuffer });
+
+      if (this.telegramNotifier.isConfigured()) {
+        const sent = await this.telegramNotifier.sendTemperatureAnomalyNotification({
+          printer: this.printer,
+          anomaly,
+          printerStatus,
+          chartBuffer
+        });
+        if (sent) {
+          this.stats.notificationsSent++;
+        }
       }
-      
-      // Log PrintGuard result
-      logger.info(`PrintGuard analysis for frame #${frameNumber}: ${result.finalPrediction.className} (${result.isFailure ? 'FAILURE' : 'SUCCESS'}) in ${analysisTime}ms`);
-      logger.debug(`Distances: ${result.distances.map((d, i) => `${result.classNames?.[i] || result.class_names?.[i] || `Class ${i}`}: ${d.toFixed(4)}`).join(', ')}`);
-      
-      // Check if failure detected
-      if (result.isFailure) {
-        logger.warn(`🚨 PrintGuard detected print failure in frame #${frameNumber}`);
-        
-        // Send PrintGuard failure notification
-        await this.sendPrintGuardFailureNotification(frameBuffer, frameNumber, result, printerStatus);
-        
-        // Update statistics
-        this.stats.framesWithProblems++;
-        this.stats.totalProblemsDetected++;
+
+      await this.jobHistory.recordNotification('temperature-anomaly', `${anomaly.title}: ${anomaly.reason}`);
+    } catch (error) {
+      logger.error(`Failed to send temperature anomaly notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a finished time-lapse with the summary of its print job
+   */
+  async sendTimelapse(result) {
+    const job = [...this.jobHistory.jobs].reverse().find(j => j.filename === result.filename) || null;
+
+    if (this.telegramNotifier.isConfigured()) {
+      const sent = await this.telegramNotifier.sendTimelapseNotification({
+        printer: this.printer,
+        ...result,
+        job,
+        jobHistory: this.jobHistory
+      });
+      if (sent) {
+        this.stats.notificationsSent++;
       }
-      
-      return result;
-      
+    }
+  }
+
+  /**
+   * Alert that the layer counter stopped advancing while the printer reports Printing
+   */
+  async sendLayerStallNotification(stall, printerStatus) {
+    this.stats.layerStalls++;
+    logger.warn(`Layer progress stalled on ${this.printer.name}: layer ${stall.layer}/${stall.totalLayers} for ${Math.round(stall.stalledFor / 1000)}s`);
+
+    // The camera shows whether the nozzle is still moving
+    let imageBuffer = null;
+    try {
+      imageBuffer = await this.capture.captureFrame();
     } catch (error) {
-      logger.warn(`PrintGuard analysis failed for frame #${frameNumber}: ${error.message}`);
-      return null;
+      logger.debug(`Could not capture frame for layer stall: ${error.message}`);
+    }
+
+    try {
+      await this.consoleNotifier.sendLayerStallNotification({ stall, printerStatus, imageBuffer });
+
+      if (this.telegramNotifier.isConfigured()) {
+        const sent = await this.telegramNotifier.sendLayerStallNotification({
+          printer: this.printer,
+          stall,
+          printerStatus,
+          imageBuffer
+        });
+        if (sent) {
+          this.stats.notificationsSent++;
+        }
+      }
+
+      await this.jobHistory.recordNotification('layer-stall', `Layer ${stall.layer} did not advance for ${Math.round(stall.stalledFor / 60000)} min`);
+    } catch (error) {
+      logger.error(`Failed to send layer stall notification: ${error.message}`);
     }
   }
 
@@ -608,6 +774,7 @@ class PrintMonitor {
       let telegramSent = false;
       if (this.telegramNotifier.isConfigured()) {
         telegramSent = await this.telegramNotifier.sendStatusChangeNotification({
+          printer: this.printer,
           frameNumber,
           message,
           status: currentStatus,
@@ -621,6 +788,7 @@ class PrintMonitor {
       if (telegramSent) {
         this.stats.statusNotificationsSent++;
       }
+      await this.jobHistory.recordNotification('status-change', `${previousMachineText} -> ${currentMachineText}`);
       
       return true;
       
@@ -630,111 +798,113 @@ class PrintMonitor {
     }
   }
 
-  async initialize() {
+  /**
+   * Open the persistent printer session and react to pushed status changes
+   */
+  startPrinterSession() {
+    if (!this.printerModule) {
+      return;
+    }
+
+    this.printerModule.on('status', (status) => {
+      this.handlePrinterStatusPush(status).catch(error => {
+        logger.error(`Failed to handle printer status push: ${error.message}`);
+      });
+    });
+
+    this.printerModule.on('disconnect', ({ willReconnect }) => {
+      logger.warn(`Printer connection lost${willReconnect ? ' - reconnecting' : ''}`);
+    });
+
+    this.printerModule.startSession().catch(error => {
+      logger.warn(`Failed to start printer session: ${error.message}`);
+    });
+  }
+
+  /**
+   * Handle an unsolicited status push from the printer
+   */
+  async handlePrinterStatusPush(currentStatus) {
+    const previousStatus = this.lastPrinterStatus;
+    const statusChanged = this.hasPrinterStatusChanged(currentStatus, previousStatus);
+
+    // Update last status before notifying so processFrame doesn't report it again
+    this.lastPrinterStatus = currentStatus;
+    this.lastPrinterStatusTime = Date.now();
+
+    await this.jobHistory.recordStatus(currentStatus, previousStatus, statusChanged);
+    if (this.pausePolicy) {
+      this.pausePolicy.recordStatus(currentStatus);
+    }
+
+    // Encoding runs in the background; status pushes keep flowing meanwhile
+    if (this.timelapse) {
+      this.timelapse.update(currentStatus)
+        .then(result => result && this.sendTimelapse(result))
+        .catch(error => logger.error(`Time-lapse failed: ${error.message}`));
+    }
+
+    for (const anomaly of this.temperatureMonitor.update(currentStatus)) {
+      await this.sendTemperatureAnomalyNotification(anomaly, currentStatus);
+    }
+
+    const stall = this.progressTracker.update(currentStatus);
+    if (stall) {
+      await this.sendLayerStallNotification(stall, currentStatus);
+    }
+
+    if (!statusChanged) {
+      return;
+    }
+
+    // Attach a fresh frame to the notification when the camera is reachable
+    let imageBuffer = null;
     try {
-      logger.info('=== Elegoo Print Monitor Initializing ===');
-      
-      // Validate configuration
-      this.config.validate();
-      
-      logger.info(`Stream URL: ${this.config.mjpegStreamUrl}`);
-      logger.info(`Capture interval: ${this.config.frameCaptureInterval}ms`);
-      logger.info(`LLM Mode: ${this.config.llmMode}`);
-      
-      if (this.config.llmMode === 'enabled') {
-        logger.info(`LLM Model: ${this.config.llmModel}`);
-        logger.info(`LLM URL: ${this.config.openaiUrl}`);
-        logger.info(`Notification threshold: ${this.config.notificationThreshold}`);
-      } else {
-        logger.info('LLM processing: DISABLED - will only capture frames and show printer status');
-      }
-      
-      if (this.telegramNotifier.isConfigured()) {
-        logger.info('Telegram notifications: ENABLED');
-      } else {
-        logger.warn('Telegram notifications: DISABLED (credentials not provided)');
-      }
-      
-      // Initialize PrintGuard if enabled
-      if (this.config.usePrintGuard && this.printGuard) {
-        try {
-          await this.printGuard.init();
-          logger.info(`PrintGuard: ENABLED (sensitivity: ${this.config.printGuardSensitivity})`);
-          
-          // Load prototypes
-          await this.loadPrintGuardPrototypes();
-        } catch (error) {
-          logger.warn(`PrintGuard initialization failed: ${error.message}`);
-          this.printGuard = null;
-        }
-      } else if (this.config.usePrintGuard) {
-        logger.warn('PrintGuard: CONFIGURED BUT FAILED TO INITIALIZE');
-      } else {
-        logger.info('PrintGuard: DISABLED');
-      }
-      
-      // Check for console mode flag
-      if (process.argv.includes('--console') || process.argv.includes('-c')) {
-        this.consoleMode = true;
-        logger.info('Console mode: ENABLED');
-      }
-      
-      // Check for debug mode flag
-      if (process.argv.includes('--debug') || process.argv.includes('-d')) {
-        this.debugMode = true;
-        logger.info('Debug mode: ENABLED');
-        // Set log level to debug
-        logger.level = 'debug';
-      }
-      
-      // Test connections
-      await this.testConnections();
-      
-      logger.info('=== Initialization Complete ===');
-      return true;
-      
+      imageBuffer = await this.capture.captureFrame();
     } catch (error) {
-      logger.error(`Initialization failed: ${error.message}`);
-      throw error;
+      logger.debug(`Could not capture frame for status change: ${error.message}`);
     }
+
+    await this.sendPrinterStatusChangeNotification(currentStatus, previousStatus, this.frameCount, imageBuffer);
   }
 
-  async testConnections() {
-    logger.info('Testing connections...');
-    
+  /**
+   * Prepare this printer's pipeline: detectors, job history and camera check
+   */
+  async initialize() {
+    logger.info(`--- Initializing ${this.printer.name} ---`);
+    logger.info(`Stream URL: ${this.printer.mjpegStreamUrl}`);
+
+    // Load detector models (PrintGuard) and report which detectors run
+    await this.detectors.init();
+    if (this.detectors.list().length === 0) {
+      logger.info('Detectors: NONE (LLM_MODE=disabled, USE_PRINTGUARD=false)');
+    }
+
+    // Load print job history
+    try {
+      await this.jobHistory.load();
+    } catch (error) {
+      logger.warn(`Failed to load print job history: ${error.message}`);
+    }
+
+    // Load the calibrated bed ROI
+    try {
+      this.roi = (await loadRoiFile(this.roiFile)) || this.roi;
+    } catch (error) {
+      logger.warn(error.message);
+    }
+    logger.info(`Bed ROI: ${this.roi ? formatPolygon(this.roi) : 'full frame'}`);
+
     // Test MJPEG stream connection
     const streamConnected = await this.capture.testConnection();
     if (!streamConnected) {
-      logger.warn('MJPEG stream connection test failed - will attempt to connect during capture');
+      logger.warn(`MJPEG stream for ${this.printer.name} failed connection test - will attempt to connect during capture`);
     } else {
       logger.info('MJPEG stream: CONNECTED');
     }
-    
-    let llmConnected = true; // Default to true if LLM mode is disabled
-    
-    // Test LLM API connection only if LLM mode is enabled
-    if (this.config.llmMode === 'enabled') {
-      llmConnected = await this.llmClient.testConnection();
-      if (!llmConnected) {
-        logger.warn('LLM API connection test failed - will attempt to connect during analysis');
-      } else {
-        logger.info('LLM API: CONNECTED');
-      }
-    } else {
-      logger.info('LLM API: SKIPPED (LLM mode disabled)');
-    }
-    
-    // Test Telegram if configured
-    if (this.telegramNotifier.isConfigured()) {
-      const telegramTest = await this.telegramNotifier.sendTestMessage();
-      if (!telegramTest) {
-        logger.warn('Telegram test failed - notifications may not work');
-      } else {
-        logger.info('Telegram: CONNECTED');
-      }
-    }
-    
-    return streamConnected && llmConnected;
+
+    return streamConnected;
   }
 
   async processFrame(frameBuffer) {
@@ -742,182 +912,27 @@ class PrintMonitor {
     const frameNumber = this.frameCount;
     
     logger.info(`Processing frame #${frameNumber}`);
+
+    if (this.mqttBridge) {
+      this.mqttBridge.publishFrame(frameBuffer).catch(error => {
+        logger.debug(`MQTT frame publish failed: ${error.message}`);
+      });
+    }
     
     try {
-      let analysis = null;
-      
-      if (this.config.llmMode === 'enabled') {
-        // Check if we should skip LLM analysis for efficiency
-        let skipLLMAnalysis = false;
-
-        // Get printer status to check if we can skip analysis
-        let printerStatus = null;
-        if (this.printerModule) {
-          try {
-            printerStatus = await this.printerModule.getStatus();
-            logger.debug(`Printer status for analysis decision: machine=${printerStatus?.status?.machine?.code}, print=${printerStatus?.status?.print?.code}, success=${printerStatus?.success}`);
-            
-            // Check for status changes (even in LLM enabled mode)
-            const statusChanged = this.hasPrinterStatusChanged(printerStatus, this.lastPrinterStatus);
-            
-            if (statusChanged) {
-              // Send status change notification with previous status for comparison
-              await this.sendPrinterStatusChangeNotification(printerStatus, this.lastPrinterStatus, frameNumber, frameBuffer);
-            }
-            
-            // Update last status
-            this.lastPrinterStatus = printerStatus;
-            this.lastPrinterStatusTime = Date.now();
-            
-          } catch (error) {
-            logger.debug(`Could not get printer status for analysis decision: ${error.message}`);
-          }
-        }
-
-        // Only perform LLM analysis when printer is actively printing
-        let shouldAnalyze = false;
-
-        if (printerStatus && printerStatus.success) {
-          const machineStatus = printerStatus.status?.machine?.code;
-          const machineText = printerStatus.status?.machine?.text || 'Unknown';
-
-          logger.debug(`Checking analysis conditions: machineStatus=${machineStatus} (${machineText}), type: ${typeof machineStatus}`);
-
-          // Only analyze when machine is actively printing (1)
-          if (machineStatus === 1) {
-            shouldAnalyze = true;
-            logger.debug(`Performing LLM analysis - printer is actively printing (${machineText})`);
-          } else {
-            logger.info(`Skipping LLM analysis for frame ${frameNumber} - printer not actively printing (${machineText})`);
-          }
-        } else {
-          logger.debug(`Skipping LLM analysis - no valid printer status available`);
-        }
-
-        // Skip LLM analysis unless printer is actively printing
-        if (!shouldAnalyze) {
-          skipLLMAnalysis = true;
-        }
-
-        if (!skipLLMAnalysis) {
-          const startTime = Date.now();
-
-          // Analyze frame with LLM
-          analysis = await this.llmClient.analyzeImage(
-            frameBuffer,
-            prompts.systemPrompt,
-            prompts.getUserPrompt(),
-            this.debugMode
-          );
-
-          const analysisTime = Date.now() - startTime;
-          this.lastAnalysisTime = Date.now();
-
-          // Log analysis result
-          logger.logAnalysisResult(frameNumber, analysis);
-          logger.debug(`Analysis completed in ${analysisTime}ms`);
-
-          // Display analysis results to console for normal mode
-          if (!this.consoleMode) {
-            this.consoleNotifier.displayFrameAnalysis(frameNumber, analysis);
-          }
-
-          // Check for problems that need notification
-          const criticalProblems = analysis.problems.filter(
-            problem => problem.confidence >= this.config.notificationThreshold
-          );
-
-          if (criticalProblems.length > 0) {
-            this.stats.framesWithProblems++;
-            this.stats.totalProblemsDetected += criticalProblems.length;
-
-            logger.warn(`Detected ${criticalProblems.length} critical problems in frame ${frameNumber}`);
-
-            // Log each critical problem
-            criticalProblems.forEach(problem => {
-              logger.logCriticalProblem(frameNumber, problem);
-            });
-
-            // Always send alert to console
-            await this.consoleNotifier.sendAlert({
-              frameNumber,
-              problems: criticalProblems,
-              overallStatus: analysis.overall_status,
-              imageBuffer: frameBuffer,
-              analysisSummary: {
-                objectsCount: analysis.objects?.length || 0,
-                problemsCount: analysis.problems?.length || 0,
-                objects: analysis.objects || [], // Include full objects array for annotation
-                analysis: analysis // Include full analysis for annotation
-              }
-            });
-
-            // Also send to Telegram if configured
-            if (this.telegramNotifier.isConfigured()) {
-              const notificationSent = await this.telegramNotifier.sendAlert({
-                frameNumber,
-                problems: criticalProblems,
-                overallStatus: analysis.overall_status,
-                imageBuffer: frameBuffer,
-                analysisSummary: {
-                  objectsCount: analysis.objects?.length || 0,
-                  problemsCount: analysis.problems?.length || 0,
-                  objects: analysis.objects || [], // Include full objects array for annotation
-                  analysis: analysis // Include full analysis for annotation
-                }
-              });
-
-              if (notificationSent) {
-                this.stats.notificationsSent++;
-              }
-            }
-          }
-        } else {
-          // LLM analysis was skipped
-          logger.debug(`Frame ${frameNumber} processed without LLM analysis (printer idle)`);
-        }
-
-        // Update statistics (count as processed regardless of LLM analysis)
-        this.stats.framesProcessed++;
-        
-        // Run PrintGuard analysis if enabled and printer is actively printing
-        if (this.printGuard && printerStatus && printerStatus.success && printerStatus.status?.machine?.code === 1) {
-          await this.runPrintGuardAnalysis(frameBuffer, frameNumber, printerStatus, false); // Don't force for automatic processing
-        }
-      } else {
-        // LLM mode disabled - just capture frame and check for status changes
+      const llmEnabled = this.config.llmMode === 'enabled';
+      if (!llmEnabled) {
         logger.info(`Frame #${frameNumber} captured (LLM analysis disabled)`);
-        this.stats.framesProcessed++;
-        
+
         // Display simple frame capture message to console only (not Telegram)
         if (!this.consoleMode) {
           this.consoleNotifier.displayFrameCapture(frameNumber);
         }
-        
-        // Get printer status if available
-        let printerStatus = null;
-        if (this.printerModule) {
-          try {
-            printerStatus = await this.printerModule.getStatus();
-            logger.debug(`Printer status retrieved for frame #${frameNumber}`);
-            
-            // Check if status has changed significantly
-            const statusChanged = this.hasPrinterStatusChanged(printerStatus, this.lastPrinterStatus);
-            
-            if (statusChanged) {
-              // Send status change notification with previous status for comparison
-              await this.sendPrinterStatusChangeNotification(printerStatus, this.lastPrinterStatus, frameNumber, frameBuffer);
-            }
-            
-            // Update last status
-            this.lastPrinterStatus = printerStatus;
-            this.lastPrinterStatusTime = Date.now();
-            
-          } catch (error) {
-            logger.warn(`Failed to get printer status: ${error.message}`);
-          }
-        }
-        
+      }
+
+      const printerStatus = this.getFramePrinterStatus(frameNumber);
+
+      if (!llmEnabled) {
         // Only send simple console status (no Telegram) for regular frames
         // User can request status via commands when needed
         await this.consoleNotifier.sendSimpleStatus({
@@ -927,20 +942,41 @@ class PrintMonitor {
           llmEnabled: false,
           isStatusChange: false // Regular frame, not a status change
         });
-        
-        // Run PrintGuard analysis if enabled and printer is actively printing
-        if (this.printGuard && printerStatus && printerStatus.success && printerStatus.status?.machine?.code === 1) {
-          await this.runPrintGuardAnalysis(frameBuffer, frameNumber, printerStatus, false); // Don't force for automatic processing
+      }
+
+      // Detectors only analyze frames while the printer is actively printing
+      let verdicts = [];
+      const dueDetectors = this.detectors.due();
+      const observers = this.detectors.observers();
+      if (dueDetectors.length > 0 || observers.length > 0) {
+        const machineStatus = printerStatus?.success ? printerStatus.status?.machine?.code : null;
+        if (machineStatus === 1) {
+          // Bad frames would only waste detector runs
+          const quality = await this.checkFrameQuality(frameBuffer, frameNumber);
+          if (!quality.skip) {
+            verdicts = await this.runDetectors(dueDetectors, frameBuffer, { frameNumber, printerStatus });
+            // After the analyses, so a frame is never compared with itself
+            for (const detector of observers) {
+              detector.observe(frameBuffer, this.createDetectorContext(frameBuffer, { frameNumber, printerStatus }));
+            }
+          }
+        } else if (printerStatus?.success) {
+          logger.info(`Skipping detectors for frame ${frameNumber} - printer not actively printing (${printerStatus.status?.machine?.text || 'Unknown'})`);
+        } else {
+          logger.debug(`Skipping detectors for frame ${frameNumber} - no valid printer status available`);
         }
       }
-      
+
+      // Update statistics (count as processed regardless of analysis)
+      this.stats.framesProcessed++;
+
       // Periodic status update (every 10 frames)
       if (frameNumber % 10 === 0) {
         await this.sendStatusUpdate();
       }
-      
-      return analysis;
-      
+
+      return verdicts.find(verdict => verdict.analysis)?.analysis || null;
+
     } catch (error) {
       this.stats.lastError = {
         time: new Date().toISOString(),
@@ -953,6 +989,207 @@ class PrintMonitor {
     }
   }
 
+  /**
+   * Latest printer status for a frame. Recording, auto-pause and change notifications
+   * happen once per status in handlePrinterStatusPush; this only reads the session cache.
+   * @returns {Object|null} Printer status, null without a printer connection or pushed status
+   */
+  getFramePrinterStatus(frameNumber) {
+    if (!this.printerModule) {
+      return null;
+    }
+
+    const printerStatus = this.printerModule.getCachedStatus();
+    logger.debug(`Printer status for frame #${frameNumber}: machine=${printerStatus?.status?.machine?.code}, print=${printerStatus?.status?.print?.code}, success=${printerStatus?.success}`);
+    return printerStatus;
+  }
+
+  /**
+   * Context passed to Detector.analyze
+   */
+  createDetectorContext(frameBuffer, { frameNumber, printerStatus = null, force = false }) {
+    return {
+      frameNumber,
+      printerStatus,
+      printer: this.printer,
+      force,
+      debugMode: this.debugMode,
+      crop: (options) => this.cropToRoi(frameBuffer, options),
+      cropFrame: (buffer, options) => this.cropToRoi(buffer, options)
+    };
+  }
+
+  /**
+   * Run due detectors in registry order; a failing detector does not stop the others
+   * @returns {Promise<Object[]>} Verdicts of the detectors that succeeded
+   */
+  async runDetectors(detectors, frameBuffer, { frameNumber, printerStatus }) {
+    const verdicts = [];
+    for (const detector of detectors) {
+      const verdict = await this.runDetector(detector.name, frameBuffer, { frameNumber, printerStatus });
+      if (verdict) {
+        verdicts.push(verdict);
+      }
+    }
+    return verdicts;
+  }
+
+  /**
+   * Analyze a frame with one detector and pass the verdict to handleVerdict.
+   * Forced runs (manual commands) work while the detector is disabled and skip its cadence.
+   * @returns {Promise<Object|null>} Verdict, null when the detector is unavailable or failed
+   */
+  async runDetector(name, frameBuffer, { frameNumber, printerStatus = null, force = false }) {
+    const detector = this.detectors.get(name);
+    if (!detector || !detector.ready) {
+      return null;
+    }
+
+    if (!force) {
+      detector.lastRun = Date.now();
+    }
+
+    try {
+      const context = this.createDetectorContext(frameBuffer, { frameNumber, printerStatus, force });
+      const verdict = await detector.analyze(frameBuffer, context);
+      await this.handleVerdict(detector, verdict, frameBuffer, context);
+      return verdict;
+    } catch (error) {
+      this.stats.lastError = {
+        time: new Date().toISOString(),
+        frameNumber,
+        error: `${detector.label}: ${error.message}`
+      };
+      logger.warn(`${detector.label} analysis failed for frame #${frameNumber}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Single stage for every detector verdict: dashboard, job history, auto-pause,
+   * statistics, temporal voting and notifications. Forced verdicts only reach the
+   * dashboard and alert directly on a failure.
+   */
+  async handleVerdict(detector, verdict, frameBuffer, context) {
+    const { frameNumber, printerStatus, force } = context;
+
+    this.lastAnalysisTime = Date.now();
+    this.updateLatestVerdict(detector, { ...verdict, imageBuffer: frameBuffer });
+
+    if (!force) {
+      await this.jobHistory.recordVerdict(verdict);
+
+      if (this.pausePolicy) {
+        const decision = await this.pausePolicy.recordVerdict(verdict, printerStatus, detector.label);
+        await this.handlePausePolicyDecision(decision, frameBuffer, frameNumber);
+      }
+    }
+
+    // Display analysis results to console for normal mode
+    if (verdict.analysis && !this.consoleMode) {
+      this.consoleNotifier.displayFrameAnalysis(frameNumber, verdict.analysis);
+    }
+
+    if (verdict.failure) {
+      this.stats.framesWithProblems++;
+      this.stats.totalProblemsDetected += verdict.problems.length;
+
+      logger.warn(`🚨 ${detector.label} detected ${verdict.problems.length} problem(s) in frame #${frameNumber}`);
+      verdict.problems.forEach(problem => {
+        logger.logCriticalProblem(frameNumber, problem);
+      });
+    }
+
+    // Automatic frames alert on the vote over recent frames; manual commands alert directly
+    const vote = force ? null : this.failureVoter.record(detector.name, {
+      frameNumber,
+      failure: verdict.failure,
+      confidence: verdict.confidence,
+      label: verdict.label
+    });
+    if (vote) {
+      logger.warn(`${detector.label} failure vote passed at frame ${frameNumber}: ${vote.summary}`);
+    }
+
+    if (vote || (force && verdict.failure)) {
+      await this.sendDetectorAlert(detector, verdict, vote, frameBuffer, printerStatus);
+    }
+  }
+
+  /**
+   * Alert about a detector failure. PrintGuard keeps its distance report; other detectors
+   * send their problems, annotated on the frame when the verdict has an LLM analysis.
+   */
+  async sendDetectorAlert(detector, verdict, vote, frameBuffer, printerStatus) {
+    if (verdict.detector === 'printguard') {
+      return this.sendPrintGuardFailureNotification(frameBuffer, verdict.frameNumber, verdict.result, printerStatus, vote);
+    }
+
+    // An EWMA vote can cross on problems just below the notification threshold
+    const analysis = verdict.analysis || { objects: [], problems: verdict.problems, overall_status: verdict.status };
+    const alertProblems = verdict.problems.length > 0 ? verdict.problems : (analysis.problems || []);
+    const alert = {
+      frameNumber: verdict.frameNumber,
+      problems: alertProblems,
+      overallStatus: verdict.status,
+      imageBuffer: frameBuffer,
+      vote,
+      analysisSummary: {
+        objectsCount: analysis.objects?.length || 0,
+        problemsCount: analysis.problems?.length || 0,
+        objects: analysis.objects || [], // Include full objects array for annotation
+        analysis // Include full analysis for annotation
+      }
+    };
+
+    // Always send alert to console
+    await this.consoleNotifier.sendAlert(alert);
+
+    // Also send to Telegram if configured
+    if (this.telegramNotifier.isConfigured()) {
+      const notificationSent = await this.telegramNotifier.sendAlert({ printer: this.printer, ...alert });
+
+      if (notificationSent) {
+        this.stats.notificationsSent++;
+        await this.jobHistory.recordNotification(`${verdict.detector}-alert`,
+          `${alertProblems.length} problem(s), status ${verdict.status}${vote ? `, ${vote.summary}` : ''}`);
+      }
+      return notificationSent;
+    }
+    return false;
+  }
+
+  /**
+   * Run the frame quality gate and record skipped or flagged frames in stats
+   */
+  async checkFrameQuality(frameBuffer, frameNumber) {
+    let quality;
+    try {
+      quality = await this.frameQuality.check(frameBuffer);
+    } catch (error) {
+      logger.warn(`Frame quality check failed for frame ${frameNumber}: ${error.message}`);
+      return { ok: true, skip: false, reasons: [], metrics: null };
+    }
+
+    if (quality.ok) {
+      return quality;
+    }
+
+    const reasons = quality.reasons.join(', ');
+    if (quality.skip) {
+      this.stats.framesSkipped++;
+      for (const reason of quality.reasons) {
+        this.stats.skipReasons[reason] = (this.stats.skipReasons[reason] || 0) + 1;
+      }
+      logger.info(`Skipping analysis of frame ${frameNumber} - ${reasons}`);
+    } else {
+      this.stats.framesFlagged++;
+      logger.warn(`Frame ${frameNumber} flagged (${reasons}) - analyzing anyway`);
+    }
+    logger.debug(`Frame ${frameNumber} quality: ${JSON.stringify(quality.metrics)}`);
+    return quality;
+  }
+
   async sendStatusUpdate() {
     const uptime = Date.now() - this.startTime;
 
@@ -968,6 +1205,290 @@ class PrintMonitor {
     // Users can request status manually via Telegram commands
   }
 
+  /**
+   * Start the capture loop, printer session and per-printer integrations
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn(`Monitor for ${this.printer.name} already running`);
+      return;
+    }
+
+    this.isRunning = true;
+    this.startTime = Date.now();
+    this.lastAnalysisTime = Date.now();
+
+    // Keep a live printer connection for status pushes
+    this.startPrinterSession();
+
+    // Connect to the MQTT broker (keeps reconnecting in the background)
+    if (this.mqttBridge) {
+      this.mqttBridge.start().catch(error => {
+        logger.error(`Failed to connect to MQTT broker: ${error.message}`);
+      });
+    }
+
+    // Open the shared camera connection (frames for LLM, PrintGuard, time-lapse and dashboard)
+    this.capture.startStream();
+
+    // Remove old time-lapses on its own retention schedule
+    if (this.timelapse) {
+      this.timelapse.start();
+    }
+
+    // Start frame capture
+    this.capture.startCapture(async (frameBuffer) => {
+      await this.processFrame(frameBuffer);
+    });
+
+    logger.info(`Monitoring ${this.printer.name}`);
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    this.capture.stopCapture();
+    this.capture.stopStream();
+
+    if (this.timelapse) {
+      this.timelapse.stop();
+    }
+
+    // Disconnect from MQTT (the broker's last will marks the device offline if this doesn't finish)
+    if (this.mqttBridge) {
+      this.mqttBridge.stop().catch(() => {});
+    }
+
+    // Close printer session
+    if (this.printerModule) {
+      this.printerModule.disconnect();
+    }
+
+    // Log final statistics
+    this.logFinalStatistics();
+  }
+
+  /**
+   * Mainboard ID from the registry or, once connected, from the printer itself
+   */
+  getMainboardID() {
+    return this.printer.mainboardID || (this.printerModule && this.printerModule.getMainboardID()) || null;
+  }
+
+  /**
+   * Follow the printer to a new address (DHCP lease change) without restarting
+   */
+  updatePrinterAddress(ip) {
+    const previousIP = this.printer.ip;
+    if (!ip || ip === previousIP || !this.printerModule) {
+      return;
+    }
+
+    logger.info(`Printer ${this.printer.name} moved from ${previousIP} to ${ip}`);
+    this.printer.ip = ip;
+    this.printerModule.setPrinterIP(ip);
+
+    // Only camera URLs pointing at the printer itself move with it
+    const streamUrl = new URL(this.printer.mjpegStreamUrl);
+    if (streamUrl.hostname === previousIP) {
+      streamUrl.hostname = ip;
+      this.printer.mjpegStreamUrl = streamUrl.toString();
+      this.capture.setStreamUrl(this.printer.mjpegStreamUrl);
+      this.frameQuality.reset();
+      this.videoRecorder.streamUrl = this.printer.mjpegStreamUrl;
+    }
+  }
+
+  logFinalStatistics() {
+    const uptime = Date.now() - this.startTime;
+    const uptimeFormatted = this.formatUptime(uptime);
+    
+    logger.info(`=== Final Statistics: ${this.printer.name} ===`);
+    logger.info(`Total runtime: ${uptimeFormatted}`);
+    logger.info(`Frames processed: ${this.stats.framesProcessed}`);
+    logger.info(`Frames with problems: ${this.stats.framesWithProblems}`);
+    logger.info(`Total problems detected: ${this.stats.totalProblemsDetected}`);
+    logger.info(`Notifications sent: ${this.stats.notificationsSent}`);
+    logger.info(`Status changes detected: ${this.stats.statusChangesDetected}`);
+    logger.info(`Status notifications sent: ${this.stats.statusNotificationsSent}`);
+    logger.info(`Auto-pauses triggered: ${this.stats.autoPausesTriggered}`);
+    logger.info(`Temperature anomalies: ${this.stats.temperatureAnomalies}`);
+    logger.info(`Layer stalls: ${this.stats.layerStalls}`);
+    logger.info(`Frames skipped by quality gate: ${this.stats.framesSkipped}`);
+    if (this.stats.framesSkipped > 0) {
+      const reasons = Object.entries(this.stats.skipReasons).map(([reason, count]) => `${reason} ${count}`).join(', ');
+      logger.info(`Skip reasons: ${reasons}`);
+    }
+    logger.info(`Frames flagged by quality gate: ${this.stats.framesFlagged}`);
+    
+    if (this.stats.lastError) {
+      logger.warn(`Last error (frame ${this.stats.lastError.frameNumber}): ${this.stats.lastError.error}`);
+    }
+  }
+
+  formatUptime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+
+    if (days > 0) {
+      return `${days}d ${hours % 24}h ${minutes % 60}m`;
+    } else if (hours > 0) {
+      return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
+    } else if (minutes > 0) {
+      return `${minutes}m ${seconds % 60}s`;
+    } else {
+      return `${seconds}s`;
+    }
+  }
+}
+
+/**
+ * Print Farm
+ * Loads the printer registry, runs one PrintMonitor per printer and owns the
+ * services they share: LLM client, Telegram and console notifiers, web server, image cleanup.
+ */
+class PrintFarm {
+  constructor() {
+    this.config = config;
+    this.registry = new PrinterRegistry();
+    this.llmClient = new LLMClient();
+    this.telegramNotifier = new TelegramNotifier();
+    this.consoleNotifier = new ConsoleNotifier();
+    this.imageCleanup = new ImageCleanup('images');
+    this.discoveryService = null;
+    this.webServer = null;
+    this.monitors = [];
+    this.isRunning = false;
+    this.consoleMode = process.argv.includes('--console') || process.argv.includes('-c');
+    this.debugMode = process.argv.includes('--debug') || process.argv.includes('-d');
+  }
+
+  async initialize() {
+    try {
+      logger.info('=== Elegoo Print Monitor Initializing ===');
+      
+      // Validate configuration
+      this.config.validate();
+      
+      if (this.config.file) {
+        logger.info(`Config file: ${this.config.file}`);
+      }
+      logger.info(`Capture interval: ${this.config.frameCaptureInterval}ms`);
+      logger.info(`LLM Mode: ${this.config.llmMode}`);
+      
+      if (this.config.llmMode === 'enabled') {
+        for (const provider of this.llmClient.getProviders()) {
+          logger.info(`LLM provider: ${provider.name} (${provider.type}) ${provider.url}, model ${provider.model}, timeout ${provider.timeout}ms`);
+        }
+        logger.info(`Notification threshold: ${this.config.notificationThreshold}`);
+      } else {
+        logger.info('LLM processing: DISABLED - will only capture frames and show printer status');
+      }
+      
+      if (this.telegramNotifier.isConfigured()) {
+        logger.info('Telegram notifications: ENABLED');
+      } else {
+        logger.warn('Telegram notifications: DISABLED (credentials not provided)');
+      }
+
+      if (this.consoleMode) {
+        logger.info('Console mode: ENABLED');
+      }
+      
+      if (this.debugMode) {
+        logger.info('Debug mode: ENABLED');
+        // Set log level to debug
+        logger.level = 'debug';
+      }
+
+      // One monitoring pipeline per registered printer
+      const printers = await this.registry.load();
+      this.monitors = [];
+
+      // Dashboard, REST API and metrics for all printers, on one port
+      if (this.config.dashboardEnabled || this.config.apiEnabled || this.config.metricsEnabled) {
+        this.webServer = new WebServer(this.monitors);
+      }
+
+      for (const printer of printers) {
+        this.monitors.push(new PrintMonitor(printer, {
+          llmClient: this.llmClient,
+          telegramNotifier: this.telegramNotifier,
+          consoleNotifier: this.consoleNotifier,
+          webServer: this.webServer,
+          multiPrinter: this.registry.isMultiPrinter(),
+          consoleMode: this.consoleMode,
+          debugMode: this.debugMode
+        }));
+      }
+
+      // Pass dependencies to Telegram notifier for command handling
+      this.telegramNotifier.setDependencies(this.llmClient, prompts, this.monitors);
+
+      // Expose stats, queue length and printer gauges on /metrics
+      if (this.config.metricsEnabled) {
+        this.monitors.forEach(monitor => metrics.bindPrintMonitor(monitor));
+      }
+
+      for (const monitor of this.monitors) {
+        await monitor.initialize();
+      }
+      
+      // Test connections
+      await this.testConnections();
+      
+      logger.info('=== Initialization Complete ===');
+      return true;
+      
+    } catch (error) {
+      logger.error(`Initialization failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async testConnections() {
+    logger.info('Testing connections...');
+    
+    let llmConnected = true; // Default to true if LLM mode is disabled
+    
+    // Test LLM API connection only if LLM mode is enabled
+    if (this.config.llmMode === 'enabled') {
+      llmConnected = await this.llmClient.testConnection();
+      if (!llmConnected) {
+        logger.warn('LLM API connection test failed - will attempt to connect during analysis');
+      } else {
+        logger.info('LLM API: CONNECTED');
+      }
+    } else {
+      logger.info('LLM API: SKIPPED (LLM mode disabled)');
+    }
+    
+    // Test Telegram if configured
+    if (this.telegramNotifier.isConfigured()) {
+      const telegramTest = await this.telegramNotifier.sendTestMessage();
+      if (!telegramTest) {
+        logger.warn('Telegram test failed - notifications may not work');
+      } else {
+        logger.info('Telegram: CONNECTED');
+      }
+    }
+    
+    return llmConnected;
+  }
+
+  /**
+   * Find a monitor by printer name or 1-based index
+   */
+  getMonitor(nameOrIndex) {
+    const printer = this.registry.get(nameOrIndex);
+    return printer ? this.monitors[printer.index - 1] : null;
+  }
+
   start() {
     if (this.isRunning) {
       logger.warn('Monitor already running');
@@ -976,24 +1497,35 @@ class PrintMonitor {
 
     this.initialize().then(() => {
       this.isRunning = true;
-      this.startTime = Date.now();
-      this.lastAnalysisTime = Date.now();
 
       logger.info('=== Starting Print Monitor ===');
 
       // Start image cleanup service
       this.imageCleanup.start();
 
-      // Start frame capture
-      this.capture.startCapture(async (frameBuffer) => {
-        await this.processFrame(frameBuffer);
-      });
+      for (const monitor of this.monitors) {
+        monitor.start();
+      }
 
-      logger.info('Print Monitor started successfully');
+      // After the monitors, so the server subscribes to their printer sessions
+      if (this.webServer) {
+        this.webServer.start().catch(error => {
+          logger.error(`Failed to start web server: ${error.message}`);
+        });
+      }
+
+      // Keep track of printers moving to new addresses
+      this.startDiscoveryService();
+
+      // Apply threshold/interval edits in the config file without a restart
+      this.watchConfig();
 
-      // Start console mode if enabled
+      logger.info(`Print Monitor started successfully (${this.monitors.length} printer${this.monitors.length === 1 ? '' : 's'})`);
+
+      // Start console mode if enabled (first printer until "printer <name>" switches)
       if (this.consoleMode) {
-        this.consoleNotifier.startInteractiveMode(this.capture, this.llmClient, prompts, this.debugMode, this, this.printerModule);
+        const monitor = this.monitors[0];
+        this.consoleNotifier.startInteractiveMode(monitor.capture, this.llmClient, prompts, this.debugMode, monitor, monitor.printerModule, this.monitors);
       }
 
       // Handle graceful shutdown
@@ -1005,6 +1537,87 @@ class PrintMonitor {
     });
   }
 
+  /**
+   * Probe the network in the background and follow registered printers across IP changes
+   */
+  startDiscoveryService() {
+    if (this.config.printerDiscoveryInterval <= 0 || !this.monitors.some(monitor => monitor.printerModule)) {
+      return;
+    }
+
+    this.discoveryService = new PrinterDiscoveryService();
+
+    this.discoveryService.on('appear', (printer) => {
+      const monitor = this.findMonitorForDiscovered(printer);
+      if (!monitor) {
+        logger.info(`Discovered printer ${printer.name} (${printer.mainboardID}) at ${printer.ip} - not in the registry`);
+        return;
+      }
+      logger.info(`Printer ${monitor.printer.name} found at ${printer.ip}`);
+      monitor.updatePrinterAddress(printer.ip);
+    });
+
+    this.discoveryService.on('ip-change', ({ printer, previousIP }) => {
+      const monitor = this.findMonitorForDiscovered(printer);
+      if (monitor) {
+        logger.info(`Printer ${monitor.printer.name} changed address: ${previousIP} -> ${printer.ip}`);
+        monitor.updatePrinterAddress(printer.ip);
+      }
+    });
+
+    this.discoveryService.on('disappear', (printer) => {
+      const monitor = this.findMonitorForDiscovered(printer);
+      logger.warn(`Printer ${monitor ? monitor.printer.name : printer.name} (${printer.mainboardID}) stopped answering discovery`);
+    });
+
+    this.discoveryService.start();
+  }
+
+  /**
+   * Watch the config file and push reloadable settings into the running pipelines
+   */
+  watchConfig() {
+    if (!this.config.file) {
+      return;
+    }
+
+    this.config.onChange((changes) => this.applyConfigChanges(changes));
+    this.config.watch();
+  }
+
+  /**
+   * Settings read on every use (notificationThreshold, autoPauseLLMCriticalConfidence) need nothing here
+   */
+  applyConfigChanges(changes) {
+    for (const monitor of this.monitors) {
+      if (changes.frameCaptureInterval) {
+        monitor.capture.interval = changes.frameCaptureInterval.value;
+      }
+      if (changes.llmCooldownSeconds) {
+        monitor.capture.llmCooldownMs = changes.llmCooldownSeconds.value * 1000;
+      }
+    }
+
+    if (changes.telegramAlertLevel) {
+      this.telegramNotifier.alertLevel = changes.telegramAlertLevel.value;
+    }
+    if (changes.logLevel) {
+      logger.level = changes.logLevel.value;
+    }
+  }
+
+  /**
+   * Match a discovery result to a monitor by MainboardID, learning the ID from the address the first time
+   */
+  findMonitorForDiscovered(printer) {
+    const monitor = this.monitors.find(m => m.getMainboardID() === printer.mainboardID) ||
+      this.monitors.find(m => !m.getMainboardID() && m.printer.ip === printer.ip);
+    if (monitor && !monitor.printer.mainboardID) {
+      monitor.printer.mainboardID = printer.mainboardID;
+    }
+    return monitor || null;
+  }
+
   setupShutdownHandlers() {
     const shutdown = (signal) => {
       logger.info(`Received ${signal}, shutting down...`);
@@ -1035,63 +1648,61 @@ class PrintMonitor {
     logger.info('Shutting down Print Monitor...');
 
     this.isRunning = false;
-    this.capture.stopCapture();
 
     // Stop image cleanup service
     this.imageCleanup.stop();
 
-    // Log final statistics
-    this.logFinalStatistics();
+    if (this.discoveryService) {
+      this.discoveryService.stop();
+    }
 
-    logger.info('Print Monitor stopped');
-    process.exit(0);
-  }
+    this.config.unwatch();
 
-  logFinalStatistics() {
-    const uptime = Date.now() - this.startTime;
-    const uptimeFormatted = this.formatUptime(uptime);
-    
-    logger.info('=== Final Statistics ===');
-    logger.info(`Total runtime: ${uptimeFormatted}`);
-    logger.info(`Frames processed: ${this.stats.framesProcessed}`);
-    logger.info(`Frames with problems: ${this.stats.framesWithProblems}`);
-    logger.info(`Total problems detected: ${this.stats.totalProblemsDetected}`);
-    logger.info(`Notifications sent: ${this.stats.notificationsSent}`);
-    logger.info(`Status changes detected: ${this.stats.statusChangesDetected}`);
-    logger.info(`Status notifications sent: ${this.stats.statusNotificationsSent}`);
-    
-    if (this.stats.lastError) {
-      logger.warn(`Last error (frame ${this.stats.lastError.frameNumber}): ${this.stats.lastError.error}`);
+    for (const monitor of this.monitors) {
+      monitor.stop();
     }
-  }
 
-  formatUptime(ms) {
-    const seconds = Math.floor(ms / 1000);
-    const minutes = Math.floor(seconds / 60);
-    const hours = Math.floor(minutes / 60);
-    const days = Math.floor(hours / 24);
+    if (this.webServer) {
+      this.webServer.stop();
+    }
 
-    if (days > 0) {
-      return `${days}d ${hours % 24}h ${minutes % 60}m`;
-    } else if (hours > 0) {
-      return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
-    } else if (minutes > 0) {
-      return `${minutes}m ${seconds % 60}s`;
-    } else {
-      return `${seconds}s`;
+    // The LLM client is shared by all printers
+    const llmStats = this.llmClient.stats;
+    if (llmStats.responses > 0) {
+      logger.info(`LLM responses: ${llmStats.responses} (valid ${llmStats.valid}, repaired ${llmStats.repaired}, lenient parser ${llmStats.fallbacks}, unparseable ${llmStats.parseFailures}; ${llmStats.repairAttempts} re-prompts)`);
     }
+
+    logger.info('Print Monitor stopped');
+    process.exit(0);
   }
 
   shutdown(exitCode = 0) {
-    this.stop();
+    if (this.isRunning) {
+      this.isRunning = false;
+      this.imageCleanup.stop();
+      if (this.discoveryService) {
+        this.discoveryService.stop();
+      }
+      this.config.unwatch();
+      this.monitors.forEach(monitor => monitor.stop());
+      if (this.webServer) {
+        this.webServer.stop();
+      }
+    }
     process.exit(exitCode);
   }
 }
 
 // Start the application
 if (require.main === module) {
-  const monitor = new PrintMonitor();
-  monitor.start();
+  if (process.argv[2] === 'config') {
+    const { runConfigCommand } = require('./config/cli');
+    process.exit(runConfigCommand(process.argv.slice(3)));
+  }
+
+  const farm = new PrintFarm();
+  farm.start();
 }
 
-module.exports = PrintMonitor;
\ No newline at end of file
+module.exports = PrintMonitor;
+module.exports.PrintFarm = PrintFarm;
@@ -0,0 +1,128 @@
+/**
+ * Analysis Schema
+ * JSON Schema of the frame analysis the LLM must return. It is sent to providers that
+ * support structured output (response_format, Ollama format, forced tool input) and every
+ * reply is validated against it, whatever the provider.
+ */
+
+const STATUSES = ['good', 'warning', 'critical', 'error'];
+
+const boundingBox = {
+  type: 'array',
+  description: '[x1, y1, x2, y2] normalized 0-1, origin top-left',
+  items: { type: 'number', minimum: 0, maximum: 1 },
+  minItems: 4,
+  maxItems: 4
+};
+
+const confidence = { type: 'number', minimum: 0, maximum: 1 };
+
+const analysisSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['objects', 'problems', 'overall_status'],
+  properties: {
+    objects: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['bounding_box', 'description', 'confidence'],
+        properties: {
+          bounding_box: boundingBox,
+          description: { type: 'string' },
+          confidence
+        }
+      }
+    },
+    problems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['bounding_box', 'issue', 'reason', 'confidence'],
+        properties: {
+          bounding_box: boundingBox,
+          issue: { type: 'string' },
+          reason: { type: 'string' },
+          confidence
+        }
+      }
+    },
+    overall_status: { type: 'string', enum: STATUSES }
+  }
+};
+
+/**
+ * Validate a value against a schema (the subset used above)
+ * @returns {string[]} Errors such as "problems[0].confidence must be at most 1"; empty when valid
+ */
+function validate(value, schema = analysisSchema, at = 'response') {
+  const errors = [];
+
+  switch (schema.type) {
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${at} must be an object`];
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${at} is missing "${key}"`);
+        }
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const childSchema = schema.properties?.[key];
+        if (childSchema) {
+          errors.push(...validate(child, childSchema, at === 'response' ? key : `${at}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${at} has unexpected field "${key}"`);
+        }
+      }
+      return errors;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return [`${at} must be an array`];
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${at} must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${at} must have at most ${schema.maxItems} items`);
+      }
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${at}[${index}]`));
+      });
+      return errors;
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return [`${at} must be a number`];
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${at} must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${at} must be at most ${schema.maximum}`);
+      }
+      return errors;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        return [`${at} must be a string`];
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at} must be one of: ${schema.enum.join(', ')} (got "${value}")`);
+      }
+      return errors;
+
+    default:
+      throw new Error(`Unsupported schema type '${schema.type}'`);
+  }
+}
+
+module.exports = {
+  analysisSchema,
+  validateAnalysis: (value) => validate(value),
+  STATUSES
+};
@@ -1,175 +1,185 @@
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 const LLMResponseParser = require('./llm-response-parser');
+const prompts = require('./prompts');
+const { analysisSchema } = require('./analysis-schema');
+const { createProviderChain } = require('./providers');
 
+/**
+ * LLM Client
+ * Sends frames to the first available provider of the chain (llm.providers) and falls back
+ * to the next one when it fails or times out. The provider that answered is recorded on
+ * the analysis as `analysis.provider`.
+ *
+ * Replies are validated against the analysis schema (also sent to the API with
+ * LLM_STRUCTURED_OUTPUT). A reply that does not conform is sent back to the same provider with
+ * the validation errors up to LLM_REPAIR_ATTEMPTS times before the lenient parser takes over;
+ * the outcome is recorded as `analysis.validation` and counted in `stats`.
+ */
 class LLMClient {
-  constructor() {
-    this.baseUrl = config.openaiUrl;
-    this.apiKey = config.openaiToken;
-    this.model = config.llmModel;
+  constructor(providers = createProviderChain()) {
+    this.providers = providers;
     this.retryCount = 0;
     this.maxRetries = config.maxRetries;
     this.retryDelay = config.retryDelay;
     this.parser = new LLMResponseParser();
+
+    // Reply outcomes: valid first time, repaired by a re-prompt, recovered by the
+    // lenient parser (fallbacks) or unparseable (parseFailures)
+    this.stats = {
+      responses: 0,
+      valid: 0,
+      repaired: 0,
+      fallbacks: 0,
+      parseFailures: 0,
+      repairAttempts: 0
+    };
   }
 
+  /**
+   * @param {Buffer|Buffer[]} imageBuffer - JPEG frame, or several frames in the order the prompt names them
+   */
   async analyzeImage(imageBuffer, systemPrompt, userPrompt, debugMode = false) {
     try {
-      logger.debug(`Sending image to LLM for analysis (model: ${this.model})`);
-      
-      // Convert image buffer to base64
-      const base64Image = imageBuffer.toString('base64');
-      
-      // Build messages array with system prompt if provided
-      const messages = [];
-      
-      if (systemPrompt && systemPrompt.trim()) {
-        messages.push({
-          role: "system",
-          content: systemPrompt
-        });
-      }
-      
-      messages.push({
-        role: "user",
-        content: [
-          { type: "text", text: userPrompt },
-          { type: "image_url", image_url: { url: `data:image/jpeg;base64,${base64Image}` } }
-        ]
-      });
-      
-      const requestBody = {
-        model: this.model,
-        messages: messages,
-        max_tokens: 4000,
-        temperature: 0.1
-      };
-      
-      if (debugMode) {
-        console.log('\n=== LLM API Request ===');
-        console.log(`URL: ${this.baseUrl}/chat/completions`);
-        console.log(`Model: ${this.model}`);
-        console.log(`System prompt length: ${systemPrompt?.length || 0} chars`);
-        console.log(`User prompt length: ${userPrompt.length} chars`);
-        console.log(`Image size: ${imageBuffer.length} bytes (base64: ${base64Image.length} chars)`);
-        console.log('Request body (FULL with base64 filtered):');
-        
-        // Create a filtered copy of the request body for display
-        const filteredRequestBody = {
-          model: requestBody.model,
-          messages: requestBody.messages.map(msg => {
-            if (msg.role === 'system') {
-              return {
-                role: msg.role,
-                content: msg.content
-              };
-            } else if (msg.role === 'user') {
-              return {
-                role: msg.role,
-                content: msg.content.map(contentItem => {
-                  if (contentItem.type === 'text') {
-                    return contentItem;
-                  } else if (contentItem.type === 'image_url') {
-                    // Filter the base64 data for cleaner output
-                    return {
-                      type: 'image_url',
-                      image_url: {
-                        url: 'data:image/jpeg;base64,<data>'
-                      }
-                    };
-                  }
-                  return contentItem;
-                })
-              };
-            }
-            return msg;
-          }),
-          max_tokens: requestBody.max_tokens,
-          temperature: requestBody.temperature
-        };
-        
-        console.log(JSON.stringify(filteredRequestBody, null, 2));
-      }
-      
-      const response = await fetch(`${this.baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify(requestBody),
-        timeout: 30000 // 30 second timeout for LLM processing
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        if (debugMode) {
-          console.log(`\n=== LLM API Error Response ===`);
-          console.log(`Status: ${response.status} ${response.statusText}`);
-          console.log(`Error (full): ${errorText}`);
-        }
-        throw new Error(`LLM API error: ${response.status} ${response.statusText} - ${errorText}`);
-      }
+      logger.debug(`Sending image to LLM for analysis (providers: ${this.providers.map(p => p.name).join(' -> ')})`);
+
+      const request = { imageBuffer, systemPrompt, userPrompt, debugMode };
+      const { content, provider } = await this.complete(imageBuffer, systemPrompt, userPrompt, debugMode);
 
-      const data = await response.json();
-      
-      if (debugMode) {
-        console.log('\n=== LLM API Success Response ===');
-        console.log(`Response ID: ${data.id}`);
-        console.log(`Model: ${data.model}`);
-        console.log(`Usage: ${JSON.stringify(data.usage)}`);
-        console.log(`Response content (FULL):`);
-        const content = data.choices[0].message.content;
-        console.log(content);
-        console.log('=== End LLM Debug ===\n');
-      }
-      
       // Reset retry count on success
       this.retryCount = 0;
-      
-      logger.debug(`LLM analysis completed successfully`);
-      return this.parser.parse(data.choices[0].message.content);
-      
+
+      logger.debug(`LLM analysis completed successfully by ${provider.name} (${provider.model})`);
+      const analysis = await this.conform(content, provider, request);
+      analysis.provider = { name: provider.name, type: provider.type, model: provider.model };
+      return analysis;
+
     } catch (error) {
       this.retryCount++;
       logger.error(`LLM analysis failed (attempt ${this.retryCount}/${this.maxRetries}): ${error.message}`);
-      
+
       if (this.retryCount >= this.maxRetries) {
+        this.retryCount = 0;
         throw new Error(`Max retries (${this.maxRetries}) exceeded for LLM analysis`);
       }
-      
+
       // Wait before retrying
       await new Promise(resolve => setTimeout(resolve, this.retryDelay));
       return this.analyzeImage(imageBuffer, systemPrompt, userPrompt, debugMode); // Retry
     }
   }
 
-  // Test connection to LLM API
+  /**
+   * Turn a reply into an analysis: validate it against the schema, re-prompt the provider with
+   * the errors while attempts remain, then fall back to the lenient parser
+   */
+  async conform(content, provider, { imageBuffer, systemPrompt, userPrompt, debugMode }) {
+    this.stats.responses++;
+    const followUps = [];
+    let reply = content;
+    let errors = [];
+
+    for (let repairs = 0; ; repairs++) {
+      const result = this.parser.parseStrict(reply);
+      errors = result.errors;
+
+      if (errors.length === 0) {
+        this.stats[repairs === 0 ? 'valid' : 'repaired']++;
+        if (repairs > 0) {
+          logger.info(`LLM response from ${provider.name} repaired after ${repairs} re-prompt(s)`);
+        }
+        const analysis = this.parser.normalize(result.value);
+        analysis.validation = { result: repairs === 0 ? 'valid' : 'repaired', repairs, errors: [] };
+        return analysis;
+      }
+
+      logger.warn(`LLM response from ${provider.name} does not match the analysis schema: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`);
+      if (repairs >= config.llmRepairAttempts) {
+        break;
+      }
+
+      this.stats.repairAttempts++;
+      followUps.push(
+        { role: 'assistant', content: reply },
+        { role: 'user', content: prompts.getRepairPrompt(errors) }
+      );
+      const stopTimer = metrics.llmRequestDuration.startTimer({ provider: provider.name });
+      try {
+        reply = await provider.complete(imageBuffer, systemPrompt, userPrompt, debugMode, { schema: analysisSchema, followUps });
+        stopTimer({ outcome: 'success' });
+      } catch (error) {
+        stopTimer({ outcome: 'error' });
+        logger.warn(`LLM repair request to ${provider.name} failed: ${error.message}`);
+        break;
+      }
+    }
+
+    // Lenient parse of the last reply
+    const analysis = this.parser.parse(reply);
+    const failed = Boolean(analysis.parse_error);
+    this.stats[failed ? 'parseFailures' : 'fallbacks']++;
+    analysis.validation = {
+      result: failed ? 'failed' : 'fallback',
+      repairs: followUps.length / 2,
+      errors
+    };
+    return analysis;
+  }
+
+  /**
+   * Try providers in order, skipping ones that failed within LLM_PROVIDER_COOLDOWN
+   * (unless all of them did)
+   * @returns {Promise<Object>} { content, provider }
+   */
+  async complete(imageBuffer, systemPrompt, userPrompt, debugMode = false) {
+    const available = this.providers.filter(provider => provider.isAvailable());
+    const candidates = available.length > 0 ? available : this.providers;
+    const errors = [];
+
+    for (const [index, provider] of candidates.entries()) {
+      const stopTimer = metrics.llmRequestDuration.startTimer({ provider: provider.name });
+      const startTime = Date.now();
+      try {
+        const content = await provider.complete(imageBuffer, systemPrompt, userPrompt, debugMode, { schema: analysisSchema });
+        stopTimer({ outcome: 'success' });
+        provider.markSuccess(Date.now() - startTime);
+        return { content, provider };
+      } catch (error) {
+        stopTimer({ outcome: 'error' });
+        provider.markFailure(error);
+        errors.push(error.message);
+        const next = candidates[index + 1];
+        logger.warn(`LLM provider ${provider.name} failed: ${error.message}${next ? ` - falling back to ${next.name}` : ''}`);
+      }
+    }
+
+    throw new Error(errors.length === 1 ? errors[0] : `All LLM providers failed: ${errors.join('; ')}`);
+  }
+
+  /**
+   * Provider chain with health state (for status output)
+   */
+  getProviders() {
+    return this.providers.map(provider => provider.describe());
+  }
+
+  // Test connection to every provider; true when at least one answers
   async testConnection() {
-    try {
-      logger.info(`Testing connection to LLM API at ${this.baseUrl}`);
-      
-      const response = await fetch(`${this.baseUrl}/models`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        timeout: 5000
-      });
-      
-      if (response.ok) {
-        const data = await response.json();
-        logger.info(`LLM API connection successful. Available models: ${data.data?.length || 0}`);
-        return true;
-      } else {
-        logger.warn(`LLM API connection test failed (HTTP ${response.status})`);
-        return false;
+    let connected = false;
+    for (const provider of this.providers) {
+      try {
+        logger.info(`Testing connection to LLM provider ${provider.name} at ${provider.url}`);
+        await provider.testConnection();
+        logger.info(`LLM provider ${provider.name}: CONNECTED (model: ${provider.model})`);
+        connected = true;
+      } catch (error) {
+        provider.markFailure(error);
+        logger.warn(`LLM provider ${provider.name} connection test failed: ${error.message}`);
       }
-    } catch (error) {
-      logger.error(`LLM API connection test failed: ${error.message}`);
-      return false;
     }
+    return connected;
   }
 }
 
-module.exports = LLMClient;
\ No newline at end of file
+module.exports = LLMClient;
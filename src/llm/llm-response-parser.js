@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { validateAnalysis } = require('./analysis-schema');
 
 class LLMResponseParser {
   constructor() {
@@ -13,32 +14,9 @@ class LLMResponseParser {
     try {
       logger.debug(`Parsing LLM response (full): ${responseText}`);
       
-      // Extract JSON from response (LLM might wrap it in markdown or add text)
-      let jsonStr = responseText;
+      const parsed = JSON.parse(this.extractJson(responseText));
       
-      // Try to extract JSON from markdown code blocks
-      const jsonMatch = responseText.match(/```json\n([\s\S]*?)\n```/) || 
-                       responseText.match(/```\n([\s\S]*?)\n```/);
-      
-      if (jsonMatch) {
-        jsonStr = jsonMatch[1];
-      } else {
-        // Try to find JSON object in the text
-        const jsonObjectMatch = responseText.match(/{[\s\S]*}/);
-        if (jsonObjectMatch) {
-          jsonStr = jsonObjectMatch[0];
-        }
-      }
-      
-      const parsed = JSON.parse(jsonStr);
-      
-      // Transform the response to our expected format
-      const transformed = this.transform(parsed);
-      
-      // Validate and normalize the response structure
-      this.validateAndNormalize(transformed);
-      
-      return transformed;
+      return this.normalize(parsed);
       
     } catch (error) {
       logger.error(`Failed to parse LLM response: ${error.message}`);
@@ -55,6 +33,45 @@ class LLMResponseParser {
     }
   }
 
+  /**
+   * Parse a response and check it against the analysis schema, without any guessing
+   * @returns {Object} { value, errors } - errors is empty when the response conforms
+   */
+  parseStrict(responseText) {
+    let value;
+    try {
+      value = JSON.parse(this.extractJson(responseText));
+    } catch (error) {
+      return { value: null, errors: [`response is not valid JSON (${error.message})`] };
+    }
+    return { value, errors: validateAnalysis(value) };
+  }
+
+  // Extract JSON from response (LLM might wrap it in markdown or add text)
+  extractJson(responseText) {
+    // Try to extract JSON from markdown code blocks
+    const jsonMatch = responseText.match(/```json\n([\s\S]*?)\n```/) || 
+                     responseText.match(/```\n([\s\S]*?)\n```/);
+    
+    if (jsonMatch) {
+      return jsonMatch[1];
+    }
+    
+    // Try to find JSON object in the text
+    const jsonObjectMatch = responseText.match(/{[\s\S]*}/);
+    return jsonObjectMatch ? jsonObjectMatch[0] : responseText;
+  }
+
+  normalize(parsed) {
+    // Transform the response to our expected format
+    const transformed = this.transform(parsed);
+    
+    // Validate and normalize the response structure
+    this.validateAndNormalize(transformed);
+    
+    return transformed;
+  }
+
   transform(parsed) {
     // Handle different response formats
     const result = {
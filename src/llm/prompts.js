@@ -1,94 +1,181 @@
-const prompts = {
-  systemPrompt: `You are a 3D printing expert analyzing print quality from camera images.
-Analyze the provided image and identify:
-
-1. Visible objects/components in the print bed - ALWAYS identify at least the main printed object if visible
-2. Any potential printing issues or anomalies
-3. Provide bounding boxes for each identified item (format: [x1, y1, x2, y2] where coordinates are 0-1 normalized)
-4. Rate confidence for each detection (0-1)
-5. This is a still image from a video, so consider there might be motion blur from movement, that's ok
-6. You may identify printer components (print head, bed, frame) if they help understand the print context, but focus on the printed object
-7. Make sure to give a final recommendation in overall status to explain if this print is bad enough to be paused for human evaluation
-
-IMPORTANT: You MUST return ONLY valid JSON with this exact structure:
-{
-  "objects": [
-    {
-      "bounding_box": [0.1, 0.2, 0.3, 0.4],
-      "description": "Print head moving across bed",
-      "confidence": 0.95
-    }
-  ],
-  "problems": [
-    {
-      "bounding_box": [0.5, 0.6, 0.7, 0.8],
-      "issue": "Layer shifting",
-      "reason": "Visible misalignment in print layers",
-      "confidence": 0.85
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Prompts
+ * Prompt text lives in template files: src/llm/templates, or the same file names in
+ * LLM_PROMPTS_DIR to replace any of them. Templates are read on every use, so edits apply
+ * to the next frame.
+ *
+ * Template syntax:
+ *   {{name}}                 variable ('' when not set)
+ *   {{#name}}...{{/name}}    section rendered when the variable is set
+ *   {{^name}}...{{/name}}    section rendered when it is not
+ *
+ * User prompts get {{printContext}} (context.txt rendered with the print job variables of
+ * printContextVariables) when a printer status is passed in and LLM_PRINT_CONTEXT is on.
+ */
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+
+function readTemplate(name) {
+  const file = `${name}.txt`;
+  if (config.llmPromptsDir) {
+    const customFile = path.resolve(config.llmPromptsDir, file);
+    try {
+      return fs.readFileSync(customFile, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Cannot read prompt template ${customFile}, using the built-in one: ${error.message}`);
+      }
     }
-  ],
-  "overall_status": "good|warning|critical"
+  }
+  return fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8');
 }
 
-Do not include any other text, explanations, or markdown formatting. Only the JSON object.
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '' && value !== false;
+}
 
-For bounding boxes:
-- Use normalized coordinates [0-1] where [0,0] is top-left and [1,1] is bottom-right
-- Format: [x1, y1, x2, y2] where x1,y1 is top-left and x2,y2 is bottom-right
-- Only include bounding boxes for clearly identifiable items/issues
+function renderTemplate(template, variables) {
+  return template
+    // Section tags on a line of their own take the line with them
+    .replace(/^[ \t]*({{[#^/]\w+}})[ \t]*\r?\n/gm, '$1')
+    .replace(/{{([#^])(\w+)}}([\s\S]*?){{\/\2}}/g, (match, kind, name, body) =>
+      (isSet(variables[name]) === (kind === '#') ? renderTemplate(body, variables) : ''))
+    .replace(/{{(\w+)}}/g, (match, name) => (isSet(variables[name]) ? String(variables[name]) : ''));
+}
 
-For confidence scores:
-- 0.9-1.0: Very confident (clear visual evidence)
-- 0.7-0.89: Confident (good evidence)
-- 0.5-0.69: Somewhat confident (possible issue)
-- Below 0.5: Not confident enough to report
+function render(name, variables = {}) {
+  return renderTemplate(readTemplate(name), variables).trim();
+}
 
-For overall_status:
-- "good": No issues detected or only minor cosmetic issues
-- "warning": Some issues detected but print may recover
-- "critical": Serious issues that likely require intervention
-- "error": Unable to analyze image properly`,
+function roundTemperature(value) {
+  const number = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(number) ? Math.round(number) : null;
+}
 
-  getUserPrompt: function() {
-    return `Analyze this 3D print image. 
-1. ALWAYS identify visible objects in the print bed (printed object, printer components, etc.)
-2. Identify any printing issues or anomalies
-3. If no printed object is visible, describe what you can see in the image
+/**
+ * Template variables from a formatStatusData() result; empty without print data
+ */
+function printContextVariables(printerStatus) {
+  if (!config.llmPrintContext || !printerStatus || !printerStatus.success) {
+    return {};
+  }
 
-Return only the JSON response, no additional text.`;
+  const { status, progress, time, temperatures, speed } = printerStatus;
+  const variables = {
+    machineStatus: status?.machine?.text,
+    printStatus: status?.print?.text,
+    filename: status?.print?.filename,
+    elapsed: time?.elapsed,
+    remaining: time?.remaining,
+    nozzleTemp: roundTemperature(temperatures?.nozzle?.current),
+    nozzleTarget: roundTemperature(temperatures?.nozzle?.target),
+    bedTemp: roundTemperature(temperatures?.bed?.current),
+    bedTarget: roundTemperature(temperatures?.bed?.target),
+    speed
+  };
+
+  if (progress && progress.totalLayers > 0) {
+    // What the object should look like by now, assuming layers of similar height
+    const fraction = progress.currentLayer / progress.totalLayers;
+    const stage = progress.currentLayer <= 5 ? 'FirstLayers'
+      : fraction < 0.25 ? 'Early'
+        : fraction < 0.9 ? 'Middle'
+          : 'Final';
+    Object.assign(variables, {
+      currentLayer: progress.currentLayer,
+      totalLayers: progress.totalLayers,
+      percent: Number(parseFloat(progress.percent).toFixed(1)),
+      stage: stage.toLowerCase(),
+      [`stage${stage}`]: true
+    });
+  }
+
+  return variables;
+}
+
+/**
+ * Print job variables plus {{printContext}}, the rendered context.txt
+ */
+function contextVariables(printerStatus) {
+  const variables = printContextVariables(printerStatus);
+  const hasJob = isSet(variables.filename) || isSet(variables.currentLayer) || isSet(variables.elapsed);
+  return { ...variables, printContext: hasJob ? render('context', variables) : '' };
+}
+
+function formatAge(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes} min`;
+}
+
+const printTypeFocus = {
+  'resin': 'This is a resin 3D print. Look for issues like: failed supports, layer separation, uncured resin, suction cup effects, and support marks.',
+  'filament': 'This is a filament (FDM) 3D print. Look for issues like: layer adhesion, stringing, warping, under/over extrusion, and bed leveling problems.',
+  'general': 'This is a 3D print. Analyze for general print quality issues.'
+};
+
+const issueFocus = {
+  'warping': 'Focus specifically on warping/lifting from the build plate. Look for corners lifting, uneven first layer adhesion, or thermal contraction issues.',
+  'stringing': 'Focus specifically on stringing/oozing between print moves. Look for thin strands of filament between printed parts.',
+  'layer_shifting': 'Focus specifically on layer alignment issues. Look for misaligned layers, ghosting, or ringing artifacts.',
+  'extrusion': 'Focus specifically on extrusion problems. Look for under-extrusion (gaps, thin walls) or over-extrusion (blobs, rough surfaces).',
+  'adhesion': 'Focus specifically on bed adhesion issues. Look for parts detaching from the build plate or poor first layer bonding.'
+};
+
+const prompts = {
+  get systemPrompt() {
+    return render('system');
   },
 
-  getDetailedPrompt: function(printType = 'general') {
-    const printTypeSpecific = {
-      'resin': 'This is a resin 3D print. Look for issues like: failed supports, layer separation, uncured resin, suction cup effects, and support marks.',
-      'filament': 'This is a filament (FDM) 3D print. Look for issues like: layer adhesion, stringing, warping, under/over extrusion, and bed leveling problems.',
-      'general': 'This is a 3D print. Analyze for general print quality issues.'
-    };
+  /**
+   * @param {Object} printerStatus - formatStatusData() result for print context (optional)
+   */
+  getUserPrompt: function(printerStatus = null) {
+    return render('user', contextVariables(printerStatus));
+  },
 
-    return `Analyze this ${printType} 3D print image. 
-${printTypeSpecific[printType] || printTypeSpecific.general}
+  // Follow-up when a reply does not match the analysis schema
+  getRepairPrompt: function(errors) {
+    return render('repair', { errors: errors.map(error => `- ${error}`).join('\n') });
+  },
 
-Identify:
-1. All visible objects in the print bed
-2. Any printing issues or anomalies
-3. The severity of each issue
+  getDetailedPrompt: function(printType = 'general', printerStatus = null) {
+    return render('detailed', {
+      ...contextVariables(printerStatus),
+      printType,
+      printTypeFocus: printTypeFocus[printType] || printTypeFocus.general
+    });
+  },
 
-Return only the JSON response with objects, problems, and overall_status.`;
+  /**
+   * Multi-image prompt: the references (oldest first), then the current frame
+   * @param {Object[]} references - [{ kind: 'firstLayer'|'lookback', time, layer }] from ReferenceFrames.select()
+   * @param {Object} diff - compareFrames() result against the last reference (optional)
+   */
+  getComparePrompt: function(references, diff = null, printerStatus = null, now = Date.now()) {
+    const lines = references.map((reference, index) => {
+      const name = reference.kind === 'firstLayer' ? 'first-layer reference' : 'earlier frame';
+      const layer = reference.layer !== null && reference.layer !== undefined ? `, layer ${reference.layer}` : '';
+      return `- Image ${index + 1}: ${name}${layer}, ${formatAge(now - reference.time)} ago`;
+    });
+    return render('compare', {
+      ...contextVariables(printerStatus),
+      imageCount: references.length + 1,
+      references: lines.join('\n'),
+      diffImage: references.length,
+      changedPercent: diff ? Math.round(diff.changed * 100) : null,
+      ssim: diff ? diff.ssim.toFixed(2) : null
+    });
   },
 
-  getPromptForIssueType: function(issueType) {
-    const issueFocus = {
-      'warping': 'Focus specifically on warping/lifting from the build plate. Look for corners lifting, uneven first layer adhesion, or thermal contraction issues.',
-      'stringing': 'Focus specifically on stringing/oozing between print moves. Look for thin strands of filament between printed parts.',
-      'layer_shifting': 'Focus specifically on layer alignment issues. Look for misaligned layers, ghosting, or ringing artifacts.',
-      'extrusion': 'Focus specifically on extrusion problems. Look for under-extrusion (gaps, thin walls) or over-extrusion (blobs, rough surfaces).',
-      'adhesion': 'Focus specifically on bed adhesion issues. Look for parts detaching from the build plate or poor first layer bonding.'
-    };
-
-    const focus = issueFocus[issueType] || 'Analyze for general print quality issues.';
-    
-    return `Analyze this 3D print image. ${focus}
-Return only the JSON response with objects, problems, and overall_status.`;
+  getPromptForIssueType: function(issueType, printerStatus = null) {
+    return render('issue', {
+      ...contextVariables(printerStatus),
+      focus: issueFocus[issueType] || 'Analyze for general print quality issues.'
+    });
   },
 
   // Helper to get complete prompt for LLM
@@ -96,23 +183,27 @@ Return only the JSON response with objects, problems, and overall_status.`;
     const {
       printType = 'general',
       focusIssue = null,
-      includeSystemPrompt = true
+      includeSystemPrompt = true,
+      printerStatus = null
     } = options;
 
-    let userPrompt = this.getUserPrompt();
-    
+    let userPrompt = this.getUserPrompt(printerStatus);
+
     if (focusIssue) {
-      userPrompt = this.getPromptForIssueType(focusIssue);
+      userPrompt = this.getPromptForIssueType(focusIssue, printerStatus);
     } else if (printType !== 'general') {
-      userPrompt = this.getDetailedPrompt(printType);
+      userPrompt = this.getDetailedPrompt(printType, printerStatus);
     }
 
     if (includeSystemPrompt) {
       return `${this.systemPrompt}\n\n${userPrompt}`;
     }
-    
+
     return userPrompt;
-  }
+  },
+
+  printContextVariables,
+  renderTemplate
 };
 
-module.exports = prompts;
\ No newline at end of file
+module.exports = prompts;
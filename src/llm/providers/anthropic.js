@@ -0,0 +1,67 @@
+const LLMProvider = require('./provider');
+
+const API_VERSION = '2023-06-01';
+const TOOL_NAME = 'print_analysis';
+
+/**
+ * Anthropic-style Provider
+ * `/messages` with a base64 image block (url including /v1, e.g. https://api.anthropic.com/v1);
+ * structured output through a forced tool call
+ */
+class AnthropicProvider extends LLMProvider {
+  buildRequest(base64Images, systemPrompt, userPrompt, { schema, followUps }) {
+    const body = {
+      model: this.model,
+      max_tokens: 4000,
+      temperature: 0.1,
+      messages: [{
+        role: 'user',
+        content: [
+          ...base64Images.map(base64Image => ({ type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: base64Image } })),
+          { type: 'text', text: userPrompt }
+        ]
+      }, ...followUps]
+    };
+    if (systemPrompt && systemPrompt.trim()) {
+      body.system = systemPrompt;
+    }
+    if (schema) {
+      // The analysis comes back as the input of a tool the model is forced to call
+      body.tools = [{ name: TOOL_NAME, description: 'Report the print analysis', input_schema: schema }];
+      body.tool_choice = { type: 'tool', name: TOOL_NAME };
+    }
+
+    return {
+      url: `${this.url}/messages`,
+      headers: this.headers(),
+      body
+    };
+  }
+
+  parseResponse(data) {
+    const toolUse = (data.content || []).find(block => block.type === 'tool_use' && block.name === TOOL_NAME);
+    if (toolUse) {
+      return JSON.stringify(toolUse.input);
+    }
+    return (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  healthCheckRequest() {
+    return {
+      url: `${this.url}/models`,
+      headers: this.headers()
+    };
+  }
+
+  headers() {
+    return {
+      'x-api-key': this.token,
+      'anthropic-version': API_VERSION
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
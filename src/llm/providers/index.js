@@ -0,0 +1,54 @@
+/**
+ * LLM Providers
+ * Adapters for the APIs the LLM client can fall back between
+ */
+
+const config = require('../../config/config');
+const LLMProvider = require('./provider');
+const OpenAIProvider = require('./openai');
+const OllamaProvider = require('./ollama');
+const AnthropicProvider = require('./anthropic');
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  ollama: OllamaProvider,
+  anthropic: AnthropicProvider
+};
+
+function createProvider(options) {
+  const Provider = PROVIDERS[options.type];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider type '${options.type}' (use ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new Provider(options);
+}
+
+/**
+ * Providers in fallback order from llm.providers / LLM_PROVIDERS; without a chain,
+ * OPENAI_URL / OPENAI_TOKEN / LLM_MODEL as a single OpenAI-compatible provider
+ */
+function createProviderChain(entries = config.llmProviders) {
+  const chain = entries && entries.length > 0
+    ? entries
+    : [{ type: 'openai', url: config.openaiUrl, token: config.openaiToken, model: config.llmModel }];
+
+  const providers = [];
+  for (const entry of chain) {
+    // Names identify providers in logs and metrics; make repeated types unique
+    let name = entry.name || entry.type;
+    for (let n = 2; providers.some(provider => provider.name === name); n++) {
+      name = `${entry.name || entry.type}${n}`;
+    }
+    providers.push(createProvider({ ...entry, name }));
+  }
+  return providers;
+}
+
+module.exports = {
+  LLMProvider,
+  OpenAIProvider,
+  OllamaProvider,
+  AnthropicProvider,
+  createProvider,
+  createProviderChain
+};
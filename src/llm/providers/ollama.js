@@ -0,0 +1,50 @@
+const LLMProvider = require('./provider');
+
+/**
+ * Ollama Provider
+ * Ollama's native `/api/chat` (url without /v1, e.g. http://localhost:11434); structured output
+ * through `format`
+ */
+class OllamaProvider extends LLMProvider {
+  buildRequest(base64Images, systemPrompt, userPrompt, { schema, followUps }) {
+    const messages = [];
+
+    if (systemPrompt && systemPrompt.trim()) {
+      messages.push({ role: 'system', content: systemPrompt });
+    }
+    messages.push({ role: 'user', content: userPrompt, images: base64Images });
+    messages.push(...followUps);
+
+    const body = {
+      model: this.model,
+      messages,
+      stream: false,
+      options: {
+        temperature: 0.1,
+        num_predict: 4000
+      }
+    };
+    if (schema) {
+      body.format = schema;
+    }
+
+    return {
+      url: `${this.url}/api/chat`,
+      headers: this.token ? { 'Authorization': `Bearer ${this.token}` } : {},
+      body
+    };
+  }
+
+  parseResponse(data) {
+    return data.message?.content;
+  }
+
+  healthCheckRequest() {
+    return {
+      url: `${this.url}/api/tags`,
+      headers: this.token ? { 'Authorization': `Bearer ${this.token}` } : {}
+    };
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,60 @@
+const LLMProvider = require('./provider');
+
+/**
+ * OpenAI-compatible Provider
+ * `/chat/completions` with an image_url part (LM Studio, vLLM, llama.cpp server, OpenAI, ...);
+ * structured output through response_format json_schema
+ */
+class OpenAIProvider extends LLMProvider {
+  buildRequest(base64Images, systemPrompt, userPrompt, { schema, followUps }) {
+    const messages = [];
+
+    if (systemPrompt && systemPrompt.trim()) {
+      messages.push({
+        role: 'system',
+        content: systemPrompt
+      });
+    }
+
+    messages.push({
+      role: 'user',
+      content: [
+        { type: 'text', text: userPrompt },
+        ...base64Images.map(base64Image => ({ type: 'image_url', image_url: { url: `data:image/jpeg;base64,${base64Image}` } }))
+      ]
+    });
+    messages.push(...followUps);
+
+    const body = {
+      model: this.model,
+      messages,
+      max_tokens: 4000,
+      temperature: 0.1
+    };
+    if (schema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'print_analysis', strict: true, schema }
+      };
+    }
+
+    return {
+      url: `${this.url}/chat/completions`,
+      headers: { 'Authorization': `Bearer ${this.token}` },
+      body
+    };
+  }
+
+  parseResponse(data) {
+    return data.choices?.[0]?.message?.content;
+  }
+
+  healthCheckRequest() {
+    return {
+      url: `${this.url}/models`,
+      headers: { 'Authorization': `Bearer ${this.token}` }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
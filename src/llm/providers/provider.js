@@ -0,0 +1,185 @@
+const config = require('../../config/config');
+
+/**
+ * LLM Provider
+ * One vision LLM endpoint in the fallback chain. Adapters turn images and prompts into
+ * their API's request (buildRequest) and pull the reply text out of the response
+ * (parseResponse); sending, timeouts and health tracking are shared.
+ */
+class LLMProvider {
+  /**
+   * @param {Object} options - { type, name, url, model, token, timeout, structuredOutput } from llm.providers
+   */
+  constructor(options) {
+    this.type = options.type;
+    this.name = options.name || options.type;
+    this.url = options.url.replace(/\/+$/, '');
+    this.model = options.model || config.llmModel;
+    this.token = options.token || '';
+    this.timeoutMs = options.timeout || null;
+    this.structuredOutputOption = options.structuredOutput ?? null;
+
+    // Failed providers are skipped for LLM_PROVIDER_COOLDOWN ms
+    this.health = {
+      healthy: true,
+      failures: 0, // Consecutive failures
+      lastError: null,
+      lastFailure: null,
+      lastSuccess: null,
+      latency: null // ms of the last successful request
+    };
+  }
+
+  get timeout() {
+    return this.timeoutMs || config.llmTimeout;
+  }
+
+  // Send the response schema to the API (per provider, else LLM_STRUCTURED_OUTPUT)
+  get structuredOutput() {
+    return this.structuredOutputOption ?? config.llmStructuredOutput;
+  }
+
+  /**
+   * @param {Object} options - { schema, followUps }: JSON schema the reply must match (null when
+   *   structured output is off) and further { role, content } turns after the image prompt
+   * @returns {Object} { url, headers, body }
+   */
+  buildRequest(base64Images, systemPrompt, userPrompt, options) {
+    throw new Error(`LLM provider '${this.type}' does not implement buildRequest()`);
+  }
+
+  /**
+   * @returns {string} Reply text
+   */
+  parseResponse(data) {
+    throw new Error(`LLM provider '${this.type}' does not implement parseResponse()`);
+  }
+
+  /**
+   * GET request that succeeds when the endpoint is reachable
+   * @returns {Object} { url, headers }
+   */
+  healthCheckRequest() {
+    throw new Error(`LLM provider '${this.type}' does not implement healthCheckRequest()`);
+  }
+
+  /**
+   * Send one or more images (in prompt order) with prompts and return the reply text
+   * @param {Buffer|Buffer[]} imageBuffer - JPEG frame, or frames for a multi-image request
+   * @param {Object} options - { schema, followUps } (the schema is only sent with structured output on)
+   */
+  async complete(imageBuffer, systemPrompt, userPrompt, debugMode = false, options = {}) {
+    const imageBuffers = [].concat(imageBuffer);
+    const base64Images = imageBuffers.map(buffer => buffer.toString('base64'));
+    const { url, headers, body } = this.buildRequest(base64Images, systemPrompt, userPrompt, {
+      schema: this.structuredOutput ? options.schema || null : null,
+      followUps: options.followUps || []
+    });
+
+    if (debugMode) {
+      console.log('\n=== LLM API Request ===');
+      console.log(`Provider: ${this.name} (${this.type})`);
+      console.log(`URL: ${url}`);
+      console.log(`Model: ${this.model}`);
+      console.log(`System prompt length: ${systemPrompt?.length || 0} chars`);
+      console.log(`User prompt length: ${userPrompt.length} chars`);
+      imageBuffers.forEach((buffer, index) => {
+        console.log(`Image ${index + 1} size: ${buffer.length} bytes (base64: ${base64Images[index].length} chars)`);
+      });
+      console.log('Request body (FULL with base64 filtered):');
+      console.log(JSON.stringify(body, (key, value) => {
+        if (typeof value !== 'string') {
+          return value;
+        }
+        const image = base64Images.find(base64Image => value.endsWith(base64Image));
+        return image ? value.replace(image, '<data>') : value;
+      }, 2));
+    }
+
+    const data = await this.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    }, this.timeout, debugMode);
+
+    const content = this.parseResponse(data);
+    if (debugMode) {
+      console.log('\n=== LLM API Success Response ===');
+      console.log(`Model: ${data.model || this.model}`);
+      console.log(`Response content (FULL):`);
+      console.log(content);
+      console.log('=== End LLM Debug ===\n');
+    }
+    if (!content) {
+      throw new Error(`${this.name} returned an empty response`);
+    }
+    return content;
+  }
+
+  /**
+   * Whether the endpoint answers (used at startup)
+   */
+  async testConnection() {
+    const { url, headers } = this.healthCheckRequest();
+    await this.request(url, { method: 'GET', headers }, 5000);
+    return true;
+  }
+
+  async request(url, options, timeout, debugMode = false) {
+    let response;
+    try {
+      response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeout) });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`${this.name} timed out after ${timeout}ms`);
+      }
+      throw new Error(`${this.name} request failed: ${error.cause?.message || error.message}`);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      if (debugMode) {
+        console.log(`\n=== LLM API Error Response ===`);
+        console.log(`Status: ${response.status} ${response.statusText}`);
+        console.log(`Error (full): ${errorText}`);
+      }
+      throw new Error(`${this.name} API error: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+    return response.json();
+  }
+
+  markSuccess(latency) {
+    this.health.healthy = true;
+    this.health.failures = 0;
+    this.health.lastSuccess = Date.now();
+    this.health.latency = latency;
+  }
+
+  markFailure(error) {
+    this.health.healthy = false;
+    this.health.failures++;
+    this.health.lastFailure = Date.now();
+    this.health.lastError = error.message;
+  }
+
+  /**
+   * Healthy, or failed long enough ago to be tried again
+   */
+  isAvailable(now = Date.now()) {
+    return this.health.healthy || now - this.health.lastFailure >= config.llmProviderCooldown;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      url: this.url,
+      model: this.model,
+      timeout: this.timeout,
+      structuredOutput: this.structuredOutput,
+      ...this.health
+    };
+  }
+}
+
+module.exports = LLMProvider;
@@ -110,6 +110,19 @@ class BaseCommunication {
     throw new Error('formatAlertMessage must be implemented by subclass');
   }
 
+  /**
+   * One line about the reference-frame comparison behind an alert (null for other analyses)
+   */
+  formatReferenceDiff(analysis) {
+    const diff = analysis && analysis.diff;
+    if (!diff) {
+      return null;
+    }
+    const reference = diff.reference === 'firstLayer' ? 'first-layer frame' : 'earlier frame';
+    const layer = diff.referenceLayer !== null && diff.referenceLayer !== undefined ? ` (layer ${diff.referenceLayer})` : '';
+    return `Compared with ${reference}${layer}: ${Math.round(diff.changed * 100)}% of the bed changed, SSIM ${diff.ssim.toFixed(2)}`;
+  }
+
   /**
    * Common method to format problems details (abstract - must be implemented by subclass)
    */
@@ -162,6 +175,87 @@ class BaseCommunication {
     }
   }
 
+  /**
+   * Common print job outcome emoji mapping
+   */
+  getOutcomeEmoji(outcome) {
+    const outcomeEmoji = {
+      'success': '✅',
+      'failed': '❌',
+      'cancelled': '⏹️',
+      'unknown': '❓'
+    };
+    return outcome ? (outcomeEmoji[outcome] || '❓') : '🖨️';
+  }
+
+  /**
+   * Common method to describe one job timeline entry (temperature samples are summarized separately)
+   */
+  formatJobTimelineEntry(entry) {
+    const time = new Date(entry.time).toLocaleTimeString();
+
+    switch (entry.type) {
+      case 'start':
+        return `▶️ ${time} Started`;
+      case 'status': {
+        const progress = entry.progress ? ` (${entry.progress}%)` : '';
+        return `🔄 ${time} ${entry.from || 'Unknown'} → ${entry.to}${progress}`;
+      }
+      case 'verdict': {
+        const issues = entry.problems.length > 0
+          ? entry.problems.map(problem => `${problem.issue} (${Math.round(problem.confidence * 100)}%)`).join(', ')
+          : entry.label || 'no details';
+        return `🔍 ${time} ${entry.detector} ${entry.status}: ${issues}`;
+      }
+      // Detector entries written before the 'verdict' event
+      case 'printguard':
+        return entry.isFailure ? `🛡️ ${time} PrintGuard failure: ${entry.prediction}` : null;
+      case 'llm': {
+        const issues = entry.problems
+          .map(problem => `${problem.issue} (${Math.round(problem.confidence * 100)}%)`)
+          .join(', ');
+        return `🤖 ${time} LLM ${entry.overallStatus}: ${issues}`;
+      }
+      case 'notification':
+        return `🔔 ${time} Notified (${entry.kind}): ${entry.summary}`;
+      case 'end':
+        return `${this.getOutcomeEmoji(entry.outcome)} ${time} Ended: ${entry.outcome}`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Common method to summarize a job's detector problems ("llm 2, printguard 1")
+   */
+  formatJobProblems(job) {
+    const counts = Object.entries(job.counts.problems);
+    if (counts.length === 0) {
+      return 'none';
+    }
+    return counts.map(([detector, count]) => `${detector} ${count}`).join(', ');
+  }
+
+  /**
+   * Common method to summarize a job's temperature samples
+   */
+  formatJobTemperatures(job) {
+    const samples = job.timeline.filter(entry => entry.type === 'temperature');
+    if (samples.length === 0) {
+      return null;
+    }
+
+    const range = (key) => {
+      const values = samples.map(sample => sample[key]).filter(value => typeof value === 'number');
+      if (values.length === 0) {
+        return 'n/a';
+      }
+      return `${Math.min(...values).toFixed(1)}-${Math.max(...values).toFixed(1)}°C`;
+    };
+
+    return `🌡️ Nozzle ${range('nozzle')}, Bed ${range('bed')} (${samples.length} samples)`;
+  }
+
   /**
    * Common method to process status directly (without queue)
    */
@@ -180,7 +274,7 @@ class BaseCommunication {
     const analysis = await this.llmClient.analyzeImage(
       frameBuffer,
       this.prompts.systemPrompt,
-      this.prompts.getUserPrompt(),
+      this.prompts.getUserPrompt(this.printerModule ? this.printerModule.getCachedStatus() : null),
       false // debug mode
     );
 
@@ -233,7 +327,7 @@ class BaseCommunication {
       message += '✅ No problems detected!\n';
     }
 
-    message += `\nAnalysis completed at ${new Date().toLocaleTimeString()}`;
+    message += `\nAnalysis completed at ${new Date().toLocaleTimeString()}${analysis.provider ? ` by ${analysis.provider.name} (${analysis.provider.model})` : ''}`;
     return message;
   }
 
@@ -284,7 +378,7 @@ class BaseCommunication {
       message += '✅ No problems detected in this frame!\n\n';
     }
 
-    message += `Detailed analysis completed at ${new Date().toLocaleTimeString()}`;
+    message += `Detailed analysis completed at ${new Date().toLocaleTimeString()}${analysis.provider ? ` by ${analysis.provider.name} (${analysis.provider.model})` : ''}`;
     return message;
   }
 
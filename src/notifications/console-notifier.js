@@ -1,8 +1,12 @@
 const BaseCommunication = require('./communication');
+const logger = require('../utils/logger');
+const { formatEvidence } = require('../utils/failure-voter');
 
 class ConsoleNotifier extends BaseCommunication {
   constructor() {
     super();
+    this.rl = null; // readline interface, set in interactive mode
+    this.confirmationTimeout = 30000; // Console confirmations expire after 30 seconds
     this.ensureImagesDirectory();
     this.setupCommandHandlers();
   }
@@ -16,6 +20,10 @@ class ConsoleNotifier extends BaseCommunication {
     this.commandHandlers.set('/capture', this.handleCaptureCommand.bind(this));
     this.commandHandlers.set('analyze', this.handleAnalyzeCommand.bind(this));
     this.commandHandlers.set('/analyze', this.handleAnalyzeCommand.bind(this));
+    this.commandHandlers.set('stop', this.handleStopCommand.bind(this));
+    this.commandHandlers.set('/stop', this.handleStopCommand.bind(this));
+    this.commandHandlers.set('history', this.handleHistoryCommand.bind(this));
+    this.commandHandlers.set('/history', this.handleHistoryCommand.bind(this));
   }
 
   async sendAlert(alertData) {
@@ -24,7 +32,8 @@ class ConsoleNotifier extends BaseCommunication {
       problems,
       overallStatus,
       imageBuffer,
-      analysisSummary = null
+      analysisSummary = null,
+      vote = null
     } = alertData;
 
     logger.info(`=== Console Alert - Frame ${frameNumber} ===`);
@@ -32,6 +41,13 @@ class ConsoleNotifier extends BaseCommunication {
     // Display alert message
     this.displayAlertMessage(frameNumber, problems, overallStatus, analysisSummary);
 
+    // Frames behind the temporal vote
+    if (vote) {
+      console.log(`🗳️ Evidence: ${vote.summary}`);
+      formatEvidence(vote).forEach(line => console.log(`   ${line}`));
+      console.log('');
+    }
+
     // Save image if provided
     if (imageBuffer && imageBuffer.length > 0) {
       const imagePath = await this.saveImage(imageBuffer, frameNumber, 'alert');
@@ -79,6 +95,11 @@ class ConsoleNotifier extends BaseCommunication {
 
     if (analysisSummary) {
       console.log(`Objects detected: ${analysisSummary.objectsCount || 0}`);
+
+      const referenceDiff = this.formatReferenceDiff(analysisSummary.analysis);
+      if (referenceDiff) {
+        console.log(`🔍 ${referenceDiff}`);
+      }
     }
 
     console.log(`Time: ${new Date().toLocaleString()}`);
@@ -152,7 +173,7 @@ class ConsoleNotifier extends BaseCommunication {
         console.log(`📁 Location: ${imagePath}`);
         
         // Run PrintGuard analysis if enabled
-        if (printGuardEnabled && printMonitor && printMonitor.printGuard) {
+        if (printGuardEnabled && printMonitor && printMonitor.detectors.isAvailable('printguard')) {
           console.log('\n🔍 Running PrintGuard analysis...');
           try {
             // Get printer status object for PrintGuard
@@ -166,7 +187,7 @@ class ConsoleNotifier extends BaseCommunication {
             }
             
             // Run PrintGuard analysis (force analysis for manual status command)
-            const printGuardResult = await printMonitor.runPrintGuardAnalysis(frameBuffer, 'status', printerStatusObj, true);
+            const printGuardResult = await printMonitor.runPrintGuardAnalysis(frameBuffer, 'status', printerStatusObj);
             if (printGuardResult) {
               console.log(`\n📊 PrintGuard Analysis:`);
               console.log(`   Prediction: ${printGuardResult.finalPrediction.className}`);
@@ -241,7 +262,7 @@ class ConsoleNotifier extends BaseCommunication {
       }
       
       // Run PrintGuard analysis if enabled
-      if (printGuardEnabled && printMonitor && printMonitor.printGuard) {
+      if (printGuardEnabled && printMonitor && printMonitor.detectors.isAvailable('printguard')) {
         console.log('\n🔍 Running PrintGuard analysis...');
         try {
           // Get printer status object for PrintGuard
@@ -255,7 +276,7 @@ class ConsoleNotifier extends BaseCommunication {
           }
           
           // Run PrintGuard analysis (force analysis for manual status command)
-          const printGuardResult = await printMonitor.runPrintGuardAnalysis(result.frameBuffer, 'status', printerStatusObj, true);
+          const printGuardResult = await printMonitor.runPrintGuardAnalysis(result.frameBuffer, 'status', printerStatusObj);
           if (printGuardResult) {
             console.log(`\n📊 PrintGuard Analysis:`);
             console.log(`   Prediction: ${printGuardResult.finalPrediction.className}`);
@@ -520,6 +541,67 @@ class ConsoleNotifier extends BaseCommunication {
     return true;
   }
 
+  // Send temperature anomaly notification
+  async sendTemperatureAnomalyNotification(notificationData) {
+    const {
+      anomaly,
+      printerStatus = null,
+      chartBuffer
+    } = notificationData;
+
+    console.log(`\n🌡️ ===== TEMPERATURE ANOMALY =====`);
+    console.log(`${anomaly.title}`);
+    console.log(`Time: ${new Date(anomaly.time).toLocaleString()}`);
+    console.log(`   ${anomaly.reason}`);
+
+    const temperatures = printerStatus?.temperatures;
+    if (temperatures) {
+      console.log(`\n🌡️ Temperatures:`);
+      console.log(`   Nozzle: ${temperatures.nozzle.current}°C/${temperatures.nozzle.target}°C`);
+      console.log(`   Bed: ${temperatures.bed.current}°C/${temperatures.bed.target}°C`);
+    }
+
+    if (chartBuffer && chartBuffer.length > 0) {
+      const imagePath = await this.saveImage(chartBuffer, anomaly.sensor, 'temperature_anomaly');
+      console.log(`\n📈 Temperature chart saved: ${imagePath}`);
+    }
+
+    console.log(`\n==========================================`);
+    console.log('');
+    return true;
+  }
+
+  // Send layer stall notification
+  async sendLayerStallNotification(notificationData) {
+    const {
+      stall,
+      printerStatus = null,
+      imageBuffer
+    } = notificationData;
+
+    console.log(`\n⏳ ===== LAYER PROGRESS STALLED =====`);
+    console.log(`Time: ${new Date().toLocaleString()}`);
+    if (stall.filename) {
+      console.log(`File: ${stall.filename}`);
+    }
+    console.log(`   Layer ${stall.layer}/${stall.totalLayers} has not advanced for ${Math.round(stall.stalledFor / 60000)} min`);
+    console.log(`   Average layer time: ${Math.round(stall.averageLayerTime / 1000)}s (alert after ${Math.round(stall.threshold / 60000)} min)`);
+    console.log(`   Possible clogged nozzle or firmware hang`);
+
+    if (printerStatus?.status?.print?.text) {
+      console.log(`\n🖨️ Print status: ${printerStatus.status.print.text}`);
+    }
+
+    if (imageBuffer && imageBuffer.length > 0) {
+      const imagePath = await this.saveImage(imageBuffer, stall.layer, 'layer_stall');
+      console.log(`\n📸 Layer stall image saved: ${imagePath}`);
+    }
+
+    console.log(`\n==========================================`);
+    console.log('');
+    return true;
+  }
+
   async handleCaptureCommand(captureInstance, llmClient, prompts, debugMode = false, printMonitor = null) {
     console.log('📸 Capture Command Received');
     console.log('Queuing frame capture request...');
@@ -607,6 +689,106 @@ class ConsoleNotifier extends BaseCommunication {
     }
   }
 
+  async handleStopCommand(captureInstance, llmClient, prompts, debugMode = false, printMonitor = null, printerModule = null) {
+    console.log('⏹️ Stop Print Command Received');
+
+    if (!printerModule) {
+      console.log('⚠️  Printer module not configured');
+      return;
+    }
+
+    const timeoutSeconds = Math.round(this.confirmationTimeout / 1000);
+    console.log('This cancels the current print job. A stopped print cannot be resumed.');
+    const confirmed = await this.askConfirmation(`Type "yes" within ${timeoutSeconds}s to stop the print: `);
+
+    if (confirmed === null) {
+      console.log('⌛ Confirmation expired - print not stopped');
+      return;
+    }
+    if (!confirmed) {
+      console.log('❌ Cancelled - print not stopped');
+      return;
+    }
+
+    try {
+      console.log('Sending stop command to printer...');
+      await printerModule.stopPrint();
+      console.log('✅ Print stopped');
+    } catch (error) {
+      console.log(`❌ Failed to stop print: ${error.message}`);
+    }
+  }
+
+  async handleHistoryCommand(captureInstance, llmClient, prompts, debugMode = false, printMonitor = null, printerModule = null, args = []) {
+    const jobHistory = printMonitor && printMonitor.jobHistory;
+    if (!jobHistory) {
+      console.log('⚠️  Print job history not available');
+      return;
+    }
+
+    // "history <n>" shows one job's timeline
+    if (args.length > 0) {
+      const job = jobHistory.getJob(parseInt(args[0], 10));
+      if (!job) {
+        console.log(`❌ Job not found: ${args[0]}`);
+        return;
+      }
+
+      console.log(`\n=== ${this.getOutcomeEmoji(job.outcome)} ${job.filename} ===`);
+      console.log(`Started:  ${new Date(job.startTime).toLocaleString()}`);
+      console.log(`Duration: ${this.formatUptime(jobHistory.getJobDuration(job))}`);
+      console.log(`Outcome:  ${job.outcome || 'printing'}`);
+      const temperatures = this.formatJobTemperatures(job);
+      if (temperatures) {
+        console.log(temperatures);
+      }
+      console.log('');
+      job.timeline
+        .map(entry => this.formatJobTimelineEntry(entry))
+        .filter(Boolean)
+        .forEach(line => console.log(`  ${line}`));
+      console.log('');
+      return;
+    }
+
+    const jobs = jobHistory.getJobs(10);
+    console.log('\n=== Print History ===');
+    if (jobs.length === 0) {
+      console.log('No print jobs recorded yet');
+      console.log('');
+      return;
+    }
+
+    jobs.forEach((job, index) => {
+      console.log(`${index + 1}. ${this.getOutcomeEmoji(job.outcome)} ${job.filename}`);
+      console.log(`   ${new Date(job.startTime).toLocaleString()} | ${this.formatUptime(jobHistory.getJobDuration(job))} | ${job.outcome || 'printing'}`);
+      console.log(`   Problems: ${this.formatJobProblems(job)} | Notifications: ${job.counts.notifications}`);
+    });
+    console.log('');
+    console.log('Type "history <number>" to see a job timeline');
+    console.log('');
+  }
+
+  // Ask a yes/no question on the console; resolves true/false, or null if it expires
+  askConfirmation(question) {
+    if (!this.rl) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      const controller = new AbortController();
+      const timer = setTimeout(() => {
+        controller.abort();
+        resolve(null);
+      }, this.confirmationTimeout);
+
+      this.rl.question(question, { signal: controller.signal }, (answer) => {
+        clearTimeout(timer);
+        resolve(['y', 'yes'].includes(answer.trim().toLowerCase()));
+      });
+    });
+  }
+
   displayAnalysisResults(analysis, imagePath) {
     console.log('\n=== Detailed Analysis ===');
     console.log(`Image: ${imagePath}`);
@@ -625,6 +807,9 @@ class ConsoleNotifier extends BaseCommunication {
     console.log('  status or /status    - Capture current frame and show AI analysis');
     console.log('  capture or /capture  - Capture and save current frame');
     console.log('  analyze or /analyze  - Capture, save, and show detailed analysis');
+    console.log('  stop or /stop        - Cancel the current print job (asks for confirmation)');
+    console.log('  history or /history  - List recent print jobs (history <n> shows a timeline)');
+    console.log('  printer [name|n]     - List the printers, or switch the printer commands act on');
     console.log('  help or /help        - Show this help message');
     console.log('');
     console.log('Images are saved to: images/ directory');
@@ -639,14 +824,11 @@ class ConsoleNotifier extends BaseCommunication {
   }
 
   async processCommand(command, captureInstance, llmClient, prompts, debugMode = false, printMonitor = null, printerModule = null) {
-    const handler = this.commandHandlers.get(command.toLowerCase());
+    const [name, ...args] = command.split(/\s+/);
+    const handler = this.commandHandlers.get(name.toLowerCase());
     if (handler) {
-      // Pass printerModule to status command handler
-      if (command.toLowerCase() === 'status' || command.toLowerCase() === '/status') {
-        await handler(captureInstance, llmClient, prompts, debugMode, printMonitor, printerModule);
-      } else {
-        await handler(captureInstance, llmClient, prompts, debugMode, printMonitor);
-      }
+      // Handlers that need the printer (status, stop) take printerModule; command arguments come last
+      await handler(captureInstance, llmClient, prompts, debugMode, printMonitor, printerModule, args);
       return true;
     } else {
       console.log(`❌ Unknown command: ${command}`);
@@ -655,8 +837,33 @@ class ConsoleNotifier extends BaseCommunication {
     }
   }
 
-  // Start interactive console mode
-  startInteractiveMode(captureInstance, llmClient, prompts, debugMode = false, printMonitor = null, printerModule = null) {
+  /**
+   * List the monitored printers, or return the one to switch to
+   * @returns {Object|null} PrintMonitor to switch to
+   */
+  selectPrinter(selector, printMonitors, current) {
+    if (!selector) {
+      printMonitors.forEach((monitor) => {
+        const marker = monitor === current ? '▶' : ' ';
+        console.log(`${marker} ${monitor.printer.index}. ${monitor.printer.name}${monitor.printer.ip ? ` (${monitor.printer.ip})` : ''}`);
+      });
+      return null;
+    }
+
+    const key = selector.trim().toLowerCase();
+    const monitor = /^\d+$/.test(key)
+      ? printMonitors[parseInt(key, 10) - 1]
+      : printMonitors.find(m => m.printer.name === key);
+    if (!monitor) {
+      console.log(`❌ No printer named or numbered "${selector}"`);
+      return null;
+    }
+    console.log(`🖨️  Commands now act on ${monitor.printer.name}`);
+    return monitor;
+  }
+
+  // Start interactive console mode (commands act on one printer; "printer <name>" switches)
+  startInteractiveMode(captureInstance, llmClient, prompts, debugMode = false, printMonitor = null, printerModule = null, printMonitors = []) {
     console.log('\n=== Console Mode Activated ===');
     console.log('Type commands to interact with the print monitor');
     console.log('Type "help" for available commands');
@@ -674,11 +881,13 @@ class ConsoleNotifier extends BaseCommunication {
     console.log('');
 
     const readline = require('readline');
+    const promptFor = (monitor) => printMonitors.length > 1 ? `print-monitor (${monitor.printer.name})> ` : 'print-monitor> ';
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout,
-      prompt: 'print-monitor> '
+      prompt: printMonitor ? promptFor(printMonitor) : 'print-monitor> '
     });
+    this.rl = rl;
 
     rl.prompt();
 
@@ -690,6 +899,19 @@ class ConsoleNotifier extends BaseCommunication {
         return;
       }
 
+      const [name, selector] = command.split(/\s+/);
+      if (name.toLowerCase() === 'printer' && printMonitors.length > 0) {
+        const selected = this.selectPrinter(selector, printMonitors, printMonitor);
+        if (selected) {
+          printMonitor = selected;
+          captureInstance = selected.capture;
+          printerModule = selected.printerModule;
+          rl.setPrompt(promptFor(selected));
+        }
+        rl.prompt();
+        return;
+      }
+
       await this.processCommand(command, captureInstance, llmClient, prompts, debugMode, printMonitor, printerModule);
       rl.prompt();
     }).on('close', () => {
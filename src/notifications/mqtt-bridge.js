@@ -0,0 +1,336 @@
+const mqtt = require('mqtt');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * MQTT Bridge
+ * Publishes printer status, detector verdicts (one topic per detector, named after it) and
+ * camera frames to MQTT, announces them to Home Assistant via MQTT discovery, and maps
+ * command topics to pause/resume.
+ */
+class MqttBridge {
+  constructor(printerModule, options = {}) {
+    this.printerModule = printerModule;
+    this.url = options.url || config.mqttUrl;
+    this.username = options.username ?? config.mqttUsername;
+    this.password = options.password ?? config.mqttPassword;
+    this.discoveryPrefix = options.discoveryPrefix || config.mqttDiscoveryPrefix;
+    this.deviceId = options.deviceId || config.mqttDeviceId ||
+      `elegoo_${(config.printerIP || 'printer').replace(/[^a-zA-Z0-9]/g, '_')}`;
+    this.deviceName = options.deviceName || 'Elegoo Centauri Carbon';
+    this.detectors = options.detectors || []; // [{ name, label }] announced to Home Assistant
+
+    const topicPrefix = options.topicPrefix || config.mqttTopicPrefix;
+    this.baseTopic = `${topicPrefix}/${this.deviceId}`;
+    this.topics = {
+      availability: `${this.baseTopic}/availability`,
+      state: `${this.baseTopic}/state`,
+      camera: `${this.baseTopic}/camera`,
+      command: `${this.baseTopic}/command`,
+      haStatus: `${this.discoveryPrefix}/status`
+    };
+
+    this.client = null;
+    this.lastStatus = null;
+  }
+
+  /**
+   * Connect to the broker; resolves on the first successful connection
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.client = mqtt.connect(this.url, {
+        username: this.username || undefined,
+        password: this.password || undefined,
+        clientId: `${this.deviceId}_${Math.random().toString(16).slice(2, 8)}`,
+        reconnectPeriod: 5000,
+        will: { topic: this.topics.availability, payload: 'offline', retain: true, qos: 1 }
+      });
+
+      let settled = false;
+
+      this.client.on('connect', async () => {
+        logger.info(`MQTT connected to ${this.url} (base topic: ${this.baseTopic})`);
+        try {
+          await this.client.subscribeAsync([this.topics.command, this.topics.haStatus]);
+          await this.publishDiscovery();
+          await this.client.publishAsync(this.topics.availability, 'online', { retain: true, qos: 1 });
+          if (this.lastStatus) {
+            await this.publishStatus(this.lastStatus);
+          }
+        } catch (error) {
+          logger.error(`MQTT setup failed: ${error.message}`);
+        }
+        if (!settled) {
+          settled = true;
+          resolve();
+        }
+      });
+
+      this.client.on('message', (topic, payload) => {
+        this.handleMessage(topic, payload.toString()).catch(error => {
+          logger.error(`MQTT message on ${topic} failed: ${error.message}`);
+        });
+      });
+
+      this.client.on('error', (error) => {
+        logger.warn(`MQTT error: ${error.message}`);
+        if (!settled) {
+          settled = true;
+          reject(error);
+        }
+      });
+
+      this.client.on('offline', () => {
+        logger.warn('MQTT broker offline - reconnecting');
+      });
+
+      if (this.printerModule) {
+        this.printerModule.on('status', (status) => {
+          this.publishStatus(status).catch(error => {
+            logger.debug(`MQTT status publish failed: ${error.message}`);
+          });
+        });
+      }
+    });
+  }
+
+  /**
+   * Mark the device offline and disconnect
+   */
+  async stop() {
+    if (!this.client) {
+      return;
+    }
+    const client = this.client;
+    this.client = null;
+
+    // Publishing while disconnected would wait for a reconnect; the last will covers that case
+    if (client.connected) {
+      try {
+        await client.publishAsync(this.topics.availability, 'offline', { retain: true, qos: 1 });
+      } catch (error) {
+        logger.debug(`MQTT offline publish failed: ${error.message}`);
+      }
+    }
+    await client.endAsync(!client.connected);
+  }
+
+  isConnected() {
+    return !!(this.client && this.client.connected);
+  }
+
+  /**
+   * Handle command topic and Home Assistant birth messages
+   */
+  async handleMessage(topic, payload) {
+    // Home Assistant lost retained discovery (e.g. restarted without persistence)
+    if (topic === this.topics.haStatus) {
+      if (payload === 'online') {
+        await this.publishDiscovery();
+      }
+      return;
+    }
+
+    if (topic !== this.topics.command) {
+      return;
+    }
+
+    const command = payload.trim().toLowerCase();
+    if (!this.printerModule) {
+      logger.warn(`MQTT command '${command}' ignored - printer not configured`);
+      return;
+    }
+
+    if (command === 'pause') {
+      logger.info('Print pause requested via MQTT');
+      await this.printerModule.pausePrint();
+    } else if (command === 'resume') {
+      logger.info('Print resume requested via MQTT');
+      await this.printerModule.resumePrint();
+    } else {
+      logger.warn(`Unknown MQTT command: ${payload}`);
+    }
+  }
+
+  /**
+   * Publish the fields of formatStatusData as one retained JSON state
+   */
+  async publishStatus(status) {
+    if (!status || !status.success) {
+      return;
+    }
+    this.lastStatus = status;
+
+    if (!this.isConnected()) {
+      return;
+    }
+
+    const state = {
+      machine_status: status.status?.machine?.text || null,
+      print_status: status.status?.print?.text || null,
+      filename: status.status?.print?.filename || null,
+      nozzle_temperature: status.temperatures?.nozzle?.current ?? null,
+      nozzle_target: status.temperatures?.nozzle?.target ?? null,
+      bed_temperature: status.temperatures?.bed?.current ?? null,
+      bed_target: status.temperatures?.bed?.target ?? null,
+      progress: status.progress ? parseFloat(status.progress.percent) : null,
+      current_layer: status.progress?.currentLayer ?? null,
+      total_layers: status.progress?.totalLayers ?? null,
+      remaining_time: status.time?.remaining || null,
+      timestamp: status.timestamp
+    };
+
+    await this.client.publishAsync(this.topics.state, JSON.stringify(state), { retain: true });
+  }
+
+  /**
+   * Topic of a detector's verdicts
+   */
+  verdictTopic(detector) {
+    return `${this.baseTopic}/${detector}`;
+  }
+
+  /**
+   * Publish the latest verdict of a detector from its normalized fields
+   */
+  async publishVerdict(verdict) {
+    if (!this.isConnected()) {
+      return;
+    }
+
+    await this.client.publishAsync(this.verdictTopic(verdict.detector), JSON.stringify({
+      verdict: verdict.failure ? 'failure' : 'ok',
+      status: verdict.status,
+      confidence: verdict.confidence,
+      label: verdict.label,
+      problems: verdict.problems.length,
+      frame: verdict.frameNumber,
+      timestamp: verdict.time
+    }), { retain: true });
+  }
+
+  /**
+   * Publish a JPEG frame for the Home Assistant camera entity
+   */
+  async publishFrame(frameBuffer) {
+    if (!this.isConnected() || !frameBuffer) {
+      return;
+    }
+    await this.client.publishAsync(this.topics.camera, frameBuffer, { retain: true });
+  }
+
+  /**
+   * Home Assistant discovery payloads for sensors, detectors, camera and buttons
+   */
+  getDiscoveryEntities() {
+    const sensor = (key, name, extra = {}) => ({
+      component: 'sensor',
+      key,
+      payload: {
+        name,
+        state_topic: this.topics.state,
+        value_template: `{{ value_json.${key} }}`,
+        ...extra
+      }
+    });
+    const temperature = { device_class: 'temperature', unit_of_measurement: '°C', state_class: 'measurement' };
+
+    return [
+      sensor('machine_status', 'Machine Status', { icon: 'mdi:printer-3d' }),
+      sensor('print_status', 'Print Status', { icon: 'mdi:printer-3d-nozzle' }),
+      sensor('filename', 'File', { icon: 'mdi:file' }),
+      sensor('nozzle_temperature', 'Nozzle Temperature', temperature),
+      sensor('nozzle_target', 'Nozzle Target', temperature),
+      sensor('bed_temperature', 'Bed Temperature', temperature),
+      sensor('bed_target', 'Bed Target', temperature),
+      sensor('progress', 'Progress', { unit_of_measurement: '%', icon: 'mdi:progress-clock', state_class: 'measurement' }),
+      sensor('current_layer', 'Current Layer', { icon: 'mdi:layers' }),
+      sensor('total_layers', 'Total Layers', { icon: 'mdi:layers-triple' }),
+      sensor('remaining_time', 'Remaining Time', { icon: 'mdi:timer-sand' }),
+      ...this.detectors.flatMap(detector => this.getDetectorEntities(detector)),
+      {
+        component: 'camera',
+        key: 'camera',
+        payload: {
+          name: 'Camera',
+          topic: this.topics.camera
+        }
+      },
+      {
+        component: 'button',
+        key: 'pause',
+        payload: {
+          name: 'Pause Print',
+          command_topic: this.topics.command,
+          payload_press: 'pause',
+          icon: 'mdi:pause'
+        }
+      },
+      {
+        component: 'button',
+        key: 'resume',
+        payload: {
+          name: 'Resume Print',
+          command_topic: this.topics.command,
+          payload_press: 'resume',
+          icon: 'mdi:play'
+        }
+      }
+    ];
+  }
+
+  /**
+   * Status sensor and failure problem sensor for one detector
+   */
+  getDetectorEntities({ name, label }) {
+    const topic = this.verdictTopic(name);
+    return [
+      {
+        component: 'sensor',
+        key: `${name}_status`,
+        payload: {
+          name: `${label} Status`,
+          state_topic: topic,
+          value_template: '{{ value_json.status }}',
+          json_attributes_topic: topic,
+          icon: 'mdi:robot'
+        }
+      },
+      {
+        component: 'binary_sensor',
+        key: `${name}_failure`,
+        payload: {
+          name: `${label} Failure`,
+          state_topic: topic,
+          value_template: "{{ 'ON' if value_json.verdict == 'failure' else 'OFF' }}",
+          device_class: 'problem'
+        }
+      }
+    ];
+  }
+
+  async publishDiscovery() {
+    const device = {
+      identifiers: [this.deviceId],
+      name: this.deviceName,
+      manufacturer: 'Elegoo',
+      model: 'Centauri Carbon'
+    };
+
+    for (const entity of this.getDiscoveryEntities()) {
+      const topic = `${this.discoveryPrefix}/${entity.component}/${this.deviceId}/${entity.key}/config`;
+      const payload = {
+        ...entity.payload,
+        unique_id: `${this.deviceId}_${entity.key}`,
+        availability_topic: this.topics.availability,
+        device
+      };
+      await this.client.publishAsync(topic, JSON.stringify(payload), { retain: true });
+    }
+
+    logger.info(`Published Home Assistant discovery for ${this.deviceId}`);
+  }
+}
+
+module.exports = MqttBridge;
@@ -1,8 +1,13 @@
+const fs = require('fs');
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const sharp = require('sharp');
 const BaseCommunication = require('./communication');
+const { parsePolygon, formatPolygon, renderCalibrationFrame } = require('../utils/roi');
+const { formatEvidence } = require('../utils/failure-voter');
+const { parseEstimatedPrintTime } = require('../utils/gcode-header');
 
 class TelegramNotifier extends BaseCommunication {
   constructor() {
@@ -12,7 +17,22 @@ class TelegramNotifier extends BaseCommunication {
     this.alertLevel = config.telegramAlertLevel || 'critical'; // 'all', 'warning', 'critical', 'none'
     this.bot = null;
     this.isInitialized = false;
-    this.printerModule = null;
+    this.printMonitors = [];
+    
+    // Inline keyboard callbacks, keyed by the prefix of callback_data
+    this.callbackHandlers = new Map();
+    // Pending "are you sure" prompts, keyed by confirmation id
+    this.pendingConfirmations = new Map();
+    this.confirmationTimeout = 60000; // Confirmations expire after 1 minute
+    // Auto-pause messages whose Undo/Resume button has not been used yet, keyed by action id
+    this.autoPauseActions = new Map();
+    this.maxDownloadSize = 20 * 1024 * 1024; // Telegram Bot API download limit
+    this.fileTransferTimeout = 120000; // Max wait for the printer to verify an upload
+    // /print picker buttons, keyed by the token in their callback_data: { printerIndex, path, created }
+    this.printSelections = new Map();
+    this.printSelectionTimeout = 10 * 60 * 1000;
+    // Slicer estimates read from uploaded G-code, keyed by "<printer index>:<file name>"
+    this.printEstimates = new Map();
     
     this.initialize();
   }
@@ -49,8 +69,11 @@ class TelegramNotifier extends BaseCommunication {
       problems,
       overallStatus,
       imageBuffer,
-      analysisSummary = null
+      analysisSummary = null,
+      printer = null,
+      vote = null
     } = alertData;
+    const chatId = this.getNotificationChatId(printer);
 
     // Check if we should send alert based on alert level
     if (!this.shouldSendAlert(overallStatus)) {
@@ -62,10 +85,11 @@ class TelegramNotifier extends BaseCommunication {
       logger.info(`Sending Telegram alert for frame ${frameNumber} with ${problems.length} problems`);
 
       // Prepare message
-      const message = this.formatAlertMessage(frameNumber, problems, overallStatus, analysisSummary);
+      const message = this.formatPrinterHeader(printer) + this.formatAlertMessage(frameNumber, problems, overallStatus, analysisSummary) +
+        this.formatVoteEvidence(vote);
       
       // Send text message
-      await this.bot.sendMessage(this.chatId, message, {
+      await this.bot.sendMessage(chatId, message, {
         parse_mode: 'HTML',
         disable_web_page_preview: true
       });
@@ -111,7 +135,7 @@ class TelegramNotifier extends BaseCommunication {
             .jpeg({ quality: 80 })
             .toBuffer();
 
-          await this.bot.sendPhoto(this.chatId, resizedImage, {
+          await this.bot.sendPhoto(chatId, resizedImage, {
             caption: caption
           });
           
@@ -125,7 +149,7 @@ class TelegramNotifier extends BaseCommunication {
       // Send detailed problem information
       if (problems.length > 0) {
         const problemsMessage = this.formatProblemsDetails(problems);
-        await this.bot.sendMessage(this.chatId, problemsMessage, {
+        await this.bot.sendMessage(chatId, problemsMessage, {
           parse_mode: 'HTML',
           disable_web_page_preview: true
         });
@@ -151,11 +175,29 @@ class TelegramNotifier extends BaseCommunication {
 
     if (analysisSummary) {
       message += `Objects detected: ${analysisSummary.objectsCount || 0}\n`;
+
+      const referenceDiff = this.formatReferenceDiff(analysisSummary.analysis);
+      if (referenceDiff) {
+        message += `🔍 ${referenceDiff}\n`;
+      }
     }
 
     return message;
   }
 
+  // Frames behind a temporal vote, oldest first
+  formatVoteEvidence(vote) {
+    if (!vote) {
+      return '';
+    }
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    let message = `\n🗳️ <b>Evidence</b>: ${escape(vote.summary)}\n`;
+    formatEvidence(vote).forEach(line => {
+      message += `<code>${escape(line)}</code>\n`;
+    });
+    return message;
+  }
+
   formatProblemsDetails(problems) {
     if (problems.length === 0) {
       return '<i>No specific problems identified</i>';
@@ -258,17 +300,17 @@ class TelegramNotifier extends BaseCommunication {
 
     // Status command
     this.bot.onText(/\/status|status/i, (msg) => {
-      this.handleStatusCommand(msg);
+      this.dispatchToPrinter(msg, 'status', this.handleStatusCommand.bind(this), { allowIndex: true });
     });
 
     // Capture command
     this.bot.onText(/\/capture|capture/i, (msg) => {
-      this.handleCaptureCommand(msg);
+      this.dispatchToPrinter(msg, 'capture', this.handleCaptureCommand.bind(this), { allowIndex: true });
     });
 
     // Analyze command
     this.bot.onText(/\/analyze|analyze/i, (msg) => {
-      this.handleAnalyzeCommand(msg);
+      this.dispatchToPrinter(msg, 'analyze', this.handleAnalyzeCommand.bind(this), { allowIndex: true });
     });
 
     // Start command
@@ -283,32 +325,266 @@ class TelegramNotifier extends BaseCommunication {
 
     // List files command
     this.bot.onText(/\/list|list/i, (msg) => {
-      this.handleListCommand(msg);
+      this.dispatchToPrinter(msg, 'list', this.handleListCommand.bind(this), { allowIndex: true });
     });
 
     // Pause command
     this.bot.onText(/\/pause|pause/i, (msg) => {
-      this.handlePauseCommand(msg);
+      this.dispatchToPrinter(msg, 'pause', this.handlePauseCommand.bind(this), { allowIndex: true, requireSelection: true });
     });
 
     // Resume command
     this.bot.onText(/\/resume|resume/i, (msg) => {
-      this.handleResumeCommand(msg);
+      this.dispatchToPrinter(msg, 'resume', this.handleResumeCommand.bind(this), { allowIndex: true, requireSelection: true });
     });
 
     // Delete command
     this.bot.onText(/\/delete|delete/i, (msg) => {
-      this.handleDeleteCommand(msg);
+      this.dispatchToPrinter(msg, 'delete', this.handleDeleteCommand.bind(this), { requireSelection: true });
     });
 
     // Video command
     this.bot.onText(/\/video|video/i, (msg) => {
-      this.handleVideoCommand(msg);
+      this.dispatchToPrinter(msg, 'video', this.handleVideoCommand.bind(this));
+    });
+
+    // Stop command - anchored so messages that merely contain "stop" never open a stop prompt
+    this.bot.onText(/^\/stop(?:@\w+)?(?:\s+(.+))?$/i, (msg) => {
+      this.dispatchToPrinter(msg, 'stop', this.handleStopCommand.bind(this), { allowIndex: true, requireSelection: true });
+    });
+
+    // Progress command
+    this.bot.onText(/\/progress|progress/i, (msg) => {
+      this.dispatchToPrinter(msg, 'progress', this.handleProgressCommand.bind(this), { allowIndex: true });
+    });
+
+    // ROI command - anchored so words containing "roi" don't trigger it
+    this.bot.onText(/^\/?roi\b/i, (msg) => {
+      this.dispatchToPrinter(msg, 'roi', this.handleRoiCommand.bind(this), { requireSelection: true });
+    });
+
+    // Detectors command - anchored like /roi
+    this.bot.onText(/^\/?detectors\b/i, (msg) => {
+      this.dispatchToPrinter(msg, 'detectors', this.handleDetectorsCommand.bind(this), { requireSelection: true });
+    });
+
+    // History command
+    this.bot.onText(/\/history|history/i, (msg) => {
+      this.dispatchToPrinter(msg, 'history', this.handleHistoryCommand.bind(this));
+    });
+
+    // Print command - anchored so it does not fire on other messages containing "print"
+    this.bot.onText(/^\/print(?:@\w+)?(?:\s+(.+))?$/i, (msg) => {
+      this.dispatchToPrinter(msg, 'print', this.handlePrintCommand.bind(this), { requireSelection: true });
+    });
+
+    // Printers command - overview of every registered printer
+    this.bot.onText(/^\/printers(?:@\w+)?\s*$/i, (msg) => {
+      this.handlePrintersCommand(msg);
+    });
+
+    // G-code documents sent to the bot are uploaded to the printer
+    this.bot.on('document', (msg) => {
+      this.handleDocumentUpload(msg).catch(error => logger.error(`Failed to handle document upload: ${error.message}`));
+    });
+
+    // Inline keyboard button presses
+    this.callbackHandlers.set('confirm', this.handleConfirmationCallback.bind(this));
+    this.callbackHandlers.set('print', this.handlePrintCallback.bind(this));
+    this.callbackHandlers.set('autopause', this.handleAutoPauseUndoCallback.bind(this));
+    this.bot.on('callback_query', (query) => {
+      this.handleCallbackQuery(query);
     });
 
     logger.info('Telegram bot command handlers registered');
   }
 
+  // Chats allowed to control printers: TELEGRAM_CHAT_ID and the per-printer chats
+  isAuthorizedChat(chatId) {
+    const allowed = [this.chatId, ...this.printMonitors.map(monitor => monitor.printer.telegramChatId)]
+      .filter(Boolean)
+      .map(String);
+    return chatId !== undefined && chatId !== null && allowed.includes(String(chatId));
+  }
+
+  // Printer-side name for an uploaded document: no directories, only safe characters
+  sanitizeUploadFilename(name) {
+    const base = String(name || '').split(/[\\/]/).pop();
+    const safe = base.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+/, '').slice(-100);
+    return safe || 'upload.gcode';
+  }
+
+  // Run a printer command against the printer named after it ("/status bench2", "/pause 3").
+  // The selector is removed from the text so handlers parse their own arguments unchanged.
+  // allowIndex: a bare number selects a printer (only for commands without numeric arguments)
+  // requireSelection: with several printers, refuse to guess which one is meant
+  async dispatchToPrinter(msg, command, handler, options = {}) {
+    const { allowIndex = false, requireSelection = false } = options;
+    const chatId = msg.chat.id;
+
+    try {
+      if (!this.isAuthorizedChat(chatId)) {
+        logger.warn(`Ignoring /${command} from unauthorized Telegram chat ${chatId}`);
+        return;
+      }
+
+      if (this.printMonitors.length === 0) {
+        await this.bot.sendMessage(chatId, '⚠️ <b>System Not Ready</b>\nNo printers registered. Please ensure the main application is running.', {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      const text = msg.text || '';
+      const match = text.match(new RegExp(`^(\\/?${command}(?:@\\w+)?)\\s+(\\S+)(.*)$`, 'is'));
+      let printMonitor = null;
+      let commandText = text;
+
+      if (match) {
+        const selector = match[2];
+        const isIndex = /^\d+$/.test(selector);
+        if (!isIndex || allowIndex) {
+          printMonitor = this.findPrintMonitor(selector);
+          if (printMonitor) {
+            commandText = `${match[1]}${match[3]}`;
+          } else if (this.isMultiPrinter()) {
+            await this.bot.sendMessage(chatId, `❓ <b>Unknown printer</b> <code>${selector}</code>\n\n${this.formatPrinterChoices(command)}`, {
+              parse_mode: 'HTML'
+            });
+            return;
+          }
+        }
+      }
+
+      if (!printMonitor) {
+        if (requireSelection && this.isMultiPrinter()) {
+          await this.bot.sendMessage(chatId, `🖨️ <b>Which printer?</b>\n\n${this.formatPrinterChoices(command)}`, {
+            parse_mode: 'HTML'
+          });
+          return;
+        }
+        printMonitor = this.printMonitors[0];
+      }
+
+      await handler({ ...msg, text: commandText }, printMonitor);
+    } catch (error) {
+      logger.error(`Failed to dispatch /${command}: ${error.message}`);
+    }
+  }
+
+  // Printer list (with an example command), shown when a command needs a printer
+  formatPrinterChoices(command = null) {
+    const names = this.printMonitors.map(monitor => `${monitor.printer.index}. <code>${monitor.printer.name}</code>`);
+    let message = `Printers:\n${names.join('\n')}`;
+    if (command) {
+      message += `\n\nExample: <code>/${command} ${this.printMonitors[0].printer.name}</code>`;
+    }
+    return message;
+  }
+
+  // Dispatch inline keyboard presses by callback_data prefix ("prefix:arg1:arg2")
+  async handleCallbackQuery(query) {
+    const [prefix, ...args] = (query.data || '').split(':');
+    const handler = this.callbackHandlers.get(prefix);
+
+    try {
+      if (!this.isAuthorizedChat(query.message && query.message.chat.id)) {
+        logger.warn(`Ignoring button press from unauthorized Telegram chat ${query.message && query.message.chat.id}`);
+        await this.bot.answerCallbackQuery(query.id, { text: 'Not authorized' });
+        return;
+      }
+
+      if (!handler) {
+        await this.bot.answerCallbackQuery(query.id, { text: 'Unknown action' });
+        return;
+      }
+      await handler(query, ...args);
+    } catch (error) {
+      logger.error(`Failed to handle callback query '${query.data}': ${error.message}`);
+    }
+  }
+
+  // Ask for confirmation with Yes/Cancel buttons; onConfirm runs only if confirmed before expiry
+  async requestConfirmation(chatId, message, onConfirm, options = {}) {
+    const {
+      confirmText = '✅ Confirm',
+      cancelText = '❌ Cancel',
+      timeoutMs = this.confirmationTimeout
+    } = options;
+
+    const confirmationId = crypto.randomBytes(6).toString('hex');
+
+    const sent = await this.bot.sendMessage(chatId, message, {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[
+          { text: confirmText, callback_data: `confirm:${confirmationId}:yes` },
+          { text: cancelText, callback_data: `confirm:${confirmationId}:no` }
+        ]]
+      }
+    });
+
+    const timer = setTimeout(() => {
+      this.expireConfirmation(confirmationId);
+    }, timeoutMs);
+
+    this.pendingConfirmations.set(confirmationId, {
+      chatId,
+      messageId: sent.message_id,
+      message,
+      onConfirm,
+      timer
+    });
+
+    return confirmationId;
+  }
+
+  // Handle a Yes/Cancel press on a confirmation prompt
+  async handleConfirmationCallback(query, confirmationId, answer) {
+    const pending = this.pendingConfirmations.get(confirmationId);
+    if (!pending) {
+      await this.bot.answerCallbackQuery(query.id, { text: '⌛ This request has expired' });
+      return;
+    }
+
+    this.pendingConfirmations.delete(confirmationId);
+    clearTimeout(pending.timer);
+
+    const confirmed = answer === 'yes';
+    await this.bot.answerCallbackQuery(query.id, { text: confirmed ? 'Confirmed' : 'Cancelled' });
+
+    // Remove the buttons so the action cannot be triggered twice
+    await this.bot.editMessageText(`${pending.message}\n\n${confirmed ? '✅ <b>Confirmed</b>' : '❌ <b>Cancelled</b>'}`, {
+      chat_id: pending.chatId,
+      message_id: pending.messageId,
+      parse_mode: 'HTML'
+    });
+
+    if (confirmed) {
+      await pending.onConfirm();
+    }
+  }
+
+  // Expire a confirmation prompt that was not answered in time
+  async expireConfirmation(confirmationId) {
+    const pending = this.pendingConfirmations.get(confirmationId);
+    if (!pending) {
+      return;
+    }
+
+    this.pendingConfirmations.delete(confirmationId);
+
+    try {
+      await this.bot.editMessageText(`${pending.message}\n\n⌛ <b>Expired</b> - no action taken`, {
+        chat_id: pending.chatId,
+        message_id: pending.messageId,
+        parse_mode: 'HTML'
+      });
+    } catch (error) {
+      logger.warn(`Failed to mark confirmation as expired: ${error.message}`);
+    }
+  }
+
    // Handle help command
   async handleHelpCommand(msg) {
     const chatId = msg.chat.id;
@@ -321,6 +597,11 @@ Available commands:
 • <code>/status</code> or <code>status</code> - Get current print status with AI analysis
 • <code>/capture</code> or <code>capture</code> - Capture and send current frame
 • <code>/analyze</code> or <code>analyze</code> - Capture, analyze, and send detailed AI analysis
+• <code>/progress</code> or <code>progress</code> - Layer rate, projected finish time and progress sparkline
+• <code>/roi</code> - Show the bed region analyzers crop to, on a frame with a coordinate grid
+• <code>/roi x,y x,y x,y ...</code> - Set the bed region (corners from the grid, 0-1); <code>/roi clear</code> resets it
+• <code>/detectors</code> - List the failure detectors (LLM, PrintGuard) and their cadence
+• <code>/detectors printguard off</code> - Switch a detector off or <code>on</code> until restart
 
 <b>🎥 Video Recording</b>
 • <code>/video</code> or <code>video</code> - Record 5 second video clip (default)
@@ -330,10 +611,25 @@ Available commands:
 <b>📁 File Management</b>
 • <code>/list</code> or <code>list</code> - List all files stored on the printer
 • <code>/delete</code> or <code>delete</code> - Delete files by number (e.g., /delete 1,2,3)
+• <code>/print</code> or <code>print</code> - Pick a file to print from inline buttons
+• <code>/print 3</code> - Start printing file 3 from <code>/list</code> (asks for confirmation)
+• Send a <code>.gcode</code> file to the bot to upload it to the printer (max 20MB)
+
+<b>📚 Print History</b>
+• <code>/history</code> or <code>history</code> - List recent print jobs with their outcome
+• <code>/history 2</code> - Show the timeline of job 2 from the list
 
 <b>⏯️ Print Control</b>
 • <code>/pause</code> or <code>pause</code> - Pause the current print job
 • <code>/resume</code> or <code>resume</code> - Resume a paused print job
+• <code>/stop</code> or <code>stop</code> - Cancel the current print job (asks for confirmation)
+
+<b>🖨️ Multiple Printers</b>
+• <code>/printers</code> - List all printers with their current state
+• Add a printer name or number to a command: <code>/status bench2</code>, <code>/pause 3</code>
+• Commands that take numbers accept only the name: <code>/print bench2 3</code>, <code>/delete bench2 1,2</code>
+• Status commands default to the first printer; print control and file commands ask which printer
+• Send a <code>.gcode</code> file with the printer name as caption to upload it to that printer
 
 <b>🔔 Alert Configuration</b>
 • <code>/alertlevel</code> - Configure automatic notification settings
@@ -401,7 +697,8 @@ Happy printing! 🖨️
   }
 
   // Handle status command - uses queue system
-  async handleStatusCommand(msg) {
+  async handleStatusCommand(msg, printMonitor) {
+    const printerModule = printMonitor.printerModule;
     const chatId = msg.chat.id;
     
     try {
@@ -411,9 +708,9 @@ Happy printing! 🖨️
 
       // First, get printer status immediately if printer module is available
       let printerStatusMessage = '';
-      if (this.printerModule) {
+      if (printerModule) {
         try {
-          const printerStatus = await this.printerModule.getStatusText();
+          const printerStatus = await printerModule.getStatusText();
           printerStatusMessage = `<b>🖨️ Printer Status:</b>\n${printerStatus}`;
           
           // Send printer status immediately
@@ -445,7 +742,7 @@ Happy printing! 🖨️
         });
 
         // Check if we have capture module
-        if (!this.capture) {
+        if (!printMonitor.capture) {
           await this.bot.sendMessage(chatId, '⚠️ <b>System Not Ready</b>\nCapture module not available. Please ensure the main application is running.', {
             parse_mode: 'HTML'
           });
@@ -453,7 +750,7 @@ Happy printing! 🖨️
         }
 
         // Capture frame
-        const frameBuffer = await this.capture.captureFrame();
+        const frameBuffer = await printMonitor.capture.captureFrame();
         if (!frameBuffer) {
           await this.bot.sendMessage(chatId, '❌ <b>Capture Failed</b>\nCould not capture frame from printer. Check connection.', {
             parse_mode: 'HTML'
@@ -476,7 +773,7 @@ Happy printing! 🖨️
         });
         
         // Run PrintGuard analysis if enabled
-        if (config.usePrintGuard && this.printMonitor && this.printMonitor.printGuard) {
+        if (config.usePrintGuard && printMonitor && printMonitor.detectors.isAvailable('printguard')) {
           try {
             await this.bot.sendMessage(chatId, '🔍 <b>Running PrintGuard analysis...</b>', {
               parse_mode: 'HTML'
@@ -484,16 +781,16 @@ Happy printing! 🖨️
             
             // Get printer status object for PrintGuard
             let printerStatusObj = null;
-            if (this.printerModule) {
+            if (printerModule) {
               try {
-                printerStatusObj = await this.printerModule.getStatus();
+                printerStatusObj = await printerModule.getStatus();
               } catch (statusError) {
                 logger.warn(`Could not get printer status for PrintGuard: ${statusError.message}`);
               }
             }
             
             // Run PrintGuard analysis (force analysis for manual status command)
-            const printGuardResult = await this.printMonitor.runPrintGuardAnalysis(frameBuffer, 'telegram_status', printerStatusObj, true);
+            const printGuardResult = await printMonitor.runPrintGuardAnalysis(frameBuffer, 'telegram_status', printerStatusObj);
             if (printGuardResult) {
               const pgMessage = `📊 <b>PrintGuard Analysis:</b>\n` +
                                `   Prediction: <code>${printGuardResult.finalPrediction.className}</code>\n` +
@@ -532,7 +829,7 @@ Happy printing! 🖨️
       });
 
       // Check if we have the required dependencies for LLM analysis
-      if (!this.capture || !this.llmClient || !this.prompts) {
+      if (!printMonitor.capture || !this.llmClient || !this.prompts) {
         await this.bot.sendMessage(chatId, '⚠️ <b>System Not Ready</b>\nCommand handling dependencies not available. Please ensure the main application is running.', {
           parse_mode: 'HTML'
         });
@@ -541,10 +838,10 @@ Happy printing! 🖨️
 
       // Use queue system if available, otherwise fall back to direct processing
       let result;
-      if (this.printMonitor && this.printMonitor.queueLLMRequest) {
+      if (printMonitor && printMonitor.queueLLMRequest) {
         try {
           // Queue the request
-          result = await this.printMonitor.queueLLMRequest('status', {
+          result = await printMonitor.queueLLMRequest('status', {
             source: 'telegram',
             chatId
           });
@@ -560,14 +857,14 @@ Happy printing! 🖨️
           });
           
           // Fall back to direct processing
-          result = await this.processStatusDirectly();
+          result = await this.processStatusDirectly(printMonitor);
         }
       } else {
         // Fall back to direct processing
         await this.bot.sendMessage(chatId, '⚠️ <b>Queue Not Available</b>\nProcessing directly...', {
           parse_mode: 'HTML'
         });
-        result = await this.processStatusDirectly();
+        result = await this.processStatusDirectly(printMonitor);
       }
 
       // Format AI analysis message
@@ -629,7 +926,7 @@ Happy printing! 🖨️
       }
       
       // Run PrintGuard analysis if enabled
-      if (config.usePrintGuard && this.printMonitor && this.printMonitor.printGuard) {
+      if (config.usePrintGuard && printMonitor && printMonitor.detectors.isAvailable('printguard')) {
         try {
           await this.bot.sendMessage(chatId, '🔍 <b>Running PrintGuard analysis...</b>', {
             parse_mode: 'HTML'
@@ -637,16 +934,16 @@ Happy printing! 🖨️
           
           // Get printer status object for PrintGuard
           let printerStatusObj = null;
-          if (this.printerModule) {
+          if (printerModule) {
             try {
-              printerStatusObj = await this.printerModule.getStatus();
+              printerStatusObj = await printerModule.getStatus();
             } catch (statusError) {
               logger.warn(`Could not get printer status for PrintGuard: ${statusError.message}`);
             }
           }
           
           // Run PrintGuard analysis (force analysis for manual status command)
-          const printGuardResult = await this.printMonitor.runPrintGuardAnalysis(result.frameBuffer, 'telegram_status', printerStatusObj, true);
+          const printGuardResult = await printMonitor.runPrintGuardAnalysis(result.frameBuffer, 'telegram_status', printerStatusObj);
           if (printGuardResult) {
             const pgMessage = `📊 <b>PrintGuard Analysis:</b>\n` +
                              `   Prediction: <code>${printGuardResult.finalPrediction.className}</code>\n` +
@@ -685,20 +982,15 @@ Happy printing! 🖨️
   }
 
   // Fallback method for direct processing (without queue)
-  async processStatusDirectly() {
+  async processStatusDirectly(printMonitor) {
     // Capture current frame
-    const frameBuffer = await this.capture.captureFrame();
+    const frameBuffer = await printMonitor.capture.captureFrame();
     if (!frameBuffer) {
       throw new Error('Failed to capture frame');
     }
 
-    // Analyze with LLM
-    const analysis = await this.llmClient.analyzeImage(
-      frameBuffer,
-      this.prompts.systemPrompt,
-      this.prompts.getUserPrompt(),
-      false // debug mode
-    );
+    // Analyze the bed region with LLM
+    const analysis = await printMonitor.analyzeFrame(frameBuffer);
 
     return {
       frameBuffer,
@@ -708,7 +1000,7 @@ Happy printing! 🖨️
   }
 
   // Handle capture command - uses queue system for frame capture
-  async handleCaptureCommand(msg) {
+  async handleCaptureCommand(msg, printMonitor) {
     const chatId = msg.chat.id;
     
     try {
@@ -717,7 +1009,7 @@ Happy printing! 🖨️
       });
 
       // Check if we have the required dependencies
-      if (!this.capture) {
+      if (!printMonitor.capture) {
         await this.bot.sendMessage(chatId, '⚠️ <b>System Not Ready</b>\nCapture module not available. Please ensure the main application is running.', {
           parse_mode: 'HTML'
         });
@@ -726,10 +1018,10 @@ Happy printing! 🖨️
 
       // Use queue system if available, otherwise fall back to direct processing
       let frameBuffer;
-      if (this.printMonitor && this.printMonitor.queueLLMRequest) {
+      if (printMonitor && printMonitor.queueLLMRequest) {
         try {
           // Queue the frame capture request
-          const result = await this.printMonitor.queueLLMRequest('frame', {
+          const result = await printMonitor.queueLLMRequest('frame', {
             source: 'telegram',
             chatId
           });
@@ -746,14 +1038,14 @@ Happy printing! 🖨️
           });
           
           // Fall back to direct capture
-          frameBuffer = await this.capture.captureFrame();
+          frameBuffer = await printMonitor.capture.captureFrame();
         }
       } else {
         // Fall back to direct capture
         await this.bot.sendMessage(chatId, '⚠️ <b>Queue Not Available</b>\nCapturing directly...', {
           parse_mode: 'HTML'
         });
-        frameBuffer = await this.capture.captureFrame();
+        frameBuffer = await printMonitor.capture.captureFrame();
       }
 
       if (!frameBuffer) {
@@ -786,7 +1078,7 @@ Happy printing! 🖨️
   }
 
   // Handle analyze command - uses queue system
-  async handleAnalyzeCommand(msg) {
+  async handleAnalyzeCommand(msg, printMonitor) {
     const chatId = msg.chat.id;
     
     try {
@@ -795,7 +1087,7 @@ Happy printing! 🖨️
       });
 
       // Check if we have the required dependencies
-      if (!this.capture || !this.llmClient || !this.prompts) {
+      if (!printMonitor.capture || !this.llmClient || !this.prompts) {
         await this.bot.sendMessage(chatId, '⚠️ <b>System Not Ready</b>\nAnalysis dependencies not available. Please ensure the main application is running.', {
           parse_mode: 'HTML'
         });
@@ -804,10 +1096,10 @@ Happy printing! 🖨️
 
       // Use queue system if available, otherwise fall back to direct processing
       let result;
-      if (this.printMonitor && this.printMonitor.queueLLMRequest) {
+      if (printMonitor && printMonitor.queueLLMRequest) {
         try {
           // Queue the request
-          result = await this.printMonitor.queueLLMRequest('analyze', {
+          result = await printMonitor.queueLLMRequest('analyze', {
             source: 'telegram',
             chatId
           });
@@ -823,14 +1115,14 @@ Happy printing! 🖨️
           });
           
           // Fall back to direct processing
-          result = await this.processStatusDirectly();
+          result = await this.processStatusDirectly(printMonitor);
         }
       } else {
         // Fall back to direct processing
         await this.bot.sendMessage(chatId, '⚠️ <b>Queue Not Available</b>\nProcessing directly...', {
           parse_mode: 'HTML'
         });
-        result = await this.processStatusDirectly();
+        result = await this.processStatusDirectly(printMonitor);
       }
 
       // Format detailed analysis message
@@ -933,7 +1225,7 @@ Happy printing! 🖨️
       message += '✅ <b>No problems detected!</b>\n';
     }
 
-    message += `\n<i>Analysis completed at ${new Date().toLocaleTimeString()}</i>`;
+    message += `\n<i>Analysis completed at ${new Date().toLocaleTimeString()}${analysis.provider ? ` by ${analysis.provider.name} (${analysis.provider.model})` : ''}</i>`;
     return message;
   }
 
@@ -982,7 +1274,7 @@ Happy printing! 🖨️
       message += '✅ <b>No problems detected in this frame!</b>\n\n';
     }
 
-    message += `<i>Detailed analysis completed at ${new Date().toLocaleTimeString()}</i>`;
+    message += `<i>Detailed analysis completed at ${new Date().toLocaleTimeString()}${analysis.provider ? ` by ${analysis.provider.name} (${analysis.provider.model})` : ''}</i>`;
     return message;
   }
 
@@ -1012,6 +1304,10 @@ Happy printing! 🖨️
   async handleAlertLevelCommand(msg) {
     const chatId = msg.chat.id;
     const text = msg.text || '';
+    if (!this.isAuthorizedChat(chatId)) {
+      logger.warn(`Ignoring /alertlevel from unauthorized Telegram chat ${chatId}`);
+      return;
+    }
     
     // Extract the alert level from the command
     const match = text.match(/\/alertlevel\s+(\w+)/i);
@@ -1158,14 +1454,16 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
       message,
       status,
       previousStatus = null,
-      imageBuffer
+      imageBuffer,
+      printer = null
     } = notificationData;
+    const chatId = this.getNotificationChatId(printer);
 
     try {
       logger.info(`Sending printer status change notification for frame ${frameNumber}`);
 
       // Send the formatted message (which already includes the change info)
-      await this.bot.sendMessage(this.chatId, message, {
+      await this.bot.sendMessage(chatId, this.formatPrinterHeader(printer) + message, {
         parse_mode: 'HTML',
         disable_web_page_preview: true
       });
@@ -1185,7 +1483,7 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
           changeDetails += `   📍 First valid status after startup\n`;
         }
         
-        await this.bot.sendMessage(this.chatId, changeDetails, {
+        await this.bot.sendMessage(chatId, changeDetails, {
           parse_mode: 'HTML',
           disable_web_page_preview: true
         });
@@ -1200,7 +1498,7 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
             .jpeg({ quality: 80 })
             .toBuffer();
 
-          await this.bot.sendPhoto(this.chatId, resizedImage, {
+          await this.bot.sendPhoto(chatId, resizedImage, {
             caption: `🔄 Frame ${frameNumber} - Status Change`
           });
           
@@ -1231,14 +1529,16 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
       message,
       printGuardResult,
       printerStatus = null,
-      imageBuffer
+      imageBuffer,
+      printer = null
     } = notificationData;
+    const chatId = this.getNotificationChatId(printer);
 
     try {
       logger.info(`Sending PrintGuard failure notification for frame ${frameNumber}`);
 
       // Send the main formatted message
-      await this.bot.sendMessage(this.chatId, message, {
+      await this.bot.sendMessage(chatId, this.formatPrinterHeader(printer) + message, {
         parse_mode: 'HTML',
         disable_web_page_preview: true
       });
@@ -1262,7 +1562,7 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
           distancesMessage += `   ${className}: ${distance.toFixed(4)}${marker}\n`;
         });
 
-        await this.bot.sendMessage(this.chatId, analysisDetails + distancesMessage, {
+        await this.bot.sendMessage(chatId, analysisDetails + distancesMessage, {
           parse_mode: 'HTML',
           disable_web_page_preview: true
         });
@@ -1281,7 +1581,7 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
           statusMessage += `   Progress: ${printerStatus.progress.percent}%\n`;
         }
 
-        await this.bot.sendMessage(this.chatId, statusMessage, {
+        await this.bot.sendMessage(chatId, statusMessage, {
           parse_mode: 'HTML',
           disable_web_page_preview: true
         });
@@ -1296,7 +1596,7 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
             .jpeg({ quality: 80 })
             .toBuffer();
 
-          await this.bot.sendPhoto(this.chatId, resizedImage, {
+          await this.bot.sendPhoto(chatId, resizedImage, {
             caption: `🚨 Frame ${frameNumber} - PrintGuard Failure Detected`
           });
           
@@ -1315,130 +1615,1107 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
     }
   }
 
-  // Handle list files command
-  async handleListCommand(msg) {
-    const chatId = msg.chat.id;
+  // Send temperature anomaly alert with a chart of the recent nozzle and bed temperatures
+  async sendTemperatureAnomalyNotification(notificationData) {
+    if (!this.isInitialized) {
+      logger.warn('Telegram notifier not initialized - skipping temperature anomaly notification');
+      return false;
+    }
 
-    try {
-      await this.bot.sendMessage(chatId, '📁 <b>List Files Command Received</b>\nRequesting file list from printer...', {
-        parse_mode: 'HTML'
-      });
+    const {
+      anomaly,
+      printerStatus = null,
+      chartBuffer,
+      printer = null
+    } = notificationData;
+    const chatId = this.getNotificationChatId(printer);
 
-      // Check if printer module is available
-      if (!this.printerModule) {
-        await this.bot.sendMessage(chatId, '⚠️ <b>Printer Not Configured</b>\nPrinter module not available. Please ensure the main application is running.', {
-          parse_mode: 'HTML'
-        });
-        return;
+    try {
+      let message = this.formatPrinterHeader(printer);
+      message += `🌡️ <b>${anomaly.title}</b>\n\n`;
+      message += `${anomaly.reason}\n`;
+
+      const temperatures = printerStatus?.temperatures;
+      if (temperatures) {
+        message += `\nNozzle: ${temperatures.nozzle.current}°C/${temperatures.nozzle.target}°C\n`;
+        message += `Bed: ${temperatures.bed.current}°C/${temperatures.bed.target}°C\n`;
       }
+      if (printerStatus?.status?.print?.filename) {
+        message += `File: <code>${printerStatus.status.print.filename}</code>\n`;
+      }
+      message += `Time: ${new Date(anomaly.time).toLocaleString()}`;
 
-      // Get file list from printer
-      const fileList = await this.printerModule.listFiles();
-
-      // Format and send response (may be multiple messages due to length limits)
-      const messages = this.formatFileList(fileList);
-      for (const message of messages) {
-        await this.bot.sendMessage(chatId, message, {
-          parse_mode: 'HTML',
-          disable_web_page_preview: true
-        });
+      if (chartBuffer && chartBuffer.length > 0) {
+        try {
+          await this.bot.sendPhoto(chatId, chartBuffer, {
+            caption: `🌡️ ${anomaly.title}`
+          }, {
+            filename: 'temperatures.png',
+            contentType: 'image/png'
+          });
+        } catch (imageError) {
+          logger.warn(`Failed to send temperature chart: ${imageError.message}`);
+        }
       }
 
+      await this.bot.sendMessage(chatId, message, { parse_mode: 'HTML' });
+      logger.info(`Temperature anomaly notification sent: ${anomaly.type} (${anomaly.sensor})`);
+      return true;
+
     } catch (error) {
-      logger.error(`Failed to handle list command: ${error.message}`);
-      await this.bot.sendMessage(chatId, `❌ Failed to list files: ${error.message}`, {
-        parse_mode: 'HTML'
-      });
+      logger.error(`Failed to send temperature anomaly notification: ${error.message}`);
+      return false;
     }
   }
 
-  // Handle pause command
-  async handlePauseCommand(msg) {
-    const chatId = msg.chat.id;
+  // Send a finished time-lapse video with its print job summary
+  async sendTimelapseNotification(timelapseData) {
+    if (!this.isInitialized) {
+      logger.warn('Telegram notifier not initialized - skipping time-lapse');
+      return false;
+    }
 
-    try {
-      await this.bot.sendMessage(chatId, '⏸️ <b>Pause Print Command Received</b>\nSending pause command to printer...', {
-        parse_mode: 'HTML'
-      });
+    const {
+      videoFile,
+      frames,
+      filename,
+      job = null,
+      jobHistory = null,
+      printer = null
+    } = timelapseData;
+    const chatId = this.getNotificationChatId(printer);
 
-      // Check if printer module is available
-      if (!this.printerModule) {
-        await this.bot.sendMessage(chatId, '⚠️ <b>Printer Not Configured</b>\nPrinter module not available. Please ensure the main application is running.', {
-          parse_mode: 'HTML'
-        });
-        return;
+    try {
+      let message = this.formatPrinterHeader(printer);
+      message += `🎞️ <b>Time-lapse: ${filename}</b>\n\n`;
+      if (job && jobHistory) {
+        message += `${this.getOutcomeEmoji(job.outcome)} Outcome: ${job.outcome || 'printing'}\n`;
+        message += `📅 Started: ${new Date(job.startTime).toLocaleString()}\n`;
+        message += `⏱️ Duration: ${this.formatUptime(jobHistory.getJobDuration(job))}\n`;
+        message += `🔍 Problems: ${this.formatJobProblems(job)} · 🔔 ${job.counts.notifications} notifications\n`;
+      }
+      message += `🖼️ ${frames} frames`;
+
+      // Telegram bots can send videos up to 50MB
+      const fileSizeMB = fs.statSync(videoFile).size / (1024 * 1024);
+      if (fileSizeMB > 50) {
+        message += `\n\n⚠️ The video is ${fileSizeMB.toFixed(1)}MB, over Telegram's 50MB limit. Saved as <code>${videoFile}</code>`;
+        await this.bot.sendMessage(chatId, message, { parse_mode: 'HTML' });
+        return true;
       }
 
-      // Send pause command
-      const result = await this.printerModule.pausePrint();
-
-      // Send success message
-      await this.bot.sendMessage(chatId, '✅ <b>Print Paused</b>\nThe print job has been paused successfully.', {
+      await this.bot.sendVideo(chatId, videoFile, {
+        caption: message,
         parse_mode: 'HTML'
       });
+      logger.info(`Time-lapse sent for ${filename}`);
+      return true;
 
     } catch (error) {
-      logger.error(`Failed to handle pause command: ${error.message}`);
-      await this.bot.sendMessage(chatId, `❌ Failed to pause print: ${error.message}`, {
-        parse_mode: 'HTML'
-      });
+      logger.error(`Failed to send time-lapse: ${error.message}`);
+      return false;
     }
   }
 
-  // Handle resume command
-  async handleResumeCommand(msg) {
-    const chatId = msg.chat.id;
+  // Send layer stall alert with the current camera frame
+  async sendLayerStallNotification(notificationData) {
+    if (!this.isInitialized) {
+      logger.warn('Telegram notifier not initialized - skipping layer stall notification');
+      return false;
+    }
 
-    try {
-      await this.bot.sendMessage(chatId, '▶️ <b>Resume Print Command Received</b>\nSending resume command to printer...', {
-        parse_mode: 'HTML'
-      });
+    const {
+      stall,
+      printerStatus = null,
+      imageBuffer,
+      printer = null
+    } = notificationData;
+    const chatId = this.getNotificationChatId(printer);
 
-      // Check if printer module is available
-      if (!this.printerModule) {
-        await this.bot.sendMessage(chatId, '⚠️ <b>Printer Not Configured</b>\nPrinter module not available. Please ensure the main application is running.', {
-          parse_mode: 'HTML'
-        });
-        return;
+    try {
+      let message = this.formatPrinterHeader(printer);
+      message += '⏳ <b>Layer Progress Stalled</b>\n\n';
+      message += `Layer ${stall.layer}/${stall.totalLayers} has not advanced for ${Math.round(stall.stalledFor / 60000)} min `;
+      message += `while the printer reports Printing.\n`;
+      message += `Average layer time: ${Math.round(stall.averageLayerTime / 1000)}s (alert after ${Math.round(stall.threshold / 60000)} min)\n`;
+      message += 'Possible clogged nozzle or firmware hang.\n';
+      if (stall.filename) {
+        message += `File: <code>${stall.filename}</code>\n`;
       }
+      if (printerStatus?.status?.print?.text) {
+        message += `Print status: ${printerStatus.status.print.text}\n`;
+      }
+      message += `Time: ${new Date().toLocaleString()}`;
 
-      // Send resume command
-      const result = await this.printerModule.resumePrint();
+      if (imageBuffer && imageBuffer.length > 0) {
+        try {
+          const resizedImage = await sharp(imageBuffer)
+            .resize(800, 600, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 80 })
+            .toBuffer();
 
-      // Send success message
-      await this.bot.sendMessage(chatId, '✅ <b>Print Resumed</b>\nThe print job has been resumed successfully.', {
-        parse_mode: 'HTML'
-      });
+          await this.bot.sendPhoto(chatId, resizedImage, {
+            caption: `⏳ Layer ${stall.layer} stalled`
+          });
+        } catch (imageError) {
+          logger.warn(`Failed to send image with layer stall notification: ${imageError.message}`);
+        }
+      }
+
+      await this.bot.sendMessage(chatId, message, { parse_mode: 'HTML' });
+      logger.info(`Layer stall notification sent for layer ${stall.layer}`);
+      return true;
 
     } catch (error) {
-      logger.error(`Failed to handle resume command: ${error.message}`);
-      await this.bot.sendMessage(chatId, `❌ Failed to resume print: ${error.message}`, {
-        parse_mode: 'HTML'
-      });
+      logger.error(`Failed to send layer stall notification: ${error.message}`);
+      return false;
     }
   }
 
-  // Handle delete command
-  async handleDeleteCommand(msg) {
-    const chatId = msg.chat.id;
-    const text = msg.text || '';
+  // Send auto-pause policy decision explaining which rule fired, with an Undo/Resume button when paused
+  async sendAutoPauseNotification(decisionData) {
+    if (!this.isInitialized) {
+      logger.warn('Telegram notifier not initialized - skipping auto-pause notification');
+      return false;
+    }
+
+    const {
+      description,
+      reason,
+      dryRun,
+      paused,
+      error,
+      filename,
+      frameNumber,
+      imageBuffer,
+      printer = null
+    } = decisionData;
+    const chatId = this.getNotificationChatId(printer);
 
     try {
-      // Parse the command to get file numbers
-      const match = text.match(/\/delete\s+(.+)/i) || text.match(/delete\s+(.+)/i);
-      if (!match) {
-        await this.bot.sendMessage(chatId, '❌ <b>Invalid Format</b>\nUsage: <code>/delete 1,2,3</code> or <code>delete 1 2 3</code>\n\nFirst use <code>/list</code> to see file numbers.', {
-          parse_mode: 'HTML'
-        });
-        return;
+      let message = this.formatPrinterHeader(printer);
+      if (dryRun) {
+        message += '🧪 <b>Auto-Pause Rule Fired (Dry Run)</b>\nThe print was <b>not</b> paused.\n\n';
+      } else if (paused) {
+        message += '⏸️ <b>Print Auto-Paused</b>\n\n';
+      } else {
+        message += '❌ <b>Auto-Pause Failed</b>\n' + `Could not pause the print: ${error}\n\n`;
       }
 
-      const fileNumbers = match[1].split(/[, ]+/).map(n => parseInt(n.trim())).filter(n => !isNaN(n) && n > 0);
+      message += `Rule: ${description}\n`;
+      message += `Why: ${reason}\n`;
+      if (filename) {
+        message += `File: <code>${filename}</code>\n`;
+      }
+      message += `Frame: #${frameNumber}\n`;
+      message += `Time: ${new Date().toLocaleString()}`;
 
-      if (fileNumbers.length === 0) {
-        await this.bot.sendMessage(chatId, '❌ <b>No Valid File Numbers</b>\nPlease specify file numbers to delete (e.g., /delete 1,2,3).', {
-          parse_mode: 'HTML'
-        });
+      // Send the frame that triggered the rule
+      if (imageBuffer && imageBuffer.length > 0) {
+        try {
+          const resizedImage = await sharp(imageBuffer)
+            .resize(800, 600, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 80 })
+            .toBuffer();
+
+          await this.bot.sendPhoto(chatId, resizedImage, {
+            caption: `Frame ${frameNumber} - ${description}`
+          });
+        } catch (imageError) {
+          logger.warn(`Failed to send image with auto-pause notification: ${imageError.message}`);
+        }
+      }
+
+      if (!paused) {
+        await this.bot.sendMessage(chatId, message, { parse_mode: 'HTML' });
+        return true;
+      }
+
+      const actionId = crypto.randomBytes(6).toString('hex');
+      const sent = await this.bot.sendMessage(chatId, message, {
+        parse_mode: 'HTML',
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '↩️ Undo / Resume print', callback_data: `autopause:${actionId}` }
+          ]]
+        }
+      });
+
+      this.autoPauseActions.set(actionId, {
+        chatId,
+        printerIndex: printer ? printer.index : 1,
+        messageId: sent.message_id,
+        message
+      });
+
+      logger.info(`Auto-pause notification sent for frame ${frameNumber}`);
+      return true;
+
+    } catch (error) {
+      logger.error(`Failed to send auto-pause notification: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Handle the Undo/Resume button on an auto-pause message
+  async handleAutoPauseUndoCallback(query, actionId) {
+    const action = this.autoPauseActions.get(actionId);
+    if (!action) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'This print was already resumed' });
+      return;
+    }
+
+    const printMonitor = this.findPrintMonitor(action.printerIndex);
+    const printerModule = printMonitor && printMonitor.printerModule;
+    if (!printerModule) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'Printer module not available' });
+      return;
+    }
+
+    this.autoPauseActions.delete(actionId);
+    await this.bot.answerCallbackQuery(query.id, { text: 'Resuming print...' });
+
+    try {
+      await printerModule.resumePrint();
+
+      // Remove the button so the print cannot be resumed twice from this message
+      await this.bot.editMessageText(`${action.message}\n\n▶️ <b>Resumed</b> at ${new Date().toLocaleTimeString()}`, {
+        chat_id: action.chatId,
+        message_id: action.messageId,
+        parse_mode: 'HTML'
+      });
+    } catch (error) {
+      logger.error(`Failed to resume print after auto-pause: ${error.message}`);
+      // Keep the button available for another attempt
+      this.autoPauseActions.set(actionId, action);
+      await this.bot.sendMessage(action.chatId, `❌ Failed to resume print: ${error.message}`, {
+        parse_mode: 'HTML'
+      });
+    }
+  }
+
+  // Handle printers command - one line block per printer from its cached status
+  async handlePrintersCommand(msg) {
+    const chatId = msg.chat.id;
+
+    try {
+      if (!this.isAuthorizedChat(chatId)) {
+        logger.warn(`Ignoring /printers from unauthorized Telegram chat ${chatId}`);
+        return;
+      }
+
+      if (this.printMonitors.length === 0) {
+        await this.bot.sendMessage(chatId, '⚠️ <b>System Not Ready</b>\nNo printers registered. Please ensure the main application is running.', {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      let message = `🖨️ <b>Printers (${this.printMonitors.length})</b>\n\n`;
+      for (const { printer, printerModule } of this.printMonitors) {
+        message += `<b>${printer.index}. ${printer.name}</b> - <code>${printer.ip || 'camera only'}</code>\n`;
+
+        const status = printerModule ? printerModule.getCachedStatus() : null;
+        if (!printerModule) {
+          message += '   Status: not connected (camera only)\n';
+        } else if (!status || !status.success) {
+          message += '   Status: waiting for first status push\n';
+        } else {
+          message += `   Status: ${status.status.machine.text}\n`;
+          if (status.status.print && status.status.print.filename) {
+            message += `   File: <code>${this.getDisplayFileName(status.status.print.filename)}</code>\n`;
+          }
+          if (status.progress) {
+            message += `   Progress: ${status.progress.percent}% (layer ${status.progress.currentLayer}/${status.progress.totalLayers})\n`;
+          }
+        }
+        message += '\n';
+      }
+      message += '<i>Select a printer with its name or number, e.g. </i><code>/status ' + this.printMonitors[0].printer.name + '</code>';
+
+      await this.bot.sendMessage(chatId, message, {
+        parse_mode: 'HTML'
+      });
+    } catch (error) {
+      logger.error(`Failed to handle printers command: ${error.message}`);
+      await this.bot.sendMessage(chatId, `❌ Failed to list printers: ${error.message}`, {
+        parse_mode: 'HTML'
+      });
+    }
+  }
+
+  async handleProgressCommand(msg, printMonitor) {
+    const chatId = msg.chat.id;
+
+    try {
+      const report = printMonitor.progressTracker.getReport();
+      if (!report) {
+        await this.bot.sendMessage(chatId, this.formatPrinterHeader(printMonitor.printer) + '📈 <b>No Print Progress</b>\nNo print job with layer information has been seen yet.', {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      const formatMinutes = (ms) => {
+        const minutes = Math.round(ms / 60000);
+        return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+      };
+
+      let message = this.formatPrinterHeader(printMonitor.printer);
+      message += '📈 <b>Print Progress</b>\n\n';
+      message += `File: <code>${report.filename}</code>\n`;
+      message += `Layer: ${report.currentLayer}/${report.totalLayers}`;
+      if (report.totalLayers) {
+        message += ` (${((report.currentLayer / report.totalLayers) * 100).toFixed(1)}%)`;
+      }
+      message += '\n';
+
+      if (report.layersPerHour) {
+        message += `Layer rate: ${report.layersPerHour.toFixed(1)} layers/h (${report.rateSource === 'observed' ? 'last 30 min' : 'printer average'})\n`;
+      }
+      if (report.averageLayerTime) {
+        message += `Average layer time: ${Math.round(report.averageLayerTime / 1000)}s\n`;
+      }
+      message += `Last layer change: ${formatMinutes(report.sinceLastLayer)} ago${report.stalled ? ' ⚠️ <b>stalled</b>' : ''}\n`;
+
+      if (report.projectedFinish) {
+        const finish = new Date(report.projectedFinish);
+        message += `\n🏁 Projected finish: ${finish.toLocaleString()} (in ${formatMinutes(report.projectedFinish - Date.now())})\n`;
+      }
+      if (report.printerRemaining) {
+        message += `Printer estimate: ${report.printerRemaining} remaining\n`;
+      }
+
+      if (report.sparkline) {
+        message += `\nLayers over the last ${formatMinutes(report.trackedFor)}:\n<code>${report.sparkline}</code>`;
+      }
+
+      await this.bot.sendMessage(chatId, message, { parse_mode: 'HTML' });
+    } catch (error) {
+      logger.error(`Failed to handle progress command: ${error.message}`);
+      await this.bot.sendMessage(chatId, `❌ Failed to get progress: ${error.message}`, {
+        parse_mode: 'HTML'
+      });
+    }
+  }
+
+  // Show or calibrate the bed ROI: "/roi", "/roi x,y x,y x,y ..." or "/roi clear"
+  async handleRoiCommand(msg, printMonitor) {
+    const chatId = msg.chat.id;
+    const args = (msg.text || '').replace(/^\/?roi(@\w+)?/i, '').trim();
+
+    try {
+      let title = '📐 <b>Bed ROI</b>';
+      if (/^(clear|reset)$/i.test(args)) {
+        await printMonitor.setRoi(null);
+        title = '📐 <b>Bed ROI Cleared</b>';
+      } else if (args) {
+        let polygon;
+        try {
+          polygon = parsePolygon(args);
+        } catch (error) {
+          await this.bot.sendMessage(chatId, `❌ <b>Invalid ROI</b>\n${error.message}\n\nExample: <code>/roi 0.1,0.3 0.9,0.3 0.95,0.95 0.05,0.95</code>`, {
+            parse_mode: 'HTML'
+          });
+          return;
+        }
+        await printMonitor.setRoi(polygon);
+        title = '📐 <b>Bed ROI Saved</b>';
+      }
+
+      const frameBuffer = await printMonitor.capture.captureFrame();
+      const image = await renderCalibrationFrame(frameBuffer, printMonitor.roi);
+
+      let caption = this.formatPrinterHeader(printMonitor.printer) + title + '\n';
+      caption += printMonitor.roi ? `<code>${formatPolygon(printMonitor.roi)}</code>` : 'Full frame (no ROI set)';
+      caption += '\n\nRead the bed corners off the grid and send <code>/roi x,y x,y x,y ...</code>, or <code>/roi clear</code>.';
+
+      await this.bot.sendPhoto(chatId, image, { caption, parse_mode: 'HTML' }, {
+        filename: 'roi.jpg',
+        contentType: 'image/jpeg'
+      });
+    } catch (error) {
+      logger.error(`Failed to handle roi command: ${error.message}`);
+      await this.bot.sendMessage(chatId, `❌ Failed to update ROI: ${error.message}`, {
+        parse_mode: 'HTML'
+      });
+    }
+  }
+
+  // List detectors or switch one: "/detectors" or "/detectors <name> on|off"
+  async handleDetectorsCommand(msg, printMonitor) {
+    const chatId = msg.chat.id;
+    const args = (msg.text || '').replace(/^\/?detectors(@\w+)?/i, '').trim().split(/\s+/).filter(Boolean);
+
+    try {
+      let title = '🔬 <b>Detectors</b>';
+      if (args.length > 0) {
+        const [name, state] = args;
+        if (args.length !== 2 || !/^(on|off|enable|disable)$/i.test(state)) {
+          await this.bot.sendMessage(chatId, '❌ Usage: <code>/detectors</code> or <code>/detectors &lt;name&gt; on|off</code>', {
+            parse_mode: 'HTML'
+          });
+          return;
+        }
+        const detector = printMonitor.detectors.setEnabled(name, /^(on|enable)$/i.test(state));
+        title = `🔬 <b>${detector.label} ${detector.enabled ? 'Enabled' : 'Disabled'}</b>`;
+      }
+
+      let message = this.formatPrinterHeader(printMonitor.printer) + title + '\n\n';
+      const detectors = printMonitor.detectors.list();
+      if (detectors.length === 0) {
+        message += 'No detectors configured (LLM_MODE=disabled, USE_PRINTGUARD=false).';
+      }
+      for (const detector of detectors) {
+        const { name, label, enabled, ready, interval, lastRun } = detector.describe();
+        const icon = !ready ? '⚠️' : (enabled ? '✅' : '⏸️');
+        message += `${icon} <b>${label}</b> (<code>${name}</code>) - `;
+        if (!ready) {
+          message += 'unavailable (failed to initialize)';
+        } else if (!enabled) {
+          message += 'disabled';
+        } else {
+          message += interval ? `every ${Math.round(interval / 1000)}s` : 'every frame';
+        }
+        if (lastRun) {
+          message += `, last run ${new Date(lastRun).toLocaleTimeString()}`;
+        }
+        message += '\n';
+      }
+
+      await this.bot.sendMessage(chatId, message, { parse_mode: 'HTML' });
+    } catch (error) {
+      logger.error(`Failed to handle detectors command: ${error.message}`);
+      // Plain text: the message may echo the detector name the user typed
+      await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+    }
+  }
+
+  // Handle list files command
+  async handleListCommand(msg, printMonitor) {
+    const printerModule = printMonitor.printerModule;
+    const chatId = msg.chat.id;
+
+    try {
+      await this.bot.sendMessage(chatId, '📁 <b>List Files Command Received</b>\nRequesting file list from printer...', {
+        parse_mode: 'HTML'
+      });
+
+      // Check if printer module is available
+      if (!printerModule) {
+        await this.bot.sendMessage(chatId, '⚠️ <b>Printer Not Configured</b>\nPrinter module not available. Please ensure the main application is running.', {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      // Get file list from printer
+      const fileList = await printerModule.listFiles();
+
+      // Format and send response (may be multiple messages due to length limits)
+      const messages = this.formatFileList(fileList);
+      for (const message of messages) {
+        await this.bot.sendMessage(chatId, message, {
+          parse_mode: 'HTML',
+          disable_web_page_preview: true
+        });
+      }
+
+    } catch (error) {
+      logger.error(`Failed to handle list command: ${error.message}`);
+      await this.bot.sendMessage(chatId, `❌ Failed to list files: ${error.message}`, {
+        parse_mode: 'HTML'
+      });
+    }
+  }
+
+  // Handle pause command
+  async handlePauseCommand(msg, printMonitor) {
+    const printerModule = printMonitor.printerModule;
+    const chatId = msg.chat.id;
+
+    try {
+      await this.bot.sendMessage(chatId, '⏸️ <b>Pause Print Command Received</b>\nSending pause command to printer...', {
+        parse_mode: 'HTML'
+      });
+
+      // Check if printer module is available
+      if (!printerModule) {
+        await this.bot.sendMessage(chatId, '⚠️ <b>Printer Not Configured</b>\nPrinter module not available. Please ensure the main application is running.', {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      // Send pause command
+      const result = await printerModule.pausePrint();
+
+      // Send success message
+      await this.bot.sendMessage(chatId, '✅ <b>Print Paused</b>\nThe print job has been paused successfully.', {
+        parse_mode: 'HTML'
+      });
+
+    } catch (error) {
+      logger.error(`Failed to handle pause command: ${error.message}`);
+      await this.bot.sendMessage(chatId, `❌ Failed to pause print: ${error.message}`, {
+        parse_mode: 'HTML'
+      });
+    }
+  }
+
+  // Handle resume command
+  async handleResumeCommand(msg, printMonitor) {
+    const printerModule = printMonitor.printerModule;
+    const chatId = msg.chat.id;
+
+    try {
+      await this.bot.sendMessage(chatId, '▶️ <b>Resume Print Command Received</b>\nSending resume command to printer...', {
+        parse_mode: 'HTML'
+      });
+
+      // Check if printer module is available
+      if (!printerModule) {
+        await this.bot.sendMessage(chatId, '⚠️ <b>Printer Not Configured</b>\nPrinter module not available. Please ensure the main application is running.', {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      // Send resume command
+      const result = await printerModule.resumePrint();
+
+      // Send success message
+      await this.bot.sendMessage(chatId, '✅ <b>Print Resumed</b>\nThe print job has been resumed successfully.', {
+        parse_mode: 'HTML'
+      });
+
+    } catch (error) {
+      logger.error(`Failed to handle resume command: ${error.message}`);
+      await this.bot.sendMessage(chatId, `❌ Failed to resume print: ${error.message}`, {
+        parse_mode: 'HTML'
+      });
+    }
+  }
+
+  // Handle stop command - asks for confirmation before cancelling the print
+  async handleStopCommand(msg, printMonitor) {
+    const printerModule = printMonitor.printerModule;
+    const chatId = msg.chat.id;
+
+    try {
+      // Check if printer module is available
+      if (!printerModule) {
+        await this.bot.sendMessage(chatId, '⚠️ <b>Printer Not Configured</b>\nPrinter module not available. Please ensure the main application is running.', {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      const timeoutSeconds = Math.round(this.confirmationTimeout / 1000);
+      const message = this.formatPrinterHeader(printMonitor.printer) +
+                      '⏹️ <b>Stop Print?</b>\n' +
+                      'This cancels the current print job. A stopped print cannot be resumed.\n\n' +
+                      `<i>This request expires in ${timeoutSeconds} seconds.</i>`;
+
+      await this.requestConfirmation(chatId, message, async () => {
+        try {
+          await this.bot.sendMessage(chatId, '⏹️ <b>Stopping Print</b>\nSending stop command to printer...', {
+            parse_mode: 'HTML'
+          });
+
+          await printerModule.stopPrint();
+
+          await this.bot.sendMessage(chatId, '✅ <b>Print Stopped</b>\nThe print job has been cancelled.', {
+            parse_mode: 'HTML'
+          });
+        } catch (error) {
+          logger.error(`Failed to stop print: ${error.message}`);
+          await this.bot.sendMessage(chatId, `❌ Failed to stop print: ${error.message}`, {
+            parse_mode: 'HTML'
+          });
+        }
+      }, {
+        confirmText: '⏹️ Yes, stop print',
+        cancelText: '❌ Keep printing'
+      });
+
+    } catch (error) {
+      logger.error(`Failed to handle stop command: ${error.message}`);
+      await this.bot.sendMessage(chatId, `❌ Failed to process stop command: ${error.message}`, {
+        parse_mode: 'HTML'
+      });
+    }
+  }
+
+  // Handle print command - "/print" shows a file picker, "/print <n>" starts file n from /list
+  async handlePrintCommand(msg, printMonitor) {
+    const printerModule = printMonitor.printerModule;
+    const chatId = msg.chat.id;
+    const text = msg.text || '';
+
+    try {
+      // Check if printer module is available
+      if (!printerModule) {
+        await this.bot.sendMessage(chatId, '⚠️ <b>Printer Not Configured</b>\nPrinter module not available. Please ensure the main application is running.', {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      const match = text.match(/^\/print(?:@\w+)?\s+(\d+)\s*$/i);
+      if (match) {
+        await this.confirmStartPrint(chatId, printMonitor, parseInt(match[1], 10));
+        return;
+      }
+
+      const fileList = await printerModule.listFiles();
+      const files = fileList.FileList || (fileList.Data && fileList.Data.FileList) || [];
+
+      // Keep the /list numbering so buttons and /print <n> refer to the same files
+      const printable = files
+        .map((file, index) => ({ file, number: index + 1 }))
+        .filter(({ file }) => file.type !== 0);
+
+      if (printable.length === 0) {
+        await this.bot.sendMessage(chatId, '📁 <b>No Printable Files</b>\nNo files found on printer.', {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      // Telegram allows up to 100 inline buttons per message
+      const MAX_BUTTONS = 50;
+      const inlineKeyboard = printable.slice(0, MAX_BUTTONS).map(({ file, number }) => ([{
+        text: `${number}. ${this.getDisplayFileName(file.name || 'Unknown')}`,
+        callback_data: `print:${this.createPrintSelection(printMonitor, file.name)}`
+      }]));
+
+      let message = this.formatPrinterHeader(printMonitor.printer) + '🖨️ <b>Start Print</b>\nChoose a file to print:';
+      if (printable.length > MAX_BUTTONS) {
+        message += `\n\n<i>Showing first ${MAX_BUTTONS} of ${printable.length} files. Use /list and /print &lt;number&gt; for the rest.</i>`;
+      }
+
+      await this.bot.sendMessage(chatId, message, {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: inlineKeyboard }
+      });
+
+    } catch (error) {
+      logger.error(`Failed to handle print command: ${error.message}`);
+      await this.bot.sendMessage(chatId, `❌ Failed to process print command: ${error.message}`, {
+        parse_mode: 'HTML'
+      });
+    }
+  }
+
+  // Remember which file a picker button stands for; callback_data is limited to 64 bytes,
+  // so buttons carry a token instead of the path. Positions would go stale when files change.
+  createPrintSelection(printMonitor, path) {
+    const now = Date.now();
+    for (const [token, selection] of this.printSelections) {
+      if (now - selection.created > this.printSelectionTimeout) {
+        this.printSelections.delete(token);
+      }
+    }
+
+    const token = crypto.randomBytes(6).toString('hex');
+    this.printSelections.set(token, { printerIndex: printMonitor.printer.index, path, created: now });
+    return token;
+  }
+
+  // Handle a file button press from the /print picker
+  async handlePrintCallback(query, token) {
+    const chatId = query.message.chat.id;
+    const selection = this.printSelections.get(token);
+    if (!selection || Date.now() - selection.created > this.printSelectionTimeout) {
+      await this.bot.answerCallbackQuery(query.id, { text: '⌛ This file list has expired - send /print again' });
+      return;
+    }
+    await this.bot.answerCallbackQuery(query.id);
+
+    try {
+      const printMonitor = this.findPrintMonitor(String(selection.printerIndex));
+      if (!printMonitor || !printMonitor.printerModule) {
+        await this.bot.sendMessage(chatId, '⚠️ <b>Printer Not Configured</b>\nThis printer is no longer available.', {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      // The file may have been deleted since the picker was shown
+      const fileList = await printMonitor.printerModule.listFiles();
+      const files = fileList.FileList || (fileList.Data && fileList.Data.FileList) || [];
+      const file = files.find(entry => entry.name === selection.path && entry.type !== 0);
+      if (!file) {
+        await this.bot.sendMessage(chatId, `❌ <b>File Not Found</b>\n<code>${this.getDisplayFileName(selection.path)}</code> is no longer on the printer. Send /print for a fresh list.`, {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      await this.confirmStartPrintFile(chatId, printMonitor, file);
+    } catch (error) {
+      logger.error(`Failed to handle print selection: ${error.message}`);
+      await this.bot.sendMessage(chatId, `❌ Failed to process print command: ${error.message}`, {
+        parse_mode: 'HTML'
+      });
+    }
+  }
+
+  // Check the printer is idle, returning a reason string if it is not
+  async getPrinterBusyReason(printMonitor) {
+    const printerModule = printMonitor.printerModule;
+    const status = await printerModule.getStatus();
+    if (!status.success) {
+      return `Could not read printer status: ${status.error}`;
+    }
+    if (status.status.machine.code !== 0) {
+      return `Printer is not idle (${status.status.machine.text})`;
+    }
+    return null;
+  }
+
+  // Resolve a /list file number and ask to start it
+  async confirmStartPrint(chatId, printMonitor, fileNumber) {
+    const printerModule = printMonitor.printerModule;
+    const fileList = await printerModule.listFiles();
+    const files = fileList.FileList || (fileList.Data && fileList.Data.FileList) || [];
+
+    if (isNaN(fileNumber) || fileNumber < 1 || fileNumber > files.length) {
+      await this.bot.sendMessage(chatId, `❌ <b>Invalid File Number</b>\nValid range: 1-${files.length}\n\nUse <code>/list</code> to see file numbers.`, {
+        parse_mode: 'HTML'
+      });
+      return;
+    }
+
+    const file = files[fileNumber - 1];
+    if (file.type === 0) {
+      await this.bot.sendMessage(chatId, `❌ <b>Not a File</b>\nEntry ${fileNumber} is a folder and cannot be printed.`, {
+        parse_mode: 'HTML'
+      });
+      return;
+    }
+
+    await this.confirmStartPrintFile(chatId, printMonitor, file);
+  }
+
+  // Verify the printer is idle and ask for confirmation before starting a file list entry
+  async confirmStartPrintFile(chatId, printMonitor, file) {
+    const printerModule = printMonitor.printerModule;
+    const busyReason = await this.getPrinterBusyReason(printMonitor);
+    if (busyReason) {
+      await this.bot.sendMessage(chatId, `⚠️ <b>Cannot Start Print</b>\n${busyReason}.`, {
+        parse_mode: 'HTML'
+      });
+      return;
+    }
+
+    const displayName = this.getDisplayFileName(file.name);
+    const estimate = await this.getEstimatedPrintTime(printMonitor, file);
+    const timeoutSeconds = Math.round(this.confirmationTimeout / 1000);
+    const message = this.formatPrinterHeader(printMonitor.printer) +
+                    '🖨️ <b>Start Print?</b>\n' +
+                    `File: <code>${displayName}</code>\n` +
+                    `Estimated time: ${this.formatEstimatedPrintTime(estimate)}\n\n` +
+                    `<i>This request expires in ${timeoutSeconds} seconds.</i>`;
+
+    await this.requestConfirmation(chatId, message, async () => {
+      try {
+        // The printer may have started another job while the prompt was open
+        const reason = await this.getPrinterBusyReason(printMonitor);
+        if (reason) {
+          await this.bot.sendMessage(chatId, `⚠️ <b>Cannot Start Print</b>\n${reason}.`, {
+            parse_mode: 'HTML'
+          });
+          return;
+        }
+
+        await this.bot.sendMessage(chatId, `🖨️ <b>Starting Print</b>\nSending start command for <code>${displayName}</code>...`, {
+          parse_mode: 'HTML'
+        });
+
+        const result = await printerModule.startPrint(file.name);
+        const ack = result && result.Data ? result.Data.Ack : undefined;
+
+        if (ack === 0) {
+          await this.bot.sendMessage(chatId, `✅ <b>Print Started</b>\nNow printing <code>${displayName}</code>.`, {
+            parse_mode: 'HTML'
+          });
+        } else {
+          const reason = ack === undefined ? 'No acknowledgement from printer' : printerModule.getStartPrintAckText(ack);
+          await this.bot.sendMessage(chatId, `❌ <b>Print Not Started</b>\n${reason}.`, {
+            parse_mode: 'HTML'
+          });
+        }
+      } catch (error) {
+        logger.error(`Failed to start print: ${error.message}`);
+        await this.bot.sendMessage(chatId, `❌ Failed to start print: ${error.message}`, {
+          parse_mode: 'HTML'
+        });
+      }
+    }, {
+      confirmText: '🖨️ Yes, start print',
+      cancelText: '❌ Cancel'
+    });
+  }
+
+  // Handle a .gcode document sent to the bot - upload it to the printer and offer to print it
+  async handleDocumentUpload(msg) {
+    const chatId = msg.chat.id;
+    const document = msg.document;
+
+    // Anyone who finds the bot can send it files; only configured chats may print them
+    if (!this.isAuthorizedChat(chatId)) {
+      logger.warn(`Ignoring document from unauthorized Telegram chat ${chatId}`);
+      return;
+    }
+
+    const filename = this.sanitizeUploadFilename(document.file_name);
+
+    if (!/\.gcode$/i.test(filename)) {
+      await this.bot.sendMessage(chatId, '❌ <b>Unsupported File</b>\nOnly <code>.gcode</code> files can be uploaded to the printer.', {
+        parse_mode: 'HTML'
+      });
+      return;
+    }
+
+    if (document.file_size === 0) {
+      await this.bot.sendMessage(chatId, `❌ <b>Empty File</b>\n${filename} has no content. Check the slicer export and send it again.`, {
+        parse_mode: 'HTML'
+      });
+      return;
+    }
+
+    // Telegram bots cannot download files larger than 20MB
+    if (document.file_size && document.file_size > this.maxDownloadSize) {
+      await this.bot.sendMessage(chatId, `❌ <b>File Too Large</b>\n${filename} is ${this.formatFileSize(document.file_size)}. Telegram bots can only download files up to ${this.formatFileSize(this.maxDownloadSize)}.`, {
+        parse_mode: 'HTML'
+      });
+      return;
+    }
+
+    // With several printers the caption names the target printer
+    const selector = (msg.caption || '').trim().split(/\s+/)[0];
+    let printMonitor = selector ? this.findPrintMonitor(selector) : null;
+    if (!printMonitor) {
+      if (this.isMultiPrinter()) {
+        await this.bot.sendMessage(chatId, `🖨️ <b>Which printer?</b>\nSend <code>${filename}</code> again with the printer name as caption.\n\n${this.formatPrinterChoices()}`, {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+      printMonitor = this.printMonitors[0];
+    }
+    const printerModule = printMonitor && printMonitor.printerModule;
+
+    try {
+      // Check if printer module is available
+      if (!printerModule) {
+        await this.bot.sendMessage(chatId, '⚠️ <b>Printer Not Configured</b>\nPrinter module not available. Please ensure the main application is running.', {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      const progressMessage = await this.bot.sendMessage(chatId, `📥 <b>Downloading</b> <code>${filename}</code> from Telegram...`, {
+        parse_mode: 'HTML'
+      });
+
+      const updateProgress = async (text) => {
+        try {
+          await this.bot.editMessageText(text, {
+            chat_id: chatId,
+            message_id: progressMessage.message_id,
+            parse_mode: 'HTML'
+          });
+        } catch (error) {
+          // Telegram rejects edits that do not change the text
+          logger.debug(`Failed to update upload progress: ${error.message}`);
+        }
+      };
+
+      const fileLink = await this.bot.getFileLink(document.file_id);
+      const response = await fetch(fileLink);
+      if (!response.ok) {
+        throw new Error(`Telegram download failed: HTTP ${response.status}`);
+      }
+      const fileBuffer = Buffer.from(await response.arrayBuffer());
+      const estimate = parseEstimatedPrintTime(fileBuffer);
+
+      await printerModule.uploadFile(fileBuffer, filename, async ({ sent, total, percent }) => {
+        const machine = this.getCachedMachineStatusText(printMonitor);
+        await updateProgress(
+          `📤 <b>Uploading</b> <code>${filename}</code>\n` +
+          `${percent}% (${this.formatFileSize(sent)} / ${this.formatFileSize(total)})` +
+          (machine ? `\nPrinter: ${machine}` : '')
+        );
+      });
+
+      // The printer verifies the file after the last chunk and reports "File Transferring" until done
+      await this.waitForFileTransfer(printMonitor, filename, updateProgress);
+      if (estimate) {
+        this.printEstimates.set(`${printMonitor.printer.index}:${filename}`, estimate);
+      }
+
+      await updateProgress(`✅ <b>Upload Complete</b>\n<code>${filename}</code> (${this.formatFileSize(fileBuffer.length)}) is on the printer.`);
+
+      const fileList = await printerModule.listFiles();
+      const files = fileList.FileList || (fileList.Data && fileList.Data.FileList) || [];
+      const uploaded = files.find(file => file.name && file.name.endsWith(`/${filename}`));
+
+      if (!uploaded) {
+        await this.bot.sendMessage(chatId, `⚠️ <b>File Not Listed</b>\n<code>${filename}</code> was uploaded but does not appear in /list yet. Use <code>/print</code> to start it later.`, {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      await this.confirmStartPrintFile(chatId, printMonitor, uploaded);
+
+    } catch (error) {
+      logger.error(`Failed to upload ${filename}: ${error.message}`);
+      await this.bot.sendMessage(chatId, `❌ Failed to upload file: ${error.message}`, {
+        parse_mode: 'HTML'
+      });
+    }
+  }
+
+  // Machine status text from the pushed status snapshot, if any
+  getCachedMachineStatusText(printMonitor) {
+    const printerModule = printMonitor.printerModule;
+    const status = printerModule.getCachedStatus();
+    return status && status.success ? status.status.machine.text : null;
+  }
+
+  // Report progress while the printer shows machine status 2 (File Transferring)
+  async waitForFileTransfer(printMonitor, filename, updateProgress) {
+    const printerModule = printMonitor.printerModule;
+    const deadline = Date.now() + this.fileTransferTimeout;
+
+    while (Date.now() < deadline) {
+      const status = await printerModule.getStatus();
+      if (!status.success || status.status.machine.code !== 2) {
+        return;
+      }
+
+      await updateProgress(`🔄 <b>Verifying</b> <code>${filename}</code>\nPrinter: ${status.status.machine.text}`);
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    logger.warn(`Printer still reports File Transferring for ${filename} after upload`);
+  }
+
+  // Handle history command - "/history" lists recent jobs, "/history <n>" shows one job's timeline
+  async handleHistoryCommand(msg, printMonitor) {
+    const chatId = msg.chat.id;
+    const text = msg.text || '';
+
+    try {
+      const jobHistory = printMonitor && printMonitor.jobHistory;
+      if (!jobHistory) {
+        await this.bot.sendMessage(chatId, '⚠️ <b>History Not Available</b>\nPrint job history requires the main application to be running.', {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      const match = text.match(/history\s+(\d+)/i);
+      if (match) {
+        const job = jobHistory.getJob(parseInt(match[1], 10));
+        if (!job) {
+          await this.bot.sendMessage(chatId, `❌ <b>Job Not Found</b>\nUse <code>/history</code> to see job numbers.`, {
+            parse_mode: 'HTML'
+          });
+          return;
+        }
+
+        await this.bot.sendMessage(chatId, this.formatJobTimeline(job, jobHistory), {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      await this.bot.sendMessage(chatId, this.formatJobList(jobHistory.getJobs(10), jobHistory), {
+        parse_mode: 'HTML'
+      });
+
+    } catch (error) {
+      logger.error(`Failed to handle history command: ${error.message}`);
+      await this.bot.sendMessage(chatId, `❌ Failed to get print history: ${error.message}`, {
+        parse_mode: 'HTML'
+      });
+    }
+  }
+
+  // Format recent print jobs for /history
+  formatJobList(jobs, jobHistory) {
+    if (jobs.length === 0) {
+      return '📚 <b>Print History</b>\n\n<i>No print jobs recorded yet</i>';
+    }
+
+    let message = `📚 <b>Print History (last ${jobs.length})</b>\n\n`;
+
+    jobs.forEach((job, index) => {
+      const outcome = job.outcome || 'printing';
+      message += `<b>${index + 1}. ${this.getOutcomeEmoji(job.outcome)} ${job.filename}</b>\n`;
+      message += `   📅 ${new Date(job.startTime).toLocaleString()} · ⏱️ ${this.formatUptime(jobHistory.getJobDuration(job))} · ${outcome}\n`;
+      message += `   🔍 Problems: ${this.formatJobProblems(job)} · 🔔 ${job.counts.notifications} notifications\n\n`;
+    });
+
+    message += '<i>Use /history followed by a number to see the job timeline (e.g., /history 1)</i>';
+    return message;
+  }
+
+  // Format one job's timeline for /history <n>
+  formatJobTimeline(job, jobHistory) {
+    // Telegram message limit is 4096 characters, keep the most recent entries
+    const MAX_ENTRIES = 40;
+
+    let message = `${this.getOutcomeEmoji(job.outcome)} <b>${job.filename}</b>\n`;
+    message += `Started: ${new Date(job.startTime).toLocaleString()}\n`;
+    message += `Duration: ${this.formatUptime(jobHistory.getJobDuration(job))}\n`;
+    message += `Outcome: ${job.outcome || 'printing'}\n`;
+
+    const temperatures = this.formatJobTemperatures(job);
+    if (temperatures) {
+      message += `${temperatures}\n`;
+    }
+
+    const lines = job.timeline
+      .map(entry => this.formatJobTimelineEntry(entry))
+      .filter(Boolean);
+
+    message += `\n<b>Timeline</b>\n`;
+    if (lines.length > MAX_ENTRIES) {
+      message += `<i>... ${lines.length - MAX_ENTRIES} earlier entries</i>\n`;
+    }
+    message += lines.slice(-MAX_ENTRIES).join('\n');
+
+    return message;
+  }
+
+  // Handle delete command
+  async handleDeleteCommand(msg, printMonitor) {
+    const printerModule = printMonitor.printerModule;
+    const chatId = msg.chat.id;
+    const text = msg.text || '';
+
+    try {
+      // Parse the command to get file numbers
+      const match = text.match(/\/delete\s+(.+)/i) || text.match(/delete\s+(.+)/i);
+      if (!match) {
+        await this.bot.sendMessage(chatId, '❌ <b>Invalid Format</b>\nUsage: <code>/delete 1,2,3</code> or <code>delete 1 2 3</code>\n\nFirst use <code>/list</code> to see file numbers.', {
+          parse_mode: 'HTML'
+        });
+        return;
+      }
+
+      const fileNumbers = match[1].split(/[, ]+/).map(n => parseInt(n.trim())).filter(n => !isNaN(n) && n > 0);
+
+      if (fileNumbers.length === 0) {
+        await this.bot.sendMessage(chatId, '❌ <b>No Valid File Numbers</b>\nPlease specify file numbers to delete (e.g., /delete 1,2,3).', {
+          parse_mode: 'HTML'
+        });
         return;
       }
 
@@ -1447,7 +2724,7 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
       });
 
       // Check if printer module is available
-      if (!this.printerModule) {
+      if (!printerModule) {
         await this.bot.sendMessage(chatId, '⚠️ <b>Printer Not Configured</b>\nPrinter module not available. Please ensure the main application is running.', {
           parse_mode: 'HTML'
         });
@@ -1455,7 +2732,7 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
       }
 
       // First get the current file list to map numbers to file paths
-      const fileList = await this.printerModule.listFiles();
+      const fileList = await printerModule.listFiles();
       const files = fileList.FileList || (fileList.Data && fileList.Data.FileList) || [];
 
       if (files.length === 0) {
@@ -1488,7 +2765,7 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
 
       // Send delete command
       logger.info(`Sending delete command for files: ${filesToDelete.join(', ')}`);
-      const result = await this.printerModule.deleteFiles(filesToDelete);
+      const result = await printerModule.deleteFiles(filesToDelete);
       logger.info(`Delete result: ${JSON.stringify(result)}`);
 
       // Check result
@@ -1529,6 +2806,7 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
 
     const messages = [];
     let currentMessage = `📁 <b>Printer Files (${files.length})</b>\n\n`;
+    currentMessage += `<i>Use /print followed by a file number to start a print (e.g., /print 2)</i>\n`;
     currentMessage += `<i>Use /delete followed by file numbers to delete (e.g., /delete 1,2,3)</i>\n\n`;
 
     // Telegram message limit is 4096 characters
@@ -1540,7 +2818,7 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
       const fileType = file.type === 0 ? '📁 Folder' : file.type === 1 ? '📄 File' : '📄 File';
       const createTime = file.CreateTime ? new Date(file.CreateTime * 1000).toLocaleDateString() : 'Unknown date';
 
-      const fileEntry = `<b>${index + 1}. ${fileName.replace('/local//', '').replace('/usb//', '')}</b>\n`;
+      const fileEntry = `<b>${index + 1}. ${this.getDisplayFileName(fileName)}</b>\n`;
       const fileDetails = `   ${fileType}\n   📏 Size: ${fileSize}\n   📅 Created: ${createTime}\n\n`;
 
       // Check if adding this file would exceed the message limit
@@ -1563,6 +2841,30 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
     return messages;
   }
 
+  // Strip the storage prefix from a printer file path for display
+  getDisplayFileName(fileName) {
+    return fileName.replace('/local//', '').replace('/usb//', '');
+  }
+
+  // Slicer estimate for a file list entry in seconds: from the G-code header when it was
+  // uploaded through the bot, otherwise from the printer's file details; null if neither has one
+  async getEstimatedPrintTime(printMonitor, file) {
+    const uploaded = this.printEstimates.get(`${printMonitor.printer.index}:${this.getDisplayFileName(file.name)}`);
+    if (uploaded) {
+      return uploaded;
+    }
+    try {
+      return await printMonitor.printerModule.getEstimatedPrintTime(file.name);
+    } catch (error) {
+      logger.debug(`Could not read print time estimate for ${file.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  formatEstimatedPrintTime(seconds) {
+    return seconds ? this.formatUptime(seconds * 1000) : 'unknown';
+  }
+
   // Format file size in human readable format
   formatFileSize(bytes) {
     if (!bytes || bytes === 0) return '0 B';
@@ -1575,7 +2877,7 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
   }
 
   // Handle video command
-  async handleVideoCommand(msg) {
+  async handleVideoCommand(msg, printMonitor) {
     const chatId = msg.chat.id;
     const text = msg.text || '';
     
@@ -1598,7 +2900,7 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
       }
       
       // Check if we have the required dependencies
-      if (!this.printMonitor) {
+      if (!printMonitor) {
         await this.bot.sendMessage(chatId, '⚠️ <b>System Not Ready</b>\nPrint monitor not available. Please ensure the main application is running.', {
           parse_mode: 'HTML'
         });
@@ -1606,7 +2908,7 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
       }
 
       // Check if video recording is already in progress
-      if (this.printMonitor.videoRecorder && this.printMonitor.videoRecorder.isRecording) {
+      if (printMonitor.videoRecorder && printMonitor.videoRecorder.isRecording) {
         await this.bot.sendMessage(chatId, '⏸️ <b>Video Recording Already in Progress</b>\nPlease wait for the current recording to finish before starting a new one.', {
           parse_mode: 'HTML'
         });
@@ -1619,10 +2921,10 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
 
       // Use queue system if available
       let result;
-      if (this.printMonitor.queueLLMRequest) {
+      if (printMonitor.queueLLMRequest) {
         try {
           // Queue the video recording request
-          result = await this.printMonitor.queueLLMRequest('video', {
+          result = await printMonitor.queueLLMRequest('video', {
             source: 'telegram',
             chatId,
             duration
@@ -1639,14 +2941,14 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
           });
           
           // Fall back to direct recording
-          result = await this.processVideoDirectly(duration);
+          result = await this.processVideoDirectly(printMonitor, duration);
         }
       } else {
         // Fall back to direct recording
         await this.bot.sendMessage(chatId, '⚠️ <b>Queue Not Available</b>\nRecording directly...', {
           parse_mode: 'HTML'
         });
-        result = await this.processVideoDirectly(duration);
+        result = await this.processVideoDirectly(printMonitor, duration);
       }
 
       // Send video file
@@ -1701,13 +3003,13 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
   }
 
   // Fallback method for direct video recording (without queue)
-  async processVideoDirectly(duration) {
-    if (!this.printMonitor || !this.printMonitor.videoRecorder) {
+  async processVideoDirectly(printMonitor, duration) {
+    if (!printMonitor || !printMonitor.videoRecorder) {
       throw new Error('Video recorder not available');
     }
     
     // Record video using VideoRecorder
-    const videoFile = await this.printMonitor.videoRecorder.record(duration);
+    const videoFile = await printMonitor.videoRecorder.record(duration);
     
     return {
       videoFile,
@@ -1716,18 +3018,37 @@ Commands like <code>/status</code>, <code>/capture</code>, <code>/analyze</code>
     };
   }
 
-  // Method to set dependencies for command handling
-  setDependencies(capture, llmClient, prompts, printMonitor = null, printerModule = null) {
-    this.capture = capture;
+  // Method to set dependencies for command handling (one PrintMonitor per printer)
+  setDependencies(llmClient, prompts, printMonitors = []) {
     this.llmClient = llmClient;
     this.prompts = prompts;
-    this.printMonitor = printMonitor;
-    this.printerModule = printerModule;
-    logger.info('Telegram notifier dependencies set for command handling');
-    if (printerModule) {
-      logger.info('Printer module configured for status commands');
+    this.printMonitors = printMonitors;
+    logger.info(`Telegram notifier dependencies set for command handling (${printMonitors.length} printer(s))`);
+  }
+
+  isMultiPrinter() {
+    return this.printMonitors.length > 1;
+  }
+
+  // Find a PrintMonitor by printer name (case-insensitive) or 1-based index
+  findPrintMonitor(nameOrIndex) {
+    const key = String(nameOrIndex ?? '').trim().toLowerCase();
+    if (/^\d+$/.test(key)) {
+      return this.printMonitors[parseInt(key, 10) - 1] || null;
     }
+    return this.printMonitors.find(monitor => monitor.printer.name === key) || null;
+  }
+
+  // Printers get their own chat via PRINTER_CHAT_IDS, otherwise TELEGRAM_CHAT_ID
+  getNotificationChatId(printer) {
+    return (printer && printer.telegramChatId) || this.chatId;
+  }
+
+  // Name the printer at the top of notifications when several are monitored
+  formatPrinterHeader(printer) {
+    return printer && this.isMultiPrinter() ? `🖨️ <b>${printer.name}</b>\n` : '';
   }
+
 }
 
 module.exports = TelegramNotifier;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const EventEmitter = require('events');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const PrinterDiscovery = require('./discovery');
+
+/**
+ * Printer Discovery Service
+ * Repeats the UDP discovery probe in the background and tracks printers by MainboardID,
+ * so a printer that gets a new address from DHCP is still recognised.
+ *
+ * Events:
+ *   'appear'    - a printer answered for the first time, or again after disappearing
+ *   'disappear' - a known printer missed several probes in a row
+ *   'ip-change' - a known printer answered from a new address ({ printer, previousIP })
+ */
+class PrinterDiscoveryService extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.discovery = options.discovery || new PrinterDiscovery();
+        this.interval = options.interval ?? config.printerDiscoveryInterval;
+        this.missedProbesBeforeLost = options.missedProbesBeforeLost || 3;
+        this.printers = new Map(); // MainboardID -> { printer, online, missedProbes }
+        this.timer = null;
+        this.probing = null;
+    }
+
+    /**
+     * Probe now and then every interval
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        logger.info(`Printer discovery running every ${Math.round(this.interval / 1000)}s`);
+        this.probe();
+        this.timer = setInterval(() => this.probe(), this.interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run one discovery round and emit appear/disappear/ip-change events
+     */
+    async probe() {
+        // A slow round must not overlap the next one
+        if (this.probing) {
+            return this.probing;
+        }
+
+        this.probing = (async () => {
+            try {
+                const found = await this.discovery.discoverPrinters({ quiet: true });
+                this.update(found);
+            } catch (error) {
+                logger.warn(`Printer discovery probe failed: ${error.message}`);
+            } finally {
+                this.probing = null;
+            }
+        })();
+
+        return this.probing;
+    }
+
+    /**
+     * Compare one round of discovery results with the known printers
+     */
+    update(found) {
+        const seen = new Set();
+
+        for (const printer of found) {
+            // Without a MainboardID a printer cannot be followed across addresses
+            if (!printer.mainboardID) {
+                continue;
+            }
+            seen.add(printer.mainboardID);
+
+            const known = this.printers.get(printer.mainboardID);
+            if (!known) {
+                this.printers.set(printer.mainboardID, { printer, online: true, missedProbes: 0 });
+                this.emit('appear', printer);
+                continue;
+            }
+
+            const previousIP = known.printer.ip;
+            const wasOnline = known.online;
+            known.printer = printer;
+            known.online = true;
+            known.missedProbes = 0;
+
+            if (!wasOnline) {
+                this.emit('appear', printer);
+            }
+            if (previousIP !== printer.ip) {
+                this.emit('ip-change', { printer, previousIP });
+            }
+        }
+
+        for (const [mainboardID, known] of this.printers) {
+            if (seen.has(mainboardID) || !known.online) {
+                continue;
+            }
+
+            // UDP replies get lost; only a run of missed probes counts as gone
+            known.missedProbes++;
+            if (known.missedProbes >= this.missedProbesBeforeLost) {
+                known.online = false;
+                this.emit('disappear', known.printer);
+            }
+        }
+    }
+
+    /**
+     * Printers that answered recently
+     */
+    getOnlinePrinters() {
+        return [...this.printers.values()]
+            .filter(known => known.online)
+            .map(known => known.printer);
+    }
+}
+
+module.exports = PrinterDiscoveryService;
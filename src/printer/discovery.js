@@ -1,4 +1,5 @@
 const dgram = require('dgram');
+const os = require('os');
 const logger = require('../utils/logger');
 
 /**
@@ -6,99 +7,133 @@ const logger = require('../utils/logger');
  * Discovers Elegoo printers on the network using UDP broadcast
  */
 class PrinterDiscovery {
-    constructor() {
-        this.timeout = 5000; // 5 second timeout
+    constructor(options = {}) {
+        this.timeout = options.timeout || 5000; // 5 second timeout
+        this.port = options.port || 3000; // SDCP discovery port
+        this.broadcastAddresses = options.broadcastAddresses || null; // Overrides interface detection
     }
 
     /**
-     * Discover printers on the network using UDP broadcast
+     * Broadcast address of every external IPv4 interface, computed from its netmask
      */
-    async discoverPrinters() {
+    getBroadcastAddresses() {
+        if (this.broadcastAddresses) {
+            return this.broadcastAddresses;
+        }
+
+        const addresses = new Set();
+        for (const iface of Object.values(os.networkInterfaces())) {
+            for (const addr of iface) {
+                // Node 18.0-18.3 reports the family as a number
+                if ((addr.family === 'IPv4' || addr.family === 4) && !addr.internal) {
+                    addresses.add(PrinterDiscovery.getBroadcastAddress(addr.address, addr.netmask));
+                }
+            }
+        }
+
+        if (addresses.size === 0) {
+            addresses.add('255.255.255.255');
+        }
+        return [...addresses];
+    }
+
+    /**
+     * Directed broadcast address for an IPv4 address and netmask
+     */
+    static getBroadcastAddress(address, netmask) {
+        const ip = address.split('.').map(Number);
+        const mask = netmask.split('.').map(Number);
+        return ip.map((octet, i) => (octet & mask[i]) | (~mask[i] & 255)).join('.');
+    }
+
+    /**
+     * Parse an M99999 reply into printer info, or null if it is not one
+     */
+    parseResponse(msg, rinfo) {
+        try {
+            const data = JSON.parse(msg.toString());
+            if (!data.Data) {
+                return null;
+            }
+
+            return {
+                name: data.Data.Name || 'Unknown',
+                machineName: data.Data.MachineName || 'Unknown',
+                brandName: data.Data.BrandName || 'Unknown',
+                ip: data.Data.MainboardIP || rinfo.address,
+                mainboardID: data.Data.MainboardID || null,
+                firmwareVersion: data.Data.FirmwareVersion || 'Unknown',
+                protocolVersion: data.Data.ProtocolVersion || 'Unknown'
+            };
+        } catch (error) {
+            logger.warn(`Received non-JSON response from ${rinfo.address}: ${msg.toString().substring(0, 100)}`);
+            return null;
+        }
+    }
+
+    /**
+     * Discover printers on the network using UDP broadcast on every interface
+     * @param {Object} options - { quiet: log at debug level (background probes) }
+     */
+    async discoverPrinters(options = {}) {
+        const level = options.quiet ? 'debug' : 'info';
+        const broadcastAddresses = this.getBroadcastAddresses();
+
         return new Promise((resolve, reject) => {
-            logger.info('Discovering Elegoo printers on network...');
+            logger.log(level, 'Discovering Elegoo printers on network...');
             
             const udpSocket = dgram.createSocket('udp4');
             const broadcastMessage = 'M99999';
-            const discovered = [];
-            
-            // Calculate broadcast address (try common network ranges)
-            const interfaces = require('os').networkInterfaces();
-            let broadcastAddress = null;
-            
-            for (const interfaceName of Object.keys(interfaces)) {
-                const iface = interfaces[interfaceName];
-                for (const addr of iface) {
-                    if (addr.family === 'IPv4' && !addr.internal) {
-                        // Calculate broadcast address for this subnet
-                        const parts = addr.address.split('.');
-                        broadcastAddress = `${parts[0]}.${parts[1]}.${parts[2]}.255`;
-                        logger.info(`Using broadcast address: ${broadcastAddress}`);
-                        break;
-                    }
-                }
-                if (broadcastAddress) break;
-            }
-            
-            if (!broadcastAddress) {
-                // Fallback to common broadcast addresses
-                broadcastAddress = '192.168.1.255';
-                logger.info(`Using fallback broadcast address: ${broadcastAddress}`);
-            }
+            const discovered = new Map(); // MainboardID (or IP) -> printer info
+            let timer = null;
             
             udpSocket.on('message', (msg, rinfo) => {
-                try {
-                    const data = JSON.parse(msg.toString());
-                    
-                    const printerInfo = {
-                        name: data.Data?.Name || 'Unknown',
-                        machineName: data.Data?.MachineName || 'Unknown',
-                        brandName: data.Data?.BrandName || 'Unknown',
-                        ip: data.Data?.MainboardIP || rinfo.address,
-                        mainboardID: data.Data?.MainboardID || 'Unknown',
-                        firmwareVersion: data.Data?.FirmwareVersion || 'Unknown',
-                        protocolVersion: data.Data?.ProtocolVersion || 'Unknown'
-                    };
-                    
-                    discovered.push(printerInfo);
-                    
-                    logger.debug(`Discovered printer: ${printerInfo.name} at ${printerInfo.ip}`);
-                    
-                } catch (error) {
-                    logger.warn(`Received non-JSON response from ${rinfo.address}: ${msg.toString().substring(0, 100)}`);
+                const printerInfo = this.parseResponse(msg, rinfo);
+                if (!printerInfo) {
+                    return;
                 }
+
+                // The same printer answers once per broadcast address it can hear
+                discovered.set(printerInfo.mainboardID || printerInfo.ip, printerInfo);
+                logger.debug(`Discovered printer: ${printerInfo.name} at ${printerInfo.ip}`);
             });
             
             udpSocket.on('error', (error) => {
                 logger.error(`UDP socket error: ${error.message}`);
+                clearTimeout(timer);
+                udpSocket.close();
                 reject(error);
             });
             
             udpSocket.on('listening', () => {
                 const address = udpSocket.address();
-                logger.info(`UDP discovery listening on ${address.address}:${address.port}`);
-                logger.info(`Sending discovery broadcast: "${broadcastMessage}"`);
+                logger.debug(`UDP discovery listening on ${address.address}:${address.port}`);
+                logger.log(level, `Sending discovery broadcast "${broadcastMessage}" to ${broadcastAddresses.join(', ')}`);
                 
                 udpSocket.setBroadcast(true);
-                udpSocket.send(broadcastMessage, 3000, broadcastAddress, (err) => {
-                    if (err) {
-                        logger.error(`Failed to send broadcast: ${err.message}`);
-                        reject(err);
-                    }
-                });
+                for (const broadcastAddress of broadcastAddresses) {
+                    udpSocket.send(broadcastMessage, this.port, broadcastAddress, (err) => {
+                        // One unreachable interface should not stop the others
+                        if (err) {
+                            logger.warn(`Failed to send broadcast to ${broadcastAddress}: ${err.message}`);
+                        }
+                    });
+                }
             });
             
             udpSocket.bind(() => {
                 // Start listening for responses
-                setTimeout(() => {
+                timer = setTimeout(() => {
                     udpSocket.close();
                     
-                    if (discovered.length === 0) {
-                        logger.warn('No printers found on the network');
+                    const printers = [...discovered.values()];
+                    if (printers.length === 0) {
+                        logger.log(level === 'info' ? 'warn' : level, 'No printers found on the network');
                     } else {
-                        logger.info(`Found ${discovered.length} printer(s) on network`);
+                        logger.log(level, `Found ${printers.length} printer(s) on network`);
                     }
                     
-                    resolve(discovered);
+                    resolve(printers);
                 }, this.timeout);
             });
         });
@@ -120,7 +155,7 @@ class PrinterDiscovery {
             output += `   📛 Machine: ${printer.machineName}\n`;
             output += `   🏭 Brand: ${printer.brandName}\n`;
             output += `   🌐 IP: ${printer.ip}\n`;
-            output += `   🆔 Mainboard ID: ${printer.mainboardID}\n`;
+            output += `   🆔 Mainboard ID: ${printer.mainboardID || 'Unknown'}\n`;
             output += `   💾 Firmware: ${printer.firmwareVersion}\n`;
             output += `   🔌 Protocol: ${printer.protocolVersion}\n`;
             if (index < printers.length - 1) output += '\n';
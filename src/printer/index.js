@@ -1,10 +1,13 @@
 /**
  * Elegoo Printer Module
- * Main export for printer discovery and status functionality
+ * Main export for printer discovery, status and upload functionality
  */
 
 const PrinterDiscovery = require('./discovery');
+const PrinterDiscoveryService = require('./discovery-service');
 const PrinterStatus = require('./status');
+const PrinterUpload = require('./upload');
+const PrinterRegistry = require('./registry');
 
 /**
  * Combined printer module with both discovery and status functionality
@@ -13,6 +16,7 @@ class PrinterModule {
     constructor() {
         this.discovery = new PrinterDiscovery();
         this.status = null;
+        this.upload = null;
         this.printerIP = null;
     }
 
@@ -28,9 +32,29 @@ class PrinterModule {
             this.status = new PrinterStatus();
             this.printerIP = this.status.printerIP;
         }
+        this.upload = new PrinterUpload(this.printerIP);
         return this;
     }
 
+    /**
+     * Point status and upload at a new printer address (e.g. after a DHCP change)
+     */
+    setPrinterIP(printerIP) {
+        if (!this.status) {
+            throw new Error('Printer module not initialized. Call initialize() first.');
+        }
+        this.printerIP = printerIP;
+        this.status.setPrinterIP(printerIP);
+        this.upload.printerIP = printerIP;
+    }
+
+    /**
+     * Mainboard ID reported by the printer, once connected
+     */
+    getMainboardID() {
+        return this.status ? this.status.mainboardID : null;
+    }
+
     /**
      * Discover printers on network
      */
@@ -48,6 +72,34 @@ class PrinterModule {
         return await this.status.getStatus();
     }
 
+    /**
+     * Start a persistent, auto-reconnecting printer session
+     */
+    async startSession() {
+        if (!this.status) {
+            throw new Error('Printer module not initialized. Call initialize() first.');
+        }
+        return await this.status.startSession();
+    }
+
+    /**
+     * Subscribe to printer events ('status', 'attributes', 'connect', 'disconnect')
+     */
+    on(event, listener) {
+        if (!this.status) {
+            throw new Error('Printer module not initialized. Call initialize() first.');
+        }
+        this.status.on(event, listener);
+        return this;
+    }
+
+    /**
+     * Get the latest pushed status without contacting the printer
+     */
+    getCachedStatus() {
+        return this.status ? this.status.getCachedStatus() : null;
+    }
+
     /**
      * Get formatted status text
      */
@@ -92,6 +144,36 @@ class PrinterModule {
         return await this.status.listFiles();
     }
 
+    /**
+     * Slicer print time estimate of a stored file in seconds, or null
+     */
+    async getEstimatedPrintTime(filename) {
+        if (!this.status) {
+            throw new Error('Printer module not initialized. Call initialize() first.');
+        }
+        return await this.status.getEstimatedPrintTime(filename);
+    }
+
+    /**
+     * Start printing a file from printer storage
+     */
+    async startPrint(filename, startLayer = 0) {
+        if (!this.status) {
+            throw new Error('Printer module not initialized. Call initialize() first.');
+        }
+        return await this.status.startPrint(filename, startLayer);
+    }
+
+    /**
+     * Describe a start print acknowledgement code
+     */
+    getStartPrintAckText(ack) {
+        if (!this.status) {
+            throw new Error('Printer module not initialized. Call initialize() first.');
+        }
+        return this.status.getStartPrintAckText(ack);
+    }
+
     /**
      * Pause print job
      */
@@ -112,6 +194,16 @@ class PrinterModule {
         return await this.status.resumePrint();
     }
 
+    /**
+     * Stop (cancel) print job
+     */
+    async stopPrint() {
+        if (!this.status) {
+            throw new Error('Printer module not initialized. Call initialize() first.');
+        }
+        return await this.status.stopPrint();
+    }
+
     /**
      * Delete files from printer
      */
@@ -122,6 +214,16 @@ class PrinterModule {
         return await this.status.deleteFiles(filePaths);
     }
 
+    /**
+     * Upload a file to printer storage
+     */
+    async uploadFile(fileBuffer, filename, onProgress = null) {
+        if (!this.upload) {
+            throw new Error('Printer module not initialized. Call initialize() first.');
+        }
+        return await this.upload.uploadFile(fileBuffer, filename, onProgress);
+    }
+
     /**
      * Check if printer is connected
      */
@@ -143,7 +245,10 @@ class PrinterModule {
 module.exports = {
     PrinterModule,
     PrinterDiscovery,
+    PrinterDiscoveryService,
     PrinterStatus,
+    PrinterUpload,
+    PrinterRegistry,
     
     // Convenience function to create instance
     createPrinterModule: (printerIP = null) => {
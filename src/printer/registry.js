@@ -0,0 +1,136 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const PrinterDiscovery = require('./discovery');
+
+/**
+ * Printer Registry
+ * The printers this monitor watches, loaded from PRINTERS, the single PRINTER_IP
+ * or network discovery. Each entry gets its own PrintMonitor pipeline.
+ */
+class PrinterRegistry {
+    constructor() {
+        this.printers = [];
+        this.cameraPort = 3031; // Centauri Carbon MJPEG camera port
+    }
+
+    /**
+     * Parse "name=value,name=value" lists used by PRINTERS and PRINTER_CHAT_IDS
+     */
+    static parsePairs(value) {
+        return (value || '')
+            .split(',')
+            .map(pair => pair.trim())
+            .filter(Boolean)
+            .map(pair => {
+                const separator = pair.indexOf('=');
+                if (separator === -1) {
+                    return { name: null, value: pair };
+                }
+                return { name: pair.substring(0, separator).trim(), value: pair.substring(separator + 1).trim() };
+            });
+    }
+
+    /**
+     * Load printers from config (printers: sections or PRINTERS), falling back to discovery when enabled
+     * @returns {Array} Registered printers
+     */
+    async load(options = {}) {
+        const {
+            printers = config.printers,
+            discover = config.printerDiscovery,
+            discovery = new PrinterDiscovery()
+        } = options;
+
+        this.printers = [];
+
+        const configured = Array.isArray(printers)
+            ? printers
+            : PrinterRegistry.parsePairs(printers).map(({ name, value }) => ({ name, ip: value }));
+        if (configured.length > 0) {
+            for (const printer of configured) {
+                this.add(printer);
+            }
+        } else if (config.printerIP) {
+            // Single-printer setup: keep the configured camera URL
+            this.add({ name: config.printerName, ip: config.printerIP, mjpegStreamUrl: config.mjpegStreamUrl, roi: config.printerROI });
+        } else if (discover) {
+            const discovered = await discovery.discoverPrinters();
+            for (const printer of discovered) {
+                this.add({ name: printer.name, ip: printer.ip, mainboardID: printer.mainboardID });
+            }
+        }
+
+        // Camera-only monitoring still works without a printer connection
+        if (this.printers.length === 0) {
+            this.add({ name: config.printerName, ip: null, mjpegStreamUrl: config.mjpegStreamUrl, roi: config.printerROI });
+        }
+
+        const chatIds = PrinterRegistry.parsePairs(config.printerChatIds);
+        for (const { name, value } of chatIds) {
+            const printer = this.get(name);
+            if (printer) {
+                printer.telegramChatId = value;
+            } else {
+                logger.warn(`PRINTER_CHAT_IDS references unknown printer '${name}'`);
+            }
+        }
+
+        logger.info(`Printer registry: ${this.printers.map(p => `${p.name} (${p.ip || 'camera only'})`).join(', ')}`);
+        return this.printers;
+    }
+
+    /**
+     * Add a printer; names are made command-friendly and unique
+     */
+    add({ name, ip, mjpegStreamUrl = null, mainboardID = null, telegramChatId = null, roi = null, detectors = null }) {
+        const index = this.printers.length + 1;
+        let baseName = (name || '').toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^[^a-z]+|-+$/g, '');
+        if (!baseName) {
+            baseName = `printer${index}`;
+        }
+
+        let uniqueName = baseName;
+        for (let n = 2; this.printers.some(p => p.name === uniqueName); n++) {
+            uniqueName = `${baseName}${n}`;
+        }
+
+        const printer = {
+            index,
+            name: uniqueName,
+            ip: ip || null,
+            mjpegStreamUrl: mjpegStreamUrl || (ip ? `http://${ip}:${this.cameraPort}/video` : config.mjpegStreamUrl),
+            mainboardID,
+            telegramChatId,
+            roi, // Bed polygon from config; a /roi calibration overrides it
+            detectors // Detector list ("llm,printguard"); null uses DETECTORS
+        };
+
+        this.printers.push(printer);
+        return printer;
+    }
+
+    list() {
+        return this.printers;
+    }
+
+    /**
+     * Find a printer by name (case-insensitive) or 1-based index
+     */
+    get(nameOrIndex) {
+        if (nameOrIndex === null || nameOrIndex === undefined) {
+            return null;
+        }
+
+        const key = String(nameOrIndex).trim().toLowerCase();
+        if (/^\d+$/.test(key)) {
+            return this.printers[parseInt(key, 10) - 1] || null;
+        }
+        return this.printers.find(p => p.name === key) || null;
+    }
+
+    isMultiPrinter() {
+        return this.printers.length > 1;
+    }
+}
+
+module.exports = PrinterRegistry;
@@ -1,3 +1,4 @@
+const EventEmitter = require('events');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config/config');
@@ -7,17 +8,40 @@ const logger = require('../utils/logger');
  * Elegoo Printer Status Module
  * Connects to Elegoo Centauri Carbon printer via SDCP WebSocket API
  * Returns structured printer status data for command integration
+ *
+ * Events (emitted while connected):
+ *   'connect'    - WebSocket connection opened
+ *   'status'     - formatted status snapshot (see formatStatusData) on every status push
+ *   'attributes' - raw attributes data on every attributes push
+ *   'disconnect' - connection closed ({ code, reason, willReconnect })
  */
-class PrinterStatus {
-    constructor(printerIP = null) {
+class PrinterStatus extends EventEmitter {
+    constructor(printerIP = null, options = {}) {
+        super();
         this.printerIP = printerIP || this.extractIPFromConfig();
+        this.port = options.port || 3030; // SDCP WebSocket port
         this.mainboardID = null;
         this.ws = null;
         this.statusData = null;
         this.attributesData = null;
+        this.lastStatusTime = null;
+        this.lastMessageTime = null;
         this.messageHandlers = new Map();
         this.timeout = 5000; // 5 second timeout
         this.connected = false;
+        this.connectPromise = null;
+
+        // Persistent session settings (see startSession)
+        this.autoReconnect = false;
+        this.reconnectAttempts = 0;
+        this.reconnectBaseDelay = 1000;
+        this.reconnectMaxDelay = config.printerReconnectMaxDelay;
+        this.reconnectTimer = null;
+        this.heartbeatInterval = config.printerHeartbeatInterval;
+        this.heartbeatTimer = null;
+        this.statusPushInterval = config.printerStatusPushInterval;
+        // Cached status older than this is refreshed with an explicit request
+        this.statusMaxAge = Math.max(this.statusPushInterval * 3, 15000);
         
         if (this.printerIP) {
             logger.info(`PrinterStatus initialized with IP: ${this.printerIP}`);
@@ -43,68 +67,237 @@ class PrinterStatus {
     }
 
     /**
-     * Set printer IP manually
+     * Set printer IP manually; a live session moves to the new address
      */
     setPrinterIP(ip) {
+        if (ip === this.printerIP) {
+            return;
+        }
+
         this.printerIP = ip;
         logger.info(`Printer IP set to: ${ip}`);
+
+        if (!this.autoReconnect) {
+            return;
+        }
+
+        // Reconnect right away instead of waiting out the backoff for the old address
+        this.reconnectAttempts = 0;
+        if (this.ws) {
+            // The close handler schedules the reconnect
+            this.ws.terminate();
+        } else if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+            this.scheduleReconnect();
+        }
     }
 
     /**
      * Connect to printer WebSocket
      */
     async connect() {
-        return new Promise((resolve, reject) => {
+        // Reuse an in-flight connection attempt
+        if (this.connectPromise) {
+            return this.connectPromise;
+        }
+
+        this.connectPromise = new Promise((resolve, reject) => {
             if (!this.printerIP) {
                 reject(new Error('Printer IP not set'));
                 return;
             }
 
-            const wsURL = `ws://${this.printerIP}:3030/websocket`;
+            const wsURL = `ws://${this.printerIP}:${this.port}/websocket`;
             logger.info(`Connecting to printer WebSocket at ${wsURL}`);
 
-            this.ws = new WebSocket(wsURL);
+            const ws = new WebSocket(wsURL);
+            this.ws = ws;
 
             let resolved = false;
 
-            this.ws.on('open', () => {
+            ws.on('open', () => {
                 logger.info('Connected to printer WebSocket');
                 this.connected = true;
+                this.reconnectAttempts = 0;
+                this.lastMessageTime = Date.now();
+                this.startHeartbeat();
+                this.emit('connect');
                 // Wait a bit for initial status messages to get mainboard ID
                 setTimeout(() => {
                     if (!resolved) {
                         resolved = true;
+                        clearTimeout(connectTimer);
                         resolve();
                     }
+                    if (this.autoReconnect) {
+                        this.subscribeToStatus();
+                    }
                 }, 1000);
             });
 
-            this.ws.on('message', (data) => {
-                this.handleMessage(data.toString());
+            ws.on('message', (data) => {
+                this.lastMessageTime = Date.now();
+                const text = data.toString();
+                // Heartbeat replies are plain text, not SDCP JSON
+                if (text === 'pong') {
+                    return;
+                }
+                this.handleMessage(text);
             });
 
-            this.ws.on('error', (error) => {
+            ws.on('error', (error) => {
                 logger.error(`WebSocket error: ${error.message}`);
                 if (!resolved) {
                     resolved = true;
+                    clearTimeout(connectTimer);
                     this.connected = false;
                     reject(error);
                 }
             });
 
-            this.ws.on('close', () => {
+            ws.on('close', (code, reason) => {
+                // Ignore close events from sockets that have already been replaced
+                if (this.ws !== ws) {
+                    return;
+                }
+
+                const wasConnected = this.connected;
                 logger.info('WebSocket connection closed');
                 this.connected = false;
+                this.ws = null;
+                this.stopHeartbeat();
+
+                const willReconnect = this.autoReconnect;
+                // Failed connection attempts are not reported as disconnects
+                if (wasConnected) {
+                    this.emit('disconnect', {
+                        code,
+                        reason: reason ? reason.toString() : '',
+                        willReconnect
+                    });
+                }
+
+                if (willReconnect) {
+                    this.scheduleReconnect();
+                }
             });
 
-            setTimeout(() => {
+            const connectTimer = setTimeout(() => {
                 if (!resolved) {
                     resolved = true;
                     this.connected = false;
+                    // Drop the stalled socket so a reconnect can start cleanly
+                    ws.terminate();
                     reject(new Error('Connection timeout'));
                 }
             }, this.timeout);
         });
+
+        try {
+            await this.connectPromise;
+        } finally {
+            this.connectPromise = null;
+        }
+    }
+
+    /**
+     * Start a persistent session: keep the WebSocket open, reconnect with
+     * exponential backoff and cache pushed status for getStatus()
+     */
+    async startSession() {
+        this.autoReconnect = true;
+
+        if (this.connected) {
+            this.subscribeToStatus();
+            return;
+        }
+
+        try {
+            await this.connect();
+        } catch (error) {
+            logger.warn(`Printer session connect failed: ${error.message}`);
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * Schedule a reconnect attempt with exponential backoff
+     */
+    scheduleReconnect() {
+        if (!this.autoReconnect || this.reconnectTimer) {
+            return;
+        }
+
+        const delay = Math.min(
+            this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts),
+            this.reconnectMaxDelay
+        );
+        this.reconnectAttempts++;
+
+        logger.info(`Reconnecting to printer in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            try {
+                await this.connect();
+            } catch (error) {
+                logger.warn(`Printer reconnect failed: ${error.message}`);
+                // A failed handshake may not emit 'close', so make sure we retry
+                this.scheduleReconnect();
+            }
+        }, delay);
+    }
+
+    /**
+     * Ask the printer to push status periodically (Cmd: 512) and prime the cache
+     */
+    subscribeToStatus() {
+        try {
+            if (this.statusPushInterval > 0) {
+                this.sendCommand(512, { TimePeriod: this.statusPushInterval });
+            }
+            this.sendCommand(0, {}); // Status refresh
+            this.sendCommand(1, {}); // Attributes
+        } catch (error) {
+            logger.warn(`Failed to subscribe to printer status: ${error.message}`);
+        }
+    }
+
+    /**
+     * Send periodic pings and drop the connection if the printer goes silent
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+
+        if (!this.heartbeatInterval || this.heartbeatInterval <= 0) {
+            return;
+        }
+
+        this.heartbeatTimer = setInterval(() => {
+            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+                return;
+            }
+
+            const silentFor = Date.now() - (this.lastMessageTime || 0);
+            if (silentFor > this.heartbeatInterval * 3) {
+                logger.warn(`No data from printer for ${silentFor}ms - dropping connection`);
+                this.ws.terminate();
+                return;
+            }
+
+            this.ws.send('ping');
+        }, this.heartbeatInterval);
+    }
+
+    /**
+     * Stop heartbeat timer
+     */
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
     }
 
     /**
@@ -126,14 +319,17 @@ class PrinterStatus {
             // Handle different message types
             if (message.Topic?.includes('/status/')) {
                 this.statusData = message.Data || message.Status;
+                this.lastStatusTime = Date.now();
                 if (this.messageHandlers.has('status')) {
                     this.messageHandlers.get('status')(this.statusData);
                 }
+                this.emit('status', this.formatStatusData(this.statusData, this.attributesData));
             } else if (message.Topic?.includes('/attributes/')) {
                 this.attributesData = message.Data || message.Attributes;
                 if (this.messageHandlers.has('attributes')) {
                     this.messageHandlers.get('attributes')(this.attributesData);
                 }
+                this.emit('attributes', this.attributesData);
             } else if (message.Topic?.includes('/response/')) {
                 // Handle specific command responses
                 const data = message.Data;
@@ -144,16 +340,31 @@ class PrinterStatus {
                                 this.messageHandlers.get('files')(data);
                             }
                             break;
+                        case 128: // Start print response
+                            if (this.messageHandlers.has('start')) {
+                                this.messageHandlers.get('start')(data);
+                            }
+                            break;
                         case 129: // Pause response
                             if (this.messageHandlers.has('pause')) {
                                 this.messageHandlers.get('pause')(data);
                             }
                             break;
+                        case 130: // Stop response
+                            if (this.messageHandlers.has('stop')) {
+                                this.messageHandlers.get('stop')(data);
+                            }
+                            break;
                         case 131: // Resume response
                             if (this.messageHandlers.has('resume')) {
                                 this.messageHandlers.get('resume')(data);
                             }
                             break;
+                        case 260: // File details response
+                            if (this.messageHandlers.has('fileinfo')) {
+                                this.messageHandlers.get('fileinfo')(data);
+                            }
+                            break;
                         case 259: // Delete files response
                             if (this.messageHandlers.has('delete')) {
                                 this.messageHandlers.get('delete')(data);
@@ -295,6 +506,102 @@ class PrinterStatus {
         }
     }
 
+    /**
+     * Request details of a stored file (Cmd: 260)
+     * @param {string} filename - File path as reported by listFiles
+     */
+    async getFileInfo(filename) {
+        try {
+            // Connect if not already connected
+            if (!this.connected) {
+                await this.connect();
+            }
+
+            return new Promise((resolve, reject) => {
+                let resolved = false;
+                const timeout = setTimeout(() => {
+                    if (!resolved) {
+                        resolved = true;
+                        this.messageHandlers.delete('fileinfo');
+                        reject(new Error('File info request timeout'));
+                    }
+                }, this.timeout);
+
+                this.messageHandlers.set('fileinfo', (data) => {
+                    if (!resolved) {
+                        resolved = true;
+                        clearTimeout(timeout);
+                        this.messageHandlers.delete('fileinfo');
+                        resolve(data);
+                    }
+                });
+
+                this.sendCommand(260, { Url: filename }); // File details command
+            });
+        } catch (error) {
+            logger.error(`Failed to get file info: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Slicer print time estimate of a stored file in seconds, or null if the printer has none
+     * (firmware without Cmd 260 does not answer; the request then times out)
+     */
+    async getEstimatedPrintTime(filename) {
+        try {
+            const response = await this.getFileInfo(filename);
+            const info = response?.Data?.FileInfo || response?.FileInfo || {};
+            const seconds = Number(info.PrintTime);
+            return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+        } catch (error) {
+            logger.debug(`No print time estimate for ${filename}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Start printing a file from printer storage (Cmd: 128)
+     * @param {string} filename - File path as reported by listFiles (e.g. /local/part.gcode)
+     * @param {number} startLayer - Layer to start from (default: 0)
+     */
+    async startPrint(filename, startLayer = 0) {
+        try {
+            // Connect if not already connected
+            if (!this.connected) {
+                await this.connect();
+            }
+
+            return new Promise((resolve, reject) => {
+                let resolved = false;
+                const timeout = setTimeout(() => {
+                    if (!resolved) {
+                        resolved = true;
+                        this.messageHandlers.delete('start');
+                        reject(new Error('Start print request timeout'));
+                    }
+                }, this.timeout);
+
+                this.messageHandlers.set('start', (data) => {
+                    if (!resolved) {
+                        resolved = true;
+                        clearTimeout(timeout);
+                        this.messageHandlers.delete('start');
+                        resolve(data);
+                    }
+                });
+
+                this.sendCommand(128, {
+                    Filename: filename,
+                    StartLayer: startLayer
+                }); // Start print command
+            });
+        } catch (error) {
+            logger.error(`Failed to start print: ${error.message}`);
+            throw error;
+        }
+    }
+
     /**
      * Pause print job (Cmd: 129)
      */
@@ -332,6 +639,43 @@ class PrinterStatus {
         }
     }
 
+    /**
+     * Stop (cancel) print job (Cmd: 130)
+     */
+    async stopPrint() {
+        try {
+            // Connect if not already connected
+            if (!this.connected) {
+                await this.connect();
+            }
+
+            return new Promise((resolve, reject) => {
+                let resolved = false;
+                const timeout = setTimeout(() => {
+                    if (!resolved) {
+                        resolved = true;
+                        this.messageHandlers.delete('stop');
+                        reject(new Error('Stop print request timeout'));
+                    }
+                }, this.timeout);
+
+                this.messageHandlers.set('stop', (data) => {
+                    if (!resolved) {
+                        resolved = true;
+                        clearTimeout(timeout);
+                        this.messageHandlers.delete('stop');
+                        resolve(data);
+                    }
+                });
+
+                this.sendCommand(130, {}); // Stop print command
+            });
+        } catch (error) {
+            logger.error(`Failed to stop print: ${error.message}`);
+            throw error;
+        }
+    }
+
     /**
      * Resume print job (Cmd: 131)
      */
@@ -409,6 +753,26 @@ class PrinterStatus {
         }
     }
 
+    /**
+     * Check if the cached status is recent enough to skip a round-trip
+     */
+    hasFreshStatus() {
+        return this.connected &&
+            this.statusData !== null &&
+            this.lastStatusTime !== null &&
+            (Date.now() - this.lastStatusTime) < this.statusMaxAge;
+    }
+
+    /**
+     * Get the latest pushed status snapshot without contacting the printer
+     */
+    getCachedStatus() {
+        if (!this.statusData) {
+            return null;
+        }
+        return this.formatStatusData(this.statusData, this.attributesData);
+    }
+
     /**
      * Get formatted status for commands
      */
@@ -419,9 +783,14 @@ class PrinterStatus {
                 await this.connect();
             }
 
-            // Request status and attributes
+            // Use the pushed snapshot when it is recent
+            if (this.hasFreshStatus()) {
+                return this.getCachedStatus();
+            }
+
+            // Request status, and attributes if we don't have them yet
             const status = await this.requestStatus();
-            const attributes = await this.requestAttributes();
+            const attributes = this.attributesData || await this.requestAttributes();
 
             // Format the data for command responses
             return this.formatStatusData(status, attributes);
@@ -488,7 +857,9 @@ class PrinterStatus {
                     elapsed,
                     total,
                     remaining,
-                    progressPercent: timeProgress
+                    progressPercent: timeProgress,
+                    elapsedSeconds: printInfo.CurrentTicks,
+                    totalSeconds: printInfo.TotalTicks
                 };
             }
         }
@@ -596,6 +967,23 @@ class PrinterStatus {
         return statusMap[status] || `Unknown (${status})`;
     }
 
+    /**
+     * Get start print acknowledgement text from code
+     */
+    getStartPrintAckText(ack) {
+        const ackMap = {
+            0: 'OK',
+            1: 'Printer busy',
+            2: 'File not found',
+            3: 'MD5 check failed',
+            4: 'File read failed',
+            5: 'Resolution mismatch',
+            6: 'Unknown file format',
+            7: 'Machine model mismatch'
+        };
+        return ackMap[ack] || `Unknown (${ack})`;
+    }
+
   /**
    * Format time in seconds to human readable format
    */
@@ -692,13 +1080,19 @@ class PrinterStatus {
     }
 
     /**
-     * Close connection
+     * Close connection and stop reconnecting
      */
     disconnect() {
+        this.autoReconnect = false;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.stopHeartbeat();
+
         if (this.ws) {
+            // The close handler clears this.ws and emits 'disconnect'
             this.ws.close();
-            this.ws = null;
-            this.connected = false;
         }
     }
 
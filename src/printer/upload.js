@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Elegoo Printer Upload Module
+ * Uploads files to printer storage over the SDCP HTTP upload endpoint
+ */
+class PrinterUpload {
+    constructor(printerIP) {
+        this.printerIP = printerIP;
+        this.chunkSize = 1024 * 1024; // Printer accepts up to 1MB per request
+        this.timeout = 30000; // 30 second timeout per chunk
+    }
+
+    /**
+     * Get upload endpoint URL
+     */
+    getUploadUrl() {
+        return `http://${this.printerIP}:3030/uploadFile/upload`;
+    }
+
+    /**
+     * Upload a file to printer storage in chunks
+     * @param {Buffer} fileBuffer - File contents
+     * @param {string} filename - Name to store the file under
+     * @param {Function} onProgress - Called after each chunk with { sent, total, percent }
+     */
+    async uploadFile(fileBuffer, filename, onProgress = null) {
+        if (!this.printerIP) {
+            throw new Error('Printer IP not configured');
+        }
+
+        // With no chunks to send the loop below would report success without contacting the printer
+        if (!fileBuffer || fileBuffer.length === 0) {
+            throw new Error(`${filename} is empty`);
+        }
+
+        const totalSize = fileBuffer.length;
+        const md5 = crypto.createHash('md5').update(fileBuffer).digest('hex');
+        const uuid = crypto.randomUUID();
+
+        logger.info(`Uploading ${filename} to printer (${totalSize} bytes, MD5 ${md5})`);
+
+        for (let offset = 0; offset < totalSize; offset += this.chunkSize) {
+            const chunk = fileBuffer.subarray(offset, Math.min(offset + this.chunkSize, totalSize));
+
+            // Every chunk carries the whole-file MD5; the printer verifies it after the last one
+            const form = new FormData();
+            form.append('S-File-MD5', md5);
+            form.append('Check', '1');
+            form.append('Offset', String(offset));
+            form.append('Uuid', uuid);
+            form.append('TotalSize', String(totalSize));
+            form.append('File', new Blob([chunk]), filename);
+
+            const response = await fetch(this.getUploadUrl(), {
+                method: 'POST',
+                body: form,
+                signal: AbortSignal.timeout(this.timeout)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Upload failed at offset ${offset}: HTTP ${response.status} ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            if (!result.success) {
+                const reason = result.messages ? JSON.stringify(result.messages) : result.code;
+                throw new Error(`Upload rejected at offset ${offset}: ${reason}`);
+            }
+
+            const sent = offset + chunk.length;
+            logger.debug(`Uploaded ${sent}/${totalSize} bytes of ${filename}`);
+
+            if (onProgress) {
+                await onProgress({
+                    sent,
+                    total: totalSize,
+                    percent: Math.round((sent / totalSize) * 100)
+                });
+            }
+        }
+
+        logger.info(`Upload of ${filename} complete`);
+        return { filename, size: totalSize, md5 };
+    }
+}
+
+module.exports = PrinterUpload;
@@ -0,0 +1,124 @@
+const config = require('../config/config');
+const logger = require('./logger');
+
+/**
+ * Failure Voter
+ * Single frames are noisy (a passing print head looks a lot like spaghetti), so per-frame
+ * detector verdicts go into a sliding window per detector. An alert is raised when
+ * k of the last n frames flagged a failure ('k-of-n') or when the exponentially weighted failure
+ * confidence crosses a threshold ('ewma'), once per crossing. Settings are read from config on
+ * every vote so hot reloads apply immediately.
+ */
+class FailureVoter {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? config.votingEnabled;
+        this.windows = new Map(); // source -> [{ time, frameNumber, failure, confidence, label }]
+        this.alerting = new Map(); // source -> true while the vote is above threshold
+    }
+
+    /**
+     * Add a frame verdict and vote
+     * @param {string} source - Detector name ('printguard', 'llm', ...)
+     * @param {Object} verdict - { frameNumber, failure, confidence (0-1), label }
+     * @returns {Object|null} Alert decision { source, mode, score, threshold, failures, size, summary, evidence } when the vote crosses its threshold
+     */
+    record(source, verdict, now = Date.now()) {
+        const entry = { time: now, ...verdict };
+
+        // Without voting every failed frame alerts on its own
+        if (!this.enabled) {
+            return entry.failure
+                ? this.decision(source, 'single', entry.confidence, null, [entry], 'single frame (temporal voting disabled)')
+                : null;
+        }
+
+        const window = (this.windows.get(source) || [])
+            .filter(item => now - item.time <= config.votingMaxAge);
+        window.push(entry);
+        while (window.length > config.votingWindow) {
+            window.shift();
+        }
+        this.windows.set(source, window);
+
+        const vote = this.vote(window);
+        logger.debug(`Failure vote (${source}): ${vote.summary}`);
+
+        if (!vote.passed) {
+            this.alerting.set(source, false);
+            return null;
+        }
+        if (this.alerting.get(source)) {
+            return null; // Already alerted for this run of failures
+        }
+
+        this.alerting.set(source, true);
+        return this.decision(source, config.votingMode, vote.score, vote.threshold, window, vote.summary);
+    }
+
+    /**
+     * Score a window with the configured mode
+     */
+    vote(window) {
+        const failures = window.filter(item => item.failure).length;
+
+        if (config.votingMode === 'ewma') {
+            const alpha = config.votingEwmaAlpha;
+            const score = window.reduce((value, item) => alpha * (item.confidence || 0) + (1 - alpha) * value, 0);
+            const threshold = config.votingThreshold;
+            return {
+                passed: score >= threshold,
+                score,
+                threshold,
+                summary: `weighted failure score ${score.toFixed(2)} (alert at ${threshold}) over the last ${window.length} frames, ${failures} flagged`
+            };
+        }
+
+        const needed = Math.min(config.votingMinVotes, config.votingWindow);
+        return {
+            passed: failures >= needed,
+            score: failures,
+            threshold: needed,
+            summary: `${failures} of the last ${window.length} frames flagged a failure (alert at ${needed} of ${config.votingWindow})`
+        };
+    }
+
+    decision(source, mode, score, threshold, window, summary) {
+        const evidence = window.map(item => ({ ...item }));
+        return {
+            source,
+            mode,
+            score,
+            threshold,
+            failures: evidence.filter(item => item.failure).length,
+            size: evidence.length,
+            summary,
+            evidence
+        };
+    }
+
+    /**
+     * Forget the window of one source (or all), e.g. after a pause
+     */
+    reset(source = null) {
+        if (source) {
+            this.windows.delete(source);
+            this.alerting.delete(source);
+        } else {
+            this.windows.clear();
+            this.alerting.clear();
+        }
+    }
+}
+
+/**
+ * One line per frame in the window, oldest first ("#42 ❌ 81% spaghetti")
+ */
+function formatEvidence(decision) {
+    return decision.evidence.map(item => {
+        const confidence = `${Math.round((item.confidence || 0) * 100)}%`;
+        return `#${item.frameNumber} ${item.failure ? '❌' : '✅'} ${confidence}${item.label ? ` ${item.label}` : ''}`;
+    });
+}
+
+module.exports = FailureVoter;
+module.exports.formatEvidence = formatEvidence;
@@ -0,0 +1,136 @@
+const sharp = require('sharp');
+const config = require('../config/config');
+
+const DIFF_WIDTH = 256; // Frames are compared at this size
+const BLOCK_SIZE = 8; // SSIM window; one heatmap cell per block
+const BLUR_SIGMA = 1.2; // Softens JPEG noise and small camera shake before comparing
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+/**
+ * Frame Difference
+ * Structural similarity (SSIM) between a reference frame and the current one, computed per
+ * 8x8 block on greyscale copies, plus the mean absolute pixel difference. Blocks whose
+ * dissimilarity (1 - SSIM) exceeds REFERENCE_DIFF_THRESHOLD count as changed and are drawn
+ * on the heatmap.
+ *
+ * @returns {Promise<Object>} { ssim, changed, pixelDifference, cols, rows, dissimilarity }
+ *   - ssim: mean block SSIM (1 = identical), changed: share of changed blocks,
+ *   pixelDifference: mean absolute difference 0-1, dissimilarity: Float32Array per block
+ */
+async function compareFrames(referenceBuffer, currentBuffer) {
+    const current = await sharp(currentBuffer)
+        .greyscale()
+        .resize({ width: DIFF_WIDTH })
+        .blur(BLUR_SIGMA)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const { width, height } = current.info;
+
+    // The reference may come from a different crop size; stretch it onto the current frame
+    const reference = await sharp(referenceBuffer)
+        .greyscale()
+        .resize(width, height, { fit: 'fill' })
+        .blur(BLUR_SIGMA)
+        .raw()
+        .toBuffer();
+
+    const cols = Math.floor(width / BLOCK_SIZE);
+    const rows = Math.floor(height / BLOCK_SIZE);
+    const dissimilarity = new Float32Array(cols * rows);
+    const threshold = config.referenceDiffThreshold;
+    let ssimSum = 0;
+    let changedBlocks = 0;
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const ssim = blockSsim(reference, current.data, width, col * BLOCK_SIZE, row * BLOCK_SIZE);
+            const value = Math.min(1, Math.max(0, 1 - ssim));
+            dissimilarity[row * cols + col] = value;
+            ssimSum += ssim;
+            if (value > threshold) {
+                changedBlocks++;
+            }
+        }
+    }
+
+    let differenceSum = 0;
+    for (let i = 0; i < current.data.length; i++) {
+        differenceSum += Math.abs(current.data[i] - reference[i]);
+    }
+
+    const blocks = cols * rows || 1;
+    return {
+        ssim: ssimSum / blocks,
+        changed: changedBlocks / blocks,
+        pixelDifference: differenceSum / current.data.length / 255,
+        cols,
+        rows,
+        dissimilarity
+    };
+}
+
+function blockSsim(a, b, width, left, top) {
+    const count = BLOCK_SIZE * BLOCK_SIZE;
+    let sumA = 0;
+    let sumB = 0;
+    for (let y = top; y < top + BLOCK_SIZE; y++) {
+        for (let x = left; x < left + BLOCK_SIZE; x++) {
+            sumA += a[y * width + x];
+            sumB += b[y * width + x];
+        }
+    }
+    const meanA = sumA / count;
+    const meanB = sumB / count;
+
+    let varA = 0;
+    let varB = 0;
+    let covariance = 0;
+    for (let y = top; y < top + BLOCK_SIZE; y++) {
+        for (let x = left; x < left + BLOCK_SIZE; x++) {
+            const da = a[y * width + x] - meanA;
+            const db = b[y * width + x] - meanB;
+            varA += da * da;
+            varB += db * db;
+            covariance += da * db;
+        }
+    }
+    varA /= count - 1;
+    varB /= count - 1;
+    covariance /= count - 1;
+
+    return ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+        ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+}
+
+/**
+ * Transparent PNG (one pixel per block) with changed blocks from yellow to red; ImageAnnotator
+ * stretches it over the analyzed region
+ */
+async function renderHeatmap(diff) {
+    const { cols, rows, dissimilarity } = diff;
+    const threshold = config.referenceDiffThreshold;
+    const pixels = Buffer.alloc(cols * rows * 4);
+
+    for (let i = 0; i < dissimilarity.length; i++) {
+        const value = dissimilarity[i];
+        if (value <= threshold) {
+            continue;
+        }
+        // 0 at the threshold, 1 for completely different blocks
+        const strength = Math.min(1, (value - threshold) / Math.max(1 - threshold, 0.01));
+        pixels[i * 4] = 255;
+        pixels[i * 4 + 1] = Math.round(220 * (1 - strength));
+        pixels[i * 4 + 2] = 0;
+        pixels[i * 4 + 3] = Math.round(90 + 110 * strength);
+    }
+
+    return sharp(pixels, { raw: { width: cols, height: rows, channels: 4 } })
+        .png()
+        .toBuffer();
+}
+
+module.exports = {
+    compareFrames,
+    renderHeatmap
+};
@@ -0,0 +1,199 @@
+const sharp = require('sharp');
+const config = require('../config/config');
+
+const ANALYSIS_WIDTH = 320; // Frames are measured at this size; thresholds assume it
+const THUMB_WIDTH = 32;
+const THUMB_HEIGHT = 24;
+const CLIPPED_LEVEL = 250; // Grey level counted as blown out
+const DARK_PERCENTILE = 0.95; // Share of pixels that must be darker than minBrightness for a dark frame
+// Reported but never skipped: a paused or heating print looks the same frame after frame
+const FLAG_ONLY_REASONS = new Set(['duplicate']);
+
+/**
+ * Frame Quality Gate
+ * Measures each captured frame before it is analyzed: truncated or undecodable JPEGs,
+ * black frames (chamber light off), blown-out frames, motion blur from the moving head
+ * (low Laplacian variance) and near-duplicates of the last analyzed frame (frozen camera).
+ * Reasons: truncated, corrupt, dark, overexposed, blurry, duplicate (flag only, never skipped).
+ * Thresholds are read from config on every check so hot reloads apply immediately.
+ */
+class FrameQualityGate {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? config.frameQualityEnabled;
+        this.previousThumbnail = null; // Last frame that was not skipped
+    }
+
+    /**
+     * Measure a JPEG frame
+     * @returns {Promise<Object>} { ok, skip, reasons, metrics } - skip is false when action is 'flag'
+     *   or the only reasons are flag-only ones
+     */
+    async check(frameBuffer) {
+        if (!this.enabled) {
+            return { ok: true, skip: false, reasons: [], metrics: null };
+        }
+
+        const reasons = [];
+        const metrics = {};
+
+        if (!hasEndMarker(frameBuffer)) {
+            reasons.push('truncated');
+        }
+
+        let image;
+        try {
+            image = await sharp(frameBuffer, { failOn: 'truncated' })
+                .greyscale()
+                .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+        } catch (error) {
+            if (!reasons.includes('truncated')) {
+                reasons.push(/truncat|premature/i.test(error.message) ? 'truncated' : 'corrupt');
+            }
+            metrics.error = error.message;
+            return this.verdict(reasons, metrics);
+        }
+
+        const { data, info } = image;
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < data.length; i++) {
+            histogram[data[i]]++;
+        }
+
+        metrics.brightness = mean(histogram, data.length);
+        metrics.darkLevel = percentile(histogram, data.length, DARK_PERCENTILE);
+        metrics.clipped = countFrom(histogram, CLIPPED_LEVEL) / data.length;
+        metrics.sharpness = laplacianVariance(data, info.width, info.height);
+
+        const thumbnail = downsample(data, info.width, info.height);
+        if (this.previousThumbnail) {
+            metrics.difference = meanAbsoluteDifference(thumbnail, this.previousThumbnail);
+        }
+
+        if (metrics.darkLevel < config.frameQualityMinBrightness) {
+            reasons.push('dark');
+        }
+        if (metrics.clipped > config.frameQualityMaxClipped) {
+            reasons.push('overexposed');
+        }
+        // Dark and blown-out frames have no edges either; report only their real cause
+        if (reasons.length === 0 && metrics.sharpness < config.frameQualityMinSharpness) {
+            reasons.push('blurry');
+        }
+        if (metrics.difference !== undefined && metrics.difference < config.frameQualityDuplicateThreshold) {
+            reasons.push('duplicate');
+        }
+
+        const result = this.verdict(reasons, metrics);
+        // Skipped frames are never analyzed, so they must not become the comparison base
+        if (!result.skip) {
+            this.previousThumbnail = thumbnail;
+        }
+        return result;
+    }
+
+    verdict(reasons, metrics) {
+        const ok = reasons.length === 0;
+        const skip = config.frameQualityAction === 'skip' && reasons.some(reason => !FLAG_ONLY_REASONS.has(reason));
+        return { ok, skip, reasons, metrics };
+    }
+
+    /**
+     * Forget the previous frame (e.g. after the camera URL changes)
+     */
+    reset() {
+        this.previousThumbnail = null;
+    }
+}
+
+/**
+ * JPEG end-of-image marker at the end of the buffer (cameras may pad with zeros)
+ */
+function hasEndMarker(buffer) {
+    let end = buffer.length;
+    while (end > 0 && (buffer[end - 1] === 0x00 || buffer[end - 1] === 0x0A || buffer[end - 1] === 0x0D)) {
+        end--;
+    }
+    return end >= 2 && buffer[end - 2] === 0xFF && buffer[end - 1] === 0xD9;
+}
+
+function mean(histogram, total) {
+    let sum = 0;
+    for (let level = 0; level < 256; level++) {
+        sum += level * histogram[level];
+    }
+    return sum / total;
+}
+
+function percentile(histogram, total, fraction) {
+    let seen = 0;
+    for (let level = 0; level < 256; level++) {
+        seen += histogram[level];
+        if (seen >= total * fraction) {
+            return level;
+        }
+    }
+    return 255;
+}
+
+function countFrom(histogram, level) {
+    let count = 0;
+    for (let i = level; i < 256; i++) {
+        count += histogram[i];
+    }
+    return count;
+}
+
+/**
+ * Variance of the 4-neighbour Laplacian; low values mean few sharp edges
+ */
+function laplacianVariance(data, width, height) {
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const value = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+            sum += value;
+            sumSquares += value * value;
+            count++;
+        }
+    }
+    if (count === 0) {
+        return 0;
+    }
+    const average = sum / count;
+    return sumSquares / count - average * average;
+}
+
+/**
+ * Block-average a greyscale image to THUMB_WIDTH x THUMB_HEIGHT for duplicate detection
+ */
+function downsample(data, width, height) {
+    const thumbnail = new Float32Array(THUMB_WIDTH * THUMB_HEIGHT);
+    const counts = new Uint32Array(THUMB_WIDTH * THUMB_HEIGHT);
+    for (let y = 0; y < height; y++) {
+        const row = Math.min(THUMB_HEIGHT - 1, Math.floor((y * THUMB_HEIGHT) / height)) * THUMB_WIDTH;
+        for (let x = 0; x < width; x++) {
+            const cell = row + Math.min(THUMB_WIDTH - 1, Math.floor((x * THUMB_WIDTH) / width));
+            thumbnail[cell] += data[y * width + x];
+            counts[cell]++;
+        }
+    }
+    for (let i = 0; i < thumbnail.length; i++) {
+        thumbnail[i] = counts[i] ? thumbnail[i] / counts[i] : 0;
+    }
+    return thumbnail;
+}
+
+function meanAbsoluteDifference(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += Math.abs(a[i] - b[i]);
+    }
+    return sum / a.length;
+}
+
+module.exports = FrameQualityGate;
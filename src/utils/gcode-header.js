@@ -0,0 +1,60 @@
+/**
+ * G-code Header
+ * Reads the slicer's print time estimate from the comments of a G-code file.
+ * Supported: PrusaSlicer, OrcaSlicer and Elegoo Slicer ("estimated printing time" /
+ * "total estimated time") and Cura (";TIME:<seconds>").
+ */
+
+const DURATION_PATTERNS = [
+    /;\s*estimated printing time(?: \(normal mode\))?\s*=\s*([^\n;]+)/i,
+    /;.*?total estimated time:\s*([^\n;]+)/i
+];
+const CURA_TIME = /^;TIME:(\d+(?:\.\d+)?)\s*$/m;
+
+// Slicers put the estimate in the header or at the end of the file
+const SCAN_BYTES = 64 * 1024;
+
+/**
+ * Estimated print time in seconds, or null when the file has none
+ * @param {Buffer|string} gcode - Whole file, or at least its first and last 64 KB
+ */
+function parseEstimatedPrintTime(gcode) {
+    const text = Buffer.isBuffer(gcode)
+        ? (gcode.length > 2 * SCAN_BYTES
+            ? gcode.subarray(0, SCAN_BYTES).toString('utf8') + '\n' + gcode.subarray(-SCAN_BYTES).toString('utf8')
+            : gcode.toString('utf8'))
+        : String(gcode);
+
+    const cura = text.match(CURA_TIME);
+    if (cura) {
+        return Math.round(Number(cura[1]));
+    }
+
+    for (const pattern of DURATION_PATTERNS) {
+        const match = text.match(pattern);
+        const seconds = match ? parseDuration(match[1]) : null;
+        if (seconds !== null) {
+            return seconds;
+        }
+    }
+    return null;
+}
+
+/**
+ * "1d 2h 3m 4s" -> seconds (null when nothing matches)
+ */
+function parseDuration(value) {
+    const units = { d: 86400, h: 3600, m: 60, s: 1 };
+    let seconds = 0;
+    let found = false;
+    for (const [, amount, unit] of String(value).matchAll(/(\d+)\s*([dhms])/gi)) {
+        seconds += Number(amount) * units[unit.toLowerCase()];
+        found = true;
+    }
+    return found ? seconds : null;
+}
+
+module.exports = {
+    parseEstimatedPrintTime,
+    parseDuration
+};
@@ -1,4 +1,5 @@
 const sharp = require('sharp');
+const { mapBoundingBox } = require('./roi');
 
 class ImageAnnotator {
   constructor() {
@@ -49,12 +50,20 @@ class ImageAnnotator {
       // Create SVG overlay for annotations
       const svgOverlay = this.createSVGOverlay(width, height, analysis, options);
       
-      // Composite the SVG overlay onto the image
+      // Difference heatmap under the boxes and labels
+      const overlays = [];
+      const heatmapOverlay = await this.createHeatmapOverlay(width, height, analysis);
+      if (heatmapOverlay) {
+        overlays.push(heatmapOverlay);
+      }
+      overlays.push({
+        input: Buffer.from(svgOverlay),
+        blend: 'over'
+      });
+      
+      // Composite the overlays onto the image
       const annotatedBuffer = await image
-        .composite([{
-          input: Buffer.from(svgOverlay),
-          blend: 'over'
-        }])
+        .composite(overlays)
         .jpeg({ quality: 90 })
         .toBuffer();
       
@@ -67,8 +76,34 @@ class ImageAnnotator {
     }
   }
 
+  /**
+   * Reference-frame difference heatmap (analysis.diff.heatmap, one pixel per compared block)
+   * stretched over the analyzed region
+   */
+  async createHeatmapOverlay(width, height, analysis) {
+    const heatmap = analysis.diff?.heatmap;
+    if (!heatmap) {
+      return null;
+    }
+
+    const region = analysis.roi || { x: 0, y: 0, width: 1, height: 1 };
+    const left = Math.round(region.x * width);
+    const top = Math.round(region.y * height);
+    const input = await sharp(heatmap)
+      .resize(
+        Math.max(1, Math.min(width - left, Math.round(region.width * width))),
+        Math.max(1, Math.min(height - top, Math.round(region.height * height))),
+        { fit: 'fill', kernel: 'cubic' }
+      )
+      .png()
+      .toBuffer();
+
+    return { input, left, top, blend: 'over' };
+  }
+
   /**
    * Create SVG overlay with bounding boxes and labels
+   * Boxes of an analysis made on the bed ROI crop (analysis.roi) are mapped back to the full frame
    */
   createSVGOverlay(width, height, analysis, options) {
     const { 
@@ -84,7 +119,7 @@ class ImageAnnotator {
     if (analysis.objects && Array.isArray(analysis.objects)) {
       analysis.objects.forEach((obj, index) => {
         if (obj.bounding_box && Array.isArray(obj.bounding_box) && obj.bounding_box.length === 4) {
-          const [x1, y1, x2, y2] = obj.bounding_box;
+          const [x1, y1, x2, y2] = mapBoundingBox(obj.bounding_box, analysis.roi);
           const color = this.colors.object;
           
           // Convert normalized coordinates to pixel coordinates
@@ -124,7 +159,7 @@ class ImageAnnotator {
     if (analysis.problems && Array.isArray(analysis.problems)) {
       analysis.problems.forEach((problem, index) => {
         if (problem.bounding_box && Array.isArray(problem.bounding_box) && problem.bounding_box.length === 4) {
-          const [x1, y1, x2, y2] = problem.bounding_box;
+          const [x1, y1, x2, y2] = mapBoundingBox(problem.bounding_box, analysis.roi);
           const color = this.colors.problem;
           
           // Convert normalized coordinates to pixel coordinates
@@ -286,7 +321,7 @@ class ImageAnnotator {
     if (analysis.objects) {
       analysis.objects.forEach(obj => {
         if (obj.bounding_box) {
-          const [x1, y1, x2, y2] = obj.bounding_box;
+          const [x1, y1, x2, y2] = mapBoundingBox(obj.bounding_box, analysis.roi);
           this.drawBoundingBox(grid, x1, y1, x2, y2, 'O', width, height);
         }
       });
@@ -296,7 +331,7 @@ class ImageAnnotator {
     if (analysis.problems) {
       analysis.problems.forEach(problem => {
         if (problem.bounding_box) {
-          const [x1, y1, x2, y2] = problem.bounding_box;
+          const [x1, y1, x2, y2] = mapBoundingBox(problem.bounding_box, analysis.roi);
           this.drawBoundingBox(grid, x1, y1, x2, y2, 'X', width, height);
         }
       });
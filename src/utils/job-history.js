@@ -0,0 +1,315 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * Print Job History
+ * Append-only JSONL store of print jobs and their timelines, rebuilt into memory on load
+ */
+class JobHistory {
+    constructor(historyDir = 'data') {
+        this.historyDir = historyDir;
+        this.historyFile = path.join(historyDir, 'print-history.jsonl');
+        this.temperatureSampleInterval = 60000; // Record temperatures at most once a minute
+        this.jobs = []; // Oldest first
+        this.currentJob = null;
+        this.currentJobRestored = false; // Current job was reopened from disk after a restart
+        this.lastTemperatureSample = 0;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load existing history from disk
+     */
+    async load() {
+        await fs.mkdir(this.historyDir, { recursive: true });
+
+        let content = '';
+        try {
+            content = await fs.readFile(this.historyFile, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        const jobsById = new Map();
+        for (const line of content.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                logger.warn(`Skipping corrupt history line: ${line.substring(0, 100)}`);
+                continue;
+            }
+
+            if (entry.type === 'start') {
+                const job = this.createJob(entry);
+                jobsById.set(job.id, job);
+                this.jobs.push(job);
+            } else if (jobsById.has(entry.jobId)) {
+                this.applyEvent(jobsById.get(entry.jobId), entry);
+            }
+        }
+
+        // A job still open from the last run is picked up again if the printer is still on it
+        const lastJob = this.jobs[this.jobs.length - 1];
+        if (lastJob && !lastJob.outcome) {
+            this.currentJob = lastJob;
+            this.currentJobRestored = true;
+        }
+
+        logger.info(`Loaded ${this.jobs.length} print jobs from ${this.historyFile}`);
+        return this.jobs.length;
+    }
+
+    /**
+     * Build an in-memory job from its start entry
+     */
+    createJob(entry) {
+        return {
+            id: entry.jobId,
+            filename: entry.filename,
+            startTime: entry.time,
+            endTime: null,
+            outcome: null,
+            timeline: [entry],
+            counts: {
+                statusChanges: 0,
+                temperatureSamples: 0,
+                problems: {}, // detector name -> problems reported
+                notifications: 0
+            }
+        };
+    }
+
+    /**
+     * Apply a timeline entry to an in-memory job
+     */
+    applyEvent(job, entry) {
+        job.timeline.push(entry);
+
+        switch (entry.type) {
+            case 'status':
+                job.counts.statusChanges++;
+                break;
+            case 'temperature':
+                job.counts.temperatureSamples++;
+                break;
+            case 'verdict':
+                this.countProblems(job, entry.detector, entry.problems.length);
+                break;
+            // Detector entries written before the 'verdict' event
+            case 'printguard':
+                this.countProblems(job, 'printguard', entry.isFailure ? 1 : 0);
+                break;
+            case 'llm':
+                this.countProblems(job, 'llm', entry.problems.length);
+                break;
+            case 'notification':
+                job.counts.notifications++;
+                break;
+            case 'end':
+                job.endTime = entry.time;
+                job.outcome = entry.outcome;
+                break;
+        }
+    }
+
+    countProblems(job, detector, count) {
+        if (count > 0) {
+            job.counts.problems[detector] = (job.counts.problems[detector] || 0) + count;
+        }
+    }
+
+    /**
+     * Problems reported by all detectors for a job
+     */
+    getProblemCount(job) {
+        return Object.values(job.counts.problems).reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Append an entry to disk and to the job it belongs to
+     */
+    append(entry) {
+        const job = this.jobs.find(j => j.id === entry.jobId);
+        if (entry.type === 'start') {
+            this.jobs.push(this.createJob(entry));
+        } else if (job) {
+            this.applyEvent(job, entry);
+        }
+
+        // Serialize writes so the file keeps event order
+        this.writeQueue = this.writeQueue
+            .then(() => fs.appendFile(this.historyFile, JSON.stringify(entry) + '\n'))
+            .catch(error => logger.error(`Failed to write print history: ${error.message}`));
+        return this.writeQueue;
+    }
+
+    /**
+     * Record an event on the current job, if one is active
+     */
+    recordEvent(type, data = {}) {
+        if (!this.currentJob) {
+            return null;
+        }
+        return this.append({ type, jobId: this.currentJob.id, time: new Date().toISOString(), ...data });
+    }
+
+    /**
+     * Track job start/end, status transitions and temperatures from a printer status
+     * @param {Object} currentStatus - Formatted printer status
+     * @param {Object} previousStatus - Previous formatted printer status
+     * @param {boolean} statusChanged - Result of PrintMonitor.hasPrinterStatusChanged
+     */
+    async recordStatus(currentStatus, previousStatus, statusChanged) {
+        if (!currentStatus || !currentStatus.success) {
+            return;
+        }
+
+        const machineCode = currentStatus.status?.machine?.code;
+        const printCode = currentStatus.status?.print?.code;
+        const filename = currentStatus.status?.print?.filename;
+
+        // A job left open by a restart is closed if the printer moved on
+        if (this.currentJob && filename && filename !== this.currentJob.filename) {
+            await this.endJob('unknown');
+        }
+
+        // Print status can still show the previous job's Complete/Stopped for a moment after starting
+        if (!this.currentJob && machineCode === 1 && filename && printCode !== 8 && printCode !== 9) {
+            await this.startJob(filename);
+        }
+
+        if (!this.currentJob) {
+            return;
+        }
+
+        if (statusChanged) {
+            await this.recordEvent('status', {
+                from: this.describeStatus(previousStatus),
+                to: this.describeStatus(currentStatus),
+                progress: currentStatus.progress?.percent || null
+            });
+        }
+
+        const now = Date.now();
+        if (now - this.lastTemperatureSample >= this.temperatureSampleInterval && currentStatus.temperatures) {
+            this.lastTemperatureSample = now;
+            await this.recordEvent('temperature', {
+                nozzle: currentStatus.temperatures.nozzle?.current ?? null,
+                nozzleTarget: currentStatus.temperatures.nozzle?.target ?? null,
+                bed: currentStatus.temperatures.bed?.current ?? null,
+                bedTarget: currentStatus.temperatures.bed?.target ?? null
+            });
+        }
+
+        if (printCode === 9) { // Complete
+            await this.endJob('success');
+        } else if (printCode === 8) { // Stopped
+            await this.endJob(this.getProblemCount(this.currentJob) > 0 ? 'failed' : 'cancelled');
+        } else if (machineCode === 0) { // Back to idle without completing
+            await this.endJob(this.currentJobRestored ? 'unknown' : 'failed');
+        }
+    }
+
+    /**
+     * Short text for a status used in timelines
+     */
+    describeStatus(status) {
+        if (!status || !status.success) {
+            return null;
+        }
+        return `${status.status?.machine?.text || 'Unknown'} / ${status.status?.print?.text || 'Unknown'}`;
+    }
+
+    /**
+     * Start a new job keyed by filename and start time
+     */
+    async startJob(filename) {
+        const time = new Date().toISOString();
+        const jobId = `${time}_${crypto.createHash('md5').update(filename).digest('hex').substring(0, 8)}`;
+
+        // Switch jobs before awaiting the write so concurrent status updates see it
+        const written = this.append({ type: 'start', jobId, time, filename });
+        this.currentJob = this.jobs[this.jobs.length - 1];
+        this.currentJobRestored = false;
+        this.lastTemperatureSample = 0;
+        await written;
+
+        logger.info(`Print job started: ${filename}`);
+    }
+
+    /**
+     * Close the current job with an outcome ('success', 'failed', 'cancelled' or 'unknown')
+     */
+    async endJob(outcome) {
+        if (!this.currentJob) {
+            return;
+        }
+
+        const job = this.currentJob;
+        const written = this.recordEvent('end', { outcome });
+        this.currentJob = null;
+        await written;
+
+        logger.info(`Print job ended: ${job.filename} (${outcome})`);
+    }
+
+    /**
+     * Record a normalized detector verdict; frames the detector found good are not stored
+     */
+    recordVerdict(verdict) {
+        if (!verdict.failure && verdict.status === 'good' && verdict.problems.length === 0) {
+            return null;
+        }
+        return this.recordEvent('verdict', {
+            detector: verdict.detector,
+            failure: verdict.failure,
+            status: verdict.status,
+            confidence: verdict.confidence,
+            label: verdict.label,
+            problems: verdict.problems.map(problem => ({
+                issue: problem.issue,
+                confidence: problem.confidence
+            }))
+        });
+    }
+
+    /**
+     * Record a notification that was sent
+     */
+    recordNotification(kind, summary) {
+        return this.recordEvent('notification', { kind, summary });
+    }
+
+    /**
+     * Get most recent jobs, newest first
+     */
+    getJobs(limit = 10) {
+        return this.jobs.slice(-limit).reverse();
+    }
+
+    /**
+     * Get a job by its position in getJobs() (1 = most recent)
+     */
+    getJob(number) {
+        return this.jobs[this.jobs.length - number] || null;
+    }
+
+    /**
+     * Job duration in milliseconds (up to now for the running job)
+     */
+    getJobDuration(job) {
+        const end = job.endTime ? new Date(job.endTime) : new Date();
+        return end - new Date(job.startTime);
+    }
+}
+
+module.exports = JobHistory;
@@ -0,0 +1,222 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus Metrics
+ * Shared registry for /metrics. Histograms are observed where the work happens;
+ * counters and gauges are read from PrintMonitor at scrape time (see bindPrintMonitor).
+ */
+const register = new client.Registry();
+const prefix = 'elegoo_monitor_';
+
+client.collectDefaultMetrics({ register, prefix });
+
+const llmRequestDuration = new client.Histogram({
+    name: `${prefix}llm_request_duration_seconds`,
+    help: 'LLM analysis request latency by provider (one observation per attempt)',
+    labelNames: ['provider', 'outcome'],
+    buckets: [1, 2, 5, 10, 20, 30, 60, 120],
+    registers: [register]
+});
+
+const printGuardInferenceDuration = new client.Histogram({
+    name: `${prefix}printguard_inference_duration_seconds`,
+    help: 'PrintGuard classification time',
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5],
+    registers: [register]
+});
+
+const frameCaptureDuration = new client.Histogram({
+    name: `${prefix}frame_capture_duration_seconds`,
+    help: 'Time to grab a JPEG frame from the MJPEG stream (one observation per attempt)',
+    labelNames: ['outcome'],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10],
+    registers: [register]
+});
+
+const monitors = []; // PrintMonitor pipelines, one per printer
+
+/**
+ * Register a PrintMonitor; its counters and gauges are read at scrape time, labelled by printer
+ */
+function bindPrintMonitor(printMonitor) {
+    monitors.push(printMonitor);
+    if (monitors.length === 1) {
+        registerMonitorMetrics();
+    }
+}
+
+function registerMonitorMetrics() {
+    // Counters mirror PrintMonitor.stats so logFinalStatistics and /metrics agree
+    const statCounters = {
+        framesProcessed: 'frames_processed_total',
+        framesWithProblems: 'frames_with_problems_total',
+        totalProblemsDetected: 'problems_detected_total',
+        notificationsSent: 'notifications_sent_total',
+        statusChangesDetected: 'status_changes_detected_total',
+        statusNotificationsSent: 'status_notifications_sent_total',
+        autoPausesTriggered: 'auto_pauses_triggered_total',
+        temperatureAnomalies: 'temperature_anomalies_total',
+        layerStalls: 'layer_stalls_total',
+        framesSkipped: 'frames_skipped_total',
+        framesFlagged: 'frames_flagged_total'
+    };
+
+    for (const [stat, name] of Object.entries(statCounters)) {
+        new client.Counter({
+            name: `${prefix}${name}`,
+            help: `PrintMonitor stats.${stat}`,
+            labelNames: ['printer'],
+            registers: [register],
+            collect() {
+                this.reset();
+                for (const monitor of monitors) {
+                    this.inc({ printer: monitor.printer.name }, monitor.stats[stat] || 0);
+                }
+            }
+        });
+    }
+
+    new client.Counter({
+        name: `${prefix}frame_quality_skips_total`,
+        help: 'Frames kept from the LLM and PrintGuard by the frame quality gate, by reason',
+        labelNames: ['printer', 'reason'],
+        registers: [register],
+        collect() {
+            this.reset();
+            for (const monitor of monitors) {
+                for (const [reason, count] of Object.entries(monitor.stats.skipReasons || {})) {
+                    this.inc({ printer: monitor.printer.name, reason }, count);
+                }
+            }
+        }
+    });
+
+    // LLM clients may be shared between printers; count each one once
+    const llmClients = () => [...new Set(monitors.map(monitor => monitor.llmClient).filter(Boolean))];
+    const responseResults = { valid: 'valid', repaired: 'repaired', fallbacks: 'fallback', parseFailures: 'failed' };
+
+    new client.Counter({
+        name: `${prefix}llm_responses_total`,
+        help: 'LLM replies by schema validation result (valid, repaired by re-prompt, lenient parser fallback, failed)',
+        labelNames: ['result'],
+        registers: [register],
+        collect() {
+            this.reset();
+            for (const llmClient of llmClients()) {
+                for (const [stat, result] of Object.entries(responseResults)) {
+                    this.inc({ result }, llmClient.stats[stat] || 0);
+                }
+            }
+        }
+    });
+
+    new client.Counter({
+        name: `${prefix}llm_repair_attempts_total`,
+        help: 'Re-prompts sent with schema validation errors',
+        registers: [register],
+        collect() {
+            this.reset();
+            for (const llmClient of llmClients()) {
+                this.inc(llmClient.stats.repairAttempts || 0);
+            }
+        }
+    });
+
+    new client.Gauge({
+        name: `${prefix}llm_queue_length`,
+        help: 'Requests waiting in the LLM request queue',
+        labelNames: ['printer'],
+        registers: [register],
+        collect() {
+            for (const monitor of monitors) {
+                this.set({ printer: monitor.printer.name }, monitor.llmRequestQueue.length);
+            }
+        }
+    });
+
+    // Printer gauges come from the last status push; they are absent until one arrives
+    const cachedStatuses = () => monitors
+        .map(monitor => ({
+            printer: monitor.printer.name,
+            status: monitor.printerModule ? monitor.printerModule.getCachedStatus() : null
+        }))
+        .filter(({ status }) => status && status.success);
+
+    new client.Gauge({
+        name: `${prefix}printer_temperature_celsius`,
+        help: 'Printer temperatures from the last status push',
+        labelNames: ['printer', 'sensor', 'type'],
+        registers: [register],
+        collect() {
+            this.reset();
+            for (const { printer, status } of cachedStatuses()) {
+                if (!status.temperatures) {
+                    continue;
+                }
+                for (const sensor of ['nozzle', 'bed']) {
+                    const temperature = status.temperatures[sensor] || {};
+                    for (const type of ['current', 'target']) {
+                        const value = Number(temperature[type]);
+                        if (temperature[type] !== undefined && temperature[type] !== null && Number.isFinite(value)) {
+                            this.set({ printer, sensor, type }, value);
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    new client.Gauge({
+        name: `${prefix}printer_progress_percent`,
+        help: 'Print progress from the last status push',
+        labelNames: ['printer'],
+        registers: [register],
+        collect() {
+            this.reset();
+            for (const { printer, status } of cachedStatuses()) {
+                if (status.progress) {
+                    this.set({ printer }, parseFloat(status.progress.percent) || 0);
+                }
+            }
+        }
+    });
+
+    new client.Gauge({
+        name: `${prefix}printer_layer`,
+        help: 'Current and total layers from the last status push',
+        labelNames: ['printer', 'type'],
+        registers: [register],
+        collect() {
+            this.reset();
+            for (const { printer, status } of cachedStatuses()) {
+                if (status.progress) {
+                    this.set({ printer, type: 'current' }, status.progress.currentLayer || 0);
+                    this.set({ printer, type: 'total' }, status.progress.totalLayers || 0);
+                }
+            }
+        }
+    });
+
+    new client.Gauge({
+        name: `${prefix}printer_machine_status`,
+        help: 'SDCP machine status code (0 idle, 1 printing, 2 file transfer, ...)',
+        labelNames: ['printer'],
+        registers: [register],
+        collect() {
+            this.reset();
+            for (const { printer, status } of cachedStatuses()) {
+                if (typeof status.status?.machine?.code === 'number') {
+                    this.set({ printer }, status.status.machine.code);
+                }
+            }
+        }
+    });
+}
+
+module.exports = {
+    register,
+    llmRequestDuration,
+    printGuardInferenceDuration,
+    frameCaptureDuration,
+    bindPrintMonitor
+};
@@ -0,0 +1,230 @@
+const config = require('../config/config');
+const logger = require('./logger');
+
+/**
+ * Consecutive-verdict rules of the detectors with their own settings; every other detector
+ * uses the AUTO_PAUSE_DETECTOR_* ones
+ */
+const DETECTOR_RULES = {
+    printguard: {
+        rule: 'printguard-consecutive',
+        description: 'Consecutive PrintGuard failures',
+        count: () => config.autoPausePrintGuardFailures,
+        minConfidence: () => 0,
+        dryRun: () => config.autoPausePrintGuardDryRun
+    },
+    llm: {
+        rule: 'llm-critical',
+        description: 'Repeated critical LLM analysis',
+        count: () => config.autoPauseLLMCriticalCount,
+        minConfidence: () => config.autoPauseLLMCriticalConfidence,
+        dryRun: () => config.autoPauseLLMDryRun
+    }
+};
+
+/**
+ * Auto-Pause Policy
+ * Evaluates normalized detector verdicts against configurable rules and pauses the printer
+ * when one fires. A verdict counts against the print when its status is 'critical' with at
+ * least the detector's minimum confidence. Rules:
+ *   - consecutive: that many critical verdicts in a row from one detector
+ *   - detectors-agree: two different detectors critical within the agreement window
+ */
+class PausePolicy {
+    constructor(printerModule, options = {}) {
+        this.printerModule = printerModule;
+        this.enabled = options.enabled ?? config.autoPauseEnabled;
+        this.cooldown = options.cooldown ?? config.autoPauseCooldown; // Per-print, per-rule
+
+        this.state = this.createPrintState(null);
+    }
+
+    /**
+     * Fresh per-print state; counters and cooldowns reset when a new print starts
+     */
+    createPrintState(printKey) {
+        return {
+            printKey,
+            detectors: new Map(), // detector name -> { label, criticals, lastCriticalTime }
+            lastFired: new Map()
+        };
+    }
+
+    /**
+     * Consecutive-verdict rule settings for a detector
+     */
+    getDetectorRule(name, label) {
+        const rule = DETECTOR_RULES[name];
+        if (rule) {
+            return {
+                name: rule.rule,
+                description: rule.description,
+                count: rule.count(),
+                minConfidence: rule.minConfidence(),
+                dryRun: rule.dryRun()
+            };
+        }
+        return {
+            name: `${name}-consecutive`,
+            description: `Consecutive critical ${label} verdicts`,
+            count: config.autoPauseDetectorFailures,
+            minConfidence: config.autoPauseDetectorConfidence,
+            dryRun: config.autoPauseDetectorDryRun
+        };
+    }
+
+    /**
+     * Reset state when the printer status shows the print ended or a different print job.
+     * Clearing on the end means a reprint of the same file starts with fresh counts and cooldowns.
+     */
+    trackPrint(printerStatus) {
+        if (!printerStatus || !printerStatus.success) {
+            return;
+        }
+
+        const machineCode = printerStatus.status?.machine?.code;
+        const printCode = printerStatus.status?.print?.code;
+        if (machineCode === 0 || printCode === 8 || printCode === 9) { // Idle, Stopped, Complete
+            if (this.state.printKey) {
+                logger.debug(`Auto-pause policy stopped tracking finished print: ${this.state.printKey}`);
+                this.state = this.createPrintState(null);
+            }
+            return;
+        }
+
+        const printKey = printerStatus.status?.print?.filename || null;
+        if (printKey && printKey !== this.state.printKey) {
+            logger.debug(`Auto-pause policy tracking new print: ${printKey}`);
+            this.state = this.createPrintState(printKey);
+        }
+    }
+
+    /**
+     * Follow printer status pushes between verdicts so print transitions are not missed
+     */
+    recordStatus(printerStatus) {
+        if (this.enabled) {
+            this.trackPrint(printerStatus);
+        }
+    }
+
+    /**
+     * Record a normalized detector verdict and evaluate rules
+     * @param {string} label - Detector label for reasons ('PrintGuard', 'LLM', ...)
+     * @returns {Object|null} Decision if a rule fired
+     */
+    async recordVerdict(verdict, printerStatus, label = verdict.detector) {
+        if (!this.enabled || !verdict) {
+            return null;
+        }
+
+        this.trackPrint(printerStatus);
+
+        const rule = this.getDetectorRule(verdict.detector, label);
+        let detector = this.state.detectors.get(verdict.detector);
+        if (!detector) {
+            detector = { label, criticals: 0, lastCriticalTime: null };
+            this.state.detectors.set(verdict.detector, detector);
+        }
+
+        if (verdict.status === 'critical' && (verdict.confidence || 0) >= rule.minConfidence) {
+            detector.criticals++;
+            detector.lastCriticalTime = Date.now();
+        } else {
+            detector.criticals = 0;
+        }
+
+        return await this.evaluate(verdict.detector, rule, printerStatus);
+    }
+
+    /**
+     * Rules the latest verdict of a detector can fire, in order
+     */
+    getFiringRules(name, rule) {
+        const fired = [];
+        const detector = this.state.detectors.get(name);
+
+        if (rule.count > 0 && detector.criticals >= rule.count) {
+            const confidence = rule.minConfidence > 0 ? ` with ≥${Math.round(rule.minConfidence * 100)}% confidence` : '';
+            fired.push({
+                ...rule,
+                reason: `${detector.label} reported critical status${confidence} ${detector.criticals} times in a row (threshold: ${rule.count})`
+            });
+        }
+
+        const window = config.autoPauseAgreementWindow;
+        if (window > 0 && detector.lastCriticalTime) {
+            const other = [...this.state.detectors.entries()].find(([otherName, state]) =>
+                otherName !== name && state.lastCriticalTime &&
+                Math.abs(detector.lastCriticalTime - state.lastCriticalTime) <= window);
+            if (other) {
+                fired.push({
+                    name: 'detectors-agree',
+                    description: 'Two detectors agree',
+                    dryRun: config.autoPauseAgreementDryRun,
+                    reason: `${other[1].label} and ${detector.label} both detected a failure within ${Math.round(window / 1000)}s`
+                });
+            }
+        }
+
+        return fired;
+    }
+
+    /**
+     * Act on the first rule that fires outside its cooldown
+     */
+    async evaluate(name, detectorRule, printerStatus) {
+        const now = Date.now();
+
+        for (const rule of this.getFiringRules(name, detectorRule)) {
+            const lastFired = this.state.lastFired.get(rule.name);
+            if (lastFired && (now - lastFired) < this.cooldown) {
+                logger.debug(`Auto-pause rule '${rule.name}' matched but is in cooldown`);
+                continue;
+            }
+
+            this.state.lastFired.set(rule.name, now);
+            return await this.fire(rule, rule.reason, printerStatus);
+        }
+
+        return null;
+    }
+
+    /**
+     * Pause the printer for a fired rule (or only log it in dry-run mode)
+     */
+    async fire(rule, reason, printerStatus) {
+        const decision = {
+            rule: rule.name,
+            description: rule.description,
+            reason,
+            dryRun: rule.dryRun,
+            paused: false,
+            error: null,
+            filename: printerStatus?.status?.print?.filename || null,
+            timestamp: new Date().toISOString()
+        };
+
+        if (rule.dryRun) {
+            logger.warn(`Auto-pause rule '${rule.name}' fired (dry run, not pausing): ${reason}`);
+            return decision;
+        }
+
+        logger.warn(`Auto-pause rule '${rule.name}' fired, pausing print: ${reason}`);
+
+        try {
+            await this.printerModule.pausePrint();
+            decision.paused = true;
+
+            // Start counting again so a resumed print is judged on fresh evidence
+            this.state.detectors.clear();
+        } catch (error) {
+            logger.error(`Auto-pause failed to pause print: ${error.message}`);
+            decision.error = error.message;
+        }
+
+        return decision;
+    }
+}
+
+module.exports = PausePolicy;
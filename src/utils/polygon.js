@@ -0,0 +1,52 @@
+/**
+ * Polygon Helpers
+ * Parsing and formatting of normalized polygons (0-1, origin top-left). Free of image
+ * dependencies so config validation can use them without loading sharp.
+ */
+
+/**
+ * Parse "x,y x,y x,y ..." (or a YAML/JSON list of [x, y] pairs) into [[x, y], ...]
+ * @throws {Error} when the polygon is malformed
+ */
+function parsePolygon(value) {
+    const pairs = Array.isArray(value)
+        ? value
+        : String(value).trim().split(/[\s;]+/).filter(Boolean).map(pair => pair.split(','));
+
+    const polygon = pairs.map((pair) => {
+        const point = Array.isArray(pair) ? pair.map(Number) : [NaN, NaN];
+        if (point.length !== 2 || !point.every(n => Number.isFinite(n) && n >= 0 && n <= 1)) {
+            throw new Error(`'${Array.isArray(pair) ? pair.join(',') : pair}' is not an x,y point between 0 and 1`);
+        }
+        return point;
+    });
+
+    if (polygon.length < 3) {
+        throw new Error('a region needs at least 3 points');
+    }
+    const box = boundingBox(polygon);
+    if (box.x2 - box.x1 < 0.05 || box.y2 - box.y1 < 0.05) {
+        throw new Error('the region is too small');
+    }
+    return polygon;
+}
+
+function formatPolygon(polygon) {
+    return polygon.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+}
+
+function round(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+function boundingBox(polygon) {
+    const xs = polygon.map(([x]) => x);
+    const ys = polygon.map(([, y]) => y);
+    return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+}
+
+module.exports = {
+    parsePolygon,
+    formatPolygon,
+    boundingBox
+};
@@ -0,0 +1,200 @@
+const config = require('../config/config');
+const logger = require('./logger');
+
+// Print status codes where the layer legitimately stands still (see PrinterStatus.getPrintStatusText)
+const WAITING_PRINT_STATUSES = new Set([0, 1, 5, 6, 7, 8, 9, 10, 11, 12, 14, 15, 16, 19, 20]);
+const RATE_WINDOW = 30 * 60 * 1000; // Recent window for the observed layer rate
+const MIN_LAYER_CHANGES = 3; // Layer changes needed before observed timing replaces the printer's ticks
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Progress Tracker
+ * Follows the layer counter from SDCP status pushes. Raises a stall when the printer says
+ * Printing but the layer has not advanced for several average layer times (clogged nozzle,
+ * firmware hang), and projects the finish time from the observed layer rate.
+ */
+class ProgressTracker {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? config.progressStallDetection;
+        this.job = this.createJobState(null);
+    }
+
+    createJobState(filename) {
+        return {
+            filename,
+            currentLayer: null,
+            totalLayers: null,
+            elapsedSeconds: null,
+            printerRemaining: null,
+            startedAt: null, // First time this job was seen
+            changes: [], // { layer, time } for every observed layer change
+            lastAdvance: null,
+            stalled: false
+        };
+    }
+
+    /**
+     * Record a formatted status snapshot; returns a stall report when the layer stops advancing
+     * @param {Object} status - formatStatusData() result
+     * @returns {Object|null} { layer, totalLayers, stalledFor, threshold, averageLayerTime }
+     */
+    update(status, now = Date.now()) {
+        if (!status || !status.success || !status.progress) {
+            return null;
+        }
+
+        const filename = status.status?.print?.filename || null;
+        if (filename !== this.job.filename) {
+            this.job = this.createJobState(filename);
+            this.job.startedAt = now;
+            this.job.lastAdvance = now;
+        }
+
+        const job = this.job;
+        const layer = status.progress.currentLayer;
+        job.totalLayers = status.progress.totalLayers;
+        job.elapsedSeconds = status.time?.elapsedSeconds ?? null;
+        job.printerRemaining = status.time?.remaining || null;
+
+        if (layer !== job.currentLayer) {
+            if (job.currentLayer !== null && layer > job.currentLayer) {
+                job.changes.push({ layer, time: now });
+                if (job.changes.length > 5000) {
+                    job.changes.shift();
+                }
+            }
+            if (job.stalled) {
+                logger.info(`Layer progress resumed at layer ${layer} (${filename})`);
+            }
+            job.currentLayer = layer;
+            job.lastAdvance = now;
+            job.stalled = false;
+        }
+
+        // Paused, heating, changing filament etc.: restart the clock instead of counting a stall
+        const printing = status.status?.machine?.code === 1 && !WAITING_PRINT_STATUSES.has(status.status?.print?.code);
+        if (!printing) {
+            job.lastAdvance = now;
+            return null;
+        }
+
+        if (!this.enabled || job.stalled) {
+            return null;
+        }
+
+        const averageLayerTime = this.getAverageLayerTime();
+        if (!averageLayerTime) {
+            return null;
+        }
+
+        const threshold = Math.max(config.progressStallMinTime, averageLayerTime * config.progressStallMultiplier);
+        const stalledFor = now - job.lastAdvance;
+        if (stalledFor < threshold) {
+            return null;
+        }
+
+        job.stalled = true;
+        return {
+            layer,
+            totalLayers: job.totalLayers,
+            filename,
+            stalledFor,
+            threshold,
+            averageLayerTime
+        };
+    }
+
+    /**
+     * Average layer time (ms) of this job: observed layer changes, else the printer's elapsed time per layer
+     */
+    getAverageLayerTime() {
+        const { changes, elapsedSeconds, currentLayer } = this.job;
+        if (changes.length >= MIN_LAYER_CHANGES) {
+            const first = changes[0];
+            const last = changes[changes.length - 1];
+            return (last.time - first.time) / (last.layer - first.layer);
+        }
+        if (elapsedSeconds && currentLayer) {
+            return (elapsedSeconds * 1000) / currentLayer;
+        }
+        return null;
+    }
+
+    /**
+     * Layer rate over the recent window (layers per hour), or null without enough changes
+     */
+    getRecentLayerRate(now = Date.now()) {
+        const recent = this.job.changes.filter(change => now - change.time <= RATE_WINDOW);
+        if (recent.length < 2) {
+            return null;
+        }
+        const first = recent[0];
+        const last = recent[recent.length - 1];
+        if (last.time === first.time) {
+            return null;
+        }
+        return ((last.layer - first.layer) / (last.time - first.time)) * 3600000;
+    }
+
+    /**
+     * Layers completed per time bucket since the job was first seen, as a sparkline
+     */
+    getSparkline(now = Date.now(), buckets = 20) {
+        const { changes, startedAt } = this.job;
+        if (!startedAt || changes.length === 0) {
+            return null;
+        }
+
+        const span = Math.max(now - startedAt, 1);
+        const counts = new Array(buckets).fill(0);
+        for (const change of changes) {
+            const bucket = Math.min(buckets - 1, Math.floor(((change.time - startedAt) / span) * buckets));
+            counts[bucket]++;
+        }
+        return sparkline(counts);
+    }
+
+    /**
+     * Progress summary for /progress
+     */
+    getReport(now = Date.now()) {
+        const job = this.job;
+        if (!job.filename || job.currentLayer === null) {
+            return null;
+        }
+
+        const recentRate = this.getRecentLayerRate(now);
+        const averageLayerTime = this.getAverageLayerTime();
+        const layersPerHour = recentRate || (averageLayerTime ? 3600000 / averageLayerTime : null);
+        const remainingLayers = Math.max(0, (job.totalLayers || 0) - job.currentLayer);
+
+        return {
+            filename: job.filename,
+            currentLayer: job.currentLayer,
+            totalLayers: job.totalLayers,
+            layersPerHour,
+            averageLayerTime,
+            rateSource: recentRate ? 'observed' : 'printer',
+            projectedFinish: layersPerHour ? now + (remainingLayers / layersPerHour) * 3600000 : null,
+            printerRemaining: job.printerRemaining,
+            sinceLastLayer: now - job.lastAdvance,
+            stalled: job.stalled,
+            sparkline: this.getSparkline(now),
+            trackedFor: now - job.startedAt
+        };
+    }
+}
+
+/**
+ * Render numbers as a row of block characters scaled to the largest value
+ */
+function sparkline(values) {
+    const max = Math.max(...values);
+    if (max <= 0) {
+        return SPARK_CHARS[0].repeat(values.length);
+    }
+    return values.map(value => SPARK_CHARS[Math.round((value / max) * (SPARK_CHARS.length - 1))]).join('');
+}
+
+module.exports = ProgressTracker;
+module.exports.sparkline = sparkline;
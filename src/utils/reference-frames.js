@@ -0,0 +1,91 @@
+const config = require('../config/config');
+const logger = require('./logger');
+
+const LOOKBACK_SAMPLES = 10; // Frames kept per lookback window
+
+/**
+ * Reference Frames
+ * Earlier frames of the current print job to compare the live frame with: the frame of the
+ * first layer (REFERENCE_FIRST_LAYER) and one from about REFERENCE_LOOKBACK_MINUTES ago.
+ * Frames are kept as captured JPEGs, at most LOOKBACK_SAMPLES + 1 per printer, and dropped
+ * when a new job starts (other file, or the layer counter going back).
+ */
+class ReferenceFrames {
+    constructor() {
+        this.job = this.createJobState(null);
+    }
+
+    createJobState(filename) {
+        return {
+            filename,
+            lastLayer: null,
+            firstLayer: null, // { buffer, time, layer }
+            history: [] // { buffer, time, layer }, oldest first
+        };
+    }
+
+    get lookbackMs() {
+        return config.referenceLookbackMinutes * 60 * 1000;
+    }
+
+    /**
+     * Keep a frame captured while printing
+     * @param {Object} printerStatus - formatStatusData() result
+     */
+    record(frameBuffer, printerStatus, now = Date.now()) {
+        if (!frameBuffer || !printerStatus || !printerStatus.success) {
+            return;
+        }
+
+        const filename = printerStatus.status?.print?.filename || null;
+        const layer = printerStatus.progress?.currentLayer ?? null;
+        if (filename !== this.job.filename || (layer !== null && this.job.lastLayer !== null && layer < this.job.lastLayer)) {
+            if (this.job.filename !== null || this.job.history.length > 0) {
+                logger.debug(`Reference frames reset for ${filename || 'unknown job'}`);
+            }
+            this.job = this.createJobState(filename);
+        }
+        if (layer !== null) {
+            this.job.lastLayer = layer;
+        }
+
+        const frame = { buffer: frameBuffer, time: now, layer };
+
+        // First frame at or past the first-layer mark; later if monitoring started mid-print
+        if (!this.job.firstLayer && layer !== null && layer >= config.referenceFirstLayer) {
+            this.job.firstLayer = frame;
+            logger.info(`Reference frame kept: layer ${layer}${filename ? ` of ${filename}` : ''}`);
+        }
+
+        const sampleInterval = this.lookbackMs / LOOKBACK_SAMPLES;
+        const last = this.job.history[this.job.history.length - 1];
+        if (!last || now - last.time >= sampleInterval) {
+            this.job.history.push(frame);
+        }
+        this.job.history = this.job.history.filter(entry => now - entry.time <= this.lookbackMs + sampleInterval);
+    }
+
+    /**
+     * References for a comparison, oldest first; the lookback frame needs to be at least
+     * half the lookback old so it is not compared with an almost identical frame
+     * @returns {Object[]} [{ kind: 'firstLayer'|'lookback', buffer, time, layer }]
+     */
+    select(now = Date.now()) {
+        const references = [];
+        if (this.job.firstLayer) {
+            references.push({ kind: 'firstLayer', ...this.job.firstLayer });
+        }
+
+        const lookback = this.job.history.find(entry => now - entry.time >= this.lookbackMs / 2);
+        if (lookback && lookback !== this.job.firstLayer) {
+            references.push({ kind: 'lookback', ...lookback });
+        }
+        return references;
+    }
+
+    reset() {
+        this.job = this.createJobState(null);
+    }
+}
+
+module.exports = ReferenceFrames;
@@ -0,0 +1,171 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { parsePolygon, formatPolygon, boundingBox } = require('./polygon');
+
+/**
+ * Bed Region of Interest
+ * A polygon in normalized frame coordinates (0-1, origin top-left) around the print bed.
+ * Analyzers get the frame cropped to the polygon's bounding box with everything outside
+ * the polygon blacked out; `region` tells how to map their coordinates back to the full frame.
+ */
+
+const GRID_STEP = 0.1;
+
+/**
+ * Pixel crop box around the polygon; `square` grows it to a square (for center-cropping models)
+ */
+function getCropBox(polygon, width, height, square = false) {
+    const box = boundingBox(polygon);
+    let left = Math.floor(box.x1 * width);
+    let top = Math.floor(box.y1 * height);
+    let cropWidth = Math.max(1, Math.ceil(box.x2 * width) - left);
+    let cropHeight = Math.max(1, Math.ceil(box.y2 * height) - top);
+
+    if (square) {
+        const side = Math.min(Math.max(cropWidth, cropHeight), width, height);
+        left = Math.min(Math.max(0, left - Math.floor((side - cropWidth) / 2)), width - side);
+        top = Math.min(Math.max(0, top - Math.floor((side - cropHeight) / 2)), height - side);
+        cropWidth = side;
+        cropHeight = side;
+    }
+
+    return {
+        left,
+        top,
+        width: Math.min(cropWidth, width - left),
+        height: Math.min(cropHeight, height - top)
+    };
+}
+
+/**
+ * Crop a JPEG frame to the polygon and black out everything outside it
+ * @returns {Promise<Object>} { buffer, region } - region is the crop in normalized frame coordinates, null without a polygon
+ */
+async function applyRoi(imageBuffer, polygon, options = {}) {
+    if (!polygon) {
+        return { buffer: imageBuffer, region: null };
+    }
+
+    const { width, height } = await sharp(imageBuffer).metadata();
+    const crop = getCropBox(polygon, width, height, options.square);
+    const points = polygon
+        .map(([x, y]) => `${(x * width - crop.left).toFixed(1)},${(y * height - crop.top).toFixed(1)}`)
+        .join(' ');
+    const mask = `<svg width="${crop.width}" height="${crop.height}" xmlns="http://www.w3.org/2000/svg">` +
+        `<polygon points="${points}" fill="#fff"/></svg>`;
+
+    // Extract first so the mask composites onto an image of its own size
+    const cropped = await sharp(imageBuffer).extract(crop).toBuffer();
+    const buffer = await sharp(cropped)
+        .composite([{ input: Buffer.from(mask), blend: 'dest-in' }])
+        .flatten({ background: '#000000' })
+        .jpeg({ quality: 90 })
+        .toBuffer();
+
+    return {
+        buffer,
+        region: {
+            x: crop.left / width,
+            y: crop.top / height,
+            width: crop.width / width,
+            height: crop.height / height
+        }
+    };
+}
+
+/**
+ * Map a normalized [x1, y1, x2, y2] box inside `region` to full-frame coordinates
+ */
+function mapBoundingBox(box, region) {
+    if (!region || !Array.isArray(box) || box.length !== 4) {
+        return box;
+    }
+    const [x1, y1, x2, y2] = box;
+    return [
+        region.x + x1 * region.width,
+        region.y + y1 * region.height,
+        region.x + x2 * region.width,
+        region.y + y2 * region.height
+    ];
+}
+
+/**
+ * Frame with a labelled 0.1 grid and the polygon (outside dimmed) for /roi calibration
+ */
+async function renderCalibrationFrame(imageBuffer, polygon = null) {
+    const { width, height } = await sharp(imageBuffer).metadata();
+    const fontSize = Math.max(12, Math.round(Math.min(width, height) / 40));
+    let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`;
+
+    if (polygon) {
+        const points = polygon.map(([x, y]) => `${x * width},${y * height}`).join(' ');
+        // Even-odd fill dims everything but the polygon
+        svg += `<path d="M0,0 H${width} V${height} H0 Z M${points.replace(/ /g, ' L')} Z" fill="rgba(0,0,0,0.55)" fill-rule="evenodd"/>`;
+        svg += `<polygon points="${points}" fill="none" stroke="#FFD400" stroke-width="3"/>`;
+        polygon.forEach(([x, y], index) => {
+            svg += `<circle cx="${x * width}" cy="${y * height}" r="${fontSize / 3}" fill="#FFD400"/>`;
+            svg += label(x * width + fontSize / 2, y * height - fontSize / 2, `${index + 1}`, fontSize, '#FFD400');
+        });
+    }
+
+    for (let step = 1; step < 1 / GRID_STEP; step++) {
+        const value = Math.round(step * GRID_STEP * 10) / 10;
+        const x = value * width;
+        const y = value * height;
+        const dash = step % 5 === 0 ? '' : ' stroke-dasharray="6,6"';
+        svg += `<line x1="${x}" y1="0" x2="${x}" y2="${height}" stroke="rgba(0,255,255,0.7)" stroke-width="1"${dash}/>`;
+        svg += `<line x1="0" y1="${y}" x2="${width}" y2="${y}" stroke="rgba(0,255,255,0.7)" stroke-width="1"${dash}/>`;
+        svg += label(x + 3, fontSize + 2, String(value), fontSize, '#00FFFF');
+        svg += label(3, y - 3, String(value), fontSize, '#00FFFF');
+    }
+
+    svg += '</svg>';
+    return sharp(imageBuffer)
+        .composite([{ input: Buffer.from(svg), blend: 'over' }])
+        .jpeg({ quality: 90 })
+        .toBuffer();
+}
+
+function label(x, y, text, fontSize, color) {
+    return `<text x="${x}" y="${y}" font-family="sans-serif" font-size="${fontSize}" font-weight="bold" ` +
+        `fill="${color}" stroke="#000" stroke-width="3" paint-order="stroke">${text}</text>`;
+}
+
+/**
+ * Calibrated polygon saved by /roi, or null when none was saved
+ */
+async function loadRoiFile(file) {
+    try {
+        const data = JSON.parse(await fs.readFile(file, 'utf8'));
+        return parsePolygon(data.polygon);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Invalid ROI file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Save a calibrated polygon; null removes the file
+ */
+async function saveRoiFile(file, polygon) {
+    if (!polygon) {
+        await fs.rm(file, { force: true });
+        return;
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ polygon, updatedAt: new Date().toISOString() }, null, 2));
+}
+
+module.exports = {
+    parsePolygon,
+    formatPolygon,
+    getCropBox,
+    applyRoi,
+    mapBoundingBox,
+    renderCalibrationFrame,
+    loadRoiFile,
+    saveRoiFile
+};
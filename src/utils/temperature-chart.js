@@ -0,0 +1,90 @@
+const sharp = require('sharp');
+
+const SERIES = [
+    { sensor: 'nozzle', label: 'Nozzle', color: '#E4572E' },
+    { sensor: 'bed', label: 'Bed', color: '#2E86DE' }
+];
+
+/**
+ * Render a small temperature chart (current and dashed target lines for nozzle and bed) as PNG
+ * @param {Array} samples - TemperatureMonitor samples, oldest first
+ * @param {Object} options - { width, height, title, highlight: sensor drawn thicker }
+ * @returns {Promise<Buffer>} PNG image buffer
+ */
+async function renderTemperatureChart(samples, options = {}) {
+    const width = options.width || 800;
+    const height = options.height || 400;
+    const svg = createChartSVG(samples, width, height, options);
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+function createChartSVG(samples, width, height, options = {}) {
+    const margin = { top: 44, right: 20, bottom: 36, left: 52 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+
+    const values = samples.flatMap(sample => SERIES.flatMap(({ sensor }) =>
+        [sample[sensor].current, sample[sensor].target].filter(Number.isFinite)));
+    const maxValue = Math.max(50, ...values);
+    const yMax = Math.ceil((maxValue + 10) / 50) * 50;
+
+    const startTime = samples.length > 0 ? samples[0].time : 0;
+    const endTime = samples.length > 0 ? samples[samples.length - 1].time : 1;
+    const span = Math.max(endTime - startTime, 1);
+
+    const x = (time) => margin.left + ((time - startTime) / span) * plotWidth;
+    const y = (value) => margin.top + plotHeight - (value / yMax) * plotHeight;
+
+    let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`;
+    svg += `<rect width="${width}" height="${height}" fill="#FFFFFF"/>`;
+    svg += `<text x="${margin.left}" y="26" font-family="sans-serif" font-size="18" font-weight="bold" fill="#222222">${escapeXml(options.title || 'Temperatures')}</text>`;
+
+    // Horizontal grid with °C labels
+    for (let value = 0; value <= yMax; value += 50) {
+        svg += `<line x1="${margin.left}" y1="${y(value)}" x2="${width - margin.right}" y2="${y(value)}" stroke="#E5E5E5" stroke-width="1"/>`;
+        svg += `<text x="${margin.left - 8}" y="${y(value) + 4}" font-family="sans-serif" font-size="12" fill="#666666" text-anchor="end">${value}°</text>`;
+    }
+
+    // Time axis: minutes before the latest sample
+    svg += `<text x="${margin.left}" y="${height - 12}" font-family="sans-serif" font-size="12" fill="#666666">-${Math.round(span / 60000)} min</text>`;
+    svg += `<text x="${width - margin.right}" y="${height - 12}" font-family="sans-serif" font-size="12" fill="#666666" text-anchor="end">now</text>`;
+
+    for (const { sensor, color } of SERIES) {
+        const strokeWidth = options.highlight === sensor ? 3 : 1.5;
+        const targetPoints = samples.map(sample => `${x(sample.time).toFixed(1)},${y(sample[sensor].target).toFixed(1)}`);
+        const currentPoints = samples
+            .filter(sample => Number.isFinite(sample[sensor].current))
+            .map(sample => `${x(sample.time).toFixed(1)},${y(sample[sensor].current).toFixed(1)}`);
+
+        if (targetPoints.length > 1) {
+            svg += `<polyline points="${targetPoints.join(' ')}" fill="none" stroke="${color}" stroke-width="1" stroke-dasharray="6,4" opacity="0.7"/>`;
+        }
+        if (currentPoints.length > 1) {
+            svg += `<polyline points="${currentPoints.join(' ')}" fill="none" stroke="${color}" stroke-width="${strokeWidth}"/>`;
+        }
+    }
+
+    // Legend with the latest readings
+    const latest = samples[samples.length - 1];
+    SERIES.forEach(({ sensor, label, color }, i) => {
+        const legendX = width - margin.right - 300 + i * 150;
+        const reading = latest && Number.isFinite(latest[sensor].current)
+            ? ` ${latest[sensor].current.toFixed(0)}/${latest[sensor].target.toFixed(0)}°C`
+            : '';
+        svg += `<line x1="${legendX}" y1="22" x2="${legendX + 20}" y2="22" stroke="${color}" stroke-width="3"/>`;
+        svg += `<text x="${legendX + 26}" y="26" font-family="sans-serif" font-size="13" fill="#222222">${label}${reading}</text>`;
+    });
+
+    svg += '</svg>';
+    return svg;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, char => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+    })[char]);
+}
+
+module.exports = {
+    renderTemperatureChart
+};
@@ -0,0 +1,176 @@
+const config = require('../config/config');
+const logger = require('./logger');
+
+const SENSORS = ['nozzle', 'bed'];
+const REACHED_TOLERANCE = 3; // °C from target that counts as "at temperature"
+const RISING_MARGIN = 1; // °C gained over the runaway window that counts as still heating
+const HISTORY_WINDOW = 15 * 60 * 1000; // Samples kept for the chart
+
+const SENSOR_NAMES = { nozzle: 'Nozzle', bed: 'Bed' };
+
+/**
+ * Temperature Monitor
+ * Fed with every SDCP status push; watches nozzle and bed temperatures for
+ * thermal runaway, heaters that never reach their target and sudden drops mid-print.
+ * Thresholds are read from config on every update so hot reloads apply immediately.
+ */
+class TemperatureMonitor {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? config.temperatureMonitorEnabled;
+        this.samples = []; // { time, printing, nozzle: { current, target }, bed: { current, target } }
+        this.sensors = {};
+        this.lastAlerts = new Map(); // "type:sensor" -> time
+        for (const sensor of SENSORS) {
+            this.sensors[sensor] = this.createSensorState(null);
+        }
+    }
+
+    createSensorState(target) {
+        return {
+            target,
+            heatingSince: null, // Target set but not reached yet
+            reached: false,
+            reachedAt: null,
+            divergingSince: null,
+            divergingFrom: null // Reading when divergingSince was set
+        };
+    }
+
+    /**
+     * Record a formatted status snapshot and return any anomalies it reveals
+     * @param {Object} status - formatStatusData() result
+     * @returns {Array} Anomalies: { type, sensor, title, reason, current, target, time }
+     */
+    update(status, now = Date.now()) {
+        if (!this.enabled || !status || !status.success || !status.temperatures) {
+            return [];
+        }
+
+        const sample = {
+            time: now,
+            printing: status.status?.machine?.code === 1
+        };
+        for (const sensor of SENSORS) {
+            const reading = status.temperatures[sensor] || {};
+            sample[sensor] = { current: Number(reading.current), target: Number(reading.target) || 0 };
+        }
+
+        this.samples.push(sample);
+        while (this.samples.length > 0 && now - this.samples[0].time > HISTORY_WINDOW) {
+            this.samples.shift();
+        }
+
+        const anomalies = [];
+        for (const sensor of SENSORS) {
+            if (!Number.isFinite(sample[sensor].current)) {
+                continue;
+            }
+            for (const anomaly of this.checkSensor(sensor, sample, now)) {
+                const key = `${anomaly.type}:${sensor}`;
+                const lastAlert = this.lastAlerts.get(key);
+                if (lastAlert && now - lastAlert < config.tempAlertCooldown) {
+                    logger.debug(`Temperature anomaly ${key} suppressed by cooldown`);
+                    continue;
+                }
+                this.lastAlerts.set(key, now);
+                anomalies.push(anomaly);
+            }
+        }
+        return anomalies;
+    }
+
+    checkSensor(sensor, sample, now) {
+        const { current, target } = sample[sensor];
+        const name = SENSOR_NAMES[sensor];
+        const anomalies = [];
+        let state = this.sensors[sensor];
+
+        // A new target restarts heat-up tracking
+        if (state.target !== target) {
+            state = this.sensors[sensor] = this.createSensorState(target);
+            if (target > 0 && Math.abs(current - target) > REACHED_TOLERANCE) {
+                state.heatingSince = now;
+            }
+        }
+
+        // Heater off: nothing to compare against
+        if (target <= 0) {
+            return anomalies;
+        }
+
+        const anomaly = (type, title, reason) => ({ type, sensor, title, reason, current, target, time: now });
+
+        if (!state.reached && Math.abs(current - target) <= REACHED_TOLERANCE) {
+            state.reached = true;
+            state.reachedAt = now;
+            state.heatingSince = null;
+        }
+
+        if (state.heatingSince && now - state.heatingSince >= config.tempHeatupTimeout) {
+            anomalies.push(anomaly('heatup-timeout', 'Heater failed to reach target',
+                `${name} at ${current.toFixed(1)}°C after ${formatDuration(now - state.heatingSince)} ` +
+                `${current > target ? 'cooling' : 'heating'} to ${target}°C`));
+            state.heatingSince = null; // One alert per target
+        }
+
+        // Runaway: off target for a while after reaching it, or well above a target it has
+        // not reached yet and still heating. Above a lowered target is normal while the heater
+        // cools down to it; one that never gets there is caught by the heat-up timeout.
+        const deviation = current - target;
+        const diverging = state.reached
+            ? Math.abs(deviation) > config.tempRunawayDeviation
+            : deviation > config.tempRunawayDeviation;
+        if (!diverging) {
+            state.divergingSince = null;
+        } else {
+            if (!state.divergingSince) {
+                state.divergingSince = now;
+                state.divergingFrom = current;
+            }
+            if (now - state.divergingSince >= config.tempRunawayDuration) {
+                if (state.reached || current - state.divergingFrom >= RISING_MARGIN) {
+                    anomalies.push(anomaly('thermal-runaway', 'Possible thermal runaway',
+                        `${name} at ${current.toFixed(1)}°C, ${Math.abs(deviation).toFixed(1)}°C ${deviation > 0 ? 'above' : 'below'} ` +
+                        `its ${target}°C target for ${formatDuration(now - state.divergingSince)}`));
+                } else {
+                    // Cooling towards the target: judge the next window from here
+                    state.divergingSince = now;
+                    state.divergingFrom = current;
+                }
+            }
+        }
+
+        // Sudden drop mid-print at an unchanged target points at a heater or thermistor fault;
+        // readings from before the target was reached are a heat-up or cool-down, not a drop
+        if (sample.printing && state.reached) {
+            const since = Math.max(now - config.tempDropWindow, state.reachedAt);
+            const recent = this.samples.filter(s => s.time >= since && s[sensor].target === target);
+            const peak = recent.reduce((best, s) => (s[sensor].current >= best[sensor].current ? s : best), sample);
+            const drop = peak[sensor].current - current;
+            if (drop >= config.tempDropThreshold) {
+                anomalies.push(anomaly('sudden-drop', 'Sudden temperature drop',
+                    `${name} fell ${drop.toFixed(1)}°C in ${formatDuration(now - peak.time)} to ${current.toFixed(1)}°C ` +
+                    `(target ${target}°C) - heater or thermistor fault?`));
+            }
+        }
+
+        return anomalies;
+    }
+
+    /**
+     * Recent samples for charting
+     */
+    getSamples() {
+        return [...this.samples];
+    }
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 120) {
+        return `${seconds}s`;
+    }
+    return `${Math.round(seconds / 60)} min`;
+}
+
+module.exports = TemperatureMonitor;
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { serializeStatus } = require('./serialize');
+const { isAuthorized } = require('./auth');
+const { findPrintMonitor, serializePrinter } = require('./printers');
+
+/**
+ * Error with an HTTP status and machine-readable code, sent as a JSON error response
+ */
+class ApiError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * REST API v1
+ * Exposes the PrintMonitor request queue and printer operations as JSON over HTTP.
+ * Monitor and printer routes act on the first printer, or on the one named in a
+ * /printers/{name or number}/ prefix. Every route except /openapi.json requires
+ * "Authorization: Bearer <API_TOKEN>".
+ */
+class ApiV1 {
+  /**
+   * @param {Array<Object>} printMonitors - One PrintMonitor per registered printer
+   */
+  constructor(printMonitors) {
+    this.printMonitors = printMonitors;
+    this.token = config.apiToken;
+    this.maxBodySize = 64 * 1024; // Request bodies are small JSON documents
+    this.maxStoredMedia = 20; // Captured images/videos kept for download
+    this.media = new Map(); // id -> { contentType, buffer | filePath }
+    this.openApiPath = path.join(__dirname, 'openapi.json');
+
+    if (!this.token) {
+      logger.warn('API_TOKEN is not set - all REST API requests will be rejected');
+    }
+  }
+
+  /**
+   * Route a request under /api/v1
+   */
+  async handleRequest(req, res, url) {
+    try {
+      let pathname = url.pathname.replace(/^\/api\/v1/, '');
+
+      if (`${req.method} ${pathname}` === 'GET /openapi.json') {
+        return this.sendOpenApi(res);
+      }
+
+      this.authenticate(req);
+
+      const mediaMatch = pathname.match(/^\/media\/([a-f0-9]+)$/);
+      if (req.method === 'GET' && mediaMatch) {
+        return this.handleMedia(res, mediaMatch[1]);
+      }
+
+      if (`${req.method} ${pathname}` === 'GET /printers') {
+        return this.sendData(res, 200, { printers: this.printMonitors.map(serializePrinter) });
+      }
+
+      // /printers/{printer}/<route> is <route> for that printer
+      let printMonitor = this.printMonitors[0];
+      const printerMatch = pathname.match(/^\/printers\/([^/]+)(\/.*)$/);
+      if (printerMatch) {
+        printMonitor = findPrintMonitor(this.printMonitors, decodeURIComponent(printerMatch[1]));
+        if (!printMonitor) {
+          throw new ApiError(404, 'printer_not_found', `No printer named or numbered "${decodeURIComponent(printerMatch[1])}"`);
+        }
+        pathname = printerMatch[2];
+      }
+
+      switch (`${req.method} ${pathname}`) {
+        case 'POST /status':
+          return this.sendData(res, 200, await this.handleStatusRequest(printMonitor, 'status'));
+        case 'POST /analyze':
+          return this.sendData(res, 200, await this.handleStatusRequest(printMonitor, 'analyze'));
+        case 'POST /frame':
+          return this.sendData(res, 200, await this.handleFrameRequest(printMonitor));
+        case 'POST /video':
+          return this.sendData(res, 200, await this.handleVideoRequest(printMonitor, await this.readJsonBody(req)));
+        case 'GET /printer/status':
+          return this.sendData(res, 200, await this.handlePrinterStatus(printMonitor));
+        case 'GET /printer/files':
+          return this.sendData(res, 200, await this.handleListFiles(printMonitor));
+        case 'DELETE /printer/files':
+          return this.sendData(res, 200, await this.handleDeleteFiles(printMonitor, await this.readJsonBody(req)));
+        case 'POST /printer/pause':
+          return this.sendData(res, 200, await this.handlePrinterCommand(printMonitor, 'pause'));
+        case 'POST /printer/resume':
+          return this.sendData(res, 200, await this.handlePrinterCommand(printMonitor, 'resume'));
+        default:
+          throw new ApiError(404, 'not_found', `No route for ${req.method} ${url.pathname}`);
+      }
+    } catch (error) {
+      return this.sendError(res, error);
+    }
+  }
+
+  /**
+   * Check the bearer token
+   */
+  authenticate(req) {
+    if (!isAuthorized(req, this.token)) {
+      throw new ApiError(401, 'unauthorized', 'Missing or invalid API token');
+    }
+  }
+
+  /**
+   * Status/analyze go through the PrintMonitor LLM queue, like Telegram commands
+   */
+  async handleStatusRequest(printMonitor, type) {
+    const result = await printMonitor.queueLLMRequest(type, { source: 'api' });
+
+    return {
+      analysis: result.analysis,
+      printerStatus: serializeStatus(result.printerStatus),
+      llmEnabled: result.llmEnabled,
+      timestamp: result.timestamp,
+      imageUrl: this.storeMedia({ contentType: 'image/jpeg', buffer: result.frameBuffer })
+    };
+  }
+
+  async handleFrameRequest(printMonitor) {
+    const result = await printMonitor.queueLLMRequest('frame', { source: 'api' });
+
+    return {
+      timestamp: result.timestamp,
+      imageUrl: this.storeMedia({ contentType: 'image/jpeg', buffer: result.frameBuffer })
+    };
+  }
+
+  async handleVideoRequest(printMonitor, body) {
+    const duration = body.duration === undefined ? 5 : Number(body.duration);
+    if (!Number.isInteger(duration) || duration < 1 || duration > 60) {
+      throw new ApiError(400, 'invalid_request', 'duration must be an integer between 1 and 60 seconds');
+    }
+
+    const result = await printMonitor.queueLLMRequest('video', { source: 'api', duration });
+
+    return {
+      duration: result.duration,
+      timestamp: result.timestamp,
+      videoUrl: this.storeMedia({ contentType: 'video/mp4', filePath: result.videoFile })
+    };
+  }
+
+  async handlePrinterStatus(printMonitor) {
+    return serializeStatus(await this.requirePrinter(printMonitor).getStatus());
+  }
+
+  async handleListFiles(printMonitor) {
+    const fileList = await this.requirePrinter(printMonitor).listFiles();
+    const files = fileList.FileList || (fileList.Data && fileList.Data.FileList) || [];
+
+    return {
+      files: files.map((file, index) => ({
+        number: index + 1,
+        path: file.name,
+        type: file.type === 0 ? 'folder' : 'file',
+        size: file.FileSize || null,
+        createdAt: file.CreateTime ? new Date(file.CreateTime * 1000).toISOString() : null
+      }))
+    };
+  }
+
+  async handleDeleteFiles(printMonitor, body) {
+    const paths = body.paths;
+    if (!Array.isArray(paths) || paths.length === 0 || !paths.every(p => typeof p === 'string')) {
+      throw new ApiError(400, 'invalid_request', 'paths must be a non-empty array of file paths from GET /printer/files');
+    }
+
+    const result = await this.requirePrinter(printMonitor).deleteFiles(paths);
+    const failed = result?.Data?.ErrData || [];
+
+    return {
+      deleted: paths.filter(p => !failed.includes(p)),
+      failed,
+      ack: result?.Data?.Ack ?? null
+    };
+  }
+
+  async handlePrinterCommand(printMonitor, command) {
+    const printerModule = this.requirePrinter(printMonitor);
+    const result = command === 'pause'
+      ? await printerModule.pausePrint()
+      : await printerModule.resumePrint();
+
+    logger.info(`Print ${command} on ${printMonitor.printer.name} requested via REST API`);
+    return { command, ack: result?.Data?.Ack ?? null };
+  }
+
+  requirePrinter(printMonitor) {
+    if (!printMonitor.printerModule) {
+      throw new ApiError(503, 'printer_unavailable', 'Printer not configured (set PRINTER_IP)');
+    }
+    return printMonitor.printerModule;
+  }
+
+  /**
+   * Keep a captured image/video for download and return its URL
+   */
+  storeMedia(media) {
+    const id = crypto.randomBytes(8).toString('hex');
+    this.media.set(id, media);
+
+    // Drop the oldest entries (Map keeps insertion order)
+    while (this.media.size > this.maxStoredMedia) {
+      this.media.delete(this.media.keys().next().value);
+    }
+
+    return `/api/v1/media/${id}`;
+  }
+
+  handleMedia(res, id) {
+    const media = this.media.get(id);
+    if (!media) {
+      throw new ApiError(404, 'not_found', 'Media not found or expired');
+    }
+
+    res.writeHead(200, { 'Content-Type': media.contentType, 'Cache-Control': 'private, max-age=3600' });
+    if (media.buffer) {
+      res.end(media.buffer);
+    } else {
+      fs.createReadStream(media.filePath)
+        .on('error', (error) => {
+          logger.warn(`Failed to stream ${media.filePath}: ${error.message}`);
+          res.end();
+        })
+        .pipe(res);
+    }
+  }
+
+  sendOpenApi(res) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    fs.createReadStream(this.openApiPath).pipe(res);
+  }
+
+  readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > this.maxBodySize) {
+          reject(new ApiError(413, 'payload_too_large', `Request body exceeds ${this.maxBodySize} bytes`));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (!text.trim()) {
+          resolve({});
+          return;
+        }
+        try {
+          resolve(JSON.parse(text));
+        } catch (error) {
+          reject(new ApiError(400, 'invalid_json', `Request body is not valid JSON: ${error.message}`));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  sendData(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, data }));
+  }
+
+  sendError(res, error) {
+    const statusCode = error instanceof ApiError ? error.statusCode : 500;
+    const code = error instanceof ApiError ? error.code : 'internal_error';
+
+    if (statusCode >= 500) {
+      logger.error(`REST API error: ${error.message}`);
+    }
+
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: { code, message: error.message } }));
+  }
+}
+
+module.exports = ApiV1;
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+/**
+ * Whether the request carries "Authorization: Bearer <token>", compared in constant time.
+ * Always false while no token is configured.
+ */
+function isAuthorized(req, token) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+
+  if (!token || !match) {
+    return false;
+  }
+
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const provided = crypto.createHash('sha256').update(match[1].trim()).digest();
+  return crypto.timingSafeEqual(expected, provided);
+}
+
+module.exports = {
+  isAuthorized
+};
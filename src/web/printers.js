@@ -0,0 +1,30 @@
+const { serializeStatus } = require('./serialize');
+
+/**
+ * Find a monitor by printer name or 1-based index (same rules as the Telegram commands)
+ */
+function findPrintMonitor(printMonitors, nameOrIndex) {
+  const key = String(nameOrIndex ?? '').trim().toLowerCase();
+  if (/^\d+$/.test(key)) {
+    return printMonitors[parseInt(key, 10) - 1] || null;
+  }
+  return printMonitors.find(monitor => monitor.printer.name === key) || null;
+}
+
+/**
+ * Printer summary for printer lists: registry entry and the last pushed status
+ */
+function serializePrinter(printMonitor) {
+  const printerModule = printMonitor.printerModule;
+  return {
+    index: printMonitor.printer.index,
+    name: printMonitor.printer.name,
+    ip: printMonitor.printer.ip || null,
+    status: serializeStatus(printerModule ? printerModule.getCachedStatus() : null)
+  };
+}
+
+module.exports = {
+  findPrintMonitor,
+  serializePrinter
+};
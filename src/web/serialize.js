@@ -0,0 +1,14 @@
+/**
+ * Printer status without the raw SDCP payload, for JSON responses
+ */
+function serializeStatus(status) {
+  if (!status) {
+    return null;
+  }
+  const { raw, ...rest } = status;
+  return rest;
+}
+
+module.exports = {
+  serializeStatus
+};
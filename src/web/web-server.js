@@ -0,0 +1,395 @@
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const { Readable } = require('stream');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const ImageAnnotator = require('../utils/image-annotator');
+const ApiV1 = require('./api-v1');
+const { serializeStatus } = require('./serialize');
+const { isAuthorized } = require('./auth');
+const { findPrintMonitor, serializePrinter } = require('./printers');
+const metrics = require('../utils/metrics');
+
+/**
+ * Web Server
+ * Hosts the single-page dashboard (proxied camera feed, printer status, latest detector
+ * verdicts and print controls, live over Server-Sent Events), the versioned REST API and
+ * Prometheus metrics for every monitored printer. Dashboard routes take the printer as
+ * ?printer=<name or number> (first printer by default). Dashboard controls (POST routes) and
+ * /metrics (unless METRICS_PUBLIC) need the API token, like the REST API; a bearer header
+ * cannot be sent cross-site without a CORS preflight, which is never allowed.
+ */
+class WebServer {
+  /**
+   * @param {Array<Object>} printMonitors - One PrintMonitor per registered printer
+   */
+  constructor(printMonitors) {
+    this.printMonitors = printMonitors;
+    this.port = config.webPort;
+    this.host = config.webHost;
+    this.dashboardEnabled = config.dashboardEnabled;
+    this.metricsEnabled = config.metricsEnabled;
+    this.metricsPublic = config.metricsPublic;
+    this.api = config.apiEnabled ? new ApiV1(printMonitors) : null;
+    this.server = null;
+    this.sseClients = new Map(); // response -> PrintMonitor it follows
+    this.keepAliveInterval = null;
+    this.imageAnnotator = new ImageAnnotator();
+    this.annotatedCache = new Map(); // "<printer index>:<detector name>" -> { time, buffer }
+    this.dashboardPath = path.join(__dirname, 'public', 'dashboard.html');
+
+    if (this.dashboardEnabled && !config.apiToken) {
+      logger.warn('API_TOKEN is not set - dashboard pause, resume and capture will be rejected');
+    }
+    if (this.metricsEnabled && !this.metricsPublic && !config.apiToken) {
+      logger.warn('API_TOKEN is not set - /metrics will reject every scrape (set METRICS_PUBLIC=true to serve it without a token)');
+    }
+  }
+
+  /**
+   * Start listening and subscribe to printer status pushes
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.handleRequest(req, res).catch(error => {
+          logger.error(`Web request ${req.method} ${req.url} failed: ${error.message}`);
+          if (!res.headersSent) {
+            this.sendJson(res, 500, { success: false, error: error.message });
+          } else {
+            res.end();
+          }
+        });
+      });
+
+      this.server.on('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        logger.info(`Web server listening on http://${this.host}:${this.port}` +
+          ` (dashboard: ${this.dashboardEnabled ? 'on' : 'off'}, API: ${this.api ? 'on' : 'off'},` +
+          ` metrics: ${this.metricsEnabled ? 'on' : 'off'})`);
+        resolve();
+      });
+
+      for (const printMonitor of this.printMonitors) {
+        if (printMonitor.printerModule) {
+          printMonitor.printerModule.on('status', (status) => {
+            this.broadcast(printMonitor, 'status', serializeStatus(status));
+          });
+        }
+      }
+
+      // Comment lines keep idle SSE connections open through proxies
+      this.keepAliveInterval = setInterval(() => {
+        for (const client of this.sseClients.keys()) {
+          client.write(': keep-alive\n\n');
+        }
+      }, 30000);
+    });
+  }
+
+  /**
+   * Stop the server and close live connections
+   */
+  stop() {
+    clearInterval(this.keepAliveInterval);
+    for (const client of this.sseClients.keys()) {
+      client.end();
+    }
+    this.sseClients.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * Route a request to the REST API or the dashboard
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (this.api && url.pathname.startsWith('/api/v1/')) {
+      return this.api.handleRequest(req, res, url);
+    }
+
+    if (this.metricsEnabled && req.method === 'GET' && url.pathname === '/metrics') {
+      if (!this.metricsPublic && !isAuthorized(req, config.apiToken)) {
+        return this.sendJson(res, 401, { success: false, error: 'Missing or invalid API token' });
+      }
+      return this.handleMetrics(res);
+    }
+
+    if (!this.dashboardEnabled) {
+      return this.sendJson(res, 404, { success: false, error: 'Not found' });
+    }
+
+    const route = `${req.method} ${url.pathname}`;
+
+    if (req.method !== 'GET' && !isAuthorized(req, config.apiToken)) {
+      return this.sendJson(res, 401, { success: false, error: 'Missing or invalid API token' });
+    }
+
+    if (route === 'GET /') {
+      return this.handleDashboard(res);
+    }
+    if (route === 'GET /dashboard/printers') {
+      return this.sendJson(res, 200, { printers: this.printMonitors.map(serializePrinter) });
+    }
+
+    const selector = url.searchParams.get('printer');
+    const printMonitor = selector ? findPrintMonitor(this.printMonitors, selector) : this.printMonitors[0];
+    if (!printMonitor) {
+      return this.sendJson(res, 404, { success: false, error: `No printer named or numbered "${selector}"` });
+    }
+
+    const imageMatch = url.pathname.match(/^\/dashboard\/verdicts\/([a-z0-9_-]+)\/image$/);
+    if (req.method === 'GET' && imageMatch) {
+      return this.handleVerdictImage(res, printMonitor, imageMatch[1]);
+    }
+
+    switch (route) {
+      case 'GET /stream':
+        return this.handleStream(req, res, printMonitor);
+      case 'GET /events':
+        return this.handleEvents(req, res, printMonitor);
+      case 'GET /dashboard/status':
+        return this.handleStatus(res, printMonitor);
+      case 'GET /dashboard/verdicts':
+        return this.sendJson(res, 200, this.serializeVerdicts(printMonitor));
+      case 'POST /dashboard/pause':
+        return this.handlePrinterAction(res, printMonitor, 'pause');
+      case 'POST /dashboard/resume':
+        return this.handlePrinterAction(res, printMonitor, 'resume');
+      case 'POST /dashboard/capture':
+        return this.handleCapture(res, printMonitor);
+      default:
+        return this.sendJson(res, 404, { success: false, error: 'Not found' });
+    }
+  }
+
+  /**
+   * Prometheus text exposition
+   */
+  async handleMetrics(res) {
+    const body = await metrics.register.metrics();
+    res.writeHead(200, { 'Content-Type': metrics.register.contentType });
+    res.end(body);
+  }
+
+  async handleDashboard(res) {
+    const html = await fs.readFile(this.dashboardPath);
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+  }
+
+  /**
+   * Serve the camera as MJPEG: re-sent from the shared persistent stream, or proxied per client
+   */
+  async handleStream(req, res, printMonitor) {
+    const capture = printMonitor.capture;
+    if (capture.stream) {
+      return this.handleSharedStream(req, res, capture);
+    }
+
+    const controller = new AbortController();
+    req.on('close', () => controller.abort());
+
+    let response;
+    try {
+      response = await capture.openStream(controller.signal);
+    } catch (error) {
+      logger.warn(`Dashboard stream proxy failed: ${error.message}`);
+      return this.sendJson(res, 502, { success: false, error: `Camera stream unavailable: ${error.message}` });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': response.headers.get('content-type') || 'multipart/x-mixed-replace',
+      'Cache-Control': 'no-cache, no-store',
+      'Connection': 'close'
+    });
+
+    Readable.fromWeb(response.body)
+      .on('error', (error) => {
+        if (error.name !== 'AbortError') {
+          logger.debug(`Dashboard stream ended: ${error.message}`);
+        }
+        res.end();
+      })
+      .pipe(res);
+  }
+
+  /**
+   * Write frames from the persistent camera connection, so dashboards add no load on the printer
+   */
+  handleSharedStream(req, res, capture) {
+    const boundary = 'frame';
+    res.writeHead(200, {
+      'Content-Type': `multipart/x-mixed-replace; boundary=${boundary}`,
+      'Cache-Control': 'no-cache, no-store',
+      'Connection': 'close'
+    });
+
+    const writeFrame = (frame) => {
+      // Skip frames for clients that can't keep up instead of buffering them
+      if (res.writableLength > 1024 * 1024) {
+        return;
+      }
+      res.write(`--${boundary}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.buffer.length}\r\n\r\n`);
+      res.write(frame.buffer);
+      res.write('\r\n');
+    };
+
+    const latest = capture.getLatestFrame();
+    if (latest) {
+      writeFrame(latest);
+    }
+    const unsubscribe = capture.onFrame(writeFrame);
+    req.on('close', unsubscribe);
+  }
+
+  /**
+   * Server-Sent Events: current state on connect, then live updates
+   */
+  handleEvents(req, res, printMonitor) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    this.sseClients.set(res, printMonitor);
+    req.on('close', () => this.sseClients.delete(res));
+
+    const printerModule = printMonitor.printerModule;
+    const cachedStatus = printerModule ? printerModule.getCachedStatus() : null;
+    if (cachedStatus) {
+      this.writeEvent(res, 'status', serializeStatus(cachedStatus));
+    }
+    this.writeEvent(res, 'verdicts', this.serializeVerdicts(printMonitor));
+  }
+
+  async handleStatus(res, printMonitor) {
+    const printerModule = printMonitor.printerModule;
+    if (!printerModule) {
+      return this.sendJson(res, 503, { success: false, error: 'Printer not configured' });
+    }
+    const status = await printerModule.getStatus();
+    return this.sendJson(res, 200, serializeStatus(status));
+  }
+
+  /**
+   * Latest verdict frame, annotated with ImageAnnotator (cached per verdict)
+   */
+  async handleVerdictImage(res, printMonitor, name) {
+    const verdict = printMonitor.latestVerdicts[name];
+    if (!verdict || !verdict.imageBuffer) {
+      return this.sendJson(res, 404, { success: false, error: 'No image for this verdict yet' });
+    }
+
+    const cacheKey = `${printMonitor.printer.index}:${name}`;
+    let cached = this.annotatedCache.get(cacheKey);
+    if (!cached || cached.time !== verdict.time) {
+      // Detectors without an LLM analysis have no boxes to draw, only the status
+      const analysis = verdict.analysis || { overall_status: verdict.status, objects: [], problems: [] };
+
+      const buffer = await this.imageAnnotator.annotateImage(verdict.imageBuffer, analysis, {
+        showLabels: true,
+        showConfidence: true,
+        showStatus: true
+      });
+      cached = { time: verdict.time, buffer };
+      this.annotatedCache.set(cacheKey, cached);
+    }
+
+    res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Cache-Control': 'no-cache' });
+    res.end(cached.buffer);
+  }
+
+  async handlePrinterAction(res, printMonitor, action) {
+    const printerModule = printMonitor.printerModule;
+    if (!printerModule) {
+      return this.sendJson(res, 503, { success: false, error: 'Printer not configured' });
+    }
+
+    try {
+      if (action === 'pause') {
+        await printerModule.pausePrint();
+      } else {
+        await printerModule.resumePrint();
+      }
+      logger.info(`Print ${action} on ${printMonitor.printer.name} requested from web dashboard`);
+      this.broadcast(printMonitor, 'action', { action, success: true, time: new Date().toISOString() });
+      return this.sendJson(res, 200, { success: true });
+    } catch (error) {
+      logger.error(`Dashboard ${action} failed: ${error.message}`);
+      return this.sendJson(res, 500, { success: false, error: error.message });
+    }
+  }
+
+  async handleCapture(res, printMonitor) {
+    let frameBuffer;
+    try {
+      frameBuffer = await printMonitor.capture.captureFrame();
+    } catch (error) {
+      logger.warn(`Dashboard capture failed: ${error.message}`);
+      return this.sendJson(res, 503, { success: false, error: `Camera unavailable: ${error.message}` });
+    }
+    if (!frameBuffer || frameBuffer.length === 0) {
+      return this.sendJson(res, 503, { success: false, error: 'Camera returned no frame' });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Cache-Control': 'no-cache' });
+    res.end(frameBuffer);
+  }
+
+  /**
+   * Publish a printer's new detector verdict to the dashboards following it
+   */
+  publishVerdict(printMonitor) {
+    this.broadcast(printMonitor, 'verdicts', this.serializeVerdicts(printMonitor));
+  }
+
+  /**
+   * Latest verdict of each detector, by detector name, without image buffers
+   */
+  serializeVerdicts(printMonitor) {
+    const verdicts = {};
+    for (const [name, verdict] of Object.entries(printMonitor.latestVerdicts)) {
+      verdicts[name] = {
+        detector: name,
+        detectorLabel: verdict.detectorLabel,
+        time: verdict.time,
+        frameNumber: verdict.frameNumber,
+        failure: verdict.failure,
+        status: verdict.status,
+        confidence: verdict.confidence,
+        label: verdict.label,
+        problems: verdict.problems.map(problem => ({ issue: problem.issue, confidence: problem.confidence })),
+        provider: verdict.analysis?.provider?.name || null,
+        validation: verdict.analysis?.validation?.result || null,
+        hasImage: !!verdict.imageBuffer
+      };
+    }
+    return verdicts;
+  }
+
+  writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  broadcast(printMonitor, event, data) {
+    for (const [client, followed] of this.sseClients) {
+      if (followed === printMonitor) {
+        this.writeEvent(client, event, data);
+      }
+    }
+  }
+
+  sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = WebServer;
@@ -0,0 +1,158 @@
+const http = require('http');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const MjpegStreamReader = require('../../src/capture/mjpeg-stream');
+
+const BOUNDARY = 'frameboundary';
+
+// Minimal JPEG-shaped payload: SOI, some bytes, EOI
+function jpeg(fill, length = 64) {
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), Buffer.alloc(length, fill), Buffer.from([0xff, 0xd9])]);
+}
+
+function part(body, { contentLength = body.length } = {}) {
+  const headers = [`--${BOUNDARY}`, 'Content-Type: image/jpeg'];
+  if (contentLength !== null) {
+    headers.push(`Content-Length: ${contentLength}`);
+  }
+  return Buffer.concat([Buffer.from(`${headers.join('\r\n')}\r\n\r\n`), body, Buffer.from('\r\n')]);
+}
+
+// Reader like response.body.getReader() that yields the given chunks
+function readerFor(chunks) {
+  const queue = [...chunks];
+  return {
+    read: async () => queue.length > 0 ? { done: false, value: new Uint8Array(queue.shift()) } : { done: true }
+  };
+}
+
+// Split a buffer into chunks of the given size
+function chunked(buffer, size) {
+  const chunks = [];
+  for (let offset = 0; offset < buffer.length; offset += size) {
+    chunks.push(buffer.subarray(offset, offset + size));
+  }
+  return chunks;
+}
+
+describe('MjpegStreamReader', () => {
+  let reader;
+  let frames;
+
+  beforeEach(() => {
+    reader = new MjpegStreamReader('http://127.0.0.1:9/video', { bufferSize: 5 });
+    frames = [];
+    reader.onFrame(frame => frames.push(frame.buffer));
+  });
+
+  describe('multipart parser', () => {
+    test.each([1, 7, 50, 4096])('reassembles frames split into %i-byte chunks', async (size) => {
+      const first = jpeg(0x11);
+      const second = jpeg(0x22, 300);
+      const stream = Buffer.concat([part(first), part(second)]);
+
+      await reader.readStream(readerFor(chunked(stream, size)), BOUNDARY);
+
+      expect(frames).toEqual([first, second]);
+    });
+
+    test('ends a part without Content-Length at its last JPEG end marker', async () => {
+      const first = jpeg(0x33);
+      const second = jpeg(0x44);
+      const stream = Buffer.concat([part(first, { contentLength: null }), part(second, { contentLength: null }), Buffer.from(`--${BOUNDARY}\r\n`)]);
+
+      await reader.readStream(readerFor(chunked(stream, 10)), BOUNDARY);
+
+      expect(frames).toEqual([first, second]);
+    });
+
+    test('keeps the last part without Content-Length until the next boundary arrives', async () => {
+      await reader.readStream(readerFor([part(jpeg(0x55), { contentLength: null })]), BOUNDARY);
+
+      expect(frames).toEqual([]);
+    });
+
+    test('drops a part cut short by the next boundary and keeps parsing', async () => {
+      const whole = jpeg(0x66);
+      const truncated = part(jpeg(0x77).subarray(0, 30), { contentLength: 66 }).subarray(0, -2);
+      const next = jpeg(0x88);
+      const stream = Buffer.concat([part(whole), truncated, part(next)]);
+
+      await reader.readStream(readerFor(chunked(stream, 16)), BOUNDARY);
+
+      expect(frames).toEqual([whole, next]);
+    });
+
+    test('emits nothing for a part the stream ends in the middle of', async () => {
+      const whole = jpeg(0x99);
+      const stream = Buffer.concat([part(whole), part(jpeg(0xaa, 200)).subarray(0, 120)]);
+
+      await reader.readStream(readerFor([stream]), BOUNDARY);
+
+      expect(frames).toEqual([whole]);
+      expect(reader.getLatestFrame().buffer).toEqual(whole);
+    });
+
+    test('skips parts that are not JPEG', async () => {
+      const image = jpeg(0xbb);
+      const stream = Buffer.concat([part(Buffer.from('not an image')), part(image)]);
+
+      await reader.readStream(readerFor([stream]), BOUNDARY);
+
+      expect(frames).toEqual([image]);
+    });
+
+    test('splits on JPEG markers when the stream has no boundary', async () => {
+      const first = jpeg(0xcc);
+      const second = jpeg(0xdd);
+      const stream = Buffer.concat([Buffer.from('junk'), first, Buffer.from('\r\n'), second]);
+
+      await reader.readStream(readerFor(chunked(stream, 9)), null);
+
+      expect(frames).toEqual([first, second]);
+    });
+
+    test('keeps only the newest frames in the ring buffer', async () => {
+      const images = [1, 2, 3, 4, 5, 6, 7].map(fill => jpeg(fill));
+
+      await reader.readStream(readerFor([Buffer.concat(images.map(image => part(image)))]), BOUNDARY);
+
+      expect(reader.getFrames().map(frame => frame.buffer)).toEqual(images.slice(2));
+      expect(reader.getLatestFrame().sequence).toBe(7);
+    });
+  });
+
+  describe('HTTP stream', () => {
+    let server;
+
+    afterEach(async () => {
+      reader.stop();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('reads frames from a camera with a quoted boundary', async () => {
+      const image = jpeg(0xee, 2000);
+      server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': `multipart/x-mixed-replace; boundary="${BOUNDARY}"` });
+        // Header and body in separate writes, like cameras that flush per line
+        const bytes = part(image);
+        res.write(bytes.subarray(0, 40));
+        setTimeout(() => res.write(bytes.subarray(40)), 20);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      reader.streamUrl = `http://127.0.0.1:${server.address().port}/video`;
+      const frame = reader.waitForFrame(2000);
+      reader.start();
+
+      expect((await frame).buffer).toEqual(image);
+      expect(reader.connected).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const TimelapseRecorder = require('../../src/capture/timelapse');
+
+function printing(layer) {
+  return {
+    success: true,
+    status: { machine: { code: 1 }, print: { code: 13, filename: 'benchy.gcode' } },
+    progress: { currentLayer: layer, totalLayers: 100 }
+  };
+}
+
+describe('TimelapseRecorder', () => {
+  let dir;
+  let capture;
+  let recorder;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'timelapse-test-'));
+    capture = { captureFrame: jest.fn().mockResolvedValue(Buffer.from([0xff, 0xd8, 0xff, 0xd9])) };
+    recorder = new TimelapseRecorder(capture, { dir, interval: 10000, fps: 30, retentionDays: 0, keepFrames: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('captures one frame per layer', async () => {
+    await recorder.update(printing(1));
+    await recorder.update(printing(1));
+    await recorder.update(printing(2));
+
+    expect(capture.captureFrame).toHaveBeenCalledTimes(2);
+    expect(recorder.job.frames).toBe(2);
+    expect(await fs.readdir(recorder.job.dir)).toEqual(['frame_00001.jpg', 'frame_00002.jpg']);
+  });
+
+  test('retries a layer whose capture failed', async () => {
+    capture.captureFrame.mockRejectedValueOnce(new Error('camera timeout'));
+
+    await recorder.update(printing(1));
+    expect(recorder.job.frames).toBe(0);
+
+    await recorder.update(printing(1));
+    expect(recorder.job.frames).toBe(1);
+    expect(recorder.job.lastLayer).toBe(1);
+  });
+
+  test('retries a layer skipped while another capture was running', async () => {
+    let release;
+    capture.captureFrame.mockImplementationOnce(() => new Promise(resolve => {
+      release = () => resolve(Buffer.from([0xff, 0xd8, 0xff, 0xd9]));
+    }));
+
+    const first = recorder.update(printing(1));
+    while (!release) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    await recorder.update(printing(2)); // Skipped: layer 1 is still capturing
+    release();
+    await first;
+    expect(recorder.job.frames).toBe(1);
+
+    await recorder.update(printing(2));
+    expect(recorder.job.frames).toBe(2);
+    expect(recorder.job.lastLayer).toBe(2);
+  });
+});
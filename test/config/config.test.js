@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const logger = require('../../src/utils/logger');
+const config = require('../../src/config/config');
+
+function configYaml(captureInterval) {
+  return [
+    'printer:',
+    '  roi: 0.1,0.3 0.9,0.3 0.95,0.95 0.05,0.95',
+    'capture:',
+    `  interval: ${captureInterval}`,
+    ''
+  ].join('\n');
+}
+
+describe('config hot reload', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    file = path.join(dir, 'config.yaml');
+    fs.writeFileSync(file, configYaml(10000));
+    config.load(file);
+  });
+
+  afterEach(() => {
+    config.unwatch();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('applies a reloadable change without reporting an unchanged polygon as changed', async () => {
+    expect(config.printerROI).toEqual([[0.1, 0.3], [0.9, 0.3], [0.95, 0.95], [0.05, 0.95]]);
+
+    const changed = new Promise(resolve => config.onChange(resolve));
+    config.watch(20);
+
+    // The watcher takes its first stat asynchronously; keep moving the mtime so a write
+    // that lands before that baseline is still seen as a change
+    fs.writeFileSync(file, configYaml(5000));
+    let touches = 0;
+    const touch = setInterval(() => {
+      const later = new Date(Date.now() + 5000 + 1000 * ++touches);
+      fs.utimesSync(file, later, later);
+    }, 50);
+
+    const changes = await changed.finally(() => clearInterval(touch));
+
+    expect(changes).toEqual({ frameCaptureInterval: { value: 5000, previous: 10000 } });
+    expect(config.frameCaptureInterval).toBe(5000);
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  test('does not load sharp to validate the config', () => {
+    expect(Object.keys(require.cache).some(file => file.includes(`${path.sep}sharp${path.sep}`))).toBe(false);
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('../../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    logAnalysisResult: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const prompts = require('../../src/llm/prompts');
+const LLMDetector = require('../../src/detectors/llm-detector');
+
+const PRINTER_STATUS = {
+    success: true,
+    status: { machine: { code: 1 }, print: { code: 13, filename: 'benchy.gcode' } },
+    progress: { currentLayer: 42, totalLayers: 100 }
+};
+
+describe('LLMDetector', () => {
+    let saved;
+
+    beforeEach(() => {
+        saved = { threshold: config.notificationThreshold, interval: config.llmDetectorInterval };
+        config.notificationThreshold = 0.8;
+    });
+
+    afterEach(() => {
+        config.notificationThreshold = saved.threshold;
+        config.llmDetectorInterval = saved.interval;
+    });
+
+    describe('toVerdict', () => {
+        test('fails on problems at or above the threshold, labelled by the most confident one', () => {
+            const analysis = {
+                overall_status: 'critical',
+                problems: [
+                    { issue: 'stringing', confidence: 0.5 },
+                    { issue: 'spaghetti', confidence: 0.9 },
+                    { issue: 'layer shift', confidence: 0.8 }
+                ]
+            };
+
+            expect(LLMDetector.toVerdict(analysis, 7)).toEqual({
+                detector: 'llm',
+                frameNumber: 7,
+                failure: true,
+                confidence: 0.9,
+                label: 'spaghetti',
+                status: 'critical',
+                problems: [{ issue: 'spaghetti', confidence: 0.9 }, { issue: 'layer shift', confidence: 0.8 }],
+                analysis
+            });
+        });
+
+        test('keeps the top confidence of a frame below the threshold for voting', () => {
+            const verdict = LLMDetector.toVerdict({ overall_status: 'warning', problems: [{ issue: 'stringing', confidence: 0.6 }] }, 8);
+
+            expect(verdict).toMatchObject({ failure: false, confidence: 0.6, label: 'stringing', status: 'warning', problems: [] });
+        });
+
+        test('reads an analysis without problems as good', () => {
+            expect(LLMDetector.toVerdict({}, 9)).toMatchObject({ failure: false, confidence: 0, label: null, status: 'good', problems: [] });
+        });
+
+        test('takes the threshold as an argument', () => {
+            const analysis = { problems: [{ issue: 'warping', confidence: 0.6 }] };
+
+            expect(LLMDetector.toVerdict(analysis, 10, 0.5).failure).toBe(true);
+        });
+    });
+
+    test('sends the bed crop with the job prompt and keeps the crop region on the analysis', async () => {
+        const analysis = { overall_status: 'good', problems: [] };
+        const llmClient = { analyzeImage: jest.fn().mockResolvedValue(analysis) };
+        const crop = jest.fn().mockResolvedValue({ buffer: Buffer.from('crop'), region: { left: 10, top: 20, width: 300, height: 200 } });
+        const detector = new LLMDetector(llmClient);
+
+        const verdict = await detector.analyze(Buffer.from('frame'), { frameNumber: 3, printerStatus: PRINTER_STATUS, crop, debugMode: true });
+
+        expect(llmClient.analyzeImage).toHaveBeenCalledWith(
+            Buffer.from('crop'), prompts.systemPrompt, prompts.getUserPrompt(PRINTER_STATUS), true);
+        expect(verdict).toMatchObject({ detector: 'llm', frameNumber: 3, failure: false });
+        expect(verdict.analysis.roi).toEqual({ left: 10, top: 20, width: 300, height: 200 });
+    });
+
+    test('runs every LLM_DETECTOR_INTERVAL', () => {
+        config.llmDetectorInterval = 30000;
+        const detector = new LLMDetector({});
+        detector.ready = true;
+        detector.lastRun = 100000;
+
+        expect(detector.isDue(129999)).toBe(false);
+        expect(detector.isDue(130000)).toBe(true);
+    });
+});
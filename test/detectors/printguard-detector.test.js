@@ -0,0 +1,87 @@
+const fs = require('fs');
+
+jest.mock('../../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+jest.mock('../../src/utils/printguard', () => ({
+    PrintGuardInference: jest.fn().mockImplementation(() => ({ init: jest.fn(), setPrototypes: jest.fn(), classify: jest.fn() }))
+}));
+
+const PrintGuardDetector = require('../../src/detectors/printguard-detector');
+
+function classification({ isFailure, distances = [1.0, 2.0], defectIdx = 1 }) {
+    return {
+        distances,
+        classNames: ['success', 'defect'],
+        finalPrediction: { index: isFailure ? 1 : 0, className: isFailure ? 'defect' : 'success' },
+        isFailure,
+        defectIdx
+    };
+}
+
+describe('PrintGuardDetector', () => {
+    describe('toVerdict', () => {
+        test('scores the defect prototype\'s softmax share of the negative distances', () => {
+            // exp(0) / (exp(0) + exp(-1)) for the closer defect prototype
+            const verdict = PrintGuardDetector.toVerdict(classification({ isFailure: true, distances: [2.0, 1.0] }), 5);
+
+            expect(verdict).toMatchObject({
+                detector: 'printguard',
+                frameNumber: 5,
+                failure: true,
+                label: 'defect',
+                status: 'critical'
+            });
+            expect(verdict.confidence).toBeCloseTo(0.731, 3);
+            expect(verdict.problems).toEqual([{ issue: 'PrintGuard: defect', confidence: verdict.confidence }]);
+        });
+
+        test('a near miss keeps a confidence for voting but is not a failure', () => {
+            const verdict = PrintGuardDetector.toVerdict(classification({ isFailure: false, distances: [1.0, 1.2] }), 6);
+
+            expect(verdict).toMatchObject({ failure: false, label: 'success', status: 'good', problems: [] });
+            expect(verdict.confidence).toBeCloseTo(0.450, 3);
+        });
+
+        test('falls back to 0 or 1 without distances', () => {
+            expect(PrintGuardDetector.toVerdict(classification({ isFailure: true, distances: [] }), 7).confidence).toBe(1);
+            expect(PrintGuardDetector.toVerdict(classification({ isFailure: false, defectIdx: null }), 8).confidence).toBe(0);
+        });
+    });
+
+    test('classifies the square bed crop from a temporary file and removes it', async () => {
+        const detector = new PrintGuardDetector();
+        let classifiedPath = null;
+        detector.inference.classify.mockImplementation(async (imagePath) => {
+            classifiedPath = imagePath;
+            expect(fs.readFileSync(imagePath)).toEqual(Buffer.from('square crop'));
+            return classification({ isFailure: true, distances: [3.0, 0.5] });
+        });
+        const crop = jest.fn().mockResolvedValue({ buffer: Buffer.from('square crop') });
+
+        const verdict = await detector.analyze(Buffer.from('frame'), { frameNumber: 12, crop });
+
+        expect(crop).toHaveBeenCalledWith({ square: true });
+        expect(verdict).toMatchObject({ detector: 'printguard', frameNumber: 12, failure: true });
+        expect(fs.existsSync(classifiedPath)).toBe(false);
+    });
+
+    test('removes the temporary file when classification fails', async () => {
+        const detector = new PrintGuardDetector();
+        let classifiedPath = null;
+        detector.inference.classify.mockImplementation(async (imagePath) => {
+            classifiedPath = imagePath;
+            throw new Error('inference failed');
+        });
+
+        await expect(detector.analyze(Buffer.from('frame'), {
+            frameNumber: 13,
+            crop: async () => ({ buffer: Buffer.from('square crop') })
+        })).rejects.toThrow('inference failed');
+        expect(fs.existsSync(classifiedPath)).toBe(false);
+    });
+});
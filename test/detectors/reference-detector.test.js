@@ -0,0 +1,105 @@
+const sharp = require('sharp');
+
+jest.mock('../../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    logAnalysisResult: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const ReferenceDetector = require('../../src/detectors/reference-detector');
+
+const START = Date.parse('2026-01-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+function status(layer) {
+    return {
+        success: true,
+        status: { machine: { code: 1 }, print: { code: 13, filename: 'benchy.gcode' } },
+        progress: { currentLayer: layer, totalLayers: 100 }
+    };
+}
+
+function frame(gray) {
+    return sharp({ create: { width: 64, height: 48, channels: 3, background: { r: gray, g: gray, b: gray } } }).jpeg().toBuffer();
+}
+
+describe('ReferenceDetector', () => {
+    let saved;
+    let llmClient;
+    let detector;
+    let context;
+
+    beforeEach(() => {
+        saved = {
+            enabled: config.referenceComparison,
+            firstLayer: config.referenceFirstLayer,
+            lookback: config.referenceLookbackMinutes,
+            threshold: config.notificationThreshold
+        };
+        Object.assign(config, { referenceComparison: true, referenceFirstLayer: 2, referenceLookbackMinutes: 10, notificationThreshold: 0.8 });
+
+        llmClient = { analyzeImage: jest.fn().mockResolvedValue({ overall_status: 'critical', problems: [{ issue: 'part detached', confidence: 0.9 }] }) };
+        detector = new ReferenceDetector(llmClient);
+        // The crop is the whole frame here
+        context = {
+            frameNumber: 30,
+            printerStatus: status(30),
+            crop: jest.fn(async () => ({ buffer: context.current, region: null })),
+            cropFrame: jest.fn(async buffer => ({ buffer }))
+        };
+    });
+
+    afterEach(() => {
+        Object.assign(config, {
+            referenceComparison: saved.enabled,
+            referenceFirstLayer: saved.firstLayer,
+            referenceLookbackMinutes: saved.lookback,
+            notificationThreshold: saved.threshold
+        });
+        jest.restoreAllMocks();
+    });
+
+    test('follows REFERENCE_COMPARISON and observes every frame', () => {
+        expect(detector.enabled).toBe(true);
+        expect(detector.observesFrames).toBe(true);
+
+        config.referenceComparison = false;
+        expect(new ReferenceDetector(llmClient).enabled).toBe(false);
+    });
+
+    test('reports a good frame without calling the LLM before there is a reference', async () => {
+        const verdict = await detector.analyze(Buffer.alloc(0), context);
+
+        expect(verdict).toEqual({ detector: 'reference', frameNumber: 30, failure: false, confidence: 0, label: null, status: 'good', problems: [] });
+        expect(llmClient.analyzeImage).not.toHaveBeenCalled();
+    });
+
+    test('sends the references and the current frame together with the SSIM difference', async () => {
+        const firstLayer = await frame(40);
+        const earlier = await frame(60);
+        context.current = await frame(220);
+
+        // Layer 2 is the first-layer reference; 20 minutes later a lookback frame, then 6 minutes on
+        detector.references.record(firstLayer, status(2), START);
+        detector.references.record(earlier, status(20), START + 20 * MINUTE);
+        const now = START + 26 * MINUTE;
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+
+        const verdict = await detector.analyze(context.current, context);
+
+        const [images, , prompt] = llmClient.analyzeImage.mock.calls[0];
+        expect(images).toEqual([firstLayer, earlier, context.current]);
+        expect(prompt).toContain('Image 1: first-layer reference, layer 2');
+        expect(prompt).toContain('Image 2: earlier frame, layer 20');
+        expect(verdict).toMatchObject({ detector: 'reference', frameNumber: 30, failure: true, label: 'part detached' });
+
+        const { diff } = verdict.analysis;
+        expect(diff).toMatchObject({ reference: 'lookback', referenceLayer: 20, referenceTime: new Date(START + 20 * MINUTE).toISOString() });
+        expect(diff.changed).toBeGreaterThan(0.5);
+        expect(diff.ssim).toBeLessThan(1);
+        expect(Buffer.isBuffer(diff.heatmap)).toBe(true);
+    });
+});
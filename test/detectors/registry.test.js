@@ -0,0 +1,170 @@
+jest.mock('../../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+// Keep onnxruntime out of the test; the registry only needs a detector to construct
+jest.mock('../../src/utils/printguard', () => ({
+    PrintGuardInference: jest.fn().mockImplementation(() => ({ init: jest.fn(), setPrototypes: jest.fn() }))
+}));
+
+const config = require('../../src/config/config');
+const logger = require('../../src/utils/logger');
+const { Detector, DetectorRegistry, createDetectorRegistry } = require('../../src/detectors');
+
+class FakeDetector extends Detector {
+    constructor(name, { interval = 0, failInit = false, ...options } = {}) {
+        super(name, options);
+        this.fakeInterval = interval;
+        this.failInit = failInit;
+    }
+
+    get interval() {
+        return this.fakeInterval;
+    }
+
+    async init() {
+        if (this.failInit) {
+            throw new Error('model missing');
+        }
+        this.ready = true;
+    }
+}
+
+describe('DetectorRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        registry = new DetectorRegistry();
+    });
+
+    test.each([
+        ['llm,printguard', ['llm', 'printguard']],
+        [' LLM , ,PrintGuard ', ['llm', 'printguard']],
+        ['', null],
+        [' , ', null],
+        [undefined, null]
+    ])('parseList(%p)', (value, expected) => {
+        expect(DetectorRegistry.parseList(value)).toEqual(expected);
+    });
+
+    test('refuses a second detector with the same name', () => {
+        registry.register(new FakeDetector('llm'));
+
+        expect(() => registry.register(new FakeDetector('llm'))).toThrow("Detector 'llm' is already registered");
+    });
+
+    test('looks detectors up case-insensitively', () => {
+        const detector = registry.register(new FakeDetector('printguard'));
+
+        expect(registry.get('PrintGuard')).toBe(detector);
+        expect(registry.get('reference')).toBeNull();
+    });
+
+    test('select enables only the listed detectors and warns about unknown names', () => {
+        registry.register(new FakeDetector('llm'));
+        registry.register(new FakeDetector('printguard'));
+
+        registry.select(['printguard', 'yolo']);
+
+        expect(registry.list().map(detector => [detector.name, detector.enabled])).toEqual([['llm', false], ['printguard', true]]);
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining("Unknown or unavailable detector 'yolo'"));
+    });
+
+    test('select(null) leaves every detector as it is', () => {
+        registry.register(new FakeDetector('llm'));
+        registry.register(new FakeDetector('reference', { enabled: false }));
+
+        registry.select(null);
+
+        expect(registry.list().map(detector => detector.enabled)).toEqual([true, false]);
+    });
+
+    test('setEnabled switches a detector and throws for unknown ones', () => {
+        registry.register(new FakeDetector('llm'));
+
+        expect(registry.setEnabled('llm', false).enabled).toBe(false);
+        expect(() => registry.setEnabled('yolo', true)).toThrow("Unknown detector 'yolo' (available: llm)");
+    });
+
+    test('a detector whose init fails stays registered but is never due', async () => {
+        registry.register(new FakeDetector('llm'));
+        registry.register(new FakeDetector('printguard', { failInit: true }));
+
+        await registry.init();
+
+        expect(registry.isAvailable('llm')).toBe(true);
+        expect(registry.isAvailable('printguard')).toBe(false);
+        expect(registry.get('printguard')).not.toBeNull();
+        expect(registry.due().map(detector => detector.name)).toEqual(['llm']);
+        expect(logger.warn).toHaveBeenCalledWith('Detector printguard initialization failed: model missing');
+    });
+
+    test('due respects each detector\'s interval since its last run', async () => {
+        const every = registry.register(new FakeDetector('llm'));
+        const slow = registry.register(new FakeDetector('reference', { interval: 60000 }));
+        await registry.init();
+        every.lastRun = 100000;
+        slow.lastRun = 100000;
+
+        expect(registry.due(130000).map(detector => detector.name)).toEqual(['llm']);
+        expect(registry.due(160000).map(detector => detector.name)).toEqual(['llm', 'reference']);
+
+        slow.enabled = false;
+        expect(registry.due(160000).map(detector => detector.name)).toEqual(['llm']);
+    });
+
+    test('observers are the enabled, ready detectors that observe frames', async () => {
+        registry.register(new FakeDetector('llm'));
+        registry.register(new FakeDetector('reference', { observesFrames: true }));
+        registry.register(new FakeDetector('history', { observesFrames: true, enabled: false }));
+        await registry.init();
+
+        expect(registry.observers().map(detector => detector.name)).toEqual(['reference']);
+    });
+
+    test('the base detector needs analyze()', async () => {
+        await expect(new Detector('custom').analyze(Buffer.alloc(0), {})).rejects.toThrow("Detector 'custom' does not implement analyze()");
+    });
+});
+
+describe('createDetectorRegistry', () => {
+    const KEYS = ['llmMode', 'usePrintGuard', 'referenceComparison', 'activeDetectors'];
+    let saved;
+
+    beforeEach(() => {
+        saved = Object.fromEntries(KEYS.map(key => [key, config[key]]));
+        Object.assign(config, { llmMode: 'enabled', usePrintGuard: true, referenceComparison: false, activeDetectors: '' });
+    });
+
+    afterEach(() => {
+        Object.assign(config, saved);
+    });
+
+    function enabled(registry) {
+        return registry.list().map(detector => [detector.name, detector.enabled]);
+    }
+
+    test('registers the configured detectors with the reference detector off by default', () => {
+        const registry = createDetectorRegistry({ name: 'Mars' }, { llmClient: {} });
+
+        expect(enabled(registry)).toEqual([['llm', true], ['reference', false], ['printguard', true]]);
+    });
+
+    test('leaves out the LLM detectors when LLM_MODE is disabled', () => {
+        config.llmMode = 'disabled';
+
+        expect(enabled(createDetectorRegistry({ name: 'Mars' }, { llmClient: {} }))).toEqual([['printguard', true]]);
+    });
+
+    test('the printer\'s detector list overrides DETECTORS', () => {
+        config.activeDetectors = 'llm';
+
+        expect(enabled(createDetectorRegistry({ name: 'Mars' }, { llmClient: {} }))).toEqual([['llm', true], ['reference', false], ['printguard', false]]);
+        expect(enabled(createDetectorRegistry({ name: 'Jupiter', detectors: 'printguard,reference' }, { llmClient: {} })))
+            .toEqual([['llm', false], ['reference', true], ['printguard', true]]);
+    });
+});
@@ -0,0 +1,192 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const prompts = require('../../src/llm/prompts');
+const LLMClient = require('../../src/llm/llm-client');
+const { OpenAIProvider } = require('../../src/llm/providers');
+
+const VALID = JSON.stringify({
+  objects: [{ bounding_box: [0.2, 0.2, 0.6, 0.6], description: 'benchy', confidence: 0.9 }],
+  problems: [],
+  overall_status: 'good'
+});
+const MISSING_OBJECTS = JSON.stringify({ problems: [], overall_status: 'good' });
+const OUT_OF_RANGE = JSON.stringify({
+  objects: [],
+  problems: [{ bounding_box: [0.1, 0.1, 0.5, 0.5], issue: 'spaghetti', reason: 'loose strands', confidence: 1.5 }],
+  overall_status: 'critical'
+});
+
+// Provider whose replies come from the given list, one per request (the last one repeats)
+function provider(name, replies) {
+  const instance = new OpenAIProvider({ type: 'openai', name, url: `http://${name}:1234/v1`, model: `${name}-model` });
+  let calls = 0;
+  instance.complete = jest.fn(async () => {
+    const reply = replies[Math.min(calls++, replies.length - 1)];
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    return reply;
+  });
+  return instance;
+}
+
+describe('LLMClient', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = { repairAttempts: config.llmRepairAttempts, cooldown: config.llmProviderCooldown };
+    config.llmRepairAttempts = 2;
+    config.llmProviderCooldown = 60000;
+  });
+
+  afterEach(() => {
+    config.llmRepairAttempts = saved.repairAttempts;
+    config.llmProviderCooldown = saved.cooldown;
+  });
+
+  function analyze(client) {
+    return client.analyzeImage(Buffer.from('frame'), 'system', 'user');
+  }
+
+  describe('repair loop', () => {
+    test('accepts a conforming reply without a re-prompt', async () => {
+      const lmstudio = provider('lmstudio', [VALID]);
+      const client = new LLMClient([lmstudio]);
+
+      const analysis = await analyze(client);
+
+      expect(lmstudio.complete).toHaveBeenCalledTimes(1);
+      expect(analysis).toMatchObject({
+        overall_status: 'good',
+        validation: { result: 'valid', repairs: 0, errors: [] },
+        provider: { name: 'lmstudio', type: 'openai', model: 'lmstudio-model' }
+      });
+      expect(client.stats).toEqual({ responses: 1, valid: 1, repaired: 0, fallbacks: 0, parseFailures: 0, repairAttempts: 0 });
+    });
+
+    test('re-prompts the same provider with the validation errors until the reply conforms', async () => {
+      const lmstudio = provider('lmstudio', [OUT_OF_RANGE, VALID]);
+      const client = new LLMClient([lmstudio]);
+
+      const analysis = await analyze(client);
+
+      expect(lmstudio.complete).toHaveBeenCalledTimes(2);
+      const [image, system, user, , options] = lmstudio.complete.mock.calls[1];
+      expect([image, system, user]).toEqual([Buffer.from('frame'), 'system', 'user']);
+      expect(options.followUps).toEqual([
+        { role: 'assistant', content: OUT_OF_RANGE },
+        { role: 'user', content: prompts.getRepairPrompt(['problems[0].confidence must be at most 1']) }
+      ]);
+      expect(analysis.validation).toEqual({ result: 'repaired', repairs: 1, errors: [] });
+      expect(client.stats).toMatchObject({ responses: 1, valid: 0, repaired: 1, repairAttempts: 1 });
+    });
+
+    test('carries the whole conversation into each further re-prompt', async () => {
+      const lmstudio = provider('lmstudio', ['not json', MISSING_OBJECTS, VALID]);
+      const client = new LLMClient([lmstudio]);
+
+      const analysis = await analyze(client);
+
+      expect(lmstudio.complete).toHaveBeenCalledTimes(3);
+      expect(lmstudio.complete.mock.calls[2][4].followUps.map(turn => turn.role)).toEqual(['assistant', 'user', 'assistant', 'user']);
+      expect(lmstudio.complete.mock.calls[2][4].followUps[3].content).toContain('- response is missing "objects"');
+      expect(analysis.validation).toMatchObject({ result: 'repaired', repairs: 2 });
+      expect(client.stats).toMatchObject({ repaired: 1, repairAttempts: 2 });
+    });
+
+    test('falls back to the lenient parser after LLM_REPAIR_ATTEMPTS re-prompts', async () => {
+      const lmstudio = provider('lmstudio', [MISSING_OBJECTS]);
+      const client = new LLMClient([lmstudio]);
+
+      const analysis = await analyze(client);
+
+      expect(lmstudio.complete).toHaveBeenCalledTimes(3);
+      expect(analysis).toMatchObject({ objects: [], problems: [], overall_status: 'good' });
+      expect(analysis.validation).toEqual({ result: 'fallback', repairs: 2, errors: ['response is missing "objects"'] });
+      expect(client.stats).toEqual({ responses: 1, valid: 0, repaired: 0, fallbacks: 1, parseFailures: 0, repairAttempts: 2 });
+    });
+
+    test('counts a reply even the lenient parser cannot read as a parse failure', async () => {
+      const lmstudio = provider('lmstudio', ['I cannot see a printer in this image.']);
+      const client = new LLMClient([lmstudio]);
+
+      const analysis = await analyze(client);
+
+      expect(analysis.overall_status).toBe('error');
+      expect(analysis.parse_error).toBeDefined();
+      expect(analysis.validation.result).toBe('failed');
+      expect(client.stats).toMatchObject({ fallbacks: 0, parseFailures: 1, repairAttempts: 2 });
+    });
+
+    test('does not re-prompt with LLM_REPAIR_ATTEMPTS=0', async () => {
+      config.llmRepairAttempts = 0;
+      const lmstudio = provider('lmstudio', [MISSING_OBJECTS, VALID]);
+      const client = new LLMClient([lmstudio]);
+
+      const analysis = await analyze(client);
+
+      expect(lmstudio.complete).toHaveBeenCalledTimes(1);
+      expect(analysis.validation).toMatchObject({ result: 'fallback', repairs: 0 });
+      expect(client.stats).toMatchObject({ fallbacks: 1, repairAttempts: 0 });
+    });
+
+    test('parses the last reply when a repair request fails', async () => {
+      const lmstudio = provider('lmstudio', [MISSING_OBJECTS, new Error('lmstudio timed out after 30000ms')]);
+      const client = new LLMClient([lmstudio]);
+
+      const analysis = await analyze(client);
+
+      expect(lmstudio.complete).toHaveBeenCalledTimes(2);
+      expect(analysis.validation).toMatchObject({ result: 'fallback', repairs: 1 });
+      expect(client.stats).toMatchObject({ fallbacks: 1, repairAttempts: 1 });
+    });
+
+    test('adds up the outcomes over several analyses', async () => {
+      const client = new LLMClient([provider('lmstudio', [VALID, MISSING_OBJECTS, VALID, 'garbage', 'garbage', 'garbage'])]);
+
+      await analyze(client);
+      await analyze(client);
+      await analyze(client);
+
+      expect(client.stats).toEqual({ responses: 3, valid: 1, repaired: 1, fallbacks: 0, parseFailures: 1, repairAttempts: 3 });
+    });
+  });
+
+  describe('provider fallback', () => {
+    test('falls back to the next provider and skips the failed one while it cools down', async () => {
+      const lmstudio = provider('lmstudio', [new Error('lmstudio request failed: connect ECONNREFUSED')]);
+      const ollama = provider('ollama', [VALID]);
+      const client = new LLMClient([lmstudio, ollama]);
+
+      const analysis = await analyze(client);
+
+      expect(analysis.provider.name).toBe('ollama');
+      expect(lmstudio.health).toMatchObject({ healthy: false, failures: 1 });
+      expect(ollama.health.healthy).toBe(true);
+
+      await analyze(client);
+      expect(lmstudio.complete).toHaveBeenCalledTimes(1);
+      expect(ollama.complete).toHaveBeenCalledTimes(2);
+    });
+
+    test('retries the whole chain up to MAX_RETRIES when every provider fails', async () => {
+      const lmstudio = provider('lmstudio', [new Error('down')]);
+      const ollama = provider('ollama', [new Error('also down')]);
+      const client = new LLMClient([lmstudio, ollama]);
+      client.maxRetries = 2;
+      client.retryDelay = 0;
+
+      await expect(analyze(client)).rejects.toThrow('Max retries (2) exceeded for LLM analysis');
+      // Both cooling down: the second round tries them anyway
+      expect(lmstudio.complete).toHaveBeenCalledTimes(2);
+      expect(ollama.complete).toHaveBeenCalledTimes(2);
+      expect(client.retryCount).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const prompts = require('../../src/llm/prompts');
+
+const MINUTE = 60 * 1000;
+
+function printerStatus({ currentLayer = 50, totalLayers = 100, percent = '50.04' } = {}) {
+  return {
+    success: true,
+    status: { machine: { code: 1, text: 'Printing' }, print: { code: 13, text: 'Printing', filename: 'benchy.gcode' } },
+    progress: { currentLayer, totalLayers, percent },
+    time: { elapsed: '1h 5m', remaining: '1h 0m' },
+    temperatures: { nozzle: { current: 214.6, target: 215 }, bed: { current: 59.8, target: 60 } },
+    speed: 100
+  };
+}
+
+describe('prompts', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = { dir: config.llmPromptsDir, context: config.llmPrintContext };
+    config.llmPromptsDir = '';
+    config.llmPrintContext = true;
+  });
+
+  afterEach(() => {
+    config.llmPromptsDir = saved.dir;
+    config.llmPrintContext = saved.context;
+  });
+
+  describe('renderTemplate', () => {
+    const { renderTemplate } = prompts;
+
+    test('fills in variables and leaves unset ones empty', () => {
+      expect(renderTemplate('Layer {{layer}} of {{total}}{{missing}}', { layer: 3, total: 0 })).toBe('Layer 3 of 0');
+    });
+
+    test('renders sections by whether their variable is set', () => {
+      const template = '{{#file}}File {{file}}{{/file}}{{^file}}No file{{/file}}';
+
+      expect(renderTemplate(template, { file: 'cube.gcode' })).toBe('File cube.gcode');
+      expect(renderTemplate(template, { file: '' })).toBe('No file');
+      expect(renderTemplate(template, { file: false })).toBe('No file');
+      expect(renderTemplate(template, {})).toBe('No file');
+    });
+
+    test('drops the lines of section tags that stand on their own', () => {
+      const template = 'Job:\n{{#file}}\n- File: {{file}}\n{{/file}}\n{{#layer}}\n- Layer {{layer}}\n{{/layer}}\nEnd';
+
+      expect(renderTemplate(template, { file: 'cube.gcode' })).toBe('Job:\n- File: cube.gcode\nEnd');
+    });
+
+    test('renders nested sections', () => {
+      const template = '{{#elapsed}}Printing for {{elapsed}}{{#remaining}}, {{remaining}} left{{/remaining}}{{/elapsed}}';
+
+      expect(renderTemplate(template, { elapsed: '1h', remaining: '2h' })).toBe('Printing for 1h, 2h left');
+      expect(renderTemplate(template, { elapsed: '1h' })).toBe('Printing for 1h');
+    });
+  });
+
+  describe('printContextVariables', () => {
+    test('takes the job, rounded temperatures and progress from the printer status', () => {
+      expect(prompts.printContextVariables(printerStatus())).toEqual({
+        machineStatus: 'Printing',
+        printStatus: 'Printing',
+        filename: 'benchy.gcode',
+        elapsed: '1h 5m',
+        remaining: '1h 0m',
+        nozzleTemp: 215,
+        nozzleTarget: 215,
+        bedTemp: 60,
+        bedTarget: 60,
+        speed: 100,
+        currentLayer: 50,
+        totalLayers: 100,
+        percent: 50,
+        stage: 'middle',
+        stageMiddle: true
+      });
+    });
+
+    test.each([
+      [3, 'firstlayers', 'stageFirstLayers'],
+      [20, 'early', 'stageEarly'],
+      [60, 'middle', 'stageMiddle'],
+      [95, 'final', 'stageFinal']
+    ])('layer %i of 100 is the %s stage', (currentLayer, stage, flag) => {
+      const variables = prompts.printContextVariables(printerStatus({ currentLayer }));
+
+      expect(variables.stage).toBe(stage);
+      expect(variables[flag]).toBe(true);
+    });
+
+    test('has no progress without a layer count', () => {
+      const variables = prompts.printContextVariables(printerStatus({ totalLayers: 0 }));
+
+      expect(variables).not.toHaveProperty('currentLayer');
+      expect(variables).not.toHaveProperty('stage');
+    });
+
+    test('is empty without a status, for a failed one or with LLM_PRINT_CONTEXT off', () => {
+      expect(prompts.printContextVariables(null)).toEqual({});
+      expect(prompts.printContextVariables({ success: false, error: 'timeout' })).toEqual({});
+
+      config.llmPrintContext = false;
+      expect(prompts.printContextVariables(printerStatus())).toEqual({});
+    });
+  });
+
+  describe('built-in templates', () => {
+    test('the user prompt carries the print job when there is one', () => {
+      const prompt = prompts.getUserPrompt(printerStatus({ currentLayer: 3 }));
+
+      expect(prompt).toContain('- File: benchy.gcode');
+      expect(prompt).toContain('- Layer 3 of 100 (50% complete)');
+      expect(prompt).toContain('- Printing for 1h 5m, 1h 0m remaining');
+      expect(prompt).toContain('- Nozzle 215°C (target 215°C)');
+      expect(prompt).toContain('expect only a thin first layer');
+      expect(prompt).not.toContain('Mid-print');
+      expect(prompt).not.toMatch(/{{|}}/);
+    });
+
+    test('the user prompt without a printer status has no job section', () => {
+      const prompt = prompts.getUserPrompt();
+
+      expect(prompt).toMatch(/^Analyze this 3D print image\.\n1\. ALWAYS identify/);
+      expect(prompt).not.toContain('Print job reported by the printer');
+    });
+
+    test('the compare prompt lists the references with layer and age before the current frame', () => {
+      const now = Date.parse('2026-01-01T12:00:00Z');
+      const references = [
+        { kind: 'firstLayer', layer: 2, time: now - 75 * MINUTE },
+        { kind: 'lookback', layer: null, time: now - 5 * MINUTE }
+      ];
+
+      const prompt = prompts.getComparePrompt(references, { changed: 0.234, ssim: 0.8123 }, null, now);
+
+      expect(prompt).toContain('These 3 images show the same 3D print');
+      expect(prompt).toContain('- Image 1: first-layer reference, layer 2, 1h 15m ago\n- Image 2: earlier frame, 5 min ago\n- Image 3: the current frame');
+      expect(prompt).toContain('A pixel comparison with image 2 found 23% of the bed changed (mean SSIM 0.81).');
+      expect(prompt).toContain('bounding boxes refer to image 3');
+    });
+
+    test('the compare prompt leaves out the pixel comparison without a diff', () => {
+      const now = Date.now();
+
+      expect(prompts.getComparePrompt([{ kind: 'lookback', layer: 40, time: now - 30000 }], null, null, now))
+        .not.toContain('pixel comparison');
+    });
+
+    test('the repair prompt lists the validation errors', () => {
+      expect(prompts.getRepairPrompt(['response is missing "objects"', 'problems[0].confidence must be at most 1']))
+        .toContain('structure:\n- response is missing "objects"\n- problems[0].confidence must be at most 1\n\nFix these problems');
+    });
+  });
+
+  describe('LLM_PROMPTS_DIR', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-test-'));
+      config.llmPromptsDir = dir;
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('replaces the templates it has and keeps the built-in ones for the rest', () => {
+      fs.writeFileSync(path.join(dir, 'system.txt'), 'You watch a resin printer.\n');
+      fs.writeFileSync(path.join(dir, 'context.txt'), 'Job {{filename}} at layer {{currentLayer}}');
+
+      expect(prompts.systemPrompt).toBe('You watch a resin printer.');
+      expect(prompts.getUserPrompt(printerStatus())).toContain('\n\nJob benchy.gcode at layer 50\n\n');
+    });
+
+    test('reads a template again on every use', () => {
+      const file = path.join(dir, 'system.txt');
+      fs.writeFileSync(file, 'First version');
+      expect(prompts.systemPrompt).toBe('First version');
+
+      fs.writeFileSync(file, 'Second version');
+      expect(prompts.systemPrompt).toBe('Second version');
+    });
+  });
+});
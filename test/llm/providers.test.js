@@ -0,0 +1,301 @@
+const http = require('http');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const {
+  LLMProvider,
+  OpenAIProvider,
+  OllamaProvider,
+  AnthropicProvider,
+  createProvider,
+  createProviderChain
+} = require('../../src/llm/providers');
+
+const SCHEMA = { type: 'object', properties: { overall_status: { type: 'string' } } };
+const FOLLOW_UP = [{ role: 'assistant', content: 'not json' }, { role: 'user', content: 'Fix it' }];
+const REPLY = '{"overall_status":"good"}';
+
+describe('LLM providers', () => {
+  describe('OpenAIProvider', () => {
+    const provider = new OpenAIProvider({ type: 'openai', url: 'http://lmstudio:1234/v1/', model: 'qwen', token: 'secret' });
+
+    test('sends the images as data URLs after the prompt, with a json_schema response format', () => {
+      const request = provider.buildRequest(['AAA', 'BBB'], 'system', 'user', { schema: SCHEMA, followUps: FOLLOW_UP });
+
+      expect(request.url).toBe('http://lmstudio:1234/v1/chat/completions');
+      expect(request.headers).toEqual({ 'Authorization': 'Bearer secret' });
+      expect(request.body).toMatchObject({
+        model: 'qwen',
+        messages: [
+          { role: 'system', content: 'system' },
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: 'user' },
+              { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAA' } },
+              { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,BBB' } }
+            ]
+          },
+          ...FOLLOW_UP
+        ],
+        response_format: { type: 'json_schema', json_schema: { name: 'print_analysis', strict: true, schema: SCHEMA } }
+      });
+    });
+
+    test('leaves out an empty system prompt and the response format without a schema', () => {
+      const { body } = provider.buildRequest(['AAA'], '  ', 'user', { schema: null, followUps: [] });
+
+      expect(body.messages.map(message => message.role)).toEqual(['user']);
+      expect(body).not.toHaveProperty('response_format');
+    });
+
+    test('reads the first choice', () => {
+      expect(provider.parseResponse({ choices: [{ message: { content: REPLY } }] })).toBe(REPLY);
+      expect(provider.parseResponse({ choices: [] })).toBeUndefined();
+    });
+  });
+
+  describe('OllamaProvider', () => {
+    const provider = new OllamaProvider({ type: 'ollama', url: 'http://localhost:11434', model: 'llava' });
+
+    test('uses /api/chat with the images on the user message and the schema as format', () => {
+      const request = provider.buildRequest(['AAA'], 'system', 'user', { schema: SCHEMA, followUps: FOLLOW_UP });
+
+      expect(request.url).toBe('http://localhost:11434/api/chat');
+      expect(request.headers).toEqual({});
+      expect(request.body).toMatchObject({
+        model: 'llava',
+        stream: false,
+        format: SCHEMA,
+        messages: [
+          { role: 'system', content: 'system' },
+          { role: 'user', content: 'user', images: ['AAA'] },
+          ...FOLLOW_UP
+        ]
+      });
+    });
+
+    test('sends a token only when one is configured', () => {
+      const withToken = new OllamaProvider({ type: 'ollama', url: 'http://localhost:11434', token: 'proxy' });
+
+      expect(withToken.buildRequest([], '', 'user', { schema: null, followUps: [] }).headers).toEqual({ 'Authorization': 'Bearer proxy' });
+      expect(withToken.healthCheckRequest()).toEqual({ url: 'http://localhost:11434/api/tags', headers: { 'Authorization': 'Bearer proxy' } });
+    });
+
+    test('reads the message content', () => {
+      expect(provider.parseResponse({ message: { role: 'assistant', content: REPLY } })).toBe(REPLY);
+    });
+  });
+
+  describe('AnthropicProvider', () => {
+    const provider = new AnthropicProvider({ type: 'anthropic', url: 'https://api.anthropic.com/v1', model: 'vision', token: 'key' });
+
+    test('puts the images before the prompt and forces the analysis tool for a schema', () => {
+      const request = provider.buildRequest(['AAA', 'BBB'], 'system', 'user', { schema: SCHEMA, followUps: FOLLOW_UP });
+
+      expect(request.url).toBe('https://api.anthropic.com/v1/messages');
+      expect(request.headers).toEqual({ 'x-api-key': 'key', 'anthropic-version': '2023-06-01' });
+      expect(request.body).toMatchObject({
+        model: 'vision',
+        system: 'system',
+        messages: [
+          {
+            role: 'user',
+            content: [
+              { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: 'AAA' } },
+              { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: 'BBB' } },
+              { type: 'text', text: 'user' }
+            ]
+          },
+          ...FOLLOW_UP
+        ],
+        tools: [{ name: 'print_analysis', input_schema: SCHEMA }],
+        tool_choice: { type: 'tool', name: 'print_analysis' }
+      });
+    });
+
+    test('leaves out the tool without a schema', () => {
+      const { body } = provider.buildRequest(['AAA'], '', 'user', { schema: null, followUps: [] });
+
+      expect(body).not.toHaveProperty('tools');
+      expect(body).not.toHaveProperty('system');
+    });
+
+    test('reads the tool input, else the text blocks', () => {
+      expect(provider.parseResponse({
+        content: [{ type: 'text', text: 'Calling the tool' }, { type: 'tool_use', name: 'print_analysis', input: { overall_status: 'good' } }]
+      })).toBe(REPLY);
+      expect(provider.parseResponse({ content: [{ type: 'text', text: '{"overall_status":' }, { type: 'text', text: '"good"}' }] })).toBe(REPLY);
+    });
+  });
+
+  describe('complete', () => {
+    let server;
+    let requests;
+    let respond;
+    let baseUrl;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+          respond(res);
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      requests = [];
+      respond = (res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: REPLY } }] }));
+      };
+    });
+
+    test('posts the built request and returns the reply text', async () => {
+      const provider = new OpenAIProvider({ type: 'openai', url: baseUrl, model: 'qwen', token: 'secret' });
+
+      await expect(provider.complete([Buffer.from('one'), Buffer.from('two')], 'system', 'user', false, { schema: SCHEMA })).resolves.toBe(REPLY);
+
+      const [request] = requests;
+      expect(request).toMatchObject({ method: 'POST', url: '/v1/chat/completions' });
+      expect(request.headers).toMatchObject({ 'authorization': 'Bearer secret', 'content-type': 'application/json' });
+      expect(request.body.messages[1].content.slice(1).map(part => part.image_url.url)).toEqual([
+        `data:image/jpeg;base64,${Buffer.from('one').toString('base64')}`,
+        `data:image/jpeg;base64,${Buffer.from('two').toString('base64')}`
+      ]);
+      expect(request.body.response_format.json_schema.schema).toEqual(SCHEMA);
+    });
+
+    test('does not send the schema with structured output off', async () => {
+      const provider = new OpenAIProvider({ type: 'openai', url: baseUrl, structuredOutput: false });
+
+      await provider.complete(Buffer.from('frame'), 'system', 'user', false, { schema: SCHEMA });
+
+      expect(requests[0].body).not.toHaveProperty('response_format');
+    });
+
+    test('reports API errors with the status and body', async () => {
+      respond = (res) => {
+        res.writeHead(503, { 'Content-Type': 'text/plain' });
+        res.end('model loading');
+      };
+      const provider = new OpenAIProvider({ type: 'openai', name: 'lmstudio', url: baseUrl });
+
+      await expect(provider.complete(Buffer.from('frame'), 'system', 'user')).rejects.toThrow('lmstudio API error: 503 Service Unavailable - model loading');
+    });
+
+    test('rejects an empty reply', async () => {
+      respond = (res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: '' } }] }));
+      };
+      const provider = new OpenAIProvider({ type: 'openai', name: 'lmstudio', url: baseUrl });
+
+      await expect(provider.complete(Buffer.from('frame'), 'system', 'user')).rejects.toThrow('lmstudio returned an empty response');
+    });
+
+    test('gives up after the provider timeout', async () => {
+      let pending;
+      respond = (res) => { pending = res; };
+      const provider = new OpenAIProvider({ type: 'openai', name: 'slow', url: baseUrl, timeout: 1000 });
+
+      await expect(provider.complete(Buffer.from('frame'), 'system', 'user')).rejects.toThrow('slow timed out after 1000ms');
+      pending.end();
+    });
+
+    test('testConnection GETs the health check URL', async () => {
+      const provider = new AnthropicProvider({ type: 'anthropic', url: baseUrl, token: 'key' });
+
+      await expect(provider.testConnection()).resolves.toBe(true);
+      expect(requests[0]).toMatchObject({ method: 'GET', url: '/v1/models', headers: { 'x-api-key': 'key' } });
+    });
+  });
+
+  describe('health', () => {
+    let saved;
+
+    beforeEach(() => {
+      saved = { cooldown: config.llmProviderCooldown, timeout: config.llmTimeout };
+      config.llmProviderCooldown = 60000;
+    });
+
+    afterEach(() => {
+      config.llmProviderCooldown = saved.cooldown;
+      config.llmTimeout = saved.timeout;
+    });
+
+    test('a failed provider is skipped until the cooldown has passed', () => {
+      const provider = new OpenAIProvider({ type: 'openai', url: 'http://localhost:1234/v1' });
+
+      provider.markFailure(new Error('connection refused'));
+      provider.markFailure(new Error('connection refused'));
+      const failedAt = provider.health.lastFailure;
+
+      expect(provider.health).toMatchObject({ healthy: false, failures: 2, lastError: 'connection refused' });
+      expect(provider.isAvailable(failedAt + 59999)).toBe(false);
+      expect(provider.isAvailable(failedAt + 60000)).toBe(true);
+
+      provider.markSuccess(250);
+      expect(provider.health).toMatchObject({ healthy: true, failures: 0, latency: 250 });
+      expect(provider.isAvailable(failedAt)).toBe(true);
+    });
+
+    test('falls back to LLM_TIMEOUT without a provider timeout', () => {
+      config.llmTimeout = 45000;
+
+      expect(new OpenAIProvider({ type: 'openai', url: 'http://localhost:1234/v1' }).timeout).toBe(45000);
+      expect(new OpenAIProvider({ type: 'openai', url: 'http://localhost:1234/v1', timeout: 5000 }).timeout).toBe(5000);
+    });
+  });
+
+  describe('createProviderChain', () => {
+    test('builds the chain in order and numbers repeated names', () => {
+      const chain = createProviderChain([
+        { type: 'openai', url: 'http://lmstudio:1234/v1' },
+        { type: 'ollama', url: 'http://ollama:11434' },
+        { type: 'openai', url: 'http://vllm:8000/v1' },
+        { type: 'anthropic', name: 'cloud', url: 'https://api.anthropic.com/v1' }
+      ]);
+
+      expect(chain.map(provider => [provider.name, provider.constructor.name])).toEqual([
+        ['openai', 'OpenAIProvider'],
+        ['ollama', 'OllamaProvider'],
+        ['openai2', 'OpenAIProvider'],
+        ['cloud', 'AnthropicProvider']
+      ]);
+    });
+
+    test('without a chain, uses OPENAI_URL, OPENAI_TOKEN and LLM_MODEL', () => {
+      const [provider, ...rest] = createProviderChain([]);
+
+      expect(rest).toEqual([]);
+      expect(provider).toBeInstanceOf(OpenAIProvider);
+      expect(provider).toMatchObject({ url: config.openaiUrl.replace(/\/+$/, ''), token: config.openaiToken, model: config.llmModel });
+    });
+
+    test('rejects unknown provider types', () => {
+      expect(() => createProvider({ type: 'gemini', url: 'http://localhost' })).toThrow("Unknown LLM provider type 'gemini' (use openai, ollama, anthropic)");
+    });
+
+    test('the base provider needs an adapter', () => {
+      const provider = new LLMProvider({ type: 'custom', url: 'http://localhost' });
+
+      expect(() => provider.buildRequest([], '', '', {})).toThrow("LLM provider 'custom' does not implement buildRequest()");
+    });
+  });
+});
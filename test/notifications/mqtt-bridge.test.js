@@ -0,0 +1,286 @@
+const net = require('net');
+const { EventEmitter } = require('events');
+const mqtt = require('mqtt');
+const aedes = require('aedes');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const MqttBridge = require('../../src/notifications/mqtt-bridge');
+
+const BASE = 'test-monitor/printer_1';
+
+function printingStatus() {
+  return {
+    success: true,
+    status: {
+      machine: { text: 'Printing' },
+      print: { text: 'Printing', filename: 'benchy.gcode' }
+    },
+    temperatures: {
+      nozzle: { current: 214.6, target: 215 },
+      bed: { current: 59.8, target: 60 }
+    },
+    progress: { percent: '42.5', currentLayer: 85, totalLayers: 200 },
+    time: { remaining: '1h 2m' },
+    timestamp: '2026-01-01T12:00:00.000Z'
+  };
+}
+
+describe('MqttBridge', () => {
+  let broker;
+  let server;
+  let url;
+  let observer;
+  let messages;
+  let printer;
+  let bridge;
+
+  // Resolves with the next (or retained) message on a topic
+  function nextMessage(topic) {
+    const received = messages.find(message => message.topic === topic);
+    if (received) {
+      return Promise.resolve(received);
+    }
+    return new Promise(resolve => {
+      const onMessage = (messageTopic, payload, packet) => {
+        if (messageTopic === topic) {
+          observer.removeListener('message', onMessage);
+          resolve({ topic, payload, retain: packet.retain });
+        }
+      };
+      observer.on('message', onMessage);
+    });
+  }
+
+  // Message a new subscriber gets for a topic: the retained one
+  async function retainedMessage(topic) {
+    const client = await mqtt.connectAsync(url, { reconnectPeriod: 0 });
+    try {
+      const message = new Promise(resolve => {
+        client.on('message', (messageTopic, payload, packet) => resolve({ payload, retain: packet.retain }));
+      });
+      await client.subscribeAsync(topic);
+      return await message;
+    } finally {
+      await client.endAsync(true);
+    }
+  }
+
+  beforeEach(async () => {
+    broker = aedes();
+    server = net.createServer(broker.handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `mqtt://127.0.0.1:${server.address().port}`;
+
+    printer = new EventEmitter();
+    printer.pausePrint = jest.fn().mockResolvedValue({ success: true });
+    printer.resumePrint = jest.fn().mockResolvedValue({ success: true });
+
+    bridge = new MqttBridge(printer, {
+      url,
+      topicPrefix: 'test-monitor',
+      deviceId: 'printer_1',
+      discoveryPrefix: 'homeassistant',
+      deviceName: 'Test Printer',
+      detectors: [{ name: 'llm', label: 'LLM' }, { name: 'reference', label: 'Reference' }]
+    });
+    await bridge.start();
+
+    messages = [];
+    observer = mqtt.connect(url, { reconnectPeriod: 0 });
+    observer.on('message', (topic, payload, packet) => {
+      messages.push({ topic, payload, retain: packet.retain });
+    });
+    await observer.subscribeAsync('#');
+  });
+
+  afterEach(async () => {
+    await bridge.stop();
+    await observer.endAsync(true);
+    await new Promise(resolve => broker.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('publishes retained Home Assistant discovery for every entity', async () => {
+    const entities = bridge.getDiscoveryEntities();
+
+    for (const entity of entities) {
+      const topic = `homeassistant/${entity.component}/printer_1/${entity.key}/config`;
+      const message = await nextMessage(topic);
+      const payload = JSON.parse(message.payload.toString());
+
+      expect(message.retain).toBe(true);
+      expect(payload.unique_id).toBe(`printer_1_${entity.key}`);
+      expect(payload.availability_topic).toBe(`${BASE}/availability`);
+      expect(payload.device).toMatchObject({ identifiers: ['printer_1'], name: 'Test Printer' });
+    }
+
+    const nozzle = JSON.parse((await nextMessage('homeassistant/sensor/printer_1/nozzle_temperature/config')).payload);
+    expect(nozzle).toMatchObject({
+      state_topic: `${BASE}/state`,
+      value_template: '{{ value_json.nozzle_temperature }}',
+      device_class: 'temperature',
+      unit_of_measurement: '°C'
+    });
+
+    const reference = JSON.parse((await nextMessage('homeassistant/binary_sensor/printer_1/reference_failure/config')).payload);
+    expect(reference).toMatchObject({ name: 'Reference Failure', state_topic: `${BASE}/reference`, device_class: 'problem' });
+    const llm = JSON.parse((await nextMessage('homeassistant/sensor/printer_1/llm_status/config')).payload);
+    expect(llm).toMatchObject({ name: 'LLM Status', state_topic: `${BASE}/llm`, value_template: '{{ value_json.status }}' });
+
+    const pause = JSON.parse((await nextMessage('homeassistant/button/printer_1/pause/config')).payload);
+    expect(pause).toMatchObject({ command_topic: `${BASE}/command`, payload_press: 'pause' });
+
+    const availability = await nextMessage(`${BASE}/availability`);
+    expect(availability.payload.toString()).toBe('online');
+  });
+
+  test('republishes discovery when Home Assistant comes online', async () => {
+    await nextMessage('homeassistant/camera/printer_1/camera/config');
+    messages = [];
+
+    await observer.publishAsync('homeassistant/status', 'online');
+    const message = await nextMessage('homeassistant/camera/printer_1/camera/config');
+    expect(JSON.parse(message.payload).topic).toBe(`${BASE}/camera`);
+  });
+
+  test('publishes printer status pushes as retained state', async () => {
+    const state = nextMessage(`${BASE}/state`);
+    printer.emit('status', printingStatus());
+
+    await state;
+    const message = await retainedMessage(`${BASE}/state`);
+    expect(message.retain).toBe(true);
+    expect(JSON.parse(message.payload)).toEqual({
+      machine_status: 'Printing',
+      print_status: 'Printing',
+      filename: 'benchy.gcode',
+      nozzle_temperature: 214.6,
+      nozzle_target: 215,
+      bed_temperature: 59.8,
+      bed_target: 60,
+      progress: 42.5,
+      current_layer: 85,
+      total_layers: 200,
+      remaining_time: '1h 2m',
+      timestamp: '2026-01-01T12:00:00.000Z'
+    });
+  });
+
+  test('ignores failed status reads', async () => {
+    await bridge.publishStatus({ success: false, error: 'timeout' });
+    await observer.publishAsync(`${BASE}/marker`, 'done');
+    await nextMessage(`${BASE}/marker`);
+
+    expect(messages.some(message => message.topic === `${BASE}/state`)).toBe(false);
+  });
+
+  test('publishes verdicts of any detector from the normalized fields', async () => {
+    await bridge.publishVerdict({
+      detector: 'llm',
+      time: '2026-01-01T12:00:00.000Z',
+      frameNumber: 12,
+      failure: false,
+      confidence: 0.7,
+      label: 'stringing',
+      status: 'warning',
+      problems: [],
+      analysis: { overall_status: 'warning', problems: [{ issue: 'stringing', confidence: 0.7 }] }
+    });
+    await bridge.publishVerdict({
+      detector: 'reference',
+      time: '2026-01-01T12:00:05.000Z',
+      frameNumber: 13,
+      failure: true,
+      confidence: 0.9,
+      label: 'part detached',
+      status: 'critical',
+      problems: [{ issue: 'part detached', confidence: 0.9 }]
+    });
+
+    expect(JSON.parse((await nextMessage(`${BASE}/llm`)).payload)).toEqual({
+      verdict: 'ok',
+      status: 'warning',
+      confidence: 0.7,
+      label: 'stringing',
+      problems: 0,
+      frame: 12,
+      timestamp: '2026-01-01T12:00:00.000Z'
+    });
+    expect(JSON.parse((await nextMessage(`${BASE}/reference`)).payload)).toEqual({
+      verdict: 'failure',
+      status: 'critical',
+      confidence: 0.9,
+      label: 'part detached',
+      problems: 1,
+      frame: 13,
+      timestamp: '2026-01-01T12:00:05.000Z'
+    });
+  });
+
+  test('publishes camera frames as binary payloads', async () => {
+    const frame = Buffer.from([0xff, 0xd8, 0x01, 0x02, 0xff, 0xd9]);
+    await bridge.publishFrame(frame);
+
+    await nextMessage(`${BASE}/camera`);
+    const message = await retainedMessage(`${BASE}/camera`);
+    expect(message.retain).toBe(true);
+    expect(Buffer.compare(message.payload, frame)).toBe(0);
+  });
+
+  test('maps the command topic to pause and resume', async () => {
+    await observer.publishAsync(`${BASE}/command`, 'pause');
+    await waitFor(() => printer.pausePrint.mock.calls.length === 1);
+
+    await observer.publishAsync(`${BASE}/command`, ' RESUME ');
+    await waitFor(() => printer.resumePrint.mock.calls.length === 1);
+
+    await observer.publishAsync(`${BASE}/command`, 'cancel');
+    await observer.publishAsync(`${BASE}/command`, 'pause');
+    await waitFor(() => printer.pausePrint.mock.calls.length === 2);
+    expect(printer.resumePrint).toHaveBeenCalledTimes(1);
+  });
+
+  test('routes each printer\'s command topic to that printer only', async () => {
+    const second = new EventEmitter();
+    second.pausePrint = jest.fn().mockResolvedValue({ success: true });
+    const secondBridge = new MqttBridge(second, { url, topicPrefix: 'test-monitor', deviceId: 'printer_2' });
+    await secondBridge.start();
+
+    try {
+      await observer.publishAsync('test-monitor/printer_2/command', 'pause');
+      await waitFor(() => second.pausePrint.mock.calls.length === 1);
+
+      await observer.publishAsync(`${BASE}/command`, 'pause');
+      await waitFor(() => printer.pausePrint.mock.calls.length === 1);
+      expect(second.pausePrint).toHaveBeenCalledTimes(1);
+    } finally {
+      await secondBridge.stop();
+    }
+  });
+
+  test('marks the device offline on stop', async () => {
+    await nextMessage(`${BASE}/availability`);
+    messages = [];
+
+    const offline = nextMessage(`${BASE}/availability`);
+    await bridge.stop();
+    expect((await offline).payload.toString()).toBe('offline');
+    expect(bridge.isConnected()).toBe(false);
+  });
+});
+
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
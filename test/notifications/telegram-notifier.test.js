@@ -0,0 +1,278 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('node-telegram-bot-api', () => jest.fn().mockImplementation(() => ({
+  onText: jest.fn(),
+  on: jest.fn(),
+  sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+  editMessageText: jest.fn().mockResolvedValue(true),
+  answerCallbackQuery: jest.fn().mockResolvedValue(true),
+  getFileLink: jest.fn()
+})));
+
+const config = require('../../src/config/config');
+const TelegramNotifier = require('../../src/notifications/telegram-notifier');
+
+const CHAT_ID = 100;
+
+function idleStatus() {
+  return { success: true, status: { machine: { code: 0, text: 'Idle' }, print: { code: 0 } } };
+}
+
+function createPrintMonitor(overrides = {}) {
+  return {
+    printer: { index: 1, name: 'Left' },
+    printerModule: {
+      getStatus: jest.fn().mockResolvedValue(idleStatus()),
+      getCachedStatus: jest.fn().mockReturnValue(idleStatus()),
+      listFiles: jest.fn().mockResolvedValue({ Data: { FileList: [] } }),
+      getEstimatedPrintTime: jest.fn().mockResolvedValue(null),
+      startPrint: jest.fn().mockResolvedValue({ Data: { Ack: 0 } }),
+      ...overrides
+    }
+  };
+}
+
+describe('TelegramNotifier', () => {
+  let saved;
+  let notifier;
+  let bot;
+
+  // Text of every message sent so far
+  function sentTexts() {
+    return bot.sendMessage.mock.calls.map(([, text]) => text);
+  }
+
+  beforeEach(() => {
+    saved = { token: config.telegramBotToken, chatId: config.telegramChatId };
+    config.telegramBotToken = 'test-token';
+    config.telegramChatId = String(CHAT_ID);
+
+    notifier = new TelegramNotifier();
+    bot = notifier.bot;
+  });
+
+  afterEach(() => {
+    for (const pending of notifier.pendingConfirmations.values()) {
+      clearTimeout(pending.timer);
+    }
+    config.telegramBotToken = saved.token;
+    config.telegramChatId = saved.chatId;
+  });
+
+  describe('/print confirmation', () => {
+    test('shows the file name and the printer estimate', async () => {
+      const printMonitor = createPrintMonitor({ getEstimatedPrintTime: jest.fn().mockResolvedValue(5400) });
+      notifier.printMonitors = [printMonitor];
+
+      await notifier.confirmStartPrintFile(CHAT_ID, printMonitor, { name: '/usb//benchy.gcode', type: 1 });
+
+      expect(printMonitor.printerModule.getEstimatedPrintTime).toHaveBeenCalledWith('/usb//benchy.gcode');
+      const [text] = sentTexts();
+      expect(text).toContain('<b>Start Print?</b>');
+      expect(text).toContain('File: <code>benchy.gcode</code>');
+      expect(text).toContain('Estimated time: 1h 30m 0s');
+    });
+
+    test('shows unknown when the printer has no estimate', async () => {
+      const printMonitor = createPrintMonitor({ getEstimatedPrintTime: jest.fn().mockRejectedValue(new Error('timeout')) });
+      notifier.printMonitors = [printMonitor];
+
+      await notifier.confirmStartPrintFile(CHAT_ID, printMonitor, { name: '/usb//cube.gcode', type: 1 });
+
+      expect(sentTexts()[0]).toContain('Estimated time: unknown');
+    });
+
+    test('prefers the estimate from an uploaded G-code header', async () => {
+      const printMonitor = createPrintMonitor();
+      notifier.printMonitors = [printMonitor];
+      notifier.printEstimates.set('1:cube.gcode', 600);
+
+      await notifier.confirmStartPrintFile(CHAT_ID, printMonitor, { name: '/local//cube.gcode', type: 1 });
+
+      expect(printMonitor.printerModule.getEstimatedPrintTime).not.toHaveBeenCalled();
+      expect(sentTexts()[0]).toContain('Estimated time: 10m 0s');
+    });
+  });
+
+  describe('/print picker', () => {
+    const benchy = { name: '/usb//benchy.gcode', type: 1 };
+    const cube = { name: '/usb//cube.gcode', type: 1 };
+
+    // Show the picker and return the callback_data of each button
+    async function showPicker(printMonitor) {
+      await notifier.handlePrintCommand({ chat: { id: CHAT_ID }, text: '/print' }, printMonitor);
+      const [, , options] = bot.sendMessage.mock.calls[bot.sendMessage.mock.calls.length - 1];
+      return options.reply_markup.inline_keyboard.map(([button]) => button.callback_data);
+    }
+
+    function press(data) {
+      return notifier.handleCallbackQuery({ id: 'query', data, message: { chat: { id: CHAT_ID } } });
+    }
+
+    test('buttons carry a token for the file path, not its list position', async () => {
+      const printMonitor = createPrintMonitor({
+        listFiles: jest.fn().mockResolvedValue({ Data: { FileList: [benchy, cube] } })
+      });
+      notifier.printMonitors = [printMonitor];
+
+      const buttons = await showPicker(printMonitor);
+      expect(buttons).toHaveLength(2);
+      expect(buttons.every(data => /^print:[0-9a-f]{12}$/.test(data))).toBe(true);
+
+      // A new file sorted in front shifts every position
+      printMonitor.printerModule.listFiles.mockResolvedValue({ Data: { FileList: [{ name: '/usb//aaa.gcode', type: 1 }, benchy, cube] } });
+      await press(buttons[1]);
+
+      expect(sentTexts().pop()).toContain('File: <code>cube.gcode</code>');
+    });
+
+    test('reports a file deleted after the picker was shown', async () => {
+      const printMonitor = createPrintMonitor({
+        listFiles: jest.fn().mockResolvedValue({ Data: { FileList: [benchy, cube] } })
+      });
+      notifier.printMonitors = [printMonitor];
+
+      const buttons = await showPicker(printMonitor);
+      printMonitor.printerModule.listFiles.mockResolvedValue({ Data: { FileList: [benchy] } });
+      await press(buttons[1]);
+
+      expect(sentTexts().pop()).toContain('<b>File Not Found</b>');
+      expect(notifier.pendingConfirmations.size).toBe(0);
+    });
+
+    test('rejects an unknown or expired token', async () => {
+      notifier.printMonitors = [createPrintMonitor()];
+
+      await press('print:0123456789ab');
+
+      expect(bot.answerCallbackQuery).toHaveBeenCalledWith('query', expect.objectContaining({ text: expect.stringContaining('expired') }));
+      expect(notifier.pendingConfirmations.size).toBe(0);
+    });
+  });
+
+  describe('document upload', () => {
+    // The handler registered for bot.on('document')
+    function documentListener() {
+      return bot.on.mock.calls.find(([event]) => event === 'document')[1];
+    }
+
+    test('ignores documents from chats that are not configured', async () => {
+      const printMonitor = createPrintMonitor({ uploadFile: jest.fn() });
+      notifier.printMonitors = [printMonitor];
+
+      await notifier.handleDocumentUpload({ chat: { id: 999 }, document: { file_name: 'part.gcode', file_size: 10, file_id: 'f' } });
+
+      expect(bot.getFileLink).not.toHaveBeenCalled();
+      expect(bot.sendMessage).not.toHaveBeenCalled();
+      expect(printMonitor.printerModule.uploadFile).not.toHaveBeenCalled();
+    });
+
+    test('accepts documents from a per-printer chat', async () => {
+      const printMonitor = createPrintMonitor();
+      printMonitor.printer.telegramChatId = '-200';
+      notifier.printMonitors = [printMonitor];
+
+      await notifier.handleDocumentUpload({ chat: { id: -200 }, document: { file_name: 'notes.txt', file_size: 10 } });
+
+      expect(sentTexts()[0]).toContain('Unsupported File');
+    });
+
+    test('reports a failing Telegram call instead of leaving the rejection unhandled', async () => {
+      const logger = require('../../src/utils/logger');
+      notifier.printMonitors = [createPrintMonitor()];
+      bot.sendMessage.mockRejectedValueOnce(new Error('ETELEGRAM: 403 Forbidden'));
+
+      await documentListener()({ chat: { id: CHAT_ID }, document: { file_name: 'notes.txt', file_size: 10 } });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('403 Forbidden'));
+    });
+
+    test.each([
+      ['../../etc/part.gcode', 'part.gcode'],
+      ['C:\\slices\\Benchy v2.gcode', 'Benchy_v2.gcode'],
+      ['<b>x & y.gcode', 'b_x_y.gcode'],
+      ['.hidden.gcode', 'hidden.gcode'],
+      [undefined, 'upload.gcode']
+    ])('sanitizes the file name %p', (name, expected) => {
+      expect(notifier.sanitizeUploadFilename(name)).toBe(expected);
+    });
+  });
+
+  describe('chat authorization', () => {
+    test('ignores printer commands from other chats', async () => {
+      const handler = jest.fn();
+      notifier.printMonitors = [createPrintMonitor()];
+
+      await notifier.dispatchToPrinter({ chat: { id: 999 }, text: '/stop' }, 'stop', handler);
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('ignores button presses from other chats', async () => {
+      notifier.printMonitors = [createPrintMonitor()];
+      const confirm = jest.fn();
+      notifier.callbackHandlers.set('confirm', confirm);
+
+      await notifier.handleCallbackQuery({ id: 'query', data: 'confirm:abc:yes', message: { chat: { id: 999 } } });
+
+      expect(confirm).not.toHaveBeenCalled();
+      expect(bot.answerCallbackQuery).toHaveBeenCalledWith('query', { text: 'Not authorized' });
+    });
+  });
+
+  describe('command patterns', () => {
+    // Commands whose registered pattern matches the text
+    function commandsFor(text) {
+      return bot.onText.mock.calls
+        .filter(([pattern]) => pattern.test(text))
+        .map(([pattern]) => pattern.source);
+    }
+
+    function pattern(command) {
+      return bot.onText.mock.calls.find(([regexp]) => regexp.source.startsWith(`^\\/${command}(`))[0];
+    }
+
+    test.each(['/stop', '/stop bench2', '/stop@ElegooMonitorBot', '/stop@ElegooMonitorBot 2'])('/stop matches %p', text => {
+      expect(pattern('stop').test(text)).toBe(true);
+    });
+
+    test.each(["don't stop", 'nonstop', 'please stop the print', 'stop', '/stopped'])('/stop ignores %p', text => {
+      expect(pattern('stop').test(text)).toBe(false);
+    });
+
+    test('/stop captures the printer argument', () => {
+      expect('/stop@ElegooMonitorBot bench2'.match(pattern('stop'))[1]).toBe('bench2');
+    });
+
+    test.each(['/print', '/print 3', '/print bench2 3', '/print@ElegooMonitorBot 3'])('/print matches %p', text => {
+      expect(pattern('print').test(text)).toBe(true);
+    });
+
+    test.each(['print this please', 'blueprint', '/printers', 'reprint'])('/print ignores %p', text => {
+      expect(pattern('print').test(text)).toBe(false);
+    });
+
+    test('/printers matches only the bare command', () => {
+      expect(pattern('printers').test('/printers')).toBe(true);
+      expect(pattern('printers').test('/printers@ElegooMonitorBot')).toBe(true);
+      expect(commandsFor('which printers are online?')).not.toContain(pattern('printers').source);
+    });
+
+    test('/print <n> with a bot mention confirms file n', async () => {
+      const printMonitor = createPrintMonitor({
+        listFiles: jest.fn().mockResolvedValue({ Data: { FileList: [{ name: '/usb//a.gcode', type: 1 }, { name: '/usb//b.gcode', type: 1 }] } })
+      });
+      notifier.printMonitors = [printMonitor];
+
+      await notifier.handlePrintCommand({ chat: { id: CHAT_ID }, text: '/print@ElegooMonitorBot 2' }, printMonitor);
+
+      expect(sentTexts().pop()).toContain('File: <code>b.gcode</code>');
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const dgram = require('dgram');
+const os = require('os');
+
+jest.mock('../../src/utils/logger', () => ({
+    log: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+const PrinterDiscovery = require('../../src/printer/discovery');
+const PrinterDiscoveryService = require('../../src/printer/discovery-service');
+
+/**
+ * Answers M99999 probes on localhost like a printer; `printers` is what the next probe sees
+ */
+async function startResponder() {
+    const socket = dgram.createSocket('udp4');
+    const responder = { socket, printers: [], probes: 0 };
+
+    socket.on('message', (msg, rinfo) => {
+        if (msg.toString() !== 'M99999') {
+            return;
+        }
+        responder.probes++;
+        for (const printer of responder.printers) {
+            const reply = JSON.stringify({
+                Id: 'test',
+                Data: {
+                    Name: printer.name,
+                    MachineName: 'Centauri Carbon',
+                    BrandName: 'Elegoo',
+                    MainboardIP: printer.ip,
+                    MainboardID: printer.mainboardID,
+                    ProtocolVersion: 'V3.0.0',
+                    FirmwareVersion: 'V1.1.29'
+                }
+            });
+            socket.send(reply, rinfo.port, rinfo.address);
+        }
+    });
+
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+    responder.port = socket.address().port;
+    return responder;
+}
+
+describe('PrinterDiscovery', () => {
+    describe('getBroadcastAddress', () => {
+        test.each([
+            ['192.168.1.37', '255.255.255.0', '192.168.1.255'],
+            ['10.1.2.3', '255.0.0.0', '10.255.255.255'],
+            ['172.16.5.4', '255.255.240.0', '172.16.15.255'],
+            ['192.168.10.179', '255.255.255.128', '192.168.10.255'],
+            ['192.168.10.42', '255.255.255.128', '192.168.10.127'],
+            ['192.168.1.5', '255.255.255.255', '192.168.1.5']
+        ])('%s/%s -> %s', (address, netmask, expected) => {
+            expect(PrinterDiscovery.getBroadcastAddress(address, netmask)).toBe(expected);
+        });
+    });
+
+    describe('getBroadcastAddresses', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('uses every external IPv4 interface once', () => {
+            jest.spyOn(os, 'networkInterfaces').mockReturnValue({
+                lo: [{ address: '127.0.0.1', netmask: '255.0.0.0', family: 'IPv4', internal: true }],
+                eth0: [
+                    { address: '192.168.1.37', netmask: '255.255.255.0', family: 'IPv4', internal: false },
+                    { address: 'fe80::1', netmask: 'ffff:ffff:ffff:ffff::', family: 'IPv6', internal: false }
+                ],
+                wlan0: [{ address: '10.0.5.9', netmask: '255.255.0.0', family: 4, internal: false }],
+                eth1: [{ address: '192.168.1.80', netmask: '255.255.255.0', family: 'IPv4', internal: false }]
+            });
+
+            expect(new PrinterDiscovery().getBroadcastAddresses()).toEqual(['192.168.1.255', '10.0.255.255']);
+        });
+
+        test('falls back to the limited broadcast address without interfaces', () => {
+            jest.spyOn(os, 'networkInterfaces').mockReturnValue({
+                lo: [{ address: '127.0.0.1', netmask: '255.0.0.0', family: 'IPv4', internal: true }]
+            });
+
+            expect(new PrinterDiscovery().getBroadcastAddresses()).toEqual(['255.255.255.255']);
+        });
+
+        test('configured addresses override interface detection', () => {
+            const discovery = new PrinterDiscovery({ broadcastAddresses: ['10.9.9.255'] });
+            expect(discovery.getBroadcastAddresses()).toEqual(['10.9.9.255']);
+        });
+    });
+
+    describe('discoverPrinters', () => {
+        let responder;
+
+        beforeEach(async () => {
+            responder = await startResponder();
+        });
+
+        afterEach(() => {
+            responder.socket.close();
+        });
+
+        test('collects replies from a UDP responder', async () => {
+            responder.printers = [
+                { name: 'Left', ip: '192.168.1.50', mainboardID: 'aaa111' },
+                { name: 'Right', ip: '192.168.1.51', mainboardID: 'bbb222' }
+            ];
+            const discovery = new PrinterDiscovery({ port: responder.port, broadcastAddresses: ['127.0.0.1'], timeout: 300 });
+
+            const printers = await discovery.discoverPrinters();
+
+            expect(responder.probes).toBe(1);
+            expect(printers).toEqual([
+                expect.objectContaining({ name: 'Left', ip: '192.168.1.50', mainboardID: 'aaa111', machineName: 'Centauri Carbon' }),
+                expect.objectContaining({ name: 'Right', ip: '192.168.1.51', mainboardID: 'bbb222', firmwareVersion: 'V1.1.29' })
+            ]);
+        });
+
+        test('counts a printer once when it hears several broadcasts', async () => {
+            responder.printers = [{ name: 'Left', ip: '192.168.1.50', mainboardID: 'aaa111' }];
+            const discovery = new PrinterDiscovery({
+                port: responder.port,
+                broadcastAddresses: ['127.0.0.1', '127.0.0.1'],
+                timeout: 300
+            });
+
+            const printers = await discovery.discoverPrinters();
+
+            expect(responder.probes).toBe(2);
+            expect(printers).toHaveLength(1);
+        });
+    });
+});
+
+describe('PrinterDiscoveryService', () => {
+    let responder;
+    let service;
+    let events;
+
+    beforeEach(async () => {
+        responder = await startResponder();
+        const discovery = new PrinterDiscovery({ port: responder.port, broadcastAddresses: ['127.0.0.1'], timeout: 200 });
+        service = new PrinterDiscoveryService({ discovery, interval: 60000, missedProbesBeforeLost: 2 });
+
+        events = [];
+        service.on('appear', printer => events.push(['appear', printer.mainboardID, printer.ip]));
+        service.on('disappear', printer => events.push(['disappear', printer.mainboardID]));
+        service.on('ip-change', ({ printer, previousIP }) => events.push(['ip-change', printer.mainboardID, previousIP, printer.ip]));
+    });
+
+    afterEach(() => {
+        service.stop();
+        responder.socket.close();
+    });
+
+    test('emits appear for a new printer and nothing while it stays', async () => {
+        responder.printers = [{ name: 'Left', ip: '192.168.1.50', mainboardID: 'aaa111' }];
+
+        await service.probe();
+        await service.probe();
+
+        expect(events).toEqual([['appear', 'aaa111', '192.168.1.50']]);
+        expect(service.getOnlinePrinters().map(printer => printer.name)).toEqual(['Left']);
+    });
+
+    test('emits ip-change when a known printer answers from a new address', async () => {
+        responder.printers = [{ name: 'Left', ip: '192.168.1.50', mainboardID: 'aaa111' }];
+        await service.probe();
+
+        responder.printers = [{ name: 'Left', ip: '192.168.1.77', mainboardID: 'aaa111' }];
+        await service.probe();
+
+        expect(events).toEqual([
+            ['appear', 'aaa111', '192.168.1.50'],
+            ['ip-change', 'aaa111', '192.168.1.50', '192.168.1.77']
+        ]);
+    });
+
+    test('emits disappear after missed probes and appear when it returns', async () => {
+        responder.printers = [{ name: 'Left', ip: '192.168.1.50', mainboardID: 'aaa111' }];
+        await service.probe();
+
+        responder.printers = [];
+        await service.probe();
+        expect(events).toEqual([['appear', 'aaa111', '192.168.1.50']]);
+
+        await service.probe();
+        expect(events).toEqual([
+            ['appear', 'aaa111', '192.168.1.50'],
+            ['disappear', 'aaa111']
+        ]);
+        expect(service.getOnlinePrinters()).toEqual([]);
+
+        responder.printers = [{ name: 'Left', ip: '192.168.1.50', mainboardID: 'aaa111' }];
+        await service.probe();
+        expect(events[2]).toEqual(['appear', 'aaa111', '192.168.1.50']);
+    });
+
+    test('ignores printers without a MainboardID', async () => {
+        responder.printers = [{ name: 'Anonymous', ip: '192.168.1.60', mainboardID: null }];
+
+        await service.probe();
+
+        expect(events).toEqual([]);
+    });
+});
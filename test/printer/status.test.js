@@ -0,0 +1,161 @@
+const { WebSocketServer } = require('ws');
+
+jest.mock('../../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+const PrinterStatus = require('../../src/printer/status');
+
+const MAINBOARD_ID = 'a1b2c3d4e5f60000';
+
+/**
+ * Local SDCP WebSocket server; records the commands each connection sends
+ */
+async function startPrinter() {
+    const server = new WebSocketServer({ host: '127.0.0.1', port: 0, path: '/websocket' });
+    const printer = { server, connections: [] };
+
+    server.on('connection', (socket) => {
+        const connection = { socket, commands: [] };
+        printer.connections.push(connection);
+        socket.on('message', (data) => {
+            const text = data.toString();
+            if (text === 'ping') {
+                socket.send('pong');
+                return;
+            }
+            connection.commands.push(JSON.parse(text).Data);
+        });
+    });
+
+    await new Promise(resolve => server.on('listening', resolve));
+    printer.port = server.address().port;
+    return printer;
+}
+
+function pushStatus(socket, status = { CurrentStatus: [1], PrintInfo: { Status: 13, Filename: 'benchy.gcode', CurrentLayer: 10, TotalLayer: 100 } }) {
+    socket.send(JSON.stringify({
+        Topic: `sdcp/status/${MAINBOARD_ID}`,
+        Status: status,
+        MainboardID: MAINBOARD_ID,
+        TimeStamp: Math.floor(Date.now() / 1000)
+    }));
+}
+
+async function waitFor(condition, timeout = 4000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('PrinterStatus session', () => {
+    let printer;
+    let status;
+
+    beforeEach(async () => {
+        printer = await startPrinter();
+        status = new PrinterStatus('127.0.0.1', { port: printer.port });
+        status.statusPushInterval = 2000;
+        status.statusMaxAge = 6000;
+        status.reconnectBaseDelay = 50;
+        status.reconnectMaxDelay = 200;
+        status.heartbeatInterval = 0;
+    });
+
+    afterEach(async () => {
+        status.disconnect();
+        jest.restoreAllMocks();
+        for (const client of printer.server.clients) {
+            client.terminate();
+        }
+        await new Promise(resolve => printer.server.close(resolve));
+    });
+
+    // Commands (Cmd numbers) a connection has sent so far
+    function commandsOf(connection) {
+        return connection.commands.map(command => command.Cmd);
+    }
+
+    test('subscribes to status pushes when the session starts', async () => {
+        await status.startSession();
+        await waitFor(() => printer.connections.length === 1 && commandsOf(printer.connections[0]).length >= 3);
+
+        const [subscribe, refresh, attributes] = printer.connections[0].commands;
+        expect(subscribe).toMatchObject({ Cmd: 512, Data: { TimePeriod: 2000 } });
+        expect(refresh.Cmd).toBe(0);
+        expect(attributes.Cmd).toBe(1);
+    });
+
+    test('reconnects after the printer drops the connection and subscribes again', async () => {
+        const disconnects = [];
+        status.on('disconnect', event => disconnects.push(event));
+
+        await status.startSession();
+        await waitFor(() => printer.connections.length === 1 && commandsOf(printer.connections[0]).includes(512));
+
+        printer.connections[0].socket.terminate();
+        await waitFor(() => disconnects.length === 1);
+        expect(disconnects[0].willReconnect).toBe(true);
+        expect(status.isConnected()).toBe(false);
+
+        await waitFor(() => printer.connections.length === 2 && commandsOf(printer.connections[1]).includes(512));
+        expect(status.isConnected()).toBe(true);
+        expect(status.reconnectAttempts).toBe(0);
+        expect(commandsOf(printer.connections[1])).toEqual([512, 0, 1]);
+    }, 10000);
+
+    test('does not reconnect after disconnect()', async () => {
+        await status.startSession();
+        await waitFor(() => printer.connections.length === 1);
+
+        status.disconnect();
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        expect(printer.connections).toHaveLength(1);
+        expect(status.reconnectTimer).toBeNull();
+    });
+
+    test('serves pushed status from the cache until it is older than statusMaxAge', async () => {
+        const pushes = [];
+        status.on('status', push => pushes.push(push));
+
+        await status.startSession();
+        expect(status.hasFreshStatus()).toBe(false);
+
+        pushStatus(printer.connections[0].socket);
+        await waitFor(() => pushes.length === 1);
+
+        expect(pushes[0]).toMatchObject({ success: true, status: { print: { filename: 'benchy.gcode' } } });
+        expect(status.hasFreshStatus()).toBe(true);
+        expect(status.getCachedStatus()).toMatchObject({ success: true, progress: { currentLayer: 10, totalLayers: 100 } });
+
+        // A fresh cache answers getStatus without a status request
+        const requests = commandsOf(printer.connections[0]).filter(cmd => cmd === 0).length;
+        await expect(status.getStatus()).resolves.toMatchObject({ success: true });
+        expect(commandsOf(printer.connections[0]).filter(cmd => cmd === 0)).toHaveLength(requests);
+
+        const pushedAt = status.lastStatusTime;
+        jest.spyOn(Date, 'now').mockReturnValue(pushedAt + status.statusMaxAge);
+        expect(status.hasFreshStatus()).toBe(false);
+        // The last snapshot stays readable, it just no longer counts as fresh
+        expect(status.getCachedStatus()).not.toBeNull();
+    });
+
+    test('cached status is not fresh while disconnected', async () => {
+        await status.startSession();
+        pushStatus(printer.connections[0].socket);
+        await waitFor(() => status.hasFreshStatus());
+
+        status.disconnect();
+        await waitFor(() => !status.isConnected());
+
+        expect(status.hasFreshStatus()).toBe(false);
+    });
+});
@@ -0,0 +1,40 @@
+jest.mock('../../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+const PrinterUpload = require('../../src/printer/upload');
+
+describe('PrinterUpload', () => {
+    let upload;
+
+    beforeEach(() => {
+        upload = new PrinterUpload('192.168.1.50');
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            json: async () => ({ success: true })
+        });
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('rejects an empty file without contacting the printer', async () => {
+        await expect(upload.uploadFile(Buffer.alloc(0), 'empty.gcode')).rejects.toThrow('empty.gcode is empty');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('sends a file in chunks and reports progress', async () => {
+        upload.chunkSize = 4;
+        const progress = [];
+
+        const result = await upload.uploadFile(Buffer.from('G28\nG1 X10\n'), 'part.gcode', update => progress.push(update.sent));
+
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(progress).toEqual([4, 8, 11]);
+        expect(result).toMatchObject({ filename: 'part.gcode', size: 11 });
+    });
+});
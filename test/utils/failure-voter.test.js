@@ -0,0 +1,137 @@
+jest.mock('../../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const FailureVoter = require('../../src/utils/failure-voter');
+const { formatEvidence } = FailureVoter;
+
+const START = Date.parse('2026-01-01T12:00:00Z');
+const KEYS = ['votingMode', 'votingWindow', 'votingMinVotes', 'votingEwmaAlpha', 'votingThreshold', 'votingMaxAge'];
+
+describe('FailureVoter', () => {
+    let saved;
+    let voter;
+    let frame;
+
+    /**
+     * Record one verdict per entry (true = failure, or a confidence for ewma), 10 s apart;
+     * returns which frames alerted
+     */
+    function vote(verdicts, source = 'printguard') {
+        return verdicts.map((verdict) => {
+            frame++;
+            const failure = typeof verdict === 'boolean' ? verdict : verdict >= 0.5;
+            const confidence = typeof verdict === 'boolean' ? (verdict ? 0.9 : 0.1) : verdict;
+            return voter.record(source, { frameNumber: frame, failure, confidence, label: failure ? 'spaghetti' : null }, START + frame * 10000);
+        }).map(decision => decision !== null);
+    }
+
+    beforeEach(() => {
+        saved = Object.fromEntries(KEYS.map(key => [key, config[key]]));
+        Object.assign(config, {
+            votingMode: 'k-of-n',
+            votingWindow: 5,
+            votingMinVotes: 3,
+            votingEwmaAlpha: 0.5,
+            votingThreshold: 0.6,
+            votingMaxAge: 600000
+        });
+        voter = new FailureVoter({ enabled: true });
+        frame = 0;
+    });
+
+    afterEach(() => {
+        Object.assign(config, saved);
+    });
+
+    describe('k-of-n', () => {
+        test('alerts when k of the last n frames flagged a failure', () => {
+            expect(vote([true, false, true, true])).toEqual([false, false, false, true]);
+        });
+
+        test('alerts once per crossing and again after the vote drops below k', () => {
+            // 3 of 5 -> alert; stays above while failures remain in the window
+            expect(vote([true, true, true, true, false, false])).toEqual([false, false, true, false, false, false]);
+            // Window is now F,F,F,ok,ok... the third ok leaves 2 of 5 and re-arms the vote
+            expect(vote([false])).toEqual([false]);
+            expect(vote([true, true, true])).toEqual([false, false, true]);
+        });
+
+        test('returns the window as evidence', () => {
+            vote([false, true, true]);
+            const decision = voter.record('printguard', { frameNumber: 4, failure: true, confidence: 0.8, label: 'spaghetti' }, START + 40000);
+
+            expect(decision).toMatchObject({ source: 'printguard', mode: 'k-of-n', score: 3, threshold: 3, failures: 3, size: 4 });
+            expect(decision.summary).toBe('3 of the last 4 frames flagged a failure (alert at 3 of 5)');
+            expect(formatEvidence(decision)).toEqual(['#1 ✅ 10%', '#2 ❌ 90% spaghetti', '#3 ❌ 90% spaghetti', '#4 ❌ 80% spaghetti']);
+        });
+
+        test('needs no more votes than the window holds', () => {
+            config.votingWindow = 2;
+
+            expect(vote([true, true])).toEqual([false, true]);
+        });
+
+        test('forgets frames older than votingMaxAge', () => {
+            config.votingMaxAge = 15000;
+
+            // 10 s apart: only the previous frame survives, so 3 failures never share the window
+            expect(vote([true, true, true, true])).toEqual([false, false, false, false]);
+        });
+
+        test('keeps a separate window per detector', () => {
+            expect(vote([true, true], 'printguard')).toEqual([false, false]);
+            expect(vote([true], 'llm')).toEqual([false]);
+            expect(vote([true], 'printguard')).toEqual([true]);
+        });
+    });
+
+    describe('ewma', () => {
+        beforeEach(() => {
+            config.votingMode = 'ewma';
+        });
+
+        test('alerts when the weighted confidence crosses the threshold', () => {
+            // 0.45, 0.675
+            expect(vote([0.9, 0.9])).toEqual([false, true]);
+        });
+
+        test('a single confident frame does not cross on its own', () => {
+            expect(vote([0.1, 0.1, 1.0, 0.1])).toEqual([false, false, false, false]);
+        });
+
+        test('alerts once per crossing and again after falling below', () => {
+            // 0.45, 0.675 (alert), 0.84, 0.42 (below), 0.66 (alert)
+            expect(vote([0.9, 0.9, 1.0, 0.0, 0.9])).toEqual([false, true, false, false, true]);
+        });
+
+        test('reports the score and threshold', () => {
+            vote([0.9]);
+            const decision = voter.record('printguard', { frameNumber: 2, failure: true, confidence: 0.9 }, START + 20000);
+
+            expect(decision).toMatchObject({ mode: 'ewma', threshold: 0.6, failures: 2, size: 2 });
+            expect(decision.score).toBeCloseTo(0.675);
+            expect(decision.summary).toBe('weighted failure score 0.68 (alert at 0.6) over the last 2 frames, 2 flagged');
+        });
+    });
+
+    test('reset re-arms a source', () => {
+        expect(vote([true, true, true, true])).toEqual([false, false, true, false]);
+
+        voter.reset('printguard');
+
+        expect(vote([true, true, true])).toEqual([false, false, true]);
+    });
+
+    test('alerts on every failed frame when voting is disabled', () => {
+        voter = new FailureVoter({ enabled: false });
+
+        expect(vote([true, false, true])).toEqual([true, false, true]);
+        const decision = voter.record('llm', { frameNumber: 9, failure: true, confidence: 0.7 }, START);
+        expect(decision).toMatchObject({ mode: 'single', score: 0.7, threshold: null, failures: 1, size: 1 });
+    });
+});
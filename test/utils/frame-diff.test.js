@@ -0,0 +1,108 @@
+const sharp = require('sharp');
+
+const config = require('../../src/config/config');
+const { compareFrames, renderHeatmap } = require('../../src/utils/frame-diff');
+
+const WIDTH = 256;
+const HEIGHT = 192;
+
+/**
+ * Greyscale JPEG with a fine checkerboard texture; `patch` paints a flat square over it
+ */
+function frame({ patch = null, width = WIDTH, height = HEIGHT } = {}) {
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const cell = (Math.floor(x * WIDTH / width / 4) + Math.floor(y * HEIGHT / height / 4)) % 2;
+            pixels[y * width + x] = cell ? 200 : 60;
+        }
+    }
+    if (patch) {
+        for (let y = patch.top; y < patch.top + patch.size; y++) {
+            for (let x = patch.left; x < patch.left + patch.size; x++) {
+                pixels[y * width + x] = patch.value;
+            }
+        }
+    }
+    return sharp(pixels, { raw: { width, height, channels: 1 } }).jpeg({ quality: 95 }).toBuffer();
+}
+
+describe('frame-diff', () => {
+    let saved;
+
+    beforeEach(() => {
+        saved = config.referenceDiffThreshold;
+        config.referenceDiffThreshold = 0.3;
+    });
+
+    afterEach(() => {
+        config.referenceDiffThreshold = saved;
+    });
+
+    test('finds nothing changed between identical frames', async () => {
+        const image = await frame();
+
+        const diff = await compareFrames(image, image);
+
+        expect(diff.ssim).toBeCloseTo(1, 5);
+        expect(diff.changed).toBe(0);
+        expect(diff.pixelDifference).toBe(0);
+        expect([diff.cols, diff.rows]).toEqual([32, 24]);
+        expect(diff.dissimilarity).toHaveLength(32 * 24);
+    });
+
+    test('marks the blocks where something new appeared', async () => {
+        // A 64 px square is 8 x 8 of the 32 x 24 blocks
+        const diff = await compareFrames(await frame(), await frame({ patch: { left: 128, top: 64, size: 64, value: 255 } }));
+
+        expect(diff.changed).toBeGreaterThan(48 / 768);
+        expect(diff.changed).toBeLessThan(100 / 768);
+        expect(diff.ssim).toBeLessThan(0.95);
+        expect(diff.pixelDifference).toBeGreaterThan(0);
+
+        const block = (col, row) => diff.dissimilarity[row * diff.cols + col];
+        expect(block(19, 11)).toBeGreaterThan(0.3);
+        expect(block(4, 4)).toBeLessThan(0.3);
+    });
+
+    test('stretches a reference of another size onto the current frame', async () => {
+        const diff = await compareFrames(await frame({ width: 512, height: 384 }), await frame());
+
+        expect(diff.changed).toBe(0);
+        expect(diff.ssim).toBeGreaterThan(0.95);
+    });
+
+    test('counts fewer blocks as changed with a higher REFERENCE_DIFF_THRESHOLD', async () => {
+        const reference = await frame();
+        const current = await frame({ patch: { left: 40, top: 40, size: 100, value: 130 } });
+
+        const strict = await compareFrames(reference, current);
+        config.referenceDiffThreshold = 0.9;
+        const lenient = await compareFrames(reference, current);
+
+        expect(lenient.changed).toBeLessThan(strict.changed);
+    });
+
+    test('draws only the changed blocks on the heatmap', async () => {
+        const diff = {
+            cols: 3,
+            rows: 2,
+            dissimilarity: Float32Array.from([0, 0.2, 0.25, 0.5, 1, 0.31])
+        };
+
+        const { data, info } = await sharp(await renderHeatmap(diff)).raw().toBuffer({ resolveWithObject: true });
+        const pixel = index => [...data.subarray(index * 4, index * 4 + 4)];
+
+        expect([info.width, info.height, info.channels]).toEqual([3, 2, 4]);
+        // Below the threshold: transparent
+        expect(pixel(0)[3]).toBe(0);
+        expect(pixel(1)[3]).toBe(0);
+        expect(pixel(2)[3]).toBe(0);
+        // Completely different is opaque red, just above the threshold faint yellow
+        expect(pixel(4)).toEqual([255, 0, 0, 200]);
+        expect(pixel(5)[0]).toBe(255);
+        expect(pixel(5)[1]).toBeGreaterThan(210);
+        expect(pixel(5)[3]).toBeLessThan(100);
+        expect(pixel(3)[3]).toBeGreaterThan(pixel(5)[3]);
+    });
+});
@@ -0,0 +1,92 @@
+const sharp = require('sharp');
+
+const config = require('../../src/config/config');
+const FrameQualityGate = require('../../src/utils/frame-quality');
+
+const WIDTH = 320;
+const HEIGHT = 240;
+
+/**
+ * JPEG of a 16px checkerboard; `shade` shifts the light squares to make near-identical frames
+ */
+function checkerboard({ light = 200, dark = 40, shade = 0, inverted = false } = {}) {
+    const data = Buffer.alloc(WIDTH * HEIGHT);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const on = ((Math.floor(x / 16) + Math.floor(y / 16)) % 2 === 0) !== inverted;
+            data[y * WIDTH + x] = on ? light + shade : dark;
+        }
+    }
+    return sharp(data, { raw: { width: WIDTH, height: HEIGHT, channels: 1 } }).jpeg({ quality: 90 }).toBuffer();
+}
+
+describe('FrameQualityGate', () => {
+    let saved;
+    let gate;
+
+    beforeEach(() => {
+        saved = { action: config.frameQualityAction, threshold: config.frameQualityDuplicateThreshold };
+        config.frameQualityAction = 'skip';
+        config.frameQualityDuplicateThreshold = 1;
+        gate = new FrameQualityGate({ enabled: true });
+    });
+
+    afterEach(() => {
+        config.frameQualityAction = saved.action;
+        config.frameQualityDuplicateThreshold = saved.threshold;
+    });
+
+    test('passes a sharp, well-exposed frame', async () => {
+        const result = await gate.check(await checkerboard());
+
+        expect(result).toMatchObject({ ok: true, skip: false, reasons: [] });
+    });
+
+    test('flags two near-identical frames as duplicate without skipping the second', async () => {
+        await gate.check(await checkerboard());
+
+        const result = await gate.check(await checkerboard({ shade: 1 }));
+
+        expect(result.reasons).toEqual(['duplicate']);
+        expect(result.skip).toBe(false);
+        expect(result.metrics.difference).toBeLessThan(1);
+    });
+
+    test('keeps analyzing a static scene', async () => {
+        const frame = await checkerboard();
+        const results = [];
+        for (let i = 0; i < 4; i++) {
+            results.push(await gate.check(frame));
+        }
+
+        expect(results.map(result => result.skip)).toEqual([false, false, false, false]);
+    });
+
+    test('compares with the last analyzed frame, not a skipped one', async () => {
+        await gate.check(await checkerboard());
+
+        const dark = await gate.check(await checkerboard({ light: 10, dark: 0 }));
+        expect(dark).toMatchObject({ skip: true, reasons: ['dark'] });
+
+        const result = await gate.check(await checkerboard({ shade: 1 }));
+        expect(result.reasons).toEqual(['duplicate']);
+    });
+
+    test('a changed scene is not a duplicate', async () => {
+        await gate.check(await checkerboard());
+
+        const result = await gate.check(await checkerboard({ inverted: true }));
+
+        expect(result.ok).toBe(true);
+        expect(result.metrics.difference).toBeGreaterThan(50);
+    });
+
+    test('skips a truncated frame', async () => {
+        const frame = await checkerboard();
+
+        const result = await gate.check(frame.subarray(0, Math.floor(frame.length / 2)));
+
+        expect(result.skip).toBe(true);
+        expect(result.reasons).toContain('truncated');
+    });
+});
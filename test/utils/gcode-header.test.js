@@ -0,0 +1,28 @@
+const { parseEstimatedPrintTime, parseDuration } = require('../../src/utils/gcode-header');
+
+describe('gcode header', () => {
+    test.each([
+        ['OrcaSlicer / Elegoo Slicer', '; HEADER_BLOCK_START\n; model printing time: 1h 20m 5s; total estimated time: 1h 27m 48s\n; HEADER_BLOCK_END\nG28\n', 5268],
+        ['PrusaSlicer', 'G28\nG1 X10\n; estimated printing time (normal mode) = 2h 3m 4s\n', 7384],
+        ['Cura', ';FLAVOR:Marlin\n;TIME:3600\n;Filament used: 1.2m\nG28\n', 3600],
+        ['days', '; estimated printing time (normal mode) = 1d 2h 0m 0s\n', 93600]
+    ])('%s', (name, gcode, seconds) => {
+        expect(parseEstimatedPrintTime(Buffer.from(gcode))).toBe(seconds);
+    });
+
+    test('returns null without an estimate', () => {
+        expect(parseEstimatedPrintTime(Buffer.from('G28\nG1 X10 Y10\n'))).toBeNull();
+    });
+
+    test('finds an estimate at the end of a large file', () => {
+        const body = 'G1 X10 Y10 E0.5\n'.repeat(20000);
+        const gcode = Buffer.from(`G28\n${body}; estimated printing time (normal mode) = 45m 10s\n`);
+
+        expect(parseEstimatedPrintTime(gcode)).toBe(2710);
+    });
+
+    test('parseDuration', () => {
+        expect(parseDuration('3h 5m')).toBe(11100);
+        expect(parseDuration('n/a')).toBeNull();
+    });
+});
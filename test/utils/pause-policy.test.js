@@ -0,0 +1,206 @@
+jest.mock('../../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const PausePolicy = require('../../src/utils/pause-policy');
+
+const SETTINGS = {
+    autoPausePrintGuardFailures: 3,
+    autoPausePrintGuardDryRun: false,
+    autoPauseLLMCriticalCount: 2,
+    autoPauseLLMCriticalConfidence: 0.8,
+    autoPauseLLMDryRun: false,
+    autoPauseDetectorFailures: 2,
+    autoPauseDetectorConfidence: 0.8,
+    autoPauseDetectorDryRun: false,
+    autoPauseAgreementWindow: 60000,
+    autoPauseAgreementDryRun: false
+};
+
+function printing(filename = 'benchy.gcode') {
+    return { success: true, status: { machine: { code: 1 }, print: { code: 13, filename } } };
+}
+
+function complete(filename = 'benchy.gcode') {
+    return { success: true, status: { machine: { code: 1 }, print: { code: 9, filename } } };
+}
+
+function critical(detector, confidence = 0.9) {
+    return { detector, failure: true, status: 'critical', confidence, label: 'spaghetti', problems: [] };
+}
+
+function good(detector) {
+    return { detector, failure: false, status: 'good', confidence: 0.9, label: null, problems: [] };
+}
+
+describe('PausePolicy', () => {
+    let saved;
+    let printer;
+    let policy;
+
+    // Feed verdicts in order and return the last decision
+    async function record(verdicts, status = printing()) {
+        let decision = null;
+        for (const verdict of verdicts) {
+            decision = await policy.recordVerdict(verdict, status, verdict.detector);
+        }
+        return decision;
+    }
+
+    beforeEach(() => {
+        saved = Object.fromEntries(Object.keys(SETTINGS).map(key => [key, config[key]]));
+        Object.assign(config, SETTINGS);
+
+        printer = { pausePrint: jest.fn().mockResolvedValue({ success: true }) };
+        policy = new PausePolicy(printer, { enabled: true, cooldown: 600000 });
+    });
+
+    afterEach(() => {
+        Object.assign(config, saved);
+        jest.useRealTimers();
+    });
+
+    test('does nothing when disabled', async () => {
+        policy = new PausePolicy(printer, { enabled: false, cooldown: 600000 });
+
+        expect(await record([critical('printguard'), critical('printguard'), critical('printguard')])).toBeNull();
+        expect(printer.pausePrint).not.toHaveBeenCalled();
+    });
+
+    test('pauses after consecutive PrintGuard failures', async () => {
+        expect(await record([critical('printguard', 0.1), critical('printguard', 0.1)])).toBeNull();
+
+        const decision = await record([critical('printguard', 0.1)]);
+
+        expect(decision).toMatchObject({ rule: 'printguard-consecutive', paused: true, dryRun: false, filename: 'benchy.gcode' });
+        expect(printer.pausePrint).toHaveBeenCalledTimes(1);
+    });
+
+    test('a good verdict breaks the streak', async () => {
+        const decision = await record([
+            critical('printguard'), critical('printguard'), good('printguard'), critical('printguard')
+        ]);
+
+        expect(decision).toBeNull();
+        expect(printer.pausePrint).not.toHaveBeenCalled();
+    });
+
+    test('counts only confident critical LLM verdicts', async () => {
+        expect(await record([critical('llm', 0.9), critical('llm', 0.5)])).toBeNull();
+
+        const decision = await record([critical('llm', 0.85), critical('llm', 0.95)]);
+
+        expect(decision).toMatchObject({ rule: 'llm-critical', paused: true });
+        expect(decision.reason).toContain('≥80% confidence 2 times in a row');
+    });
+
+    test('applies the generic rule to other detectors', async () => {
+        expect(await record([critical('reference', 0.7), critical('reference', 0.7)])).toBeNull();
+
+        const decision = await record([critical('reference'), critical('reference')]);
+
+        expect(decision).toMatchObject({ rule: 'reference-consecutive', paused: true });
+    });
+
+    test('a consecutive rule set to 0 is disabled', async () => {
+        config.autoPausePrintGuardFailures = 0;
+        config.autoPauseAgreementWindow = 0;
+
+        expect(await record(Array.from({ length: 5 }, () => critical('printguard')))).toBeNull();
+    });
+
+    test('pauses when two detectors agree within the window', async () => {
+        const decision = await record([critical('printguard'), critical('llm')]);
+
+        expect(decision).toMatchObject({ rule: 'detectors-agree', paused: true });
+        expect(decision.reason).toBe('printguard and llm both detected a failure within 60s');
+    });
+
+    test('detectors outside the agreement window do not agree', async () => {
+        jest.useFakeTimers({ now: Date.parse('2026-01-01T12:00:00Z') });
+        await record([critical('printguard')]);
+
+        jest.setSystemTime(Date.parse('2026-01-01T12:02:00Z'));
+
+        expect(await record([critical('llm')])).toBeNull();
+    });
+
+    test('dry run reports the rule without pausing', async () => {
+        config.autoPausePrintGuardDryRun = true;
+
+        const decision = await record([critical('printguard'), critical('printguard'), critical('printguard')]);
+
+        expect(decision).toMatchObject({ rule: 'printguard-consecutive', dryRun: true, paused: false });
+        expect(printer.pausePrint).not.toHaveBeenCalled();
+    });
+
+    test('dry run of one rule does not stop another from pausing', async () => {
+        config.autoPauseLLMDryRun = true;
+
+        expect(await record([critical('llm')])).toBeNull();
+        const decision = await record([critical('llm'), critical('printguard')]);
+
+        // llm-critical fired in dry run on the second LLM verdict; the agreement rule pauses
+        expect(decision).toMatchObject({ rule: 'detectors-agree', paused: true });
+        expect(printer.pausePrint).toHaveBeenCalledTimes(1);
+    });
+
+    test('a rule does not fire again within its cooldown', async () => {
+        jest.useFakeTimers({ now: Date.parse('2026-01-01T12:00:00Z') });
+        config.autoPauseAgreementWindow = 0;
+
+        expect(await record([critical('llm'), critical('llm')])).toMatchObject({ rule: 'llm-critical' });
+        expect(await record([critical('llm'), critical('llm')])).toBeNull();
+
+        jest.setSystemTime(Date.parse('2026-01-01T12:10:01Z'));
+
+        // The streak kept growing during the cooldown
+        expect(await record([critical('llm')])).toMatchObject({ rule: 'llm-critical' });
+        expect(printer.pausePrint).toHaveBeenCalledTimes(2);
+    });
+
+    test('reports a failed pause without clearing the counts', async () => {
+        printer.pausePrint.mockRejectedValue(new Error('not connected'));
+
+        const decision = await record([critical('reference'), critical('reference')]);
+
+        expect(decision).toMatchObject({ rule: 'reference-consecutive', paused: false, error: 'not connected' });
+        expect(policy.state.detectors.get('reference').criticals).toBe(2);
+    });
+
+    test('a new file starts with fresh counts and cooldowns', async () => {
+        config.autoPauseAgreementWindow = 0;
+        await record([critical('llm'), critical('llm')]);
+        await record([critical('llm')]);
+
+        const decision = await record([critical('llm'), critical('llm')], printing('cube.gcode'));
+
+        expect(decision).toMatchObject({ rule: 'llm-critical', filename: 'cube.gcode' });
+    });
+
+    test('reprinting the same file starts with fresh counts and cooldowns', async () => {
+        config.autoPauseAgreementWindow = 0;
+        expect(await record([critical('llm'), critical('llm')])).toMatchObject({ rule: 'llm-critical' });
+        expect(await record([critical('llm')])).toBeNull();
+
+        policy.recordStatus(complete());
+        policy.recordStatus(printing());
+
+        expect(await record([critical('llm')])).toBeNull();
+        expect(await record([critical('llm')])).toMatchObject({ rule: 'llm-critical', paused: true });
+        expect(printer.pausePrint).toHaveBeenCalledTimes(2);
+    });
+
+    test('a print returning to idle resets the state', async () => {
+        await record([critical('printguard'), critical('printguard')]);
+
+        policy.recordStatus({ success: true, status: { machine: { code: 0 }, print: { code: 0, filename: 'benchy.gcode' } } });
+
+        expect(policy.state).toMatchObject({ printKey: null });
+        expect(policy.state.detectors.size).toBe(0);
+    });
+});
@@ -0,0 +1,31 @@
+const { parsePolygon, formatPolygon, boundingBox } = require('../../src/utils/polygon');
+
+describe('polygon', () => {
+    test.each([
+        ['0.1,0.3 0.9,0.3 0.95,0.95 0.05,0.95'],
+        ['0.1,0.3;0.9,0.3;0.95,0.95;0.05,0.95'],
+        [[[0.1, 0.3], [0.9, 0.3], ['0.95', '0.95'], [0.05, 0.95]]]
+    ])('parses %p', (value) => {
+        expect(parsePolygon(value)).toEqual([[0.1, 0.3], [0.9, 0.3], [0.95, 0.95], [0.05, 0.95]]);
+    });
+
+    test.each([
+        ['0.1,0.1 0.9,0.1', 'at least 3 points'],
+        ['0.1,0.1 1.2,0.1 0.5,0.9', "'1.2,0.1' is not an x,y point between 0 and 1"],
+        ['0.1,0.1 0.9 0.5,0.9', "'0.9' is not an x,y point"],
+        ['0.1,0.1 0.12,0.1 0.11,0.9', 'too small']
+    ])('rejects %p', (value, message) => {
+        expect(() => parsePolygon(value)).toThrow(message);
+    });
+
+    test('formats to three decimals and parses back', () => {
+        const text = formatPolygon([[0.12345, 0.3], [0.9, 0.30001], [0.5, 1]]);
+
+        expect(text).toBe('0.123,0.3 0.9,0.3 0.5,1');
+        expect(parsePolygon(text)).toEqual([[0.123, 0.3], [0.9, 0.3], [0.5, 1]]);
+    });
+
+    test('boundingBox', () => {
+        expect(boundingBox([[0.25, 0.2], [0.75, 0.2], [0.5, 0.8]])).toEqual({ x1: 0.25, y1: 0.2, x2: 0.75, y2: 0.8 });
+    });
+});
@@ -0,0 +1,139 @@
+jest.mock('../../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const ProgressTracker = require('../../src/utils/progress-tracker');
+const { sparkline } = ProgressTracker;
+
+const START = Date.parse('2026-01-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+function status(layer, { machine = 1, print = 13, filename = 'benchy.gcode', elapsedSeconds = null } = {}) {
+    return {
+        success: true,
+        status: { machine: { code: machine }, print: { code: print, filename } },
+        progress: { currentLayer: layer, totalLayers: 100 },
+        time: { elapsedSeconds, remaining: '1h 0m' }
+    };
+}
+
+/**
+ * Advance one layer per minute from layer 1 to `layers`; returns the time of the last change
+ */
+function printLayers(tracker, layers, from = START) {
+    for (let layer = 1; layer <= layers; layer++) {
+        expect(tracker.update(status(layer), from + (layer - 1) * MINUTE)).toBeNull();
+    }
+    return from + (layers - 1) * MINUTE;
+}
+
+describe('ProgressTracker', () => {
+    let saved;
+    let tracker;
+
+    beforeEach(() => {
+        saved = { multiplier: config.progressStallMultiplier, minTime: config.progressStallMinTime };
+        config.progressStallMultiplier = 5;
+        config.progressStallMinTime = 2 * MINUTE;
+        tracker = new ProgressTracker({ enabled: true });
+    });
+
+    afterEach(() => {
+        config.progressStallMultiplier = saved.multiplier;
+        config.progressStallMinTime = saved.minTime;
+    });
+
+    test('reports a stall once the layer stands still for multiplier x the average layer time', () => {
+        const last = printLayers(tracker, 6);
+
+        expect(tracker.update(status(6), last + 5 * MINUTE - 1)).toBeNull();
+        const stall = tracker.update(status(6), last + 5 * MINUTE);
+
+        expect(stall).toMatchObject({
+            layer: 6,
+            totalLayers: 100,
+            filename: 'benchy.gcode',
+            averageLayerTime: MINUTE,
+            threshold: 5 * MINUTE,
+            stalledFor: 5 * MINUTE
+        });
+    });
+
+    test('reports a stall only once until the layer advances again', () => {
+        const last = printLayers(tracker, 6);
+
+        expect(tracker.update(status(6), last + 5 * MINUTE)).not.toBeNull();
+        expect(tracker.update(status(6), last + 20 * MINUTE)).toBeNull();
+
+        const resumed = last + 21 * MINUTE;
+        expect(tracker.update(status(7), resumed)).toBeNull();
+        expect(tracker.getReport(resumed).stalled).toBe(false);
+        // The long layer raised the average to 5 minutes: the next stall needs 25
+        expect(tracker.update(status(7), resumed + 25 * MINUTE - 1)).toBeNull();
+        expect(tracker.update(status(7), resumed + 25 * MINUTE)).toMatchObject({ layer: 7, averageLayerTime: 5 * MINUTE });
+    });
+
+    test('never goes below the minimum stall time', () => {
+        config.progressStallMinTime = 30 * MINUTE;
+        const last = printLayers(tracker, 6);
+
+        expect(tracker.update(status(6), last + 29 * MINUTE)).toBeNull();
+        expect(tracker.update(status(6), last + 30 * MINUTE)).toMatchObject({ threshold: 30 * MINUTE });
+    });
+
+    test('uses the printer\'s elapsed time per layer before enough layer changes are seen', () => {
+        // 10 layers in 20 minutes: 2 minutes per layer
+        expect(tracker.update(status(10, { elapsedSeconds: 1200 }), START)).toBeNull();
+
+        expect(tracker.update(status(10, { elapsedSeconds: 1200 }), START + 10 * MINUTE - 1)).toBeNull();
+        expect(tracker.update(status(10, { elapsedSeconds: 1200 }), START + 10 * MINUTE)).toMatchObject({
+            averageLayerTime: 2 * MINUTE,
+            threshold: 10 * MINUTE
+        });
+    });
+
+    test.each([
+        ['paused', { print: 6 }],
+        ['heating', { print: 16 }],
+        ['idle machine', { machine: 0 }]
+    ])('restarts the clock while %s', (name, state) => {
+        const last = printLayers(tracker, 6);
+
+        expect(tracker.update(status(6, state), last + 30 * MINUTE)).toBeNull();
+        expect(tracker.update(status(6), last + 31 * MINUTE)).toBeNull();
+        expect(tracker.update(status(6), last + 35 * MINUTE)).not.toBeNull();
+    });
+
+    test('starts over for a new file', () => {
+        const last = printLayers(tracker, 6);
+
+        expect(tracker.update(status(1, { filename: 'cube.gcode' }), last + 10 * MINUTE)).toBeNull();
+        expect(tracker.update(status(1, { filename: 'cube.gcode' }), last + 60 * MINUTE)).toBeNull();
+        expect(tracker.getReport(last + 60 * MINUTE)).toMatchObject({ filename: 'cube.gcode', currentLayer: 1 });
+    });
+
+    test('stays quiet when stall detection is disabled', () => {
+        tracker = new ProgressTracker({ enabled: false });
+        const last = printLayers(tracker, 6);
+
+        expect(tracker.update(status(6), last + 60 * MINUTE)).toBeNull();
+    });
+
+    test('projects the finish from the observed layer rate', () => {
+        const last = printLayers(tracker, 11);
+
+        const report = tracker.getReport(last);
+
+        expect(report).toMatchObject({ currentLayer: 11, rateSource: 'observed', layersPerHour: 60, printerRemaining: '1h 0m' });
+        expect(report.projectedFinish).toBe(last + 89 * MINUTE);
+    });
+
+    test('sparkline scales to the largest value', () => {
+        expect(sparkline([0, 1, 2, 7])).toBe('▁▂▃█');
+        expect(sparkline([0, 0])).toBe('▁▁');
+    });
+});
@@ -0,0 +1,139 @@
+jest.mock('../../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const ReferenceFrames = require('../../src/utils/reference-frames');
+
+const START = Date.parse('2026-01-01T12:00:00Z');
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+function status(layer, filename = 'benchy.gcode') {
+    return {
+        success: true,
+        status: { machine: { code: 1 }, print: { code: 13, filename } },
+        progress: { currentLayer: layer, totalLayers: 100 }
+    };
+}
+
+function frame(name) {
+    return Buffer.from(name);
+}
+
+describe('ReferenceFrames', () => {
+    let saved;
+    let references;
+
+    /**
+     * Record a frame every 30 s for `minutes`, one layer per frame starting at `firstLayer`
+     */
+    function printFor(minutes, { from = START, firstLayer = 1, filename } = {}) {
+        for (let t = 0; t <= minutes * MINUTE; t += 30 * SECOND) {
+            const layer = firstLayer + t / (30 * SECOND);
+            references.record(frame(`layer ${layer}`), status(layer, filename), from + t);
+        }
+    }
+
+    // [kind, layer, minutes since START] of the selected references
+    function selected(now) {
+        return references.select(now).map(reference => [reference.kind, reference.layer, (reference.time - START) / MINUTE]);
+    }
+
+    beforeEach(() => {
+        saved = { firstLayer: config.referenceFirstLayer, lookback: config.referenceLookbackMinutes };
+        config.referenceFirstLayer = 2;
+        config.referenceLookbackMinutes = 10;
+        references = new ReferenceFrames();
+    });
+
+    afterEach(() => {
+        config.referenceFirstLayer = saved.firstLayer;
+        config.referenceLookbackMinutes = saved.lookback;
+    });
+
+    test('keeps the frame of the first-layer mark for the whole job', () => {
+        printFor(60);
+        const now = START + 60 * MINUTE;
+
+        expect(selected(now)[0]).toEqual(['firstLayer', 2, 0.5]);
+        expect(references.select(now)[0].buffer).toEqual(frame('layer 2'));
+    });
+
+    test('starts offering a lookback frame once one is half the lookback old', () => {
+        printFor(4.5);
+        expect(selected(START + 4.5 * MINUTE)).toEqual([['firstLayer', 2, 0.5]]);
+
+        printFor(0, { from: START + 5 * MINUTE, firstLayer: 11 });
+        expect(selected(START + 5 * MINUTE)).toEqual([['firstLayer', 2, 0.5], ['lookback', 1, 0]]);
+    });
+
+    test('picks the oldest frame still in the lookback window, sampled once per tenth of it', () => {
+        printFor(20);
+        const now = START + 20 * MINUTE;
+
+        // Samples every minute; anything older than lookback + one sample interval is gone
+        expect(references.job.history.map(entry => (entry.time - START) / MINUTE)).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20]);
+        expect(selected(now)).toEqual([['firstLayer', 2, 0.5], ['lookback', 19, 9]]);
+    });
+
+    test('follows REFERENCE_LOOKBACK_MINUTES', () => {
+        config.referenceLookbackMinutes = 4;
+        printFor(20);
+
+        // Frames 30 s apart are all kept; the window ends at 4.4 minutes
+        expect(selected(START + 20 * MINUTE)[1]).toEqual(['lookback', 33, 16]);
+    });
+
+    test('takes the first frame past the mark when monitoring starts mid-print', () => {
+        printFor(10, { firstLayer: 40 });
+
+        expect(selected(START + 10 * MINUTE)[0]).toEqual(['firstLayer', 40, 0]);
+    });
+
+    test('does not offer the first-layer frame twice', () => {
+        config.referenceFirstLayer = 1;
+        printFor(6);
+
+        // The oldest sample is the first-layer frame until it leaves the window
+        expect(selected(START + 6 * MINUTE)).toEqual([['firstLayer', 1, 0]]);
+
+        printFor(5.5, { from: START + 6.5 * MINUTE, firstLayer: 14 });
+        expect(selected(START + 12 * MINUTE)).toEqual([['firstLayer', 1, 0], ['lookback', 3, 1]]);
+    });
+
+    test('starts over when another file prints', () => {
+        printFor(20);
+        printFor(3, { from: START + 30 * MINUTE, filename: 'cube.gcode' });
+
+        expect(references.job.filename).toBe('cube.gcode');
+        expect(selected(START + 33 * MINUTE)).toEqual([['firstLayer', 2, 30.5]]);
+    });
+
+    test('starts over when the layer counter goes back', () => {
+        printFor(20);
+        printFor(3, { from: START + 30 * MINUTE });
+
+        expect(selected(START + 33 * MINUTE)).toEqual([['firstLayer', 2, 30.5]]);
+    });
+
+    test('ignores frames without a usable printer status', () => {
+        references.record(frame('offline'), { success: false, error: 'timeout' }, START);
+        references.record(frame('no status'), null, START);
+        references.record(null, status(5), START);
+
+        expect(references.job.history).toEqual([]);
+        expect(references.select(START + 60 * MINUTE)).toEqual([]);
+    });
+
+    test('reset forgets the job', () => {
+        printFor(20);
+
+        references.reset();
+
+        expect(references.select(START + 20 * MINUTE)).toEqual([]);
+    });
+});
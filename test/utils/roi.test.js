@@ -0,0 +1,107 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const { applyRoi, getCropBox, mapBoundingBox, loadRoiFile, saveRoiFile } = require('../../src/utils/roi');
+
+const WIDTH = 400;
+const HEIGHT = 300;
+const TRIANGLE = [[0.25, 0.2], [0.75, 0.2], [0.5, 0.8]];
+
+function grayFrame(value = 200) {
+    return sharp({ create: { width: WIDTH, height: HEIGHT, channels: 3, background: { r: value, g: value, b: value } } })
+        .jpeg({ quality: 95 })
+        .toBuffer();
+}
+
+// Gray level of a pixel in a JPEG
+async function pixel(buffer, x, y) {
+    const { data, info } = await sharp(buffer).greyscale().raw().toBuffer({ resolveWithObject: true });
+    return data[Math.round(y) * info.width + Math.round(x)];
+}
+
+describe('roi', () => {
+    describe('getCropBox', () => {
+        test('covers the polygon\'s bounding box in pixels', () => {
+            expect(getCropBox(TRIANGLE, WIDTH, HEIGHT)).toEqual({ left: 100, top: 60, width: 200, height: 180 });
+        });
+
+        test('grows to a square centered on the polygon and stays inside the frame', () => {
+            expect(getCropBox(TRIANGLE, WIDTH, HEIGHT, true)).toEqual({ left: 100, top: 50, width: 200, height: 200 });
+            // Wider than the frame is tall: the largest square, centered on the polygon
+            expect(getCropBox([[0, 0], [0.9, 0], [0, 0.2]], WIDTH, HEIGHT, true)).toEqual({ left: 30, top: 0, width: 300, height: 300 });
+        });
+    });
+
+    describe('applyRoi', () => {
+        test('crops to the bounding box and reports the region in frame coordinates', async () => {
+            const { buffer, region } = await applyRoi(await grayFrame(), TRIANGLE);
+
+            expect(await sharp(buffer).metadata()).toMatchObject({ width: 200, height: 180, format: 'jpeg' });
+            expect(region).toEqual({ x: 0.25, y: 0.2, width: 0.5, height: 0.6 });
+        });
+
+        test('keeps pixels inside the polygon and blacks out the rest', async () => {
+            const { buffer } = await applyRoi(await grayFrame(200), TRIANGLE);
+
+            // Crop coordinates: the triangle runs from the top corners to the bottom middle
+            expect(await pixel(buffer, 100, 60)).toBeGreaterThan(180); // centroid
+            expect(await pixel(buffer, 100, 170)).toBeGreaterThan(150); // just above the apex
+            expect(await pixel(buffer, 10, 170)).toBeLessThan(20); // bottom-left corner, outside
+            expect(await pixel(buffer, 190, 170)).toBeLessThan(20); // bottom-right corner, outside
+        });
+
+        test('passes the frame through without a polygon', async () => {
+            const frame = await grayFrame();
+
+            expect(await applyRoi(frame, null)).toEqual({ buffer: frame, region: null });
+        });
+    });
+
+    describe('mapBoundingBox', () => {
+        const region = { x: 0.25, y: 0.2, width: 0.5, height: 0.6 };
+
+        test('maps a box in the crop back to the full frame', () => {
+            const mapped = mapBoundingBox([0, 0, 1, 1], region);
+            expect(mapped).toEqual([0.25, 0.2, 0.75, expect.closeTo(0.8)]);
+
+            const [x1, y1, x2, y2] = mapBoundingBox([0.5, 0.5, 0.75, 1], region);
+            expect([x1, y1, x2, y2].map(value => Math.round(value * 1000) / 1000)).toEqual([0.5, 0.5, 0.625, 0.8]);
+        });
+
+        test('leaves boxes without a region or of the wrong shape alone', () => {
+            expect(mapBoundingBox([0.1, 0.2, 0.3, 0.4], null)).toEqual([0.1, 0.2, 0.3, 0.4]);
+            expect(mapBoundingBox([0.1, 0.2], region)).toEqual([0.1, 0.2]);
+        });
+    });
+
+    describe('ROI file', () => {
+        let dir;
+
+        beforeEach(async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), 'roi-test-'));
+        });
+
+        afterEach(async () => {
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        test('saves, loads and removes a calibration', async () => {
+            const file = path.join(dir, 'printer', 'roi.json');
+
+            expect(await loadRoiFile(file)).toBeNull();
+            await saveRoiFile(file, TRIANGLE);
+            expect(await loadRoiFile(file)).toEqual(TRIANGLE);
+            await saveRoiFile(file, null);
+            expect(await loadRoiFile(file)).toBeNull();
+        });
+
+        test('rejects a corrupt file', async () => {
+            const file = path.join(dir, 'roi.json');
+            await fs.writeFile(file, JSON.stringify({ polygon: '0.1,0.1 0.2,0.1' }));
+
+            await expect(loadRoiFile(file)).rejects.toThrow(`Invalid ROI file ${file}: a region needs at least 3 points`);
+        });
+    });
+});
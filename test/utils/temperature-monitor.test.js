@@ -0,0 +1,120 @@
+jest.mock('../../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+const TemperatureMonitor = require('../../src/utils/temperature-monitor');
+
+const START = Date.parse('2026-01-01T12:00:00Z');
+
+function status(nozzle, nozzleTarget) {
+    return {
+        success: true,
+        status: { machine: { code: 1 } },
+        temperatures: {
+            nozzle: { current: nozzle, target: nozzleTarget },
+            bed: { current: 60, target: 60 }
+        }
+    };
+}
+
+/**
+ * Feed one reading per step (2 s apart by default) and collect every anomaly
+ */
+function feed(monitor, readings, { from = START, step = 2000 } = {}) {
+    const anomalies = [];
+    readings.forEach(([current, target], index) => {
+        anomalies.push(...monitor.update(status(current, target), from + index * step));
+    });
+    return anomalies;
+}
+
+function hold(current, target, count) {
+    return Array.from({ length: count }, () => [current, target]);
+}
+
+describe('TemperatureMonitor', () => {
+    let monitor;
+
+    beforeEach(() => {
+        monitor = new TemperatureMonitor({ enabled: true });
+    });
+
+    test('stays quiet at target', () => {
+        expect(feed(monitor, hold(215, 215, 60))).toEqual([]);
+    });
+
+    test('does not flag a heater cooling down to a lowered target', () => {
+        const readings = [...hold(250, 250, 10)];
+        // 250 -> 200 °C at 0.5 °C/s: more than 15 °C above the new target for over a minute
+        for (let temp = 250; temp >= 200; temp -= 1) {
+            readings.push([temp, 200]);
+        }
+        readings.push(...hold(200, 200, 20));
+
+        expect(feed(monitor, readings)).toEqual([]);
+    });
+
+    test('does not flag a standby temperature during a filament change', () => {
+        const readings = [...hold(220, 220, 10)];
+        // Slow cooling with repeated readings
+        for (let temp = 220; temp >= 150; temp -= 0.5) {
+            readings.push([temp, 150], [temp, 150]);
+        }
+        readings.push(...hold(150, 150, 20));
+
+        expect(feed(monitor, readings)).toEqual([]);
+    });
+
+    test('flags a heater that keeps heating above a lowered target', () => {
+        const readings = [...hold(250, 250, 10)];
+        for (let temp = 250; temp <= 270; temp += 1) {
+            readings.push([temp, 200]);
+        }
+
+        const anomalies = feed(monitor, readings);
+
+        expect(anomalies).toHaveLength(1);
+        expect(anomalies[0]).toMatchObject({ type: 'thermal-runaway', sensor: 'nozzle', target: 200 });
+    });
+
+    test('reports a heater stuck above a lowered target as failing to reach it', () => {
+        const readings = [...hold(250, 250, 10), ...hold(240, 200, 301)];
+
+        const anomalies = feed(monitor, readings);
+
+        expect(anomalies).toHaveLength(1);
+        expect(anomalies[0].type).toBe('heatup-timeout');
+        expect(anomalies[0].reason).toContain('cooling to 200°C');
+    });
+
+    test('flags drifting off target after reaching it', () => {
+        const readings = [...hold(215, 215, 10), ...hold(235, 215, 20)];
+
+        const anomalies = feed(monitor, readings);
+
+        expect(anomalies).toHaveLength(1);
+        expect(anomalies[0]).toMatchObject({ type: 'thermal-runaway', sensor: 'nozzle', current: 235 });
+        expect(anomalies[0].reason).toContain('above its 215°C target');
+    });
+
+    test('flags a heater that never reaches its target', () => {
+        const readings = [...hold(25, 0, 5), ...hold(150, 215, 301)];
+
+        const anomalies = feed(monitor, readings);
+
+        expect(anomalies).toHaveLength(1);
+        expect(anomalies[0].type).toBe('heatup-timeout');
+        expect(anomalies[0].reason).toContain('heating to 215°C');
+    });
+
+    test('flags a sudden drop while printing', () => {
+        const readings = [...hold(215, 215, 10), [205, 215], [195, 215]];
+
+        const anomalies = feed(monitor, readings);
+
+        expect(anomalies.map(anomaly => anomaly.type)).toEqual(['sudden-drop']);
+    });
+});
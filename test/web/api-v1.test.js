@@ -0,0 +1,102 @@
+const http = require('http');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const ApiV1 = require('../../src/web/api-v1');
+
+const TOKEN = 'test-token';
+
+function createPrintMonitor(index, name) {
+  const status = { success: true, status: { machine: { code: 1, text: 'Printing' } }, raw: {} };
+  return {
+    printer: { index, name, ip: `192.168.1.${index}` },
+    printerModule: {
+      getStatus: jest.fn().mockResolvedValue(status),
+      getCachedStatus: jest.fn().mockReturnValue(status),
+      listFiles: jest.fn().mockResolvedValue({ Data: { FileList: [{ name: `/local//${name}.gcode`, type: 1 }] } }),
+      pausePrint: jest.fn().mockResolvedValue({ Data: { Ack: 0 } }),
+      resumePrint: jest.fn().mockResolvedValue({ Data: { Ack: 0 } })
+    }
+  };
+}
+
+describe('ApiV1', () => {
+  let savedToken;
+  let monitors;
+  let server;
+  let baseUrl;
+
+  function request(method, path) {
+    return fetch(`${baseUrl}/api/v1${path}`, { method, headers: { Authorization: `Bearer ${TOKEN}` } })
+      .then(async response => ({ status: response.status, body: await response.json() }));
+  }
+
+  beforeEach(async () => {
+    savedToken = config.apiToken;
+    config.apiToken = TOKEN;
+
+    monitors = [createPrintMonitor(1, 'bench1'), createPrintMonitor(2, 'bench2')];
+    const api = new ApiV1(monitors);
+    server = http.createServer((req, res) => {
+      api.handleRequest(req, res, new URL(req.url, 'http://localhost'));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    config.apiToken = savedToken;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('lists the monitored printers', async () => {
+    const { status, body } = await request('GET', '/printers');
+
+    expect(status).toBe(200);
+    expect(body.data.printers.map(printer => [printer.index, printer.name])).toEqual([[1, 'bench1'], [2, 'bench2']]);
+    expect(body.data.printers[0].status).not.toHaveProperty('raw');
+  });
+
+  test('routes without a printer act on the first printer', async () => {
+    await request('POST', '/printer/pause');
+
+    expect(monitors[0].printerModule.pausePrint).toHaveBeenCalledTimes(1);
+    expect(monitors[1].printerModule.pausePrint).not.toHaveBeenCalled();
+  });
+
+  test.each(['bench2', '2', 'BENCH2'])('/printers/%s/ selects the second printer', async (selector) => {
+    const { status, body } = await request('GET', `/printers/${selector}/printer/files`);
+
+    expect(status).toBe(200);
+    expect(body.data.files[0].path).toBe('/local//bench2.gcode');
+    expect(monitors[0].printerModule.listFiles).not.toHaveBeenCalled();
+  });
+
+  test('pauses only the selected printer', async () => {
+    const { body } = await request('POST', '/printers/bench2/printer/pause');
+
+    expect(body).toEqual({ success: true, data: { command: 'pause', ack: 0 } });
+    expect(monitors[1].printerModule.pausePrint).toHaveBeenCalledTimes(1);
+    expect(monitors[0].printerModule.pausePrint).not.toHaveBeenCalled();
+  });
+
+  test('answers 404 for an unknown printer', async () => {
+    const { status, body } = await request('GET', '/printers/bench9/printer/status');
+
+    expect(status).toBe(404);
+    expect(body.error.code).toBe('printer_not_found');
+  });
+
+  test('per-printer routes need the token too', async () => {
+    const response = await fetch(`${baseUrl}/api/v1/printers/2/printer/pause`, { method: 'POST' });
+
+    expect(response.status).toBe(401);
+    expect(monitors[1].printerModule.pausePrint).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const WebServer = require('../../src/web/web-server');
+
+const TOKEN = 'test-token';
+const JPEG = Buffer.from([0xff, 0xd8, 0x01, 0x02, 0xff, 0xd9]);
+
+function createPrintMonitor(captureFrame) {
+  return {
+    printer: { index: 1, name: 'bench1' },
+    printerModule: null,
+    capture: { captureFrame },
+    latestVerdicts: {}
+  };
+}
+
+describe('WebServer', () => {
+  let saved;
+  let webServer;
+  let baseUrl;
+
+  async function startServer(printMonitor) {
+    webServer = new WebServer([printMonitor]);
+    await webServer.start();
+    baseUrl = `http://127.0.0.1:${webServer.server.address().port}`;
+  }
+
+  function capture() {
+    return fetch(`${baseUrl}/dashboard/capture`, { method: 'POST', headers: { Authorization: `Bearer ${TOKEN}` } });
+  }
+
+  beforeEach(() => {
+    saved = {
+      port: config.webPort,
+      host: config.webHost,
+      dashboard: config.dashboardEnabled,
+      api: config.apiEnabled,
+      metrics: config.metricsEnabled,
+      metricsPublic: config.metricsPublic,
+      token: config.apiToken
+    };
+    Object.assign(config, {
+      webPort: 0,
+      webHost: '127.0.0.1',
+      dashboardEnabled: true,
+      apiEnabled: false,
+      metricsEnabled: false,
+      apiToken: TOKEN
+    });
+  });
+
+  afterEach(() => {
+    if (webServer) {
+      webServer.stop();
+      webServer = null;
+    }
+    Object.assign(config, {
+      webPort: saved.port,
+      webHost: saved.host,
+      dashboardEnabled: saved.dashboard,
+      apiEnabled: saved.api,
+      metricsEnabled: saved.metrics,
+      metricsPublic: saved.metricsPublic,
+      apiToken: saved.token
+    });
+  });
+
+  describe('POST /dashboard/capture', () => {
+    test('returns the captured frame', async () => {
+      await startServer(createPrintMonitor(jest.fn().mockResolvedValue(JPEG)));
+
+      const response = await capture();
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toBe('image/jpeg');
+      expect(Buffer.from(await response.arrayBuffer())).toEqual(JPEG);
+    });
+
+    test('answers 503 with a JSON error when the camera fails', async () => {
+      await startServer(createPrintMonitor(jest.fn().mockRejectedValue(new Error('Max retries (3) exceeded for frame capture'))));
+
+      const response = await capture();
+
+      expect(response.status).toBe(503);
+      expect(response.headers.get('content-type')).toBe('application/json');
+      expect(await response.json()).toEqual({ success: false, error: 'Camera unavailable: Max retries (3) exceeded for frame capture' });
+    });
+
+    test('answers 503 when the capture returns no frame', async () => {
+      await startServer(createPrintMonitor(jest.fn().mockResolvedValue(null)));
+
+      const response = await capture();
+
+      expect(response.status).toBe(503);
+      expect(await response.json()).toEqual({ success: false, error: 'Camera returned no frame' });
+    });
+  });
+
+  describe('GET /metrics', () => {
+    beforeEach(() => {
+      config.metricsEnabled = true;
+    });
+
+    test('requires the API token', async () => {
+      await startServer(createPrintMonitor(jest.fn()));
+
+      const anonymous = await fetch(`${baseUrl}/metrics`);
+      const wrongToken = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer nope' } });
+      const authorized = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+
+      expect(anonymous.status).toBe(401);
+      expect(wrongToken.status).toBe(401);
+      expect(authorized.status).toBe(200);
+      expect(await authorized.text()).toContain('elegoo_monitor_');
+    });
+
+    test('METRICS_PUBLIC serves it without a token', async () => {
+      config.metricsPublic = true;
+      await startServer(createPrintMonitor(jest.fn()));
+
+      const response = await fetch(`${baseUrl}/metrics`);
+
+      expect(response.status).toBe(200);
+    });
+  });
+});